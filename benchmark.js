@@ -0,0 +1,178 @@
+// Measure how often image passwords are rejected after common edits, and how
+// often they unlock another image's account, for each matching mode
+// Usage: npm run benchmark               (4 generated images of each style)
+//        npm run benchmark -- <images>   (a number of images of each style)
+//
+// The images are drawn by the image generator, so the run needs no files and
+// gives the same numbers every time. Each one is registered with every mode,
+// then edited with each transform and tried against its own registration
+// (a miss is a false reject) and against every other image's (a match is a
+// false accept). A hash matches within the default threshold, as the secure
+// sketch would decide.
+
+const imagesPerStyle = process.argv[2] === undefined ? 4 : parseInt(process.argv[2], 10);
+if (!Number.isInteger(imagesPerStyle) || imagesPerStyle < 2) {
+  console.error('Usage: npm run benchmark -- [images per style, at least 2]');
+  process.exit(1);
+}
+
+// Side of the generated images, in pixels
+const IMAGE_SIZE = 128;
+
+// Hamming distance still accepted, as for new registrations
+const THRESHOLD = 4;
+
+const MODES = {
+  plain: {},
+  color: { color: true },
+  robust: { robust: true },
+  'robust+color': { robust: true, color: true }
+};
+
+/**
+ * Apply a function to every pixel's red, green and blue values
+ * @param {Object} image - { width, height, data }
+ * @param {Function} fn - ([r, g, b], index) => [r, g, b]
+ * @returns {Object} The changed copy
+ */
+function mapPixels({ width, height, data }, fn) {
+  const out = new Uint8ClampedArray(data);
+  for (let i = 0; i < width * height; i++) {
+    const p = i * 4;
+    [out[p], out[p + 1], out[p + 2]] = fn([data[p], data[p + 1], data[p + 2]], i);
+  }
+  return { width, height, data: out };
+}
+
+/**
+ * Cut a rectangle out of an image
+ * @param {Object} image - { width, height, data }
+ * @param {Object} edges - Shares of the width or height to cut from { left, top, right, bottom }
+ * @returns {Object} The cropped copy
+ */
+function crop({ width, height, data }, { left = 0, top = 0, right = 0, bottom = 0 }) {
+  const x = Math.round(width * left);
+  const y = Math.round(height * top);
+  const cropWidth = Math.round(width * (1 - right)) - x;
+  const cropHeight = Math.round(height * (1 - bottom)) - y;
+  const out = new Uint8ClampedArray(cropWidth * cropHeight * 4);
+  for (let row = 0; row < cropHeight; row++) {
+    const source = ((y + row) * width + x) * 4;
+    out.set(data.subarray(source, source + cropWidth * 4), row * cropWidth * 4);
+  }
+  return { width: cropWidth, height: cropHeight, data: out };
+}
+
+/**
+ * Resize an image with HashEngine's box filter, one channel at a time
+ * @param {Object} HashEngine - The hash engine
+ * @param {Object} image - { width, height, data }
+ * @param {number} share - New size as a share of the old one
+ * @returns {Object} The resized copy
+ */
+function scale(HashEngine, { width, height, data }, share) {
+  const newWidth = Math.round(width * share);
+  const newHeight = Math.round(height * share);
+  const out = new Uint8ClampedArray(newWidth * newHeight * 4);
+  for (let c = 0; c < 4; c++) {
+    const channel = Float64Array.from({ length: width * height }, (_, i) => data[i * 4 + c]);
+    HashEngine.resample(channel, width, height, newWidth, newHeight).forEach((value, i) => {
+      out[i * 4 + c] = value;
+    });
+  }
+  return { width: newWidth, height: newHeight, data: out };
+}
+
+/**
+ * The edits each image is tried with
+ * @param {Object} HashEngine - The hash engine
+ * @returns {Object} Transform name => (image) => edited image
+ */
+function transforms(HashEngine) {
+  // Noise from a fixed linear congruential generator, so every run adds the same
+  let noise = 1;
+  const random = () => {
+    noise = (noise * 1103515245 + 12345) % 2147483648;
+    return noise / 2147483648;
+  };
+
+  return {
+    original: image => image,
+    'rotate 90': image => HashEngine.transform(image, 4, { rotate: 90, flip: false }),
+    'rotate 180': image => HashEngine.transform(image, 4, { rotate: 180, flip: false }),
+    'rotate 270': image => HashEngine.transform(image, 4, { rotate: 270, flip: false }),
+    mirror: image => HashEngine.transform(image, 4, { rotate: 0, flip: true }),
+    'crop 5%': image => crop(image, { left: 0.025, top: 0.025, right: 0.025, bottom: 0.025 }),
+    'crop 10%': image => crop(image, { left: 0.05, top: 0.05, right: 0.05, bottom: 0.05 }),
+    'crop 5% right': image => crop(image, { right: 0.05 }),
+    'scale 50%': image => scale(HashEngine, image, 0.5),
+    'brighter 20%': image => mapPixels(image, rgb => rgb.map(value => value * 1.2)),
+    'contrast 70%': image => mapPixels(image, rgb => rgb.map(value => 128 + (value - 128) * 0.7)),
+    'warm tint': image => mapPixels(image, ([r, g, b]) => [r * 1.15, g, b * 0.85]),
+    grayscale: image => mapPixels(image, ([r, g, b]) => new Array(3).fill(0.2126 * r + 0.7152 * g + 0.0722 * b)),
+    'swap red and blue': image => mapPixels(image, ([r, g, b]) => [b, g, r]),
+    'noise ±8': image => mapPixels(image, rgb => rgb.map(value => value + (random() - 0.5) * 16))
+  };
+}
+
+/**
+ * Format a rate as a percentage
+ * @param {number} count - Events
+ * @param {number} total - Trials
+ * @returns {string} e.g. '12.5%'
+ */
+function percent(count, total) {
+  return `${((100 * count) / total).toFixed(1)}%`;
+}
+
+async function main() {
+  const { default: HashEngine } = await import('./js/hash-engine.js');
+  const { default: ImageGenerator } = await import('./js/image-generator.js');
+  const { default: SecureSketch } = await import('./js/secure-sketch.js');
+
+  const started = Date.now();
+  const images = [];
+  for (const { name: style } of ImageGenerator.getStyles()) {
+    for (let i = 0; i < imagesPerStyle; i++) {
+      images.push(await ImageGenerator.render(`benchmark-${style}-${i}`, { style, size: IMAGE_SIZE }));
+    }
+  }
+
+  const modes = Object.entries(MODES).map(([name, options]) => {
+    const algorithm = { name: 'phash', size: 8, ...options };
+    return { name, algorithm, registered: images.map(image => HashEngine.hashImageData(image, algorithm)) };
+  });
+
+  console.log(`${images.length} images, ${IMAGE_SIZE}×${IMAGE_SIZE}, pHash 8×8, threshold ${THRESHOLD}\n`);
+  console.log(['transform'.padEnd(18), ...modes.map(mode => `${mode.name} FRR / FAR`.padStart(26))].join(''));
+
+  for (const [name, transform] of Object.entries(transforms(HashEngine))) {
+    const row = [name.padEnd(18)];
+
+    const edited = images.map(transform);
+    for (const { algorithm, registered } of modes) {
+      let rejected = 0;
+      let accepted = 0;
+
+      for (const [i, image] of edited.entries()) {
+        const candidates = await HashEngine.candidates(image, algorithm);
+        registered.forEach((hash, j) => {
+          const match = candidates.some(candidate => SecureSketch.hammingDistance(candidate, hash) <= THRESHOLD);
+          if (i === j && !match) rejected++;
+          if (i !== j && match) accepted++;
+        });
+      }
+
+      const pairs = images.length * (images.length - 1);
+      row.push(`${percent(rejected, images.length)} / ${percent(accepted, pairs)}`.padStart(26));
+    }
+    console.log(row.join(''));
+  }
+
+  console.log(`\nFinished in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+}
+
+main().catch((err) => {
+  console.error('Benchmark failed', err);
+  process.exit(1);
+});
@@ -4,35 +4,309 @@
  */
 
 import ImagePasswordSystem from './image-password.js';
-import DatabaseClient from './db-client.js';
+import DatabaseClient, { AuthenticationError } from './db-client.js';
+import { DuplicateAccountsError } from './vault-backup.js';
+import CredentialImporters from './credential-importers.js';
+import ImageGenerator from './image-generator.js';
+import ClickPoints from './click-points.js';
+import ImageRegion from './image-region.js';
+import CameraCapture from './camera-capture.js';
+import CardScanner from './card-scanner.js';
+import PngEncoder from './png-encoder.js';
+import SecureSketch from './secure-sketch.js';
+
+// How often the session is refreshed while the user is active
+const SESSION_REFRESH_MS = 10 * 60 * 1000;
+
+// How long unlocked account details stay on screen
+const UNLOCK_MS = 60 * 1000;
+
+// How long a copied site password stays on the clipboard
+const CLIPBOARD_CLEAR_MS = 30 * 1000;
+
+// How often changes made offline are retried while any are waiting
+const SYNC_RETRY_MS = 30 * 1000;
+
+// Character sets offered by the site password generator
+const PASSWORD_CHARSETS = {
+  full: "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789!@#$%^&*()_+",
+  alphanumeric: "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789",
+  digits: "0123456789"
+};
+
+// How closely each image of a new image password has to match, in differing hash bits
+const IMAGE_TOLERANCES = [
+  { bits: 2, label: 'Strict' },
+  { bits: 4, label: 'Normal' },
+  { bits: 6, label: 'Loose' },
+  { bits: 8, label: 'Very loose' }
+];
+
+// Distance, in region grid units, the pointer moves before a freeform outline gets another point
+const REGION_TRACE_STEP = 10;
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Frames a card has to be found in for a camera capture to count
+const MIN_CARD_FRAMES = 3;
 
 class PasswordManager {
   constructor() {
     this.imagePasswordSystem = new ImagePasswordSystem();
     this.databaseClient = new DatabaseClient();
+    this.databaseClient.onUnauthorized = () => this.sessionExpired();
     this.accounts = [];
+    this.sessionTimer = null;
+    this.lastActivity = 0;
+
+    // Site password of the unlocked account, kept only while its details are shown
+    this.unlockedSitePassword = null;
+    this.lockTimer = null;
+
+    // Entries read from another password manager's export, awaiting import
+    this.importEntries = [];
+
+    // Images chosen in each image picker, by input ID, in order
+    this.imagePickers = {};
+
+    // Points clicked on each click pad, by pad ID, with the image shown in it
+    this.clickPads = {};
+
+    // Region selected on each region pad, by pad ID, with the image shown in it
+    this.regionPads = {};
+
+    // Camera opened for each image picker, by input ID
+    this.cameras = {};
+
+    // Account open in the edit form, with its current image's hash and the
+    // key material for its fields once unlocked
+    this.editing = null;
+
+    // Show the offline sync state, and retry changes made offline
+    this.databaseClient.sync.onChange = status => this.showSyncStatus(status);
+    setInterval(() => {
+      const vaultOpen = document.getElementById('app-content').style.display === 'block';
+      if (vaultOpen && this.databaseClient.sync.status().pending > 0) {
+        this.syncNow();
+      }
+    }, SYNC_RETRY_MS);
 
     // Initialize UI elements
     this.initUI();
 
-    // Load accounts from database
+    // Log in, then load accounts from database
+    this.start();
+  }
+
+  /**
+   * Show the vault if a user is logged in, otherwise the master login form
+   * When the server cannot be reached the vault opens on the offline copy
+   */
+  async start() {
+    let user;
+    try {
+      user = await this.databaseClient.getCurrentUser();
+    } catch (error) {
+      console.error('Error checking login:', error);
+      this.showApp(null);
+      this.loadAccounts();
+      return;
+    }
+
+    if (!user) {
+      this.showMasterLogin();
+      return;
+    }
+
+    this.showApp(user);
     this.loadAccounts();
   }
 
+  /**
+   * Show the master login form and hide the vault
+   */
+  showMasterLogin() {
+    this.stopSessionRefresh();
+    this.hideAccountDetails();
+    this.closeEditForm();
+    this.accounts = [];
+    document.getElementById('app-content').style.display = 'none';
+    document.getElementById('master-login').style.display = 'block';
+  }
+
+  /**
+   * Show the vault for a user
+   * @param {Object|null} user - The logged-in user, or null when working offline
+   */
+  showApp(user) {
+    document.getElementById('master-login').style.display = 'none';
+    document.getElementById('app-content').style.display = 'block';
+    document.getElementById('user-bar').style.display = user ? 'flex' : 'none';
+    document.getElementById('current-user').textContent = user ? user.username : '';
+
+    if (user) {
+      this.startSessionRefresh();
+    }
+  }
+
+  /**
+   * Keep the session alive while the user is working
+   * The session is only refreshed if there was a click or key press since the
+   * last refresh, so an unattended vault still expires
+   */
+  startSessionRefresh() {
+    this.stopSessionRefresh();
+    this.lastActivity = 0;
+
+    this.sessionTimer = setInterval(async () => {
+      if (!this.lastActivity) return;
+      this.lastActivity = 0;
+
+      try {
+        await this.databaseClient.refreshSession();
+      } catch (error) {
+        console.error('Error refreshing session:', error);
+      }
+    }, SESSION_REFRESH_MS);
+  }
+
+  /**
+   * Stop refreshing the session
+   */
+  stopSessionRefresh() {
+    clearInterval(this.sessionTimer);
+    this.sessionTimer = null;
+  }
+
+  /**
+   * Return to the master login form after the server ended the session
+   */
+  sessionExpired() {
+    if (document.getElementById('master-login').style.display === 'block') return;
+
+    this.showMasterLogin();
+    this.updateAccountsList();
+    this.updateAccountSelector();
+    this.showAlert('Your session has expired. Please log in again.', 'warning');
+  }
+
+  /**
+   * Log in with the master username and image
+   */
+  async masterLogin() {
+    const username = document.getElementById('master-username').value.trim();
+    const imageFile = document.getElementById('master-image').files[0];
+
+    if (!username || !imageFile) {
+      this.showAlert('Please enter your username and select your master image', 'danger');
+      return;
+    }
+
+    try {
+      this.showAlert('Verifying image...', 'info');
+
+      // Hash with the algorithm the user registered with
+      const hashAlgorithm = await this.databaseClient.getUserAlgorithm(username);
+      const hash = await this.imagePasswordSystem.generateImageHash(imageFile, hashAlgorithm);
+      const user = await this.databaseClient.login(username, hash);
+
+      document.getElementById('master-image').value = '';
+      this.showAttempts('master-attempts', 'master-login-button', null);
+      this.showAlert(`Welcome back, ${user.username}!`, 'success');
+      this.start();
+    } catch (error) {
+      this.showAttempts('master-attempts', 'master-login-button', error);
+      this.showAlert(`Error: ${error.message}`, 'danger');
+    }
+  }
+
+  /**
+   * Create a user whose master password is the selected image
+   */
+  async masterRegister() {
+    const username = document.getElementById('master-username').value.trim();
+    const imageFile = document.getElementById('master-image').files[0];
+
+    if (!username || !imageFile) {
+      this.showAlert('Please enter a username and select a master image', 'danger');
+      return;
+    }
+
+    try {
+      this.showAlert('Processing image...', 'info');
+
+      if (!(await this.checkImageStrength(imageFile))) {
+        return;
+      }
+
+      const hash = await this.imagePasswordSystem.generateImageHash(imageFile);
+      const user = await this.databaseClient.registerUser(username, hash, this.imagePasswordSystem.serializeAlgorithm());
+
+      document.getElementById('master-image').value = '';
+      this.showAlert(`User ${user.username} created. Keep your master image safe!`, 'success');
+      this.start();
+    } catch (error) {
+      this.showAlert(`Error: ${error.message}`, 'danger');
+    }
+  }
+
+  /**
+   * Log out and return to the master login form
+   */
+  async logout() {
+    await this.databaseClient.logout();
+    this.showMasterLogin();
+    this.updateAccountsList();
+    this.updateAccountSelector();
+  }
+
   /**
    * Initialize UI elements and event listeners
    */
   initUI() {
+    // Master login
+    document.getElementById('master-login-button').addEventListener('click', () => this.masterLogin());
+    document.getElementById('master-register-button').addEventListener('click', () => this.masterRegister());
+    document.getElementById('logout-button').addEventListener('click', () => this.logout());
+
+    // Activity that keeps the session alive
+    ['click', 'keydown'].forEach(type => {
+      document.addEventListener(type, () => { this.lastActivity = Date.now(); });
+    });
+
     // Tab switching
     document.querySelectorAll('.tab').forEach(tab => {
       tab.addEventListener('click', () => this.switchTab(tab.dataset.tab));
     });
 
     // Register tab elements
-    document.getElementById('register-image').addEventListener('change', e => this.previewImage(e.target.files[0]));
+    this.initImagePicker('register-image', {
+      tolerance: true,
+      onChange: images => {
+        this.showImageStrength(images);
+        this.updateClickPad('register-click-pad', images, document.getElementById('register-click-points').checked);
+        this.updateRegionPad('register-region-pad', images, document.getElementById('register-region').checked);
+      }
+    });
+    this.initClickPad('register-click-pad', { markers: true });
+    document.getElementById('register-click-points').addEventListener('change', e => {
+      this.updateClickPad('register-click-pad', this.pickedImages('register-image'), e.target.checked);
+    });
+    this.initRegionPad('register-region-pad');
+    document.getElementById('register-region').addEventListener('change', e => {
+      this.updateRegionPad('register-region-pad', this.pickedImages('register-image'), e.target.checked);
+    });
+    ['register-robust', 'register-color'].forEach(id => {
+      document.getElementById(id).addEventListener('change', () => this.showImageStrength(this.pickedImages('register-image')));
+    });
+    this.initCameraCapture('register-image');
     document.getElementById('register-button').addEventListener('click', () => this.registerAccount());
 
     // Verify tab elements
+    this.initImagePicker('verify-image', { onChange: () => this.updateVerifyPads() });
+    this.initCameraCapture('verify-image');
+    this.initClickPad('verify-click-pad');
+    this.initRegionPad('verify-region-pad');
     document.getElementById('account-selector').addEventListener('change', () => this.updateAccountSelection());
     document.getElementById('verify-button').addEventListener('click', () => this.verifyImage());
 
@@ -44,6 +318,61 @@ class PasswordManager {
 
     document.getElementById('generate-password-button').addEventListener('click', () => this.generateImagePassword());
 
+    // Site passwords
+    document.getElementById('generate-site-password').addEventListener('click', () => this.generateSitePassword());
+    document.getElementById('reveal-site-password').addEventListener('click', () => this.revealSitePassword());
+    document.getElementById('copy-site-password').addEventListener('click', () => this.copySitePassword());
+
+    // Editing accounts
+    this.initImagePicker('edit-current-image', {
+      onChange: images => {
+        const account = this.editing ? this.editing.account : null;
+        this.updateClickPad('edit-current-click-pad', images, this.needsClickPoints(account));
+        this.updateRegionPad('edit-current-region-pad', images, this.needsRegion(account));
+      }
+    });
+    this.initClickPad('edit-current-click-pad');
+    this.initRegionPad('edit-current-region-pad');
+    this.initImagePicker('edit-new-image', {
+      tolerance: true,
+      onChange: images => {
+        this.updateClickPad('edit-new-click-pad', images, document.getElementById('edit-click-points').checked);
+        this.updateRegionPad('edit-new-region-pad', images, document.getElementById('edit-region').checked);
+      }
+    });
+    this.initClickPad('edit-new-click-pad', { markers: true });
+    document.getElementById('edit-click-points').addEventListener('change', e => {
+      this.updateClickPad('edit-new-click-pad', this.pickedImages('edit-new-image'), e.target.checked);
+    });
+    this.initRegionPad('edit-new-region-pad');
+    document.getElementById('edit-region').addEventListener('change', e => {
+      this.updateRegionPad('edit-new-region-pad', this.pickedImages('edit-new-image'), e.target.checked);
+    });
+    document.getElementById('edit-unlock-button').addEventListener('click', () => this.unlockForEdit());
+    document.getElementById('edit-save-button').addEventListener('click', () => this.saveAccountEdit());
+    document.getElementById('edit-rekey-upload-button').addEventListener('click', () => this.rekeyAccount(false));
+    document.getElementById('edit-rekey-generate-button').addEventListener('click', () => this.rekeyAccount(true));
+    document.getElementById('edit-cancel-button').addEventListener('click', () => this.closeEditForm());
+
+    // Backups
+    document.getElementById('export-button').addEventListener('click', () => this.exportVault());
+    document.getElementById('import-button').addEventListener('click', () => this.importVault());
+    document.getElementById('import-merge-button').addEventListener('click', () => this.importVault('merge'));
+    document.getElementById('import-replace-button').addEventListener('click', () => this.importVault('replace'));
+    document.getElementById('import-cancel-button').addEventListener('click', () => {
+      document.getElementById('import-conflict').style.display = 'none';
+    });
+
+    // Imports from other password managers
+    document.getElementById('credential-file').addEventListener('change', e => this.previewCredentialImport(e.target.files[0]));
+    document.getElementById('credential-import-button').addEventListener('click', () => this.importCredentials());
+    document.getElementById('credential-cancel-button').addEventListener('click', () => this.clearCredentialImport());
+
+    // Offline sync
+    document.getElementById('sync-button').addEventListener('click', () => this.syncNow());
+    window.addEventListener('online', () => this.syncNow());
+    this.databaseClient.sync.updateCounts().catch(error => console.error('Error reading the offline copy:', error));
+
     // Always call resetVerificationState - it will create the button if needed
     this.resetVerificationState();
 
@@ -60,23 +389,710 @@ class PasswordManager {
     document.querySelectorAll('.tab').forEach(tab => tab.classList.remove('active'));
     document.querySelectorAll('.tab-content').forEach(content => content.classList.remove('active'));
 
-    document.querySelector(`.tab[data-tab="${tabId}"]`).classList.add('active');
-    document.getElementById(tabId).classList.add('active');
+    document.querySelector(`.tab[data-tab="${tabId}"]`).classList.add('active');
+    document.getElementById(tabId).classList.add('active');
+  }
+
+  /**
+   * Turn a file input into a picker for an image password of one or more images
+   * Chosen images are listed under the input, in the element `<inputId>-list`,
+   * as thumbnails that can be dragged into order or removed.
+   * @param {string} inputId - ID of the file input
+   * @param {Object} [options] - { tolerance, onChange }: offer a matching
+   *   tolerance for each image, and call onChange with the images when they change
+   */
+  initImagePicker(inputId, { tolerance = false, onChange = null } = {}) {
+    this.imagePickers[inputId] = { images: [], tolerance, onChange };
+    this.bindImagePicker(inputId);
+  }
+
+  /**
+   * Add the files chosen in an image picker's input to its list
+   * Called again when the input element is replaced
+   * @param {string} inputId - ID of the file input
+   */
+  bindImagePicker(inputId) {
+    const input = document.getElementById(inputId);
+    input.multiple = true;
+    input.addEventListener('change', () => {
+      const picker = this.imagePickers[inputId];
+      const room = ImagePasswordSystem.getMaxImages() - picker.images.length;
+      if (input.files.length > room) {
+        this.showAlert(`An image password can have at most ${ImagePasswordSystem.getMaxImages()} images`, 'warning');
+      }
+
+      for (const file of Array.from(input.files).slice(0, Math.max(0, room))) {
+        picker.images.push({ file, threshold: this.imagePasswordSystem.threshold, url: URL.createObjectURL(file), frames: null });
+      }
+      input.value = '';
+      this.renderImagePicker(inputId);
+    });
+  }
+
+  /**
+   * Show an image picker's images in order
+   * @param {string} inputId - ID of the file input
+   */
+  renderImagePicker(inputId) {
+    const picker = this.imagePickers[inputId];
+    const list = document.getElementById(`${inputId}-list`);
+    list.innerHTML = '';
+
+    picker.images.forEach((image, index) => {
+      const item = document.createElement('li');
+      item.draggable = true;
+
+      const thumbnail = document.createElement('img');
+      thumbnail.src = image.url;
+      thumbnail.alt = `Image ${index + 1}`;
+      const name = document.createElement('span');
+      name.textContent = image.file.name;
+      item.append(thumbnail, name);
+
+      if (picker.tolerance) {
+        const select = document.createElement('select');
+        select.title = 'How closely this image has to match';
+        IMAGE_TOLERANCES.forEach(({ bits, label }) => select.add(new Option(`${label} (${bits} bits)`, bits)));
+        select.value = image.threshold;
+        select.addEventListener('change', () => {
+          image.threshold = parseInt(select.value, 10);
+          if (picker.onChange) picker.onChange(picker.images);
+        });
+        item.append(select);
+      }
+
+      const remove = document.createElement('button');
+      remove.className = 'secondary';
+      remove.textContent = 'Remove';
+      remove.addEventListener('click', () => {
+        URL.revokeObjectURL(image.url);
+        picker.images.splice(index, 1);
+        this.renderImagePicker(inputId);
+      });
+      item.append(remove);
+
+      // Dropping an image on another moves it to that place
+      item.addEventListener('dragstart', e => e.dataTransfer.setData('text/plain', String(index)));
+      item.addEventListener('dragover', e => e.preventDefault());
+      item.addEventListener('drop', e => {
+        e.preventDefault();
+        const from = parseInt(e.dataTransfer.getData('text/plain'), 10);
+        if (Number.isInteger(from) && from !== index) {
+          picker.images.splice(index, 0, ...picker.images.splice(from, 1));
+          this.renderImagePicker(inputId);
+        }
+      });
+
+      list.appendChild(item);
+    });
+
+    list.style.display = picker.images.length ? 'block' : 'none';
+    if (picker.onChange) picker.onChange(picker.images);
+  }
+
+  /**
+   * The images chosen in an image picker
+   * @param {string} inputId - ID of the file input
+   * @returns {Array<Object>} { file, threshold, frames } for each image, in
+   *   order, with the rectified frames of an image captured with the camera
+   */
+  pickedImages(inputId) {
+    return this.imagePickers[inputId].images.map(({ file, threshold, frames }) => ({ file, threshold, frames }));
+  }
+
+  /**
+   * Empty an image picker
+   * @param {string} inputId - ID of the file input
+   */
+  clearImagePicker(inputId) {
+    this.imagePickers[inputId].images.forEach(image => URL.revokeObjectURL(image.url));
+    this.imagePickers[inputId].images = [];
+    document.getElementById(inputId).value = '';
+    this.renderImagePicker(inputId);
+    if (this.cameras[inputId]) this.closeCamera(inputId);
+  }
+
+  /**
+   * Let an image picker take its image from the camera
+   * `<inputId>-camera-button` opens the camera in `<inputId>-camera`, where
+   * a printed card or photo held up to it is captured into the picker.
+   * @param {string} inputId - ID of the image picker's file input
+   */
+  initCameraCapture(inputId) {
+    const button = document.getElementById(`${inputId}-camera-button`);
+    if (!CameraCapture.isSupported()) {
+      button.style.display = 'none';
+      return;
+    }
+
+    const video = document.createElement('video');
+    const status = document.createElement('p');
+    const capture = document.createElement('button');
+    capture.textContent = 'Capture';
+    const cancel = document.createElement('button');
+    cancel.className = 'secondary';
+    cancel.textContent = 'Close Camera';
+    document.getElementById(`${inputId}-camera`).append(video, status, capture, cancel);
+
+    this.cameras[inputId] = { camera: new CameraCapture(video), status, capture };
+
+    button.addEventListener('click', () => this.openCamera(inputId));
+    capture.addEventListener('click', () => this.captureCard(inputId));
+    cancel.addEventListener('click', () => this.closeCamera(inputId));
+  }
+
+  /**
+   * Show the camera under an image picker
+   * @param {string} inputId - ID of the image picker's file input
+   */
+  async openCamera(inputId) {
+    const { camera, status } = this.cameras[inputId];
+    document.getElementById(`${inputId}-camera`).style.display = 'block';
+    status.textContent = 'Hold the card flat in front of a plain background, filling most of the picture.';
+
+    try {
+      await camera.start();
+    } catch (error) {
+      this.closeCamera(inputId);
+      this.showAlert(`Could not open the camera: ${error.message}`, 'danger');
+    }
+  }
+
+  /**
+   * Turn off the camera under an image picker
+   * @param {string} inputId - ID of the image picker's file input
+   */
+  closeCamera(inputId) {
+    this.cameras[inputId].camera.stop();
+    document.getElementById(`${inputId}-camera`).style.display = 'none';
+  }
+
+  /**
+   * Capture the card held up to the camera into an image picker
+   * A burst of frames is taken and the card is found and straightened in
+   * each; the frames are kept with the image so they can all be hashed.
+   * @param {string} inputId - ID of the image picker's file input
+   */
+  async captureCard(inputId) {
+    const { camera, status, capture } = this.cameras[inputId];
+    const picker = this.imagePickers[inputId];
+    if (picker.images.length >= ImagePasswordSystem.getMaxImages()) {
+      this.showAlert(`An image password can have at most ${ImagePasswordSystem.getMaxImages()} images`, 'warning');
+      return;
+    }
+
+    capture.disabled = true;
+    status.textContent = 'Scanning...';
+    try {
+      const cards = CardScanner.scan(await camera.captureFrames());
+      if (cards.length < MIN_CARD_FRAMES) {
+        status.textContent = 'No card found. Hold it flat and still in front of a plain background, filling most of the picture, without touching its edges.';
+        return;
+      }
+
+      // The middle frame stands for the capture wherever a single image is shown or cropped
+      const png = PngEncoder.encode(cards[Math.floor(cards.length / 2)]);
+      const file = new File([png], `Camera capture ${picker.images.length + 1}.png`, { type: 'image/png' });
+      picker.images.push({ file, threshold: this.imagePasswordSystem.threshold, url: URL.createObjectURL(file), frames: cards });
+      this.closeCamera(inputId);
+      this.renderImagePicker(inputId);
+    } catch (error) {
+      status.textContent = error.message;
+    } finally {
+      capture.disabled = false;
+    }
+  }
+
+  /**
+   * Hash picked images every way a login tries them
+   * An image captured with the camera is hashed in every frame the card was
+   * found in, and the frames' hashes are combined by CardScanner.consensus.
+   * @param {Array<Object>} images - From pickedImages
+   * @param {string|Object} algorithm - Hash algorithm
+   * @param {boolean} [candidates] - Whether a robust algorithm's other rotations and crops are wanted
+   * @returns {Promise<Array<string>>} Hashes, the images as given first; a
+   *   sequence gives only its joined hashes
+   */
+  async hashPickedImages(images, algorithm, candidates = true) {
+    const hashImage = async image => (candidates && images.length === 1
+      ? this.imagePasswordSystem.generateCandidateHashes(image, algorithm)
+      : [await this.imagePasswordSystem.generateImageHash(image, algorithm)]);
+
+    const hashes = [];
+    for (const { file, threshold, frames } of images) {
+      if (!frames) {
+        hashes.push(await hashImage(file));
+        continue;
+      }
+
+      const frameHashes = [];
+      for (const frame of frames) {
+        frameHashes.push(await hashImage(frame));
+      }
+      hashes.push(CardScanner.consensus(frameHashes, threshold));
+    }
+
+    return hashes.length === 1 ? hashes[0] : [SecureSketch.joinHashes(hashes.map(([hash]) => hash))];
+  }
+
+  /**
+   * Set up a pad for clicking secret points on an image
+   * The image is added to the element after whatever it already holds, and
+   * the points clicked on it are kept until the pad is hidden or cleared.
+   * @param {string} padId - ID of the element to fill
+   * @param {Object} [options] - { markers }: number each point where it was
+   *   clicked; left off when logging in, so the points cannot be read off the screen
+   */
+  initClickPad(padId, { markers = false } = {}) {
+    const area = document.createElement('div');
+    area.className = 'click-area';
+    const image = document.createElement('img');
+    image.alt = 'Click your points on this image';
+    image.draggable = false;
+    area.appendChild(image);
+
+    const status = document.createElement('p');
+    const clear = document.createElement('button');
+    clear.className = 'secondary';
+    clear.textContent = 'Clear Points';
+    document.getElementById(padId).append(area, status, clear);
+
+    const pad = { file: null, url: null, points: [], markers, area, image, status };
+    this.clickPads[padId] = pad;
+
+    image.addEventListener('click', e => {
+      if (pad.points.length >= ClickPoints.getPointCount().max) return;
+
+      const rect = image.getBoundingClientRect();
+      pad.points.push(ClickPoints.normalize(e.clientX - rect.left, e.clientY - rect.top, rect.width, rect.height));
+      this.renderClickPad(padId);
+    });
+    clear.addEventListener('click', () => {
+      pad.points = [];
+      this.renderClickPad(padId);
+    });
+  }
+
+  /**
+   * Show a click pad for the image chosen in a picker, or hide it
+   * Points can only be clicked on an image password of a single image.
+   * @param {string} padId - ID of the click pad
+   * @param {Array<Object>} images - { file } for each chosen image
+   * @param {boolean} enabled - Whether points are wanted at all
+   */
+  updateClickPad(padId, images, enabled) {
+    if (enabled && images.length === 1) {
+      this.showClickPad(padId, images[0].file);
+    } else {
+      this.hideClickPad(padId);
+    }
+  }
+
+  /**
+   * Show an image on a click pad, keeping the points if it is already shown
+   * @param {string} padId - ID of the click pad
+   * @param {File} file - The image
+   */
+  showClickPad(padId, file) {
+    const pad = this.clickPads[padId];
+    if (pad.file === file) return;
+
+    this.hideClickPad(padId);
+    pad.file = file;
+    pad.url = URL.createObjectURL(file);
+    pad.image.src = pad.url;
+    document.getElementById(padId).style.display = 'block';
+  }
+
+  /**
+   * Hide a click pad and forget its points
+   * @param {string} padId - ID of the click pad
+   */
+  hideClickPad(padId) {
+    const pad = this.clickPads[padId];
+    if (pad.url) URL.revokeObjectURL(pad.url);
+
+    Object.assign(pad, { file: null, url: null, points: [] });
+    pad.image.removeAttribute('src');
+    this.renderClickPad(padId);
+    document.getElementById(padId).style.display = 'none';
+  }
+
+  /**
+   * Show how many points have been clicked on a pad, and where if it has markers
+   * @param {string} padId - ID of the click pad
+   */
+  renderClickPad(padId) {
+    const { points, markers, area, status } = this.clickPads[padId];
+    const { min, max } = ClickPoints.getPointCount();
+
+    area.querySelectorAll('.click-marker').forEach(marker => marker.remove());
+    if (markers) {
+      points.forEach((point, index) => {
+        const [left, top] = ClickPoints.position(point);
+        const marker = document.createElement('span');
+        marker.className = 'click-marker';
+        marker.textContent = index + 1;
+        marker.style.left = `${left}%`;
+        marker.style.top = `${top}%`;
+        area.appendChild(marker);
+      });
+    }
+
+    status.textContent = markers
+      ? `${points.length} of ${min} to ${max} points clicked`
+      : `${points.length} ${points.length === 1 ? 'point' : 'points'} clicked`;
+  }
+
+  /**
+   * The points clicked on a pad
+   * @param {string} padId - ID of the click pad
+   * @returns {Array<Array<number>>} [x, y] for each point, in order
+   */
+  clickedPoints(padId) {
+    return this.clickPads[padId].points.map(point => [...point]);
+  }
+
+  /**
+   * Whether an account needs points clicked on its image as well as the image
+   * @param {Object|null} account - The account
+   * @returns {boolean} True for click-point accounts
+   */
+  needsClickPoints(account) {
+    return Boolean(account && account.type === 'clickpoints');
+  }
+
+  /**
+   * Show the verify tab's click pad or region pad if the selected account needs one
+   */
+  updateVerifyPads() {
+    const accountId = document.getElementById('account-selector').value;
+    const account = this.accounts.find(candidate => candidate.id === accountId);
+    const images = this.pickedImages('verify-image');
+    this.updateClickPad('verify-click-pad', images, this.needsClickPoints(account));
+    this.updateRegionPad('verify-region-pad', images, this.needsRegion(account));
+  }
+
+  /**
+   * Check the points clicked for a new click-point password
+   * @param {Array<Object>} images - The chosen images
+   * @param {Array<Array<number>>} points - The points clicked on them
+   * @returns {boolean} True if they can be registered, otherwise false after showing what is wrong
+   */
+  checkClickedPoints(images, points) {
+    const { min } = ClickPoints.getPointCount();
+
+    if (images.length !== 1) {
+      this.showAlert('Points can only be clicked on an image password of a single image', 'danger');
+      return false;
+    }
+
+    if (points.length < min) {
+      this.showAlert(`Please click at least ${min} points on the image`, 'danger');
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Set up a pad for selecting a region of an image
+   * The region is drawn by dragging across the image: a rectangle from corner
+   * to corner, or a freeform outline traced around it, as chosen under the image.
+   * @param {string} padId - ID of the element to fill
+   */
+  initRegionPad(padId) {
+    const area = document.createElement('div');
+    area.className = 'click-area';
+    const image = document.createElement('img');
+    image.alt = 'Select your region of this image';
+    image.draggable = false;
+
+    const overlay = document.createElementNS(SVG_NS, 'svg');
+    overlay.setAttribute('viewBox', '0 0 100 100');
+    overlay.setAttribute('preserveAspectRatio', 'none');
+    overlay.classList.add('region-outline');
+    const outline = document.createElementNS(SVG_NS, 'polygon');
+    overlay.appendChild(outline);
+    area.append(image, overlay);
+
+    const shape = document.createElement('select');
+    shape.title = 'Shape of the region';
+    shape.add(new Option('Rectangle', 'rect'));
+    shape.add(new Option('Freeform', 'freeform'));
+    const status = document.createElement('p');
+    const clear = document.createElement('button');
+    clear.className = 'secondary';
+    clear.textContent = 'Clear Region';
+    document.getElementById(padId).append(area, shape, status, clear);
+
+    const pad = { file: null, url: null, region: null, drawing: false, image, outline, status };
+    this.regionPads[padId] = pad;
+
+    const pointAt = e => {
+      const rect = image.getBoundingClientRect();
+      return ImageRegion.normalize(e.clientX - rect.left, e.clientY - rect.top, rect.width, rect.height);
+    };
+
+    image.addEventListener('pointerdown', e => {
+      e.preventDefault();
+      image.setPointerCapture(e.pointerId);
+      const point = pointAt(e);
+      pad.region = { shape: shape.value, points: shape.value === 'rect' ? [point, [...point]] : [point] };
+      pad.drawing = true;
+      this.renderRegionPad(padId);
+    });
+    image.addEventListener('pointermove', e => {
+      if (!pad.drawing) return;
+
+      const point = pointAt(e);
+      const { points } = pad.region;
+      const [lastX, lastY] = points[points.length - 1];
+      if (pad.region.shape === 'rect') {
+        points[1] = point;
+      } else if (points.length < ImageRegion.getMaxPoints() && Math.hypot(point[0] - lastX, point[1] - lastY) >= REGION_TRACE_STEP) {
+        points.push(point);
+      } else {
+        return;
+      }
+      this.renderRegionPad(padId);
+    });
+    image.addEventListener('pointerup', () => {
+      pad.drawing = false;
+      this.renderRegionPad(padId);
+    });
+
+    const reset = () => {
+      pad.region = null;
+      this.renderRegionPad(padId);
+    };
+    shape.addEventListener('change', reset);
+    clear.addEventListener('click', reset);
+  }
+
+  /**
+   * Show a region pad for the image chosen in a picker, or hide it
+   * A region can only be selected on an image password of a single image.
+   * @param {string} padId - ID of the region pad
+   * @param {Array<Object>} images - { file } for each chosen image
+   * @param {boolean} enabled - Whether a region is wanted at all
+   */
+  updateRegionPad(padId, images, enabled) {
+    const pad = this.regionPads[padId];
+
+    if (!enabled || images.length !== 1) {
+      if (pad.url) URL.revokeObjectURL(pad.url);
+      Object.assign(pad, { file: null, url: null, region: null, drawing: false });
+      pad.image.removeAttribute('src');
+      this.renderRegionPad(padId);
+      document.getElementById(padId).style.display = 'none';
+      return;
+    }
+
+    // The same image keeps its region
+    if (pad.file === images[0].file) return;
+
+    this.updateRegionPad(padId, [], false);
+    pad.file = images[0].file;
+    pad.url = URL.createObjectURL(pad.file);
+    pad.image.src = pad.url;
+    document.getElementById(padId).style.display = 'block';
+  }
+
+  /**
+   * Outline the selected region on a pad and say whether it can be used
+   * @param {string} padId - ID of the region pad
+   */
+  renderRegionPad(padId) {
+    const { region, drawing, outline, status } = this.regionPads[padId];
+
+    const corners = region ? ImageRegion.outline(region) : [];
+    outline.setAttribute('points', corners.map(point => ImageRegion.position(point).join(',')).join(' '));
+
+    if (!region) {
+      status.textContent = 'Drag across the image to select a region';
+      return;
+    }
+    if (drawing) {
+      status.textContent = 'Selecting...';
+      return;
+    }
+
+    try {
+      ImageRegion.check(region);
+      status.textContent = 'Region selected';
+    } catch (error) {
+      status.textContent = error.message;
+    }
+  }
+
+  /**
+   * The region selected on a pad
+   * @param {string} padId - ID of the region pad
+   * @returns {Object|null} { shape, points }, or null if nothing is selected
+   */
+  selectedRegion(padId) {
+    const { region } = this.regionPads[padId];
+    return region ? { shape: region.shape, points: region.points.map(point => [...point]) } : null;
+  }
+
+  /**
+   * Whether an account's image password is a region of its image
+   * @param {Object|null} account - The account
+   * @returns {boolean} True for region accounts
+   */
+  needsRegion(account) {
+    return Boolean(account && account.type === 'region');
+  }
+
+  /**
+   * Check the region selected for a new image password
+   * @param {Array<Object>} images - The chosen images
+   * @param {Object|null} region - The region selected on them
+   * @returns {boolean} True if it can be registered, otherwise false after showing what is wrong
+   */
+  checkSelectedRegion(images, region) {
+    if (images.length !== 1) {
+      this.showAlert('A region can only be selected on an image password of a single image', 'danger');
+      return false;
+    }
+
+    try {
+      if (!region) {
+        throw new Error('Please select a region of the image');
+      }
+      ImageRegion.check(region);
+    } catch (error) {
+      this.showAlert(error.message, 'danger');
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * The images to hash when unlocking an account
+   * A region account hashes the region selected on its pad, snapped to the
+   * account's grid, instead of the whole image.
+   * @param {Object} account - The account
+   * @param {Array<File>} imageFiles - The chosen images
+   * @param {string} padId - ID of the region pad the region was selected on
+   * @returns {Promise<Array>} Images to pass to generateImageHash
+   */
+  async imagesToHash(account, imageFiles, padId) {
+    if (!this.needsRegion(account)) {
+      return imageFiles;
+    }
+
+    const grid = ImageRegion.parseGrid(account.region);
+    return [await this.imagePasswordSystem.cropImage(imageFiles[0], this.selectedRegion(padId), grid)];
+  }
+
+  /**
+   * Say how many images an account's password needs, when it is more than one
+   * @param {string} elementId - Element to show the hint in
+   * @param {Object|null} account - The account
+   */
+  showImageCount(elementId, account) {
+    const element = document.getElementById(elementId);
+    element.textContent = this.describeImageCount(account);
+    element.style.display = account && account.imageCount > 1 ? 'block' : 'none';
+  }
+
+  /**
+   * Describe how many images an account's password needs
+   * @param {Object|null} account - The account
+   * @returns {string} The description
+   */
+  describeImageCount(account) {
+    const count = account ? account.imageCount || 1 : 1;
+    return count > 1 ? `This account needs ${count} images, in the order they were registered.` : 'This account needs a single image.';
+  }
+
+  /**
+   * Show how hard the chosen images would be to guess, under the picker
+   * @param {Array<Object>} images - { file, threshold } for each image, in order
+   */
+  async showImageStrength(images) {
+    const meter = document.getElementById('image-strength');
+    meter.style.display = 'none';
+    if (images.length === 0) return;
+
+    try {
+      const { score, entropy, level, issues } = await this.imagePasswordSystem.analyzeImage(
+        images.map(image => image.file),
+        images.map(image => image.threshold),
+        this.registerAlgorithm()
+      );
+
+      meter.className = level;
+      document.getElementById('image-strength-fill').style.width = `${score}%`;
+      document.getElementById('image-strength-text').textContent =
+        `Strength: ${score}/100 (about ${Math.round(entropy)} bits)${issues.length ? `. ${issues.join('. ')}.` : ''}`;
+      meter.style.display = 'block';
+    } catch (error) {
+      console.error('Error analyzing image:', error);
+    }
+  }
+
+  /**
+   * The hash algorithm a new account is registered with, with the matching options chosen on the register form
+   * @returns {Object} { name, size, color, robust }
+   */
+  registerAlgorithm() {
+    return {
+      ...this.imagePasswordSystem.algorithm,
+      robust: document.getElementById('register-robust').checked,
+      color: document.getElementById('register-color').checked
+    };
+  }
+
+  /**
+   * Check that an image is strong enough to register
+   * Weak images are refused; fair ones need confirmation
+   * @param {File|Blob|Array} imageFile - The image, or a sequence of images
+   * @param {Array<number>} [thresholds] - Threshold each image will be registered with
+   * @param {Object} [algorithm] - Hash algorithm it will be registered with
+   * @returns {Promise<boolean>} True if registration may go ahead
+   */
+  async checkImageStrength(imageFile, thresholds = null, algorithm = this.imagePasswordSystem.algorithm) {
+    const { score, level, issues } = await this.imagePasswordSystem.analyzeImage(imageFile, thresholds, algorithm);
+    const reasons = issues.length ? ` ${issues.join('. ')}.` : '';
+    const several = [].concat(imageFile).length > 1;
+
+    if (level === 'weak') {
+      this.showAlert(`${several ? 'These images' : 'This image'} would be too easy to guess (strength ${score}/100).${reasons} ` +
+        `Please choose ${several ? 'more detailed images' : 'a more detailed image'}.`, 'danger');
+      return false;
+    }
+
+    if (level === 'fair') {
+      return confirm(`${several ? 'These images are' : 'This image is'} only fairly hard to guess (strength ${score}/100).${reasons} Use ${several ? 'them' : 'it'} anyway?`);
+    }
+
+    return true;
   }
 
   /**
-   * Preview the selected image
-   * @param {File} file - The image file to preview
+   * Warn when an image would also unlock other accounts
+   * The check needs the server, so an image chosen offline is not checked
+   * @param {File|Blob|Array} imageFile - The image, or a sequence of images
+   * @param {string} [accountId] - Account the image is meant for, left out of the check
+   * @returns {Promise<boolean>} True if registration may go ahead
    */
-  previewImage(file) {
-    if (!file) return;
-
-    const reader = new FileReader();
-    reader.onload = e => {
-      document.getElementById('image-preview').src = e.target.result;
-      document.getElementById('preview-container').style.display = 'block';
-    };
-    reader.readAsDataURL(file);
+  async confirmImageReuse(imageFile, accountId = null) {
+    const others = this.accounts.filter(account => account.id !== accountId);
+    if (others.length === 0) return true;
+
+    // The server holds the verifiers, so the image is hashed here and checked there
+    const hashes = await this.imagePasswordSystem.hashesForAccounts(imageFile, others);
+    const matching = await this.databaseClient.findMatchingAccounts(hashes, accountId);
+    if (matching.length === 0) return true;
+
+    const names = matching.map(account => account.name).join(', ');
+    const subject = [].concat(imageFile).length > 1 ? 'One or more of these images is' : 'This image is';
+    return confirm(`${subject} the same as, or very close to, the image password for ${names}. ` +
+      'Anyone who gets hold of it could open all of these accounts. Use it anyway?');
   }
 
   /**
@@ -86,7 +1102,15 @@ class PasswordManager {
     const accountName = document.getElementById('account-name').value.trim();
     const username = document.getElementById('username').value.trim();
     const notes = document.getElementById('notes').value.trim();
-    const imageFile = document.getElementById('register-image').files[0];
+    const sitePassword = document.getElementById('site-password').value;
+    const images = this.pickedImages('register-image');
+    const imageFiles = images.map(image => image.file);
+    const thresholds = images.map(image => image.threshold);
+    const clickPoints = document.getElementById('register-click-points').checked;
+    const points = this.clickedPoints('register-click-pad');
+    const useRegion = document.getElementById('register-region').checked;
+    const region = this.selectedRegion('register-region-pad');
+    const algorithm = this.registerAlgorithm();
 
     // Validate inputs
     if (!accountName) {
@@ -99,11 +1123,29 @@ class PasswordManager {
       return;
     }
 
-    if (!imageFile) {
+    if (images.length === 0) {
       this.showAlert('Please select an image', 'danger');
       return;
     }
 
+    if (clickPoints && useRegion) {
+      this.showAlert('Please choose either click points or a region of the image', 'danger');
+      return;
+    }
+
+    if (clickPoints && !this.checkClickedPoints(images, points)) {
+      return;
+    }
+
+    if (useRegion && !this.checkSelectedRegion(images, region)) {
+      return;
+    }
+
+    if (algorithm.robust && (images.length !== 1 || clickPoints || useRegion)) {
+      this.showAlert('Rotated, mirrored and cropped copies can only be accepted for a single whole image without click points', 'danger');
+      return;
+    }
+
     // Check if account already exists
     if (this.accounts.some(account => account.name === accountName)) {
       this.showAlert('An account with this name already exists', 'danger');
@@ -114,18 +1156,38 @@ class PasswordManager {
       // Show loading indicator
       this.showAlert('Processing image...', 'info');
 
-      // Generate password from image
-      const hash = await this.imagePasswordSystem.generateImageHash(imageFile);
-      const password = await this.imagePasswordSystem.generatePassword(hash);
+      // Only the region is hashed, checked and compared with other accounts
+      const grid = useRegion ? ImageRegion.createGrid(region) : null;
+      const sources = grid ? [await this.imagePasswordSystem.cropImage(imageFiles[0], region, grid)] : imageFiles;
 
-      // Create new account object
+      if (!(await this.checkImageStrength(sources, thresholds, algorithm)) || !(await this.confirmImageReuse(sources))) {
+        return;
+      }
+
+      // Generate password from the images; a sequence gets one verifier that needs all of them in order
+      const hash = grid
+        ? await this.imagePasswordSystem.generateImageHash(sources, algorithm)
+        : (await this.hashPickedImages(images, algorithm, false))[0];
+      const password = await this.imagePasswordSystem.createVerifier(hash, thresholds);
+
+      // Click points add key material of their own, so the fields need the image and the points
+      const clicked = clickPoints ? await ClickPoints.createVerifier(points) : null;
+      const secret = clicked ? ClickPoints.combine(hash, clicked.key) : hash;
+      const fieldKey = await this.imagePasswordSystem.createFieldKey(secret);
+
+      // Create new account object; only a matching image can read the username and notes
       const newAccount = {
         id: Date.now().toString(),
         name: accountName,
-        username: username,
+        username: await this.imagePasswordSystem.encryptField(fieldKey, username),
         password: password,
-        notes: notes,
-        type: 'uploaded', // This is an uploaded image
+        notes: await this.imagePasswordSystem.encryptField(fieldKey, notes),
+        sitePassword: await this.imagePasswordSystem.encryptField(fieldKey, sitePassword),
+        type: clicked ? 'clickpoints' : grid ? 'region' : 'uploaded', // This is an uploaded image
+        hashAlgorithm: this.imagePasswordSystem.serializeAlgorithm(algorithm),
+        imageCount: images.length,
+        clickPoints: clicked ? clicked.verifier : null,
+        region: grid ? ImageRegion.serializeGrid(grid, await this.imagePasswordSystem.encryptField(fieldKey, ImageRegion.serialize(region))) : null,
         createdAt: new Date().toISOString()
       };
 
@@ -138,7 +1200,12 @@ class PasswordManager {
         newAccount.notes,
         newAccount.type,
         null, // No rawSeed for uploaded images
-        newAccount.createdAt
+        newAccount.createdAt,
+        newAccount.hashAlgorithm,
+        newAccount.sitePassword,
+        null, // Not drawn by the image generator
+        newAccount.clickPoints,
+        newAccount.region
       );
       // Update local accounts array
       this.accounts.push(newAccount);
@@ -151,8 +1218,13 @@ class PasswordManager {
       document.getElementById('account-name').value = '';
       document.getElementById('username').value = '';
       document.getElementById('notes').value = '';
-      document.getElementById('register-image').value = '';
+      document.getElementById('site-password').value = '';
       document.getElementById('preview-container').style.display = 'none';
+      document.getElementById('register-click-points').checked = false;
+      document.getElementById('register-region').checked = false;
+      document.getElementById('register-robust').checked = false;
+      document.getElementById('register-color').checked = false;
+      this.clearImagePicker('register-image');
 
       this.showAlert('Account registered successfully!', 'success');
       this.switchTab('accounts');
@@ -162,104 +1234,303 @@ class PasswordManager {
   }
 
   /**
-   * Verify image password for selected account
-   * This method belongs in the app.js file, not in ImagePasswordSystem
+   * Delete an account
+   * @param {string} accountId - The ID of the account to delete
    */
-  async verifyImage() {
-    // Get the current selections
-    const accountId = document.getElementById('account-selector').value;
-    const fileInput = document.getElementById('verify-image');
-    const imageFile = fileInput.files[0];
+  async deleteAccount(accountId) {
+    if (!confirm('Are you sure you want to delete this account?')) return;
 
-    // Reset previous verification state
-    document.getElementById('account-details').style.display = 'none';
+    try {
+      // Delete from database via client
+      await this.databaseClient.deleteAccount(accountId);
 
-    // Validate inputs
-    if (!accountId) {
-      this.showAlert('Please select an account', 'danger');
+      // Update local accounts array
+      this.accounts = this.accounts.filter(account => account.id !== accountId);
+
+      // Update UI
+      this.updateAccountsList();
+      this.updateAccountSelector();
+
+      this.showAlert('Account deleted successfully!', 'success');
+    } catch (error) {
+      this.showAlert(`Error deleting account: ${error.message}`, 'danger');
+    }
+  }
+
+  /**
+   * Open the edit form for an account
+   * Its username and notes are encrypted, so the form first asks for the current image
+   * @param {string} accountId - The account ID
+   */
+  editAccount(accountId) {
+    const account = this.accounts.find(candidate => candidate.id === accountId);
+    if (!account) return;
+
+    this.closeEditForm();
+    this.editing = { account, hashes: null, points: null, fieldKey: null, sitePassword: '' };
+    document.getElementById('edit-title').textContent = account.name;
+    this.showImageCount('edit-image-count', account);
+    document.getElementById('edit-account').style.display = 'block';
+  }
+
+  /**
+   * Verify the current image and fill the edit form with the decrypted fields
+   */
+  async unlockForEdit() {
+    const { account } = this.editing;
+    const imageFiles = this.pickedImages('edit-current-image').map(image => image.file);
+
+    if (imageFiles.length === 0) {
+      this.showAlert('Please select the current image', 'danger');
+      return;
+    }
+    if (imageFiles.length !== (account.imageCount || 1)) {
+      this.showAlert(this.describeImageCount(account), 'danger');
       return;
     }
 
-    if (!imageFile) {
-      this.showAlert('Please select an image', 'danger');
+    const points = this.needsClickPoints(account) ? this.clickedPoints('edit-current-click-pad') : null;
+    if (points && points.length === 0) {
+      this.showAlert('Please click the account\'s points on the image', 'danger');
       return;
     }
 
-    // Find the selected account
-    const account = this.accounts.find(acc => acc.id === accountId);
-    if (!account) {
-      this.showAlert('Account not found', 'danger');
+    if (this.needsRegion(account) && !this.selectedRegion('edit-current-region-pad')) {
+      this.showAlert('Please select the account\'s region of the image', 'danger');
       return;
     }
 
     try {
-      // Show loading indicator
       this.showAlert('Verifying image...', 'info');
 
-      let isMatch = false;
+      const sources = await this.imagesToHash(account, imageFiles, 'edit-current-region-pad');
+      const hashes = await this.imagePasswordSystem.generateCandidateHashes(sources, account.hashAlgorithm);
+      const result = await this.databaseClient.verifyAccount(account.id, hashes, points);
+      this.showAttempts('edit-attempts', 'edit-unlock-button', result.success ? null : result);
+
+      if (!result.success) {
+        this.showAlert(points
+          ? 'Authentication failed. The image or the points do not match.'
+          : 'Authentication failed. The image does not match.', 'danger');
+        return;
+      }
 
-      // Check if this is a generated password or an uploaded image
-      if (account.type === 'generated' && account.rawSeed) {
-        console.log("Verifying a generated password image");
+      // The current image and points are sent again to change the image password
+      const { fieldKey } = result;
+      await this.refreshUnlockedAccount(account, fieldKey);
+      Object.assign(this.editing, {
+        hashes,
+        points,
+        fieldKey,
+        sitePassword: await this.imagePasswordSystem.decryptField(fieldKey, account.sitePassword || '')
+      });
 
-        // For generated passwords, we just hash the stored raw seed and compare
-        // with the stored password - we don't actually need to process the image
-        const expectedPassword = await this.imagePasswordSystem.generatePassword(account.rawSeed);
-        isMatch = (expectedPassword === account.password);
+      document.getElementById('edit-name').value = account.name;
+      document.getElementById('edit-username').value = await this.imagePasswordSystem.decryptField(fieldKey, account.username);
+      document.getElementById('edit-notes').value = await this.imagePasswordSystem.decryptField(fieldKey, account.notes || '');
+      document.getElementById('edit-unlock').style.display = 'none';
+      document.getElementById('edit-fields').style.display = 'block';
 
-        console.log("Generated password verification:", isMatch ? "Successful" : "Failed");
-      } else {
-        console.log("Verifying an uploaded image");
+      this.showAlert('Account unlocked for editing', 'success');
+    } catch (error) {
+      if (error instanceof AuthenticationError) return;
 
-        // For uploaded images, use the standard perceptual hash verification
-        isMatch = await this.imagePasswordSystem.verifyImagePassword(imageFile, account.password);
+      this.showAttempts('edit-attempts', 'edit-unlock-button', error);
+      this.showAlert(`Error: ${error.message}`, 'danger');
+    }
+  }
 
-        console.log("Uploaded image verification:", isMatch ? "Successful" : "Failed");
-      }
+  /**
+   * Read and check the fields of the edit form
+   * @returns {Object|null} { name, username, notes }, or null after showing what is wrong
+   */
+  readEditFields() {
+    const name = document.getElementById('edit-name').value.trim();
+    const username = document.getElementById('edit-username').value.trim();
+    const notes = document.getElementById('edit-notes').value.trim();
 
-      // Reset the file input to ensure a fresh file read on next attempt
-      fileInput.value = '';
+    if (!name) {
+      this.showAlert('Please enter an account name', 'danger');
+      return null;
+    }
 
-      if (isMatch) {
-        document.getElementById('account-username').textContent = account.username;
-        document.getElementById('account-notes').textContent = account.notes || 'None';
-        document.getElementById('account-details').style.display = 'block';
+    if (!username) {
+      this.showAlert('Please enter a username', 'danger');
+      return null;
+    }
 
-        this.showAlert('Authentication successful!', 'success');
-      } else {
-        document.getElementById('account-details').style.display = 'none';
-        this.showAlert('Authentication failed. The image does not match.', 'danger');
-      }
+    if (this.accounts.some(account => account.name === name && account.id !== this.editing.account.id)) {
+      this.showAlert('An account with this name already exists', 'danger');
+      return null;
+    }
+
+    return { name, username, notes };
+  }
+
+  /**
+   * Save the name, username and notes, encrypted under the current image
+   */
+  async saveAccountEdit() {
+    const fields = this.readEditFields();
+    if (!fields) return;
+
+    const { account, fieldKey } = this.editing;
+    try {
+      const changes = {
+        name: fields.name,
+        username: await this.imagePasswordSystem.encryptField(fieldKey, fields.username),
+        notes: await this.imagePasswordSystem.encryptField(fieldKey, fields.notes)
+      };
+
+      await this.databaseClient.updateAccount(account.id, changes);
+      Object.assign(account, changes);
+
+      this.closeEditForm();
+      this.updateAccountsList();
+      this.updateAccountSelector();
+      this.showAlert('Account updated successfully!', 'success');
     } catch (error) {
-      console.error("Verification error:", error);
+      if (error instanceof AuthenticationError) return;
       this.showAlert(`Error: ${error.message}`, 'danger');
     }
   }
 
   /**
-   * Delete an account
-   * @param {string} accountId - The ID of the account to delete
+   * Replace the account's image password
+   * The fields from the form and the site password are encrypted under the new
+   * image, and the server swaps them in with the new verifier in one step
+   * after checking the current image again.
+   *
+   * @param {boolean} generate - Generate a new image instead of using the uploaded one
    */
-  async deleteAccount(accountId) {
-    if (!confirm('Are you sure you want to delete this account?')) return;
+  async rekeyAccount(generate) {
+    const fields = this.readEditFields();
+    if (!fields) return;
+
+    const { account, hashes, points, sitePassword } = this.editing;
+    const images = this.pickedImages('edit-new-image');
+    let image = images.map(picked => picked.file);
+    let thresholds = images.map(picked => picked.threshold);
+    const clickPoints = document.getElementById('edit-click-points').checked;
+    const newPoints = this.clickedPoints('edit-new-click-pad');
+    const useRegion = document.getElementById('edit-region').checked;
+    const region = this.selectedRegion('edit-new-region-pad');
+
+    if (!generate && images.length === 0) {
+      this.showAlert('Please select the new image', 'danger');
+      return;
+    }
+
+    if ((clickPoints || useRegion) && generate) {
+      this.showAlert(`${clickPoints ? 'Points' : 'A region'} can only be chosen on an uploaded image`, 'danger');
+      return;
+    }
+
+    if (clickPoints && useRegion) {
+      this.showAlert('Please choose either click points or a region of the image', 'danger');
+      return;
+    }
+
+    if (clickPoints && !this.checkClickedPoints(images, newPoints)) {
+      return;
+    }
+
+    if (useRegion && !this.checkSelectedRegion(images, region)) {
+      return;
+    }
 
     try {
-      // Delete from database via client
-      await this.databaseClient.deleteAccount(accountId);
+      this.showAlert(generate ? 'Generating password image...' : 'Processing image...', 'info');
+
+      // A generated image keeps the account's style and size, drawn by the latest renderer
+      const { style, size } = ImageGenerator.parseOptions(account.generator || this.selectedImageStyle());
+      const generator = generate ? ImageGenerator.serialize({ style, size }) : null;
+      const grid = useRegion ? ImageRegion.createGrid(region) : null;
+
+      // The new image keeps the account's matching options where they still apply
+      const current = ImagePasswordSystem.parseAlgorithm(account.hashAlgorithm);
+      const algorithm = {
+        ...this.imagePasswordSystem.algorithm,
+        color: current.color,
+        robust: current.robust && (generate || (images.length === 1 && !clickPoints && !grid))
+      };
+      if (generate) {
+        image = await this.generateImageFromPassword(this.generateRandomPassword(20), generator);
+        thresholds = null;
+      } else {
+        // Only a region is hashed, checked and compared with other accounts
+        if (grid) {
+          image = [await this.imagePasswordSystem.cropImage(image[0], region, grid)];
+        }
+        if (!(await this.checkImageStrength(image, thresholds, algorithm)) || !(await this.confirmImageReuse(image, account.id))) {
+          return;
+        }
+      }
 
-      // Update local accounts array
-      this.accounts = this.accounts.filter(account => account.id !== accountId);
+      const newHash = await this.imagePasswordSystem.generateImageHash(image, algorithm);
+      const clicked = clickPoints ? await ClickPoints.createVerifier(newPoints) : null;
+      const newSecret = clicked ? ClickPoints.combine(newHash, clicked.key) : newHash;
+      const fieldKey = await this.imagePasswordSystem.createFieldKey(newSecret);
+      const changes = {
+        name: fields.name,
+        username: await this.imagePasswordSystem.encryptField(fieldKey, fields.username),
+        notes: await this.imagePasswordSystem.encryptField(fieldKey, fields.notes),
+        sitePassword: await this.imagePasswordSystem.encryptField(fieldKey, sitePassword),
+        password: await this.imagePasswordSystem.createVerifier(newHash, thresholds),
+        imageCount: generate ? 1 : images.length,
+        clickPoints: clicked ? clicked.verifier : null,
+        region: grid ? ImageRegion.serializeGrid(grid, await this.imagePasswordSystem.encryptField(fieldKey, ImageRegion.serialize(region))) : null,
+        hashAlgorithm: this.imagePasswordSystem.serializeAlgorithm(algorithm),
+        generator,
+        type: generate ? 'generated' : (clicked ? 'clickpoints' : grid ? 'region' : 'uploaded')
+      };
 
-      // Update UI
+      // Save a generated image before it becomes the only way in
+      if (generate) {
+        const downloadLink = document.createElement('a');
+        downloadLink.href = URL.createObjectURL(image);
+        downloadLink.download = `${fields.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_password.png`;
+        document.body.appendChild(downloadLink);
+        downloadLink.click();
+        downloadLink.remove();
+      }
+
+      const { region: newRegion, ...rest } = changes;
+      const [hash, ...candidates] = hashes;
+      await this.databaseClient.rekeyAccount(account.id, { ...rest, newRegion, hash, candidates, points, newHash });
+      Object.assign(account, changes);
+
+      this.closeEditForm();
       this.updateAccountsList();
       this.updateAccountSelector();
-
-      this.showAlert('Account deleted successfully!', 'success');
+      this.showAlert(generate
+        ? 'Image password changed and the new image downloaded. Keep it safe; the old image no longer works.'
+        : 'Image password changed. The old image no longer works.', 'success');
     } catch (error) {
-      this.showAlert(`Error deleting account: ${error.message}`, 'danger');
+      if (error instanceof AuthenticationError) return;
+      this.showAlert(`Error: ${error.message}`, 'danger');
     }
   }
 
+  /**
+   * Close the edit form and forget the unlocked fields
+   */
+  closeEditForm() {
+    this.editing = null;
+
+    ['edit-name', 'edit-username', 'edit-notes'].forEach(id => {
+      document.getElementById(id).value = '';
+    });
+    document.getElementById('edit-click-points').checked = false;
+    document.getElementById('edit-region').checked = false;
+    this.clearImagePicker('edit-current-image');
+    this.clearImagePicker('edit-new-image');
+    document.getElementById('edit-attempts').style.display = 'none';
+    document.getElementById('edit-unlock').style.display = 'block';
+    document.getElementById('edit-fields').style.display = 'none';
+    document.getElementById('edit-account').style.display = 'none';
+  }
+
   /**
    * Update the accounts list in the UI
    */
@@ -284,91 +1555,393 @@ class PasswordManager {
                 <tbody>
         `;
 
-    this.accounts.forEach(account => {
-      const date = new Date(account.createdAt).toLocaleDateString();
+    this.accounts.forEach(account => {
+      const date = new Date(account.createdAt).toLocaleDateString();
+      let unlockWith = 'image';
+      if (account.imageCount > 1) {
+        unlockWith = `${account.imageCount} images`;
+      } else if (this.needsClickPoints(account)) {
+        unlockWith = 'image and points';
+      } else if (this.needsRegion(account)) {
+        unlockWith = 'image region';
+      }
+      const username = this.imagePasswordSystem.isEncryptedField(account.username) ? `<em>Unlock with ${unlockWith}</em>` : account.username;
+
+      html += `
+                <tr>
+                    <td>${account.name}</td>
+                    <td>${username}</td>
+                    <td>${date}</td>
+                    <td>
+                        <button class="secondary" onclick="app.editAccount('${account.id}')">Edit</button>
+                        <button class="danger" onclick="app.deleteAccount('${account.id}')">Delete</button>
+                    </td>
+                </tr>
+            `;
+    });
+
+    html += `
+                </tbody>
+            </table>
+        `;
+
+    accountsList.innerHTML = html;
+  }
+
+  /**
+   * Update the account selector dropdown and handle selection changes
+   * Add this to your app.js file
+   */
+
+  // Enhanced method to update the account selector
+  updateAccountSelector() {
+    const selector = document.getElementById('account-selector');
+
+    // Clear current options
+    selector.innerHTML = '<option value="">Select an account</option>';
+
+    // Add options for each account
+    this.accounts.forEach(account => {
+      const option = document.createElement('option');
+      option.value = account.id;
+      option.textContent = account.name;
+      selector.appendChild(option);
+    });
+
+    // Hide account details when selection changes
+    this.hideAccountDetails();
+
+    // Set up event listener for selection changes
+    selector.addEventListener('change', () => this.handleAccountSelectionChange());
+  }
+
+  /**
+  * Handle account selection changes
+  * This ensures we completely reset the verification state when switching accounts
+  */
+  handleAccountSelectionChange() {
+    // Reset verification UI
+    this.hideAccountDetails();
+
+    // Clear the chosen images to force a fresh file selection
+    this.clearImagePicker('verify-image');
+
+    // Clear any previous alerts
+    const alertElement = document.getElementById('alert-message');
+    if (alertElement) {
+      alertElement.style.display = 'none';
+    }
+
+    // Log the selection change for debugging
+    const selectedAccountId = document.getElementById('account-selector').value;
+    if (selectedAccountId) {
+      const account = this.accounts.find(acc => acc.id === selectedAccountId);
+      console.log('Account selection changed to:', account ? account.name : 'None');
+    } else {
+      console.log('No account selected');
+    }
+  }
+
+  /**
+   * Update UI when account selection changes
+   */
+  updateAccountSelection() {
+    const accountId = document.getElementById('account-selector').value;
+    this.hideAccountDetails();
+    this.showImageCount('verify-image-count', this.accounts.find(account => account.id === accountId));
+    this.updateVerifyPads();
+    this.showVerificationHistory(accountId);
+  }
+
+  /**
+   * Show when the selected account was last unlocked on this device, and any
+   * failed attempts since, so unexpected use stands out
+   * @param {string} accountId - The account ID
+   */
+  async showVerificationHistory(accountId) {
+    const element = document.getElementById('verify-history');
+    const history = accountId ? await this.databaseClient.getVerificationHistory(accountId) : [];
+
+    if (history.length === 0) {
+      element.style.display = 'none';
+      return;
+    }
+
+    const lastSuccess = history.findIndex(entry => entry.success);
+    const failures = lastSuccess === -1 ? history.length : lastSuccess;
+    const plural = failures === 1 ? '' : 's';
+
+    element.textContent = [
+      lastSuccess === -1
+        ? 'Never unlocked on this device.'
+        : `Last unlocked on this device ${new Date(history[lastSuccess].verifiedAt).toLocaleString()}.`,
+      failures ? `${failures} failed attempt${plural} since.` : ''
+    ].join(' ').trim();
+    element.style.display = 'block';
+  }
+
+  /**
+   * Download an encrypted backup of every account
+   */
+  async exportVault() {
+    const passphrase = document.getElementById('backup-passphrase').value;
+    if (!passphrase) {
+      this.showAlert('Please enter a passphrase to encrypt the backup with', 'danger');
+      return;
+    }
+
+    try {
+      this.showAlert('Encrypting backup...', 'info');
+      const backup = await this.databaseClient.exportVault(passphrase);
+
+      const url = URL.createObjectURL(new Blob([backup], { type: 'application/json' }));
+      const downloadLink = document.createElement('a');
+      downloadLink.href = url;
+      downloadLink.download = `vault-${new Date().toISOString().slice(0, 10)}.json`;
+      document.body.appendChild(downloadLink);
+      downloadLink.click();
+      downloadLink.remove();
+      URL.revokeObjectURL(url);
+
+      this.showAlert('Backup exported. Keep the passphrase safe, it cannot be recovered.', 'success');
+    } catch (error) {
+      this.showAlert(`Error: ${error.message}`, 'danger');
+    }
+  }
+
+  /**
+   * Import the selected backup file
+   * If it holds accounts that already exist, the user is asked whether to
+   * merge it with the vault or replace the vault with it
+   * @param {string} [mode] - 'merge' or 'replace', once the user has chosen
+   */
+  async importVault(mode = null) {
+    const file = document.getElementById('import-file').files[0];
+    const passphrase = document.getElementById('backup-passphrase').value;
+    const conflict = document.getElementById('import-conflict');
+
+    if (!file || !passphrase) {
+      this.showAlert('Please select a backup file and enter its passphrase', 'danger');
+      return;
+    }
+
+    try {
+      this.showAlert('Decrypting backup...', 'info');
+      const { imported, skipped } = await this.databaseClient.importVault(await file.text(), passphrase, mode);
 
-      html += `
-                <tr>
-                    <td>${account.name}</td>
-                    <td>${account.username}</td>
-                    <td>${date}</td>
-                    <td>
-                        <button class="danger" onclick="app.deleteAccount('${account.id}')">Delete</button>
-                    </td>
-                </tr>
-            `;
-    });
+      conflict.style.display = 'none';
+      document.getElementById('import-file').value = '';
+      document.getElementById('backup-passphrase').value = '';
+      await this.loadAccounts();
 
-    html += `
-                </tbody>
-            </table>
-        `;
+      const skippedText = skipped ? `, skipped ${skipped} that already existed` : '';
+      this.showAlert(`Imported ${imported} account${imported === 1 ? '' : 's'}${skippedText}.`, 'success');
+    } catch (error) {
+      if (error instanceof DuplicateAccountsError) {
+        const names = error.duplicates.map(account => account.name).join(', ');
+        document.getElementById('import-conflict-message').textContent =
+          `${error.message}: ${names}. Merge to keep your accounts and add only the new ones, ` +
+          'or replace all your accounts with the backup.';
+        conflict.style.display = 'block';
+        document.getElementById('alert-message').style.display = 'none';
+        return;
+      }
 
-    accountsList.innerHTML = html;
+      this.showAlert(`Error: ${error.message}`, 'danger');
+    }
   }
 
   /**
-   * Update the account selector dropdown and handle selection changes
-   * Add this to your app.js file
+   * Read another password manager's export and show a preview of its entries
+   * @param {File} file - The export file
    */
+  async previewCredentialImport(file) {
+    if (!file) return;
 
-  // Enhanced method to update the account selector
-  updateAccountSelector() {
-    const selector = document.getElementById('account-selector');
+    try {
+      const { format, entries } = CredentialImporters.parse(await file.text(), this.accounts);
+      this.importEntries = entries;
+      this.renderCredentialPreview();
 
-    // Clear current options
-    selector.innerHTML = '<option value="">Select an account</option>';
+      const ready = entries.filter(entry => entry.errors.length === 0).length;
+      this.showAlert(`Read ${entries.length} entries from a ${format} export; ${ready} can be imported.`, 'info');
+    } catch (error) {
+      this.clearCredentialImport();
+      this.showAlert(`Error: ${error.message}`, 'danger');
+    }
+  }
 
-    // Add options for each account
-    this.accounts.forEach(account => {
-      const option = document.createElement('option');
-      option.value = account.id;
-      option.textContent = account.name;
-      selector.appendChild(option);
+  /**
+   * Show the entries awaiting import
+   * Each valid entry can be left out, and given an image; entries without
+   * one get a generated image. Built with DOM nodes since the values come
+   * from an untrusted file.
+   */
+  renderCredentialPreview() {
+    const preview = document.getElementById('credential-preview');
+    preview.innerHTML = '';
+
+    const table = document.createElement('table');
+    const header = table.createTHead().insertRow();
+    ['Import', 'Name', 'Username', 'Status', 'Image'].forEach(title => {
+      const th = document.createElement('th');
+      th.textContent = title;
+      header.appendChild(th);
     });
 
-    // Hide account details when selection changes
-    document.getElementById('account-details').style.display = 'none';
+    const body = table.createTBody();
+    this.importEntries.forEach((entry, index) => {
+      const row = body.insertRow();
+      const valid = entry.errors.length === 0;
+
+      const include = document.createElement('input');
+      include.type = 'checkbox';
+      include.id = `import-include-${index}`;
+      include.checked = valid;
+      include.disabled = !valid;
+      row.insertCell().appendChild(include);
+
+      row.insertCell().textContent = entry.name;
+      row.insertCell().textContent = entry.username;
+
+      const status = row.insertCell();
+      status.id = `import-status-${index}`;
+      status.textContent = valid ? 'Ready' : entry.errors.join('; ');
+      status.className = valid ? '' : 'errors';
+
+      const image = row.insertCell();
+      image.id = `import-image-${index}`;
+      if (valid) {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'image/*';
+        input.title = 'Leave empty to generate an image';
+        image.appendChild(input);
+      }
+    });
 
-    // Set up event listener for selection changes
-    selector.addEventListener('change', () => this.handleAccountSelectionChange());
+    preview.appendChild(table);
+    document.getElementById('credential-actions').style.display = 'block';
   }
 
   /**
-  * Handle account selection changes
-  * This ensures we completely reset the verification state when switching accounts
-  */
-  handleAccountSelectionChange() {
-    // Reset verification UI
-    document.getElementById('account-details').style.display = 'none';
+   * Import the selected entries, binding each to its chosen or a generated image
+   * A chosen image is checked for strength and reuse as on registration.
+   * Generated images are offered for download in the preview, since they are
+   * the only way to unlock their accounts
+   */
+  async importCredentials() {
+    const selected = this.importEntries
+      .map((entry, index) => ({ entry, index }))
+      .filter(({ index }) => document.getElementById(`import-include-${index}`).checked);
 
-    // Clear file input to force a fresh file selection
-    const fileInput = document.getElementById('verify-image');
-    if (fileInput) {
-      fileInput.value = '';
+    if (selected.length === 0) {
+      this.showAlert('No entries selected for import', 'danger');
+      return;
     }
 
-    // Clear any previous alerts
-    const alertElement = document.getElementById('alert-message');
-    if (alertElement) {
-      alertElement.style.display = 'none';
-    }
+    this.showAlert(`Importing ${selected.length} entries...`, 'info');
+    const generator = this.selectedImageStyle();
+    let imported = 0;
 
-    // Log the selection change for debugging
-    const selectedAccountId = document.getElementById('account-selector').value;
-    if (selectedAccountId) {
-      const account = this.accounts.find(acc => acc.id === selectedAccountId);
-      console.log('Account selection changed to:', account ? account.name : 'None');
-    } else {
-      console.log('No account selected');
+    for (const { entry, index } of selected) {
+      const include = document.getElementById(`import-include-${index}`);
+      const status = document.getElementById(`import-status-${index}`);
+      const imageCell = document.getElementById(`import-image-${index}`);
+      const chosen = imageCell.querySelector('input').files[0];
+
+      try {
+        if (chosen && (!(await this.checkImageStrength(chosen)) || !(await this.confirmImageReuse(chosen)))) {
+          status.textContent = 'Skipped';
+          continue;
+        }
+
+        const image = chosen || await this.generateImageFromPassword(this.generateRandomPassword(20), generator);
+        await this.createImageAccount(entry, image, chosen ? 'uploaded' : 'generated', chosen ? null : generator);
+
+        include.checked = false;
+        include.disabled = true;
+        status.textContent = 'Imported';
+        imageCell.innerHTML = '';
+
+        if (!chosen) {
+          const link = document.createElement('a');
+          link.href = URL.createObjectURL(image);
+          link.download = `${entry.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_password.png`;
+          link.textContent = 'Download image';
+          imageCell.appendChild(link);
+        }
+        imported++;
+      } catch (error) {
+        if (error instanceof AuthenticationError) return;
+
+        status.textContent = `Failed: ${error.message}`;
+        status.className = 'errors';
+      }
     }
+
+    this.updateAccountsList();
+    this.updateAccountSelector();
+
+    const failed = selected.length - imported;
+    this.showAlert(
+      `Imported ${imported} of ${selected.length} entries${failed ? `; ${failed} failed` : ''}. ` +
+      'Download any generated images now; they are needed to unlock those accounts.',
+      failed ? 'warning' : 'success'
+    );
   }
 
   /**
-   * Update UI when account selection changes
+   * Close the import preview
    */
-  updateAccountSelection() {
-    document.getElementById('account-details').style.display = 'none';
+  clearCredentialImport() {
+    this.importEntries = [];
+    document.getElementById('credential-preview').innerHTML = '';
+    document.getElementById('credential-actions').style.display = 'none';
+    document.getElementById('credential-file').value = '';
+  }
+
+  /**
+   * Create an account bound to an image
+   * @param {Object} fields - { name, username, notes, sitePassword }
+   * @param {File|Blob} image - The image password
+   * @param {string} type - 'uploaded' or 'generated'
+   * @param {string} [generator] - How a generated image was drawn, see ImageGenerator.serialize
+   * @returns {Promise<Object>} The new account
+   */
+  async createImageAccount({ name, username, notes, sitePassword }, image, type, generator = null) {
+    const hash = await this.imagePasswordSystem.generateImageHash(image);
+    const fieldKey = await this.imagePasswordSystem.createFieldKey(hash);
+
+    const newAccount = {
+      id: crypto.randomUUID(),
+      name,
+      username: await this.imagePasswordSystem.encryptField(fieldKey, username),
+      password: await this.imagePasswordSystem.createVerifier(hash),
+      notes: await this.imagePasswordSystem.encryptField(fieldKey, notes || ''),
+      sitePassword: await this.imagePasswordSystem.encryptField(fieldKey, sitePassword || ''),
+      type,
+      hashAlgorithm: this.imagePasswordSystem.serializeAlgorithm(),
+      generator,
+      createdAt: new Date().toISOString()
+    };
+
+    await this.databaseClient.addAccount(
+      newAccount.id,
+      newAccount.name,
+      newAccount.username,
+      newAccount.password,
+      newAccount.notes,
+      newAccount.type,
+      null,
+      newAccount.createdAt,
+      newAccount.hashAlgorithm,
+      newAccount.sitePassword,
+      newAccount.generator
+    );
+
+    this.accounts.push(newAccount);
+    return newAccount;
   }
 
   /**
@@ -388,6 +1961,37 @@ class PasswordManager {
     }, 5000);
   }
 
+  /**
+   * Show how many attempts are left, or until when attempts are locked out
+   * The button stays disabled while attempts are locked out
+   * @param {string} elementId - Element to show the message in
+   * @param {string} buttonId - Button that makes the attempt
+   * @param {Object|null} failure - Failed result or error, which may carry
+   *   remainingAttempts and lockedUntil; null after a success
+   */
+  showAttempts(elementId, buttonId, failure) {
+    const element = document.getElementById(elementId);
+    const button = document.getElementById(buttonId);
+
+    if (failure && failure.lockedUntil) {
+      const until = new Date(failure.lockedUntil);
+      element.textContent = `Too many failed attempts. Try again at ${until.toLocaleTimeString()}.`;
+      element.style.display = 'block';
+
+      button.disabled = true;
+      setTimeout(() => {
+        button.disabled = false;
+        element.style.display = 'none';
+      }, until - Date.now());
+    } else if (failure && failure.remainingAttempts != null) {
+      const plural = failure.remainingAttempts === 1 ? '' : 's';
+      element.textContent = `${failure.remainingAttempts} attempt${plural} left before attempts are locked.`;
+      element.style.display = 'block';
+    } else if (!failure) {
+      element.style.display = 'none';
+    }
+  }
+
   /**
    * Load accounts from the database
    */
@@ -403,17 +2007,17 @@ class PasswordManager {
         accounts = await this.databaseClient.getAllAccounts();
         console.log(`Successfully loaded ${accounts.length} accounts from database`);
       } catch (dbError) {
+        // The login form is already shown; the vault must not open from the offline copy
+        if (dbError instanceof AuthenticationError) return;
+
         console.error('Database error:', dbError);
 
-        // Fallback to localStorage
-        console.log("Falling back to localStorage...");
-        const savedAccounts = localStorage.getItem('imagePasswordAccounts');
-        if (savedAccounts) {
-          accounts = JSON.parse(savedAccounts);
-          console.log(`Loaded ${accounts.length} accounts from localStorage`);
-        }
+        // Fallback to the offline copy
+        console.log("Falling back to the offline copy...");
+        accounts = await this.databaseClient.sync.getAccounts();
+        console.log(`Loaded ${accounts.length} accounts from the offline copy`);
 
-        this.showAlert('Database connection failed, using localStorage instead', 'warning');
+        this.showAlert('Database connection failed, using the offline copy instead', 'warning');
       }
 
       this.accounts = accounts;
@@ -427,6 +2031,122 @@ class PasswordManager {
     }
   }
 
+  /**
+   * Send changes made offline and refresh the accounts
+   */
+  async syncNow() {
+    try {
+      this.accounts = await this.databaseClient.sync.sync();
+      this.updateAccountsList();
+      this.updateAccountSelector();
+    } catch (error) {
+      // The status shows that the server could not be reached
+      if (!(error instanceof AuthenticationError)) {
+        console.error('Error syncing accounts:', error);
+      }
+    }
+  }
+
+  /**
+   * Show the sync state and any conflicts waiting to be resolved
+   * @param {Object} status - { state, pending, conflicts } from SyncEngine#status
+   */
+  showSyncStatus({ state, pending, conflicts }) {
+    const changes = `${pending} change${pending === 1 ? '' : 's'} waiting to sync`;
+    const messages = {
+      syncing: 'Syncing...',
+      offline: pending ? `Offline: ${changes}` : 'Offline',
+      error: pending ? `Sync failed: ${changes}` : 'Sync failed',
+      synced: pending ? changes : 'All changes synced'
+    };
+
+    let message = messages[state];
+    if (conflicts) {
+      message += ` (${conflicts} conflict${conflicts === 1 ? '' : 's'} to resolve)`;
+    }
+
+    const element = document.getElementById('sync-status');
+    element.textContent = message;
+    element.className = conflicts && state === 'synced' ? 'conflict' : state;
+
+    this.renderSyncConflicts();
+  }
+
+  /**
+   * List sync conflicts with a choice of version for each
+   */
+  async renderSyncConflicts() {
+    const conflicts = await this.databaseClient.sync.getConflicts();
+    const list = document.getElementById('sync-conflict-list');
+    list.innerHTML = '';
+    document.getElementById('sync-conflicts').style.display = conflicts.length ? 'block' : 'none';
+
+    for (const conflict of conflicts) {
+      const { operation, local, server } = conflict;
+      const name = (local || server).name;
+
+      // What happened on each side, and the labels for keeping either one
+      let description, keepLocal, keepServer;
+      if (operation.type === 'add') {
+        [description, keepLocal, keepServer] = ['was added offline, but its ID is already taken', 'Keep as New Account', 'Discard'];
+      } else if (operation.type === 'delete') {
+        [description, keepLocal, keepServer] = ['was deleted here but changed on another device', 'Delete Anyway', 'Keep Account'];
+      } else if (!server) {
+        [description, keepLocal, keepServer] = ['was changed here but deleted on another device. Register it again to keep it', null, 'Discard My Changes'];
+      } else {
+        [description, keepLocal, keepServer] = ['was changed here and on another device', 'Keep My Changes', 'Keep Other Version'];
+      }
+
+      const item = document.createElement('div');
+      item.className = 'sync-conflict';
+
+      const text = document.createElement('p');
+      const strong = document.createElement('strong');
+      strong.textContent = name;
+      text.append(strong, ` ${description}.`);
+
+      const buttons = document.createElement('div');
+      buttons.className = 'button-group';
+      if (keepLocal) {
+        const localButton = document.createElement('button');
+        localButton.textContent = keepLocal;
+        localButton.addEventListener('click', () => this.resolveConflict(conflict.id, 'local'));
+        buttons.append(localButton);
+      }
+      const serverButton = document.createElement('button');
+      serverButton.className = 'secondary';
+      serverButton.textContent = keepServer;
+      serverButton.addEventListener('click', () => this.resolveConflict(conflict.id, 'server'));
+      buttons.append(serverButton);
+
+      item.append(text, buttons);
+      list.appendChild(item);
+    }
+  }
+
+  /**
+   * Keep one side of a sync conflict
+   * @param {string} conflictId - The conflict's ID
+   * @param {string} choice - 'local' or 'server'
+   */
+  async resolveConflict(conflictId, choice) {
+    try {
+      this.accounts = await this.databaseClient.sync.resolve(conflictId, choice);
+      this.updateAccountsList();
+      this.updateAccountSelector();
+      this.showAlert('Conflict resolved', 'success');
+    } catch (error) {
+      if (error instanceof AuthenticationError) return;
+
+      // The choice is queued even if the server could not be reached
+      if (error instanceof TypeError) {
+        this.showAlert('Your choice will be synced when the server is back', 'warning');
+        return;
+      }
+      this.showAlert(`Error: ${error.message}`, 'danger');
+    }
+  }
+
   /**
    * Completely reset the verification state
    * This can be called at any time to ensure a fresh verification process
@@ -435,13 +2155,10 @@ class PasswordManager {
     console.log('Resetting verification state');
 
     // Reset UI elements
-    document.getElementById('account-details').style.display = 'none';
+    this.hideAccountDetails();
 
-    // Clear file input
-    const fileInput = document.getElementById('verify-image');
-    if (fileInput) {
-      fileInput.value = '';
-    }
+    // Clear the chosen images
+    this.clearImagePicker('verify-image');
 
     // Reset any temporary data
     this._lastVerification = null;
@@ -485,94 +2202,26 @@ class PasswordManager {
 
   /**
  * Generate an image based on a password string
- * This creates a unique visual representation of the password
+ * This creates a unique visual representation of the password, drawn by
+ * ImageGenerator so the same password and style always give the same PNG
  *
  * @param {string} password - The password to visualize
+ * @param {string|Object} [style] - { style, version, size }, as stored in an account's generator
  * @returns {Promise<Blob>} - A Blob containing the generated image
  */
-  async generateImageFromPassword(password) {
-    // Create a canvas to draw the image
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-
-    // Set canvas size (you can adjust as needed)
-    canvas.width = 256;
-    canvas.height = 256;
-
-    // Create a hash from the password for consistent image generation
-    const hash = await this.imagePasswordSystem.sha256(password);
-
-    // Convert the hash to an array of numbers we can use to drive the visualization
-    const values = [];
-    for (let i = 0; i < hash.length; i += 2) {
-      values.push(parseInt(hash.substr(i, 2), 16));
-    }
-
-    // Fill background
-    ctx.fillStyle = `rgb(${values[0]}, ${values[1]}, ${values[2]})`;
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
-
-    // Set number of shapes to draw based on hash
-    const numShapes = 20 + (values[3] % 30);
-
-    // Draw shapes based on the hash values
-    for (let i = 0; i < numShapes; i++) {
-      // Get color from hash values
-      const colorIndex = (i * 3) % values.length;
-      const r = values[(colorIndex) % values.length];
-      const g = values[(colorIndex + 1) % values.length];
-      const b = values[(colorIndex + 2) % values.length];
-
-      // Set shape style
-      ctx.fillStyle = `rgba(${r}, ${g}, ${b}, 0.7)`;
-
-      // Choose shape type based on hash values
-      const shapeType = values[(i + 4) % values.length] % 3;
-
-      // Get position and size from hash values
-      const x = (values[(i + 5) % values.length] / 255) * canvas.width;
-      const y = (values[(i + 6) % values.length] / 255) * canvas.height;
-      const size = 10 + ((values[(i + 7) % values.length] / 255) * 50);
-
-      // Draw different shapes based on the hash
-      if (shapeType === 0) {
-        // Circle
-        ctx.beginPath();
-        ctx.arc(x, y, size, 0, Math.PI * 2);
-        ctx.fill();
-      } else if (shapeType === 1) {
-        // Rectangle
-        ctx.fillRect(x, y, size, size);
-      } else {
-        // Triangle
-        ctx.beginPath();
-        ctx.moveTo(x, y - size / 2);
-        ctx.lineTo(x + size / 2, y + size / 2);
-        ctx.lineTo(x - size / 2, y + size / 2);
-        ctx.closePath();
-        ctx.fill();
-      }
-    }
-
-    // Add some lines for additional uniqueness
-    ctx.strokeStyle = `rgb(${values[8]}, ${values[9]}, ${values[10]})`;
-    ctx.lineWidth = 2 + (values[11] % 4);
-
-    for (let i = 0; i < 5; i++) {
-      const startX = (values[(i * 2 + 12) % values.length] / 255) * canvas.width;
-      const startY = (values[(i * 2 + 13) % values.length] / 255) * canvas.height;
-      const endX = (values[(i * 2 + 14) % values.length] / 255) * canvas.width;
-      const endY = (values[(i * 2 + 15) % values.length] / 255) * canvas.height;
-
-      ctx.beginPath();
-      ctx.moveTo(startX, startY);
-      ctx.lineTo(endX, endY);
-      ctx.stroke();
-    }
+  async generateImageFromPassword(password, style = {}) {
+    const png = await ImageGenerator.generate(password, style);
+    return new Blob([png], { type: 'image/png' });
+  }
 
-    // Convert canvas to blob
-    return new Promise((resolve) => {
-      canvas.toBlob(resolve, 'image/png');
+  /**
+   * Style and size chosen for generated images on the register tab
+   * @returns {string} Generator options as stored with an account
+   */
+  selectedImageStyle() {
+    return ImageGenerator.serialize({
+      style: document.getElementById('image-style').value,
+      size: parseInt(document.getElementById('image-size').value, 10)
     });
   }
 
@@ -581,10 +2230,10 @@ class PasswordManager {
  * Generate a random password string
  *
  * @param {number} length - The length of the password
+ * @param {string} [charset] - Characters to choose from; letters, digits and symbols by default
  * @returns {string} - A random password string
  */
-  generateRandomPassword(length = 16) {
-    const charset = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789!@#$%^&*()_+";
+  generateRandomPassword(length = 16, charset = PASSWORD_CHARSETS.full) {
     let password = "";
 
     // Create a Uint8Array with random values
@@ -615,6 +2264,7 @@ class PasswordManager {
       const accountName = document.getElementById('account-name').value.trim();
       const username = document.getElementById('username').value.trim();
       const notes = document.getElementById('notes').value.trim();
+      const sitePassword = document.getElementById('site-password').value;
 
       // Validate inputs
       if (!accountName) {
@@ -636,12 +2286,15 @@ class PasswordManager {
       // Generate a random password
       const rawPassword = this.generateRandomPassword(20);
 
-      // Generate an image from the raw password
-      const imageBlob = await this.generateImageFromPassword(rawPassword);
+      // Generate an image from the raw password in the chosen style
+      const generator = this.selectedImageStyle();
+      const imageBlob = await this.generateImageFromPassword(rawPassword, generator);
 
       // Calculate a perceptual hash of the generated image
       // We'll use this hash for verification later
-      const imageHash = await this.calculateImagePerceptualHash(imageBlob);
+      const imageHash = await this.imagePasswordSystem.generateImageHash(imageBlob);
+      const verifier = await this.imagePasswordSystem.createVerifier(imageHash);
+      const fieldKey = await this.imagePasswordSystem.createFieldKey(imageHash);
 
       // Create a download link for the generated image
       const downloadUrl = URL.createObjectURL(imageBlob);
@@ -653,10 +2306,13 @@ class PasswordManager {
       const newAccount = {
         id: Date.now().toString(),
         name: accountName,
-        username: username,
-        password: imageHash, // Store the image hash as the password
-        notes: notes,
+        username: await this.imagePasswordSystem.encryptField(fieldKey, username),
+        password: verifier, // Store the sketched image hash as the password
+        notes: await this.imagePasswordSystem.encryptField(fieldKey, notes),
+        sitePassword: await this.imagePasswordSystem.encryptField(fieldKey, sitePassword),
         type: 'generated',
+        hashAlgorithm: this.imagePasswordSystem.serializeAlgorithm(),
+        generator,
         createdAt: new Date().toISOString()
       };
 
@@ -669,7 +2325,10 @@ class PasswordManager {
         newAccount.notes,
         newAccount.type,
         null, // We don't need to store the raw seed anymore
-        newAccount.createdAt
+        newAccount.createdAt,
+        newAccount.hashAlgorithm,
+        newAccount.sitePassword,
+        newAccount.generator
       );
 
       // Update local accounts array
@@ -693,6 +2352,7 @@ class PasswordManager {
       document.getElementById('account-name').value = '';
       document.getElementById('username').value = '';
       document.getElementById('notes').value = '';
+      document.getElementById('site-password').value = '';
 
       // Show success message with additional instructions
       this.showAlert('Password image generated and downloaded! Save this image securely - you will need it to log in.', 'success');
@@ -703,97 +2363,23 @@ class PasswordManager {
     }
   }
 
-  /**
-   * Calculate a perceptual hash of an image blob
-   * @param {Blob} imageBlob - The image blob
-   * @returns {Promise<string>} - The perceptual hash
-   */
-  async calculateImagePerceptualHash(imageBlob) {
-    // Convert blob to image
-    const imageURL = URL.createObjectURL(imageBlob);
-
-    return new Promise((resolve, reject) => {
-      const img = new Image();
-      img.onload = async () => {
-        // Create a small canvas for the perceptual hash
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-
-        // Resize to small dimensions for the hash
-        canvas.width = 8;
-        canvas.height = 8;
-
-        // Draw the image in grayscale
-        ctx.filter = 'grayscale(100%)';
-        ctx.drawImage(img, 0, 0, 8, 8);
-
-        // Get pixel data
-        const pixelData = ctx.getImageData(0, 0, 8, 8).data;
-
-        // Calculate average pixel value
-        let sum = 0;
-        for (let i = 0; i < pixelData.length; i += 4) {
-          sum += pixelData[i]; // Just using red channel since image is grayscale
-        }
-        const avg = sum / (pixelData.length / 4);
-
-        // Generate binary hash based on whether pixel is above or below average
-        let hash = '';
-        for (let i = 0; i < pixelData.length; i += 4) {
-          hash += pixelData[i] >= avg ? '1' : '0';
-        }
-
-        // Convert binary hash to hex
-        let hexHash = '';
-        for (let i = 0; i < hash.length; i += 4) {
-          const chunk = hash.substr(i, 4);
-          hexHash += parseInt(chunk, 2).toString(16);
-        }
-
-        // We have our perceptual hash
-        resolve(hexHash);
-
-        // Clean up
-        URL.revokeObjectURL(imageURL);
-      };
-
-      img.onerror = () => {
-        URL.revokeObjectURL(imageURL);
-        reject(new Error('Failed to load image for hashing'));
-      };
-
-      img.src = imageURL;
-    });
-  }
-
   /**
    * Verify image password for selected account
    */
   async verifyImage() {
     // Store the selected values before anything happens
     const accountId = document.getElementById('account-selector').value;
-    const fileInput = document.getElementById('verify-image');
-
-    // Create a FileReader to safely read the file data
-    let imageData = null;
-    if (fileInput.files && fileInput.files.length > 0) {
-      const reader = new FileReader();
-      // Create a promise to handle the async file reading
-      imageData = await new Promise((resolve, reject) => {
-        reader.onload = e => resolve(e.target.result);
-        reader.onerror = () => reject(new Error('Failed to read image file'));
-        reader.readAsDataURL(fileInput.files[0]);
-      });
-    }
+    const images = this.pickedImages('verify-image');
+    const imageFiles = images.map(image => image.file);
 
     // If no image was selected, show an error
-    if (!imageData) {
+    if (imageFiles.length === 0) {
       this.showAlert('Please select an image', 'danger');
       return;
     }
 
     // Reset verification state
-    document.getElementById('account-details').style.display = 'none';
+    this.hideAccountDetails();
 
     // Check if an account was selected
     if (!accountId) {
@@ -808,62 +2394,68 @@ class PasswordManager {
       return;
     }
 
-    try {
-      // Show loading indicator
-      this.showAlert('Verifying image...', 'info');
-
-      // Create a new Image element from the data
-      const img = new Image();
-      await new Promise((resolve, reject) => {
-        img.onload = () => resolve();
-        img.onerror = () => reject(new Error('Failed to load image'));
-        img.src = imageData;
-      });
-
-      // Now convert the image back to a File object
-      const blob = await fetch(imageData).then(r => r.blob());
-      const file = new File([blob], "verification-image.png", { type: "image/png" });
-
-      let isMatch = false;
-
-      // Perform verification based on account type
-      if (account.type === 'generated') {
-        console.log("Verifying a generated password image");
-
-        // Calculate hash of the uploaded image
-        const uploadedHash = await this.imagePasswordSystem.generateImageHash(file);
-        console.log("Generated image hash:", uploadedHash);
-        console.log("Stored image hash:", account.password);
+    // A sequence is only ever checked as a whole, so the count has to match first
+    if (imageFiles.length !== (account.imageCount || 1)) {
+      this.showAlert(this.describeImageCount(account), 'danger');
+      return;
+    }
 
-        // Compare with the stored hash
-        isMatch = (uploadedHash === account.password);
-      } else {
-        console.log("Verifying an uploaded image");
+    const points = this.needsClickPoints(account) ? this.clickedPoints('verify-click-pad') : null;
+    if (points && points.length === 0) {
+      this.showAlert('Please click your points on the image', 'danger');
+      return;
+    }
 
-        // Use standard verification
-        isMatch = await this.imagePasswordSystem.verifyImagePassword(file, account.password);
-      }
+    if (this.needsRegion(account) && !this.selectedRegion('verify-region-pad')) {
+      this.showAlert('Please select your region of the image', 'danger');
+      return;
+    }
 
-      console.log("Verification result:", isMatch);
+    try {
+      // Show loading indicator
+      this.showAlert('Verifying image...', 'info');
 
-      if (isMatch) {
-        document.getElementById('account-username').textContent = account.username;
-        document.getElementById('account-notes').textContent = account.notes || 'None';
+      // Generated and uploaded images are both matched by perceptual hash;
+      // the comparison with the stored verifier happens on the server
+      // A region is cut from the captured card's middle frame, like any other image
+      console.log(`Verifying a ${account.type || 'uploaded'} image`);
+      const hashes = this.needsRegion(account)
+        ? await this.imagePasswordSystem.generateCandidateHashes(await this.imagesToHash(account, imageFiles, 'verify-region-pad'), account.hashAlgorithm)
+        : await this.hashPickedImages(images, account.hashAlgorithm);
+      const result = await this.databaseClient.verifyAccount(account.id, hashes, points);
+
+      console.log("Verification result:", result.success);
+      this.showAttempts('verify-attempts', 'verify-button', result.success ? null : result);
+      this.showVerificationHistory(account.id);
+
+      if (result.success) {
+        // Accounts from before account keys are re-encrypted the first time they are unlocked
+        await this.refreshUnlockedAccount(account, result.fieldKey);
+        const username = await this.imagePasswordSystem.decryptField(result.fieldKey, account.username);
+        const notes = await this.imagePasswordSystem.decryptField(result.fieldKey, account.notes || '');
+
+        document.getElementById('account-username').textContent = username;
+        document.getElementById('account-notes').textContent = notes || 'None';
+        this.showSitePassword(await this.imagePasswordSystem.decryptField(result.fieldKey, account.sitePassword || ''));
         document.getElementById('account-details').style.display = 'block';
 
         this.showAlert('Authentication successful!', 'success');
       } else {
-        document.getElementById('account-details').style.display = 'none';
-        this.showAlert('Authentication failed. The image does not match.', 'danger');
+        this.hideAccountDetails();
+        this.showAlert(points
+          ? 'Authentication failed. The image or the points do not match.'
+          : 'Authentication failed. The image does not match.', 'danger');
       }
 
-      // Always perform a full reset after verification
+      // Always perform a full reset after verification, keeping unlocked details
+      // on screen until they lock themselves
       // Delay slightly to ensure the alert is visible
       setTimeout(() => {
-        this.fullResetVerification();
+        this.fullResetVerification(result.success);
       }, 2000);
     } catch (error) {
       console.error("Verification error:", error);
+      this.showAttempts('verify-attempts', 'verify-button', error);
       this.showAlert(`Error: ${error.message}`, 'danger');
 
       // Reset on error as well
@@ -873,15 +2465,121 @@ class PasswordManager {
     }
   }
 
+  /**
+   * Show the unlocked site password, masked until revealed
+   * The account details lock again after a minute
+   * @param {string} sitePassword - The decrypted site password, PIN or recovery codes
+   */
+  showSitePassword(sitePassword) {
+    this.unlockedSitePassword = sitePassword || null;
+
+    document.getElementById('account-site-password').textContent = sitePassword ? '••••••••' : 'None';
+    document.getElementById('site-password-actions').style.display = sitePassword ? 'block' : 'none';
+    document.getElementById('reveal-site-password').textContent = 'Reveal';
+
+    clearTimeout(this.lockTimer);
+    this.lockTimer = setTimeout(() => this.hideAccountDetails(), UNLOCK_MS);
+  }
+
+  /**
+   * Toggle between showing and masking the unlocked site password
+   */
+  revealSitePassword() {
+    if (!this.unlockedSitePassword) return;
+
+    const element = document.getElementById('account-site-password');
+    const button = document.getElementById('reveal-site-password');
+    const revealed = button.textContent === 'Hide';
+
+    element.textContent = revealed ? '••••••••' : this.unlockedSitePassword;
+    button.textContent = revealed ? 'Reveal' : 'Hide';
+  }
+
+  /**
+   * Copy the unlocked site password, clearing the clipboard again after 30 seconds
+   */
+  async copySitePassword() {
+    const sitePassword = this.unlockedSitePassword;
+    if (!sitePassword) return;
+
+    try {
+      await navigator.clipboard.writeText(sitePassword);
+      this.showAlert('Password copied. The clipboard will be cleared in 30 seconds.', 'success');
+    } catch (error) {
+      this.showAlert(`Error: ${error.message}`, 'danger');
+      return;
+    }
+
+    setTimeout(async () => {
+      try {
+        // Leave the clipboard alone if something else was copied since
+        if (await navigator.clipboard.readText() !== sitePassword) return;
+      } catch (error) {
+        // Reading the clipboard needs permission; clear it regardless
+      }
+
+      try {
+        await navigator.clipboard.writeText('');
+      } catch (error) {
+        console.error('Error clearing clipboard:', error);
+      }
+    }, CLIPBOARD_CLEAR_MS);
+  }
+
+  /**
+   * Hide the account details and forget the unlocked site password
+   */
+  hideAccountDetails() {
+    clearTimeout(this.lockTimer);
+    this.unlockedSitePassword = null;
+
+    document.getElementById('account-details').style.display = 'none';
+    document.getElementById('account-site-password').textContent = '';
+  }
+
+  /**
+   * Fill the site password field with a generated password
+   * Uses the length and character set chosen next to the field
+   */
+  generateSitePassword() {
+    const length = parseInt(document.getElementById('generator-length').value, 10);
+    const charset = PASSWORD_CHARSETS[document.getElementById('generator-charset').value];
+
+    if (!Number.isInteger(length) || length < 4 || length > 128) {
+      this.showAlert('Please choose a length between 4 and 128', 'danger');
+      return;
+    }
+
+    document.getElementById('site-password').value = this.generateRandomPassword(length, charset);
+  }
+
+  /**
+   * Fetch an account again if the server re-encrypted its fields on unlock
+   * Plaintext and enc1 fields from before account keys are re-encrypted under
+   * the key the verification returned (see the server's fieldKeyFor)
+   * @param {Object} account - The account, updated in place
+   * @param {Object} fieldKey - The account key returned by the verification
+   */
+  async refreshUnlockedAccount(account, fieldKey) {
+    if (this.imagePasswordSystem.isEncryptedWith(fieldKey, account.username)) return;
+
+    Object.assign(account, await this.databaseClient.getAccount(account.id));
+    this.updateAccountsList();
+  }
+
   /**
  * Completely reset the verification process
  * This ensures a fresh start for image verification
+ *
+ * @param {boolean} [keepDetails] - Leave unlocked account details on screen
  */
-  async fullResetVerification() {
+  async fullResetVerification(keepDetails = false) {
     console.log('Performing full verification reset');
 
     // Clear UI state
-    document.getElementById('account-details').style.display = 'none';
+    if (!keepDetails) {
+      this.hideAccountDetails();
+    }
 
     // Create a new file input to replace the existing one
     const fileInputContainer = document.getElementById('verify-image').parentNode;
@@ -893,10 +2591,12 @@ class PasswordManager {
     newFileInput.id = 'verify-image';
     newFileInput.accept = 'image/*';
 
-    // Replace the old input with the new one
+    // Replace the old input with the new one, and empty its list of images
     if (fileInputContainer && oldFileInput) {
       fileInputContainer.replaceChild(newFileInput, oldFileInput);
+      this.bindImagePicker('verify-image');
     }
+    this.clearImagePicker('verify-image');
 
     // Clear any alerts
     const alertElement = document.getElementById('alert-message');
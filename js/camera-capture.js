@@ -0,0 +1,90 @@
+/**
+ * CameraCapture - Frames from the device camera for scanning a card
+ * Shows the camera in a video element and grabs a burst of frames as RGBA
+ * pixels for CardScanner. Frames are taken a moment apart, so each one is
+ * blurred and lit a little differently and their hashes can be combined.
+ */
+
+// Frames grabbed per capture, and the pause between them in milliseconds
+const FRAME_COUNT = 5;
+const FRAME_INTERVAL = 150;
+
+class CameraCapture {
+  /**
+   * @param {HTMLVideoElement} video - Where the camera is shown
+   */
+  constructor(video) {
+    this.video = video;
+    this.stream = null;
+  }
+
+  /**
+   * Check whether the browser can use a camera
+   * @returns {boolean} True if getUserMedia is available
+   */
+  static isSupported() {
+    return typeof navigator !== 'undefined' && Boolean(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+  }
+
+  /**
+   * Turn the camera on, preferring the one facing away from the user
+   * @returns {Promise<void>} Rejects if the user refuses or there is no camera
+   */
+  async start() {
+    if (this.stream) return;
+
+    this.stream = await navigator.mediaDevices.getUserMedia({
+      video: { facingMode: 'environment', width: { ideal: 1280 }, height: { ideal: 720 } },
+      audio: false
+    });
+    this.video.srcObject = this.stream;
+    this.video.muted = true;
+    this.video.playsInline = true;
+    await this.video.play();
+  }
+
+  /**
+   * Turn the camera off
+   */
+  stop() {
+    if (this.stream) {
+      this.stream.getTracks().forEach(track => track.stop());
+    }
+    this.stream = null;
+    this.video.srcObject = null;
+  }
+
+  /**
+   * Grab the picture the camera is showing
+   * @returns {ImageData} The frame's RGBA pixels
+   */
+  grabFrame() {
+    const { videoWidth: width, videoHeight: height } = this.video;
+    if (!this.stream || !width || !height) {
+      throw new Error('The camera is not ready yet');
+    }
+
+    const canvas = Object.assign(document.createElement('canvas'), { width, height });
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(this.video, 0, 0, width, height);
+    return ctx.getImageData(0, 0, width, height);
+  }
+
+  /**
+   * Grab a burst of frames
+   * @param {number} [count] - Number of frames
+   * @returns {Promise<Array<ImageData>>} The frames, in order
+   */
+  async captureFrames(count = FRAME_COUNT) {
+    const frames = [];
+    for (let i = 0; i < count; i++) {
+      if (i > 0) {
+        await new Promise(resolve => setTimeout(resolve, FRAME_INTERVAL));
+      }
+      frames.push(this.grabFrame());
+    }
+    return frames;
+  }
+}
+
+export default CameraCapture;
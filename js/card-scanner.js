@@ -0,0 +1,474 @@
+/**
+ * CardScanner - Finds an image password held up to a camera
+ * A printed card or photo shows up in a camera frame as a quadrilateral at
+ * some angle, on some background. Each frame is scanned in plain JavaScript,
+ * so recorded frames give the same result in every browser and in Node:
+ *
+ *   1. Shrink the frame to WORK_SIZE pixels across and split it into gray
+ *      and opponent color channels
+ *   2. Mark edges where the Sobel gradient of any channel is well above the
+ *      frame's average
+ *   3. Group touching edge pixels and take the group whose convex hull is
+ *      largest: the card's border, which encloses any detail inside it
+ *   4. Of the hull's extreme points in DIRECTIONS directions, keep the four
+ *      that enclose the largest area: roughly the card's corners
+ *   5. Fit a line to the border's edge pixels along each side and take the
+ *      corners where the lines meet. Noise touching the border stretches the
+ *      hull by a pixel or two, but barely moves a line fitted to a whole side.
+ *   6. Map the quadrilateral back onto a rectangle with a perspective
+ *      transform, sampling the full-size frame
+ *
+ * Any one frame is blurred or lit a little differently, so several are hashed
+ * and consensus() takes each bit of the hash by majority, after leaving out
+ * frames that disagree with the rest by more than the matching threshold.
+ *
+ * The card is found best held flat against a plain background, filling most
+ * of the frame without touching its edges.
+ */
+
+import HashEngine from './hash-engine.js';
+import SecureSketch from './secure-sketch.js';
+
+// Width of the shrunken frame edges are found on, in pixels
+const WORK_SIZE = 320;
+
+// Gradient, as a multiple of the frame's mean gradient, above which a pixel is an edge
+const EDGE_FACTOR = 1.5;
+
+// Directions, evenly spread over a full turn, in which the hull's extreme points are taken
+const DIRECTIONS = 24;
+
+// Distances from each side, in pixels, within which edge pixels are fitted: first from
+// the hull's side, then from the line fitted to them
+const SIDE_BANDS = [4, 1.5];
+
+// Share of a side at each end left out of its fit, where the card's corners round it off
+const SIDE_END = 0.15;
+
+// Share of the frame the card has to cover, and most it may cover before it is taken for the background
+const MIN_AREA = 0.1;
+const MAX_AREA = 0.95;
+
+// Longest side of a rectified card, in pixels
+const MAX_SIZE = 512;
+
+class CardScanner {
+  /**
+   * Find the card in a frame
+   * @param {Object} frame - { width, height, data } with RGBA data
+   * @returns {Array<Array<number>>|null} Corners [x, y] in frame pixels, clockwise
+   *   from top left, or null if no card was found
+   */
+  static detect(frame) {
+    const scale = Math.min(1, WORK_SIZE / frame.width);
+    const width = Math.max(3, Math.round(frame.width * scale));
+    const height = Math.max(3, Math.round(frame.height * scale));
+    const channels = HashEngine.toChannels(frame)
+      .map(channel => HashEngine.resample(channel, frame.width, frame.height, width, height));
+
+    const border = CardScanner.outline(CardScanner.edges(channels, width, height), width, height);
+    const hull = CardScanner.convexHull(border);
+    if (hull.length < 4) {
+      return null;
+    }
+
+    const corners = CardScanner.fitSides(border, CardScanner.quadrilateral(hull));
+    const area = CardScanner.area(corners);
+    if (area < MIN_AREA * width * height || area > MAX_AREA * width * height) {
+      return null;
+    }
+
+    // Sobel edges spread evenly either side of the border, so the fitted lines
+    // run along it; pixel centers are half a pixel in from their corners
+    return corners.map(([x, y]) => [(x + 0.5) / scale, (y + 0.5) / scale]);
+  }
+
+  /**
+   * Cut a card out of a frame and undo its perspective
+   * @param {Object} frame - { width, height, data } with RGBA data
+   * @param {Array<Array<number>>} corners - From detect, clockwise from top left
+   * @returns {Object} { width, height, data } holding the card as a rectangle
+   */
+  static rectify(frame, corners) {
+    const [topLeft, topRight, bottomRight, bottomLeft] = corners;
+    const length = ([x1, y1], [x2, y2]) => Math.hypot(x2 - x1, y2 - y1);
+    let width = Math.max(length(topLeft, topRight), length(bottomLeft, bottomRight));
+    let height = Math.max(length(topLeft, bottomLeft), length(topRight, bottomRight));
+    const shrink = Math.min(1, MAX_SIZE / Math.max(width, height));
+    width = Math.max(1, Math.round(width * shrink));
+    height = Math.max(1, Math.round(height * shrink));
+
+    const h = CardScanner.homography([[0, 0], [width, 0], [width, height], [0, height]], corners);
+    const data = new Uint8ClampedArray(width * height * 4);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        // Sample at the middle of each target pixel
+        const u = x + 0.5;
+        const v = y + 0.5;
+        const w = h[6] * u + h[7] * v + 1;
+        const sx = (h[0] * u + h[1] * v + h[2]) / w - 0.5;
+        const sy = (h[3] * u + h[4] * v + h[5]) / w - 0.5;
+        CardScanner.sample(frame, sx, sy, data, (y * width + x) * 4);
+      }
+    }
+
+    return { width, height, data };
+  }
+
+  /**
+   * Find and rectify the card in each of several frames
+   * @param {Array<Object>} frames - { width, height, data } with RGBA data
+   * @returns {Array<Object>} The rectified card from each frame it was found in
+   */
+  static scan(frames) {
+    const cards = [];
+    for (const frame of frames) {
+      const corners = CardScanner.detect(frame);
+      if (corners) {
+        cards.push(CardScanner.rectify(frame, corners));
+      }
+    }
+    return cards;
+  }
+
+  /**
+   * Combine the hashes of several frames of the same card
+   * @param {Array<Array<string>>} frameHashes - For each frame, its hashes in
+   *   the same order, such as the candidates of a robust algorithm
+   * @param {number} threshold - Hamming distance from the majority beyond which a frame is left out
+   * @returns {Array<string>} Each hash taken bit by bit from the agreeing frames' majority
+   * @throws {Error} If fewer than half the frames agree
+   */
+  static consensus(frameHashes, threshold) {
+    const first = CardScanner.majority(frameHashes.map(hashes => hashes[0]));
+    const agreeing = frameHashes.filter(hashes => SecureSketch.hammingDistance(hashes[0], first) <= threshold);
+    if (agreeing.length === 0 || agreeing.length * 2 < frameHashes.length) {
+      throw new Error('The card looked different in each frame. Please hold it still and try again');
+    }
+
+    return agreeing[0].map((_, i) => CardScanner.majority(agreeing.map(hashes => hashes[i])));
+  }
+
+  /**
+   * Take each bit of a hash by majority
+   * @param {Array<string>} hashes - Hex hashes of the same length
+   * @returns {string} The majority hash; a tied bit is taken from the first hash
+   */
+  static majority(hashes) {
+    let result = '';
+    for (let i = 0; i < hashes[0].length; i++) {
+      const digits = hashes.map(hash => parseInt(hash[i], 16));
+      let digit = 0;
+      for (let bit = 8; bit >= 1; bit >>= 1) {
+        const ones = digits.filter(value => value & bit).length;
+        if (ones * 2 > hashes.length || (ones * 2 === hashes.length && digits[0] & bit)) {
+          digit |= bit;
+        }
+      }
+      result += digit.toString(16);
+    }
+    return result;
+  }
+
+  /**
+   * Mark the pixels on strong edges
+   * A card can be as bright as the background behind it but another color,
+   * so the strongest gradient of the gray and color channels counts.
+   * @param {Array<Array<number>>} channels - Gray, red - green and blue - yellow levels, row-major
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @returns {Uint8Array} 1 for edge pixels, 0 elsewhere
+   */
+  static edges(channels, width, height) {
+    const magnitude = new Float64Array(width * height);
+    let total = 0;
+
+    for (let y = 1; y < height - 1; y++) {
+      for (let x = 1; x < width - 1; x++) {
+        for (const channel of channels) {
+          const at = (dx, dy) => channel[(y + dy) * width + x + dx];
+          const gx = at(1, -1) + 2 * at(1, 0) + at(1, 1) - at(-1, -1) - 2 * at(-1, 0) - at(-1, 1);
+          const gy = at(-1, 1) + 2 * at(0, 1) + at(1, 1) - at(-1, -1) - 2 * at(0, -1) - at(1, -1);
+          magnitude[y * width + x] = Math.max(magnitude[y * width + x], Math.hypot(gx, gy));
+        }
+        total += magnitude[y * width + x];
+      }
+    }
+
+    const threshold = (EDGE_FACTOR * total) / ((width - 2) * (height - 2));
+    return magnitude.map(value => (value > threshold && value > 0 ? 1 : 0));
+  }
+
+  /**
+   * The group of edge pixels, touching each other diagonals included, whose
+   * convex hull covers the largest area
+   * @param {Uint8Array} edges - From edges()
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @returns {Array<Array<number>>} The group's [x, y] pixels
+   */
+  static outline(edges, width, height) {
+    const seen = new Uint8Array(edges.length);
+    let largest = [];
+    let largestArea = 0;
+
+    for (let start = 0; start < edges.length; start++) {
+      if (!edges[start] || seen[start]) continue;
+
+      const component = [];
+      const stack = [start];
+      seen[start] = 1;
+      while (stack.length) {
+        const index = stack.pop();
+        const x = index % width;
+        const y = (index - x) / width;
+        component.push([x, y]);
+
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            const nx = x + dx;
+            const ny = y + dy;
+            const next = ny * width + nx;
+            if (nx >= 0 && nx < width && ny >= 0 && ny < height && edges[next] && !seen[next]) {
+              seen[next] = 1;
+              stack.push(next);
+            }
+          }
+        }
+      }
+
+      const hull = CardScanner.convexHull(component);
+      const area = hull.length >= 3 ? CardScanner.area(hull) : 0;
+      if (area > largestArea) {
+        largest = component;
+        largestArea = area;
+      }
+    }
+
+    return largest;
+  }
+
+  /**
+   * Convex hull of some points, by Andrew's monotone chain
+   * @param {Array<Array<number>>} points - [x, y] points
+   * @returns {Array<Array<number>>} The hull's corners, in order
+   */
+  static convexHull(points) {
+    const sorted = [...points].sort(([ax, ay], [bx, by]) => ax - bx || ay - by);
+    const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+    const half = list => {
+      const hull = [];
+      for (const point of list) {
+        while (hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], point) <= 0) {
+          hull.pop();
+        }
+        hull.push(point);
+      }
+      hull.pop();
+      return hull;
+    };
+
+    return [...half(sorted), ...half([...sorted].reverse())];
+  }
+
+  /**
+   * The four of a hull's extreme points that enclose the largest area
+   * @param {Array<Array<number>>} hull - From convexHull
+   * @returns {Array<Array<number>>} Four corners, clockwise from top left
+   */
+  static quadrilateral(hull) {
+    const extremes = [];
+    for (let i = 0; i < DIRECTIONS; i++) {
+      const angle = (2 * Math.PI * i) / DIRECTIONS;
+      const [dx, dy] = [Math.cos(angle), Math.sin(angle)];
+      const extreme = hull.reduce((best, point) => (point[0] * dx + point[1] * dy > best[0] * dx + best[1] * dy ? point : best));
+      if (!extremes.includes(extreme)) {
+        extremes.push(extreme);
+      }
+    }
+
+    // Extremes come in angular order, so any four of them in that order form a simple quadrilateral
+    let best = extremes.slice(0, 4);
+    let bestArea = -1;
+    for (let a = 0; a < extremes.length; a++) {
+      for (let b = a + 1; b < extremes.length; b++) {
+        for (let c = b + 1; c < extremes.length; c++) {
+          for (let d = c + 1; d < extremes.length; d++) {
+            const corners = [extremes[a], extremes[b], extremes[c], extremes[d]];
+            const area = CardScanner.area(corners);
+            if (area > bestArea) {
+              best = corners;
+              bestArea = area;
+            }
+          }
+        }
+      }
+    }
+
+    return CardScanner.order(best);
+  }
+
+  /**
+   * Move rough corners to where lines fitted along the card's sides meet
+   * Each side is fitted twice by total least squares: to the border pixels
+   * near the side between the rough corners, then to those near the first
+   * line, which leaves out detail inside the card close to its edge.
+   * @param {Array<Array<number>>} border - The border's edge pixels, from outline
+   * @param {Array<Array<number>>} corners - Four corners, clockwise from top left
+   * @returns {Array<Array<number>>} The refined corners in the same order; a
+   *   side with too few pixels to fit keeps the line between its rough corners
+   */
+  static fitSides(border, corners) {
+    let lines = corners.map((corner, i) => ({ point: corner, direction: CardScanner.direction(corner, corners[(i + 1) % 4]) }));
+
+    for (const band of SIDE_BANDS) {
+      lines = lines.map((line, i) => {
+        const start = corners[i];
+        const end = corners[(i + 1) % 4];
+        const length = Math.hypot(end[0] - start[0], end[1] - start[1]);
+        const [ux, uy] = CardScanner.direction(start, end);
+        const [dx, dy] = line.direction;
+
+        const near = border.filter(([x, y]) => {
+          const along = ((x - start[0]) * ux + (y - start[1]) * uy) / length;
+          const across = (y - line.point[1]) * dx - (x - line.point[0]) * dy;
+          return along > SIDE_END && along < 1 - SIDE_END && Math.abs(across) <= band;
+        });
+        if (near.length < 2) {
+          return line;
+        }
+
+        const meanX = near.reduce((sum, [x]) => sum + x, 0) / near.length;
+        const meanY = near.reduce((sum, [, y]) => sum + y, 0) / near.length;
+        let xx = 0;
+        let xy = 0;
+        let yy = 0;
+        for (const [x, y] of near) {
+          xx += (x - meanX) * (x - meanX);
+          xy += (x - meanX) * (y - meanY);
+          yy += (y - meanY) * (y - meanY);
+        }
+        const angle = Math.atan2(2 * xy, xx - yy) / 2;
+        return { point: [meanX, meanY], direction: [Math.cos(angle), Math.sin(angle)] };
+      });
+    }
+
+    // Each corner is where the side before it meets the side after it
+    return lines.map((line, i) => {
+      const previous = lines[(i + 3) % 4];
+      const determinant = line.direction[0] * previous.direction[1] - line.direction[1] * previous.direction[0];
+      if (Math.abs(determinant) < 1e-6) {
+        return corners[i];
+      }
+
+      const rx = line.point[0] - previous.point[0];
+      const ry = line.point[1] - previous.point[1];
+      const t = (line.direction[0] * ry - line.direction[1] * rx) / determinant;
+      return [previous.point[0] + t * previous.direction[0], previous.point[1] + t * previous.direction[1]];
+    });
+  }
+
+  /**
+   * Unit vector from one point towards another
+   * @param {Array<number>} from - [x, y]
+   * @param {Array<number>} to - [x, y]
+   * @returns {Array<number>} [dx, dy]; [0, 0] for the same point
+   */
+  static direction([fromX, fromY], [toX, toY]) {
+    const length = Math.hypot(toX - fromX, toY - fromY) || 1;
+    return [(toX - fromX) / length, (toY - fromY) / length];
+  }
+
+  /**
+   * Put four corners clockwise, starting from the top left
+   * @param {Array<Array<number>>} corners - Four [x, y] points
+   * @returns {Array<Array<number>>} The same points in order
+   */
+  static order(corners) {
+    const centerX = corners.reduce((sum, [x]) => sum + x, 0) / corners.length;
+    const centerY = corners.reduce((sum, [, y]) => sum + y, 0) / corners.length;
+    const clockwise = [...corners].sort(([ax, ay], [bx, by]) => Math.atan2(ay - centerY, ax - centerX) - Math.atan2(by - centerY, bx - centerX));
+    const start = clockwise.reduce((best, [x, y], i) => (x + y < clockwise[best][0] + clockwise[best][1] ? i : best), 0);
+    return [...clockwise.slice(start), ...clockwise.slice(0, start)];
+  }
+
+  /**
+   * Area of a polygon, by the shoelace formula
+   * @param {Array<Array<number>>} corners - [x, y] points in order
+   * @returns {number} The area
+   */
+  static area(corners) {
+    let twice = 0;
+    corners.forEach(([x1, y1], i) => {
+      const [x2, y2] = corners[(i + 1) % corners.length];
+      twice += x1 * y2 - x2 * y1;
+    });
+    return Math.abs(twice) / 2;
+  }
+
+  /**
+   * Perspective transform taking four points onto four others
+   * @param {Array<Array<number>>} from - Four [x, y] points
+   * @param {Array<Array<number>>} to - Where each of them goes
+   * @returns {Array<number>} h0-h7 of x' = (h0 x + h1 y + h2) / (h6 x + h7 y + 1),
+   *   y' = (h3 x + h4 y + h5) / (h6 x + h7 y + 1)
+   */
+  static homography(from, to) {
+    const rows = [];
+    from.forEach(([x, y], i) => {
+      const [tx, ty] = to[i];
+      rows.push([x, y, 1, 0, 0, 0, -x * tx, -y * tx, tx]);
+      rows.push([0, 0, 0, x, y, 1, -x * ty, -y * ty, ty]);
+    });
+
+    // Gaussian elimination with partial pivoting
+    for (let col = 0; col < 8; col++) {
+      let pivot = col;
+      for (let row = col + 1; row < 8; row++) {
+        if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row;
+      }
+      [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+      if (Math.abs(rows[col][col]) < 1e-12) {
+        throw new Error('The card\'s corners do not form a quadrilateral');
+      }
+
+      for (let row = 0; row < 8; row++) {
+        if (row === col) continue;
+        const factor = rows[row][col] / rows[col][col];
+        for (let k = col; k < 9; k++) {
+          rows[row][k] -= factor * rows[col][k];
+        }
+      }
+    }
+
+    return rows.map((row, i) => row[8] / row[i]);
+  }
+
+  /**
+   * Sample a frame between pixels, bilinearly, clamped to its edges
+   * @param {Object} frame - { width, height, data } with RGBA data
+   * @param {number} x - Horizontal position, in pixels
+   * @param {number} y - Vertical position, in pixels
+   * @param {Uint8ClampedArray} out - Where to write the RGBA value
+   * @param {number} offset - Index in out
+   */
+  static sample({ width, height, data }, x, y, out, offset) {
+    const cx = Math.min(width - 1, Math.max(0, x));
+    const cy = Math.min(height - 1, Math.max(0, y));
+    const x0 = Math.floor(cx);
+    const y0 = Math.floor(cy);
+    const x1 = Math.min(width - 1, x0 + 1);
+    const y1 = Math.min(height - 1, y0 + 1);
+    const fx = cx - x0;
+    const fy = cy - y0;
+
+    for (let c = 0; c < 4; c++) {
+      const top = data[(y0 * width + x0) * 4 + c] * (1 - fx) + data[(y0 * width + x1) * 4 + c] * fx;
+      const bottom = data[(y1 * width + x0) * 4 + c] * (1 - fx) + data[(y1 * width + x1) * 4 + c] * fx;
+      out[offset + c] = top * (1 - fy) + bottom * fy;
+    }
+  }
+}
+
+export default CardScanner;
@@ -0,0 +1,221 @@
+/**
+ * ClickPoints - Click-point passwords on top of an image password
+ * A PassPoints-style second factor: the user clicks three to five secret
+ * points on their image, in order, and has to click near the same points to
+ * log in. Points are image coordinates scaled to 0-SCALE on each axis, so the
+ * image can be shown at any size.
+ *
+ * Points are snapped with centered discretization (Chiasson, Biddle and van
+ * Oorschot, 2008): each coordinate c gets its own grid of cells 2r wide,
+ * offset by d = (c - r) mod 2r so that c lies in the middle of a cell. A later
+ * click c' lands in the same cell exactly when c - r <= c' < c + r. The
+ * offsets are stored in the clear; the cells are the secret.
+ *
+ * The cells are stretched with PBKDF2. A digest of the result is stored to
+ * check logins, and the result itself is key material for the account's
+ * encrypted fields, so neither can be tried faster than PBKDF2 allows.
+ *
+ * Stored verifiers look like: cp1$<tolerance>$<iterations>$<salt>$<dx>:<dy>,...$<digest>
+ */
+
+import SecureSketch from './secure-sketch.js';
+
+const VERIFIER_PREFIX = 'cp1';
+
+// Points are stored on a SCALE × SCALE grid laid over the image
+const SCALE = 1000;
+
+// Distance from a point, in grid units, at which a click still counts
+const DEFAULT_TOLERANCE = 25;
+
+// How many points a password has
+const MIN_POINTS = 3;
+const MAX_POINTS = 5;
+
+// PBKDF2 iterations for new verifiers
+const ITERATIONS = 100000;
+
+class ClickPoints {
+  /**
+   * Number of points a click-point password can have
+   * @returns {Object} { min, max }
+   */
+  static getPointCount() {
+    return { min: MIN_POINTS, max: MAX_POINTS };
+  }
+
+  /**
+   * PBKDF2 iterations a verifier is created with
+   * @returns {number} The iterations
+   */
+  static getIterations() {
+    return ITERATIONS;
+  }
+
+  /**
+   * Convert a click on the shown image to a point
+   * @param {number} x - Distance from the image's left edge, in display pixels
+   * @param {number} y - Distance from the image's top edge, in display pixels
+   * @param {number} width - Displayed width of the image
+   * @param {number} height - Displayed height of the image
+   * @returns {Array<number>} [x, y] on the SCALE × SCALE grid
+   */
+  static normalize(x, y, width, height) {
+    const scale = (value, size) => Math.min(SCALE, Math.max(0, Math.round((value / size) * SCALE)));
+    return [scale(x, width), scale(y, height)];
+  }
+
+  /**
+   * Where a point lies on the shown image
+   * @param {Array<number>} point - [x, y] on the SCALE × SCALE grid
+   * @returns {Array<number>} [x, y] as percentages of the image's width and height
+   */
+  static position(point) {
+    return point.map(value => (value * 100) / SCALE);
+  }
+
+  /**
+   * Check whether a stored value is a click-point verifier
+   * @param {string} value - The stored value
+   * @returns {boolean} True if the value was produced by createVerifier
+   */
+  static isVerifier(value) {
+    return typeof value === 'string' && value.startsWith(`${VERIFIER_PREFIX}$`);
+  }
+
+  /**
+   * Parse a stored verifier string
+   * @param {string} value - The stored verifier
+   * @returns {Object} { tolerance, iterations, salt, offsets, digest }
+   */
+  static parseVerifier(value) {
+    const [prefix, tolerance, iterations, salt, offsets, digest] = value.split('$');
+    if (prefix !== VERIFIER_PREFIX || !digest) {
+      throw new Error('Malformed click-point verifier');
+    }
+
+    return {
+      tolerance: parseInt(tolerance, 10),
+      iterations: parseInt(iterations, 10),
+      salt,
+      offsets: offsets.split(',').map(offset => offset.split(':').map(value => parseInt(value, 10))),
+      digest
+    };
+  }
+
+  /**
+   * Number of points a stored verifier needs
+   * @param {string} value - The stored verifier
+   * @returns {number} The number of points
+   */
+  static pointCount(value) {
+    return ClickPoints.parseVerifier(value).offsets.length;
+  }
+
+  /**
+   * Create a verifier for a sequence of points
+   * @param {Array<Array<number>>} points - [x, y] on the SCALE × SCALE grid, in order
+   * @param {Object} [options] - { tolerance, iterations }
+   * @returns {Promise<Object>} { verifier, key }: the verifier to store, and the
+   *   key material verify will return for matching points
+   */
+  static async createVerifier(points, { tolerance = DEFAULT_TOLERANCE, iterations = ITERATIONS } = {}) {
+    ClickPoints.checkPoints(points);
+    if (points.length < MIN_POINTS) {
+      throw new Error(`Please click at least ${MIN_POINTS} points`);
+    }
+
+    const size = 2 * tolerance;
+    const offsets = points.map(point => point.map(value => (((value - tolerance) % size) + size) % size));
+    const salt = SecureSketch.bytesToHex(crypto.getRandomValues(new Uint8Array(16)));
+    const key = await ClickPoints.stretch(ClickPoints.cells(points, offsets, tolerance), salt, iterations);
+
+    const verifier = [
+      VERIFIER_PREFIX,
+      tolerance,
+      iterations,
+      salt,
+      offsets.map(offset => offset.join(':')).join(','),
+      await SecureSketch.digest(salt, key)
+    ].join('$');
+
+    return { verifier, key };
+  }
+
+  /**
+   * Check points against a stored verifier
+   * @param {Array<Array<number>>} points - [x, y] on the SCALE × SCALE grid, in order
+   * @param {string} verifier - The stored verifier
+   * @returns {Promise<Object>} { match, key }, with the key material when the points matched
+   */
+  static async verify(points, verifier) {
+    const parsed = ClickPoints.parseVerifier(verifier);
+
+    try {
+      ClickPoints.checkPoints(points);
+    } catch (error) {
+      return { match: false, key: null };
+    }
+    if (points.length !== parsed.offsets.length) {
+      return { match: false, key: null };
+    }
+
+    const key = await ClickPoints.stretch(ClickPoints.cells(points, parsed.offsets, parsed.tolerance), parsed.salt, parsed.iterations);
+    const match = await SecureSketch.digest(parsed.salt, key) === parsed.digest;
+    return { match, key: match ? key : null };
+  }
+
+  /**
+   * Combine an image password's secret with the key from its click points
+   * @param {string} secret - The enrolled image hash
+   * @param {string} key - Key material from createVerifier or verify
+   * @returns {string} The secret the account's fields are encrypted with
+   */
+  static combine(secret, key) {
+    return `${secret}+${key}`;
+  }
+
+  /**
+   * Check that points are on the grid and not too many
+   * @param {Array<Array<number>>} points - The points
+   */
+  static checkPoints(points) {
+    const onGrid = value => Number.isInteger(value) && value >= 0 && value <= SCALE;
+    if (!Array.isArray(points) || points.length > MAX_POINTS ||
+      !points.every(point => Array.isArray(point) && point.length === 2 && point.every(onGrid))) {
+      throw new Error('Invalid click points');
+    }
+  }
+
+  /**
+   * The cells of the discretization grids the points fall in
+   * @param {Array<Array<number>>} points - The points
+   * @param {Array<Array<number>>} offsets - Grid offsets for each point
+   * @param {number} tolerance - Half the width of a cell
+   * @returns {string} The cells, in order
+   */
+  static cells(points, offsets, tolerance) {
+    return points
+      .map((point, i) => point.map((value, axis) => Math.floor((value - offsets[i][axis]) / (2 * tolerance))).join(':'))
+      .join(',');
+  }
+
+  /**
+   * Stretch the cells into key material
+   * @param {string} cells - The cells, from cells()
+   * @param {string} salt - Hex salt
+   * @param {number} iterations - PBKDF2 iterations
+   * @returns {Promise<string>} 256 bits as hex
+   */
+  static async stretch(cells, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(cells), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', hash: 'SHA-256', salt: new TextEncoder().encode(salt), iterations },
+      material,
+      256
+    );
+    return SecureSketch.bytesToHex(new Uint8Array(bits));
+  }
+}
+
+export default ClickPoints;
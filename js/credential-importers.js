@@ -0,0 +1,217 @@
+/**
+ * CredentialImporters - Read exports from other password managers
+ * Recognizes the CSV exports of Bitwarden, KeePass (KeePassXC and KeePass 2),
+ * 1Password and Chrome, and Bitwarden's JSON export, and maps each entry to
+ * the fields of an account: name, username, notes and site password.
+ */
+
+// Header names of each field in the supported CSV formats, lowercase
+const FIELD_ALIASES = {
+  name: ['name', 'title', 'account'],
+  username: ['login_username', 'username', 'login name', 'user name'],
+  sitePassword: ['login_password', 'password'],
+  url: ['login_uri', 'url', 'website', 'web site'],
+  notes: ['notes', 'note', 'comments']
+};
+
+// Headers that identify each CSV format, checked in order
+const CSV_FORMATS = [
+  { name: 'Bitwarden', headers: ['login_username', 'login_password'] },
+  { name: 'KeePassXC', headers: ['group', 'title', 'username', 'password'] },
+  { name: 'KeePass', headers: ['account', 'login name', 'password'] },
+  { name: '1Password', headers: ['title', 'username', 'password'] },
+  { name: 'Chrome', headers: ['name', 'url', 'username', 'password'] }
+];
+
+class CredentialImporters {
+  /**
+   * Parse an export file
+   * @param {string} text - File contents
+   * @param {Array<Object>} [existing] - Accounts already in the vault, to flag duplicate names
+   * @returns {Object} { format, entries } where each entry is
+   *   { name, username, notes, sitePassword, errors } and errors lists what
+   *   stops the entry from being imported
+   */
+  static parse(text, existing = []) {
+    const trimmed = text.replace(/^\uFEFF/, '').trim();
+    const { format, entries } = trimmed.startsWith('{')
+      ? CredentialImporters.parseBitwardenJson(trimmed)
+      : CredentialImporters.parseCsvExport(trimmed);
+
+    return { format, entries: CredentialImporters.validate(entries, existing) };
+  }
+
+  /**
+   * Map a CSV export to entries
+   * @param {string} text - CSV contents
+   * @returns {Object} { format, entries }
+   */
+  static parseCsvExport(text) {
+    const [header, ...rows] = CredentialImporters.parseCsv(text);
+    if (!header) {
+      throw new Error('The file is empty');
+    }
+
+    const columns = header.map(column => column.trim().toLowerCase());
+    const format = CSV_FORMATS.find(candidate => candidate.headers.every(column => columns.includes(column)));
+    if (!format) {
+      throw new Error('Unrecognized export format. Supported: Bitwarden, KeePass, 1Password and Chrome');
+    }
+
+    // Index of each field's column, using the first alias present
+    const index = {};
+    for (const [field, aliases] of Object.entries(FIELD_ALIASES)) {
+      index[field] = aliases.map(alias => columns.indexOf(alias)).find(i => i !== -1);
+    }
+
+    // Bitwarden exports also hold secure notes, cards and identities
+    const type = columns.indexOf('type');
+    const isLogin = row => format.name !== 'Bitwarden' || type === -1 || !row[type] || row[type] === 'login';
+
+    const entries = rows
+      .filter(row => row.some(cell => cell.trim() !== ''))
+      .filter(isLogin)
+      .map(row => {
+        const value = field => (index[field] === undefined ? '' : (row[index[field]] || '').trim());
+        return CredentialImporters.toEntry(value('name'), value('username'), value('sitePassword'), value('url'), value('notes'));
+      });
+
+    return { format: format.name, entries };
+  }
+
+  /**
+   * Map a Bitwarden JSON export to entries
+   * Only unencrypted exports can be read
+   * @param {string} text - JSON contents
+   * @returns {Object} { format, entries }
+   */
+  static parseBitwardenJson(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('The file is not valid JSON');
+    }
+
+    if (data.encrypted) {
+      throw new Error('Encrypted Bitwarden exports cannot be imported; export as unencrypted JSON');
+    }
+    if (!Array.isArray(data.items)) {
+      throw new Error('Unrecognized export format. Supported: Bitwarden, KeePass, 1Password and Chrome');
+    }
+
+    // Type 1 items are logins; notes, cards and identities have nothing to sign in with
+    const entries = data.items
+      .filter(item => item.type === 1 && item.login)
+      .map(item => {
+        const uri = item.login.uris && item.login.uris[0] ? item.login.uris[0].uri : '';
+        return CredentialImporters.toEntry(item.name, item.login.username, item.login.password, uri, item.notes);
+      });
+
+    return { format: 'Bitwarden', entries };
+  }
+
+  /**
+   * Build an entry from the fields of an export
+   * The site's URL is kept in the notes, and names the entry if it has no name
+   * @param {string} name - Entry name
+   * @param {string} username - Login username
+   * @param {string} sitePassword - Login password
+   * @param {string} url - Site URL
+   * @param {string} notes - Notes
+   * @returns {Object} { name, username, notes, sitePassword }
+   */
+  static toEntry(name, username, sitePassword, url, notes) {
+    const notesWithUrl = [url ? `URL: ${url}` : '', notes || ''].filter(Boolean).join('\n');
+    return {
+      name: (name || CredentialImporters.hostname(url) || '').trim(),
+      username: (username || '').trim(),
+      notes: notesWithUrl,
+      sitePassword: sitePassword || ''
+    };
+  }
+
+  /**
+   * Flag entries that cannot be imported
+   * @param {Array<Object>} entries - Parsed entries
+   * @param {Array<Object>} existing - Accounts already in the vault
+   * @returns {Array<Object>} The entries with an errors list each
+   */
+  static validate(entries, existing) {
+    const names = new Set(existing.map(account => account.name));
+    const seen = new Set();
+
+    return entries.map(entry => {
+      const errors = [];
+      if (!entry.name) errors.push('Missing name');
+      if (!entry.username) errors.push('Missing username');
+      if (names.has(entry.name)) errors.push('An account with this name already exists');
+      else if (entry.name && seen.has(entry.name)) errors.push('Name appears more than once in the file');
+
+      seen.add(entry.name);
+      return { ...entry, errors };
+    });
+  }
+
+  /**
+   * Parse CSV text as described by RFC 4180
+   * Fields may be quoted, contain commas and line breaks, and escape quotes by doubling them
+   * @param {string} text - CSV contents
+   * @returns {Array<Array<string>>} Rows of fields
+   */
+  static parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  /**
+   * Host name of a URL, without a leading www.
+   * @param {string} url - The URL
+   * @returns {string} The host name, or an empty string if the URL cannot be parsed
+   */
+  static hostname(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, '');
+    } catch (error) {
+      return '';
+    }
+  }
+}
+
+export default CredentialImporters;
@@ -4,38 +4,208 @@
  * Updated to use HTTPS
  */
 
+import ImagePasswordSystem from './image-password.js';
+import VaultBackup, { DuplicateAccountsError } from './vault-backup.js';
+import SyncEngine from './sync-engine.js';
+import OfflineStore from './offline-store.js';
+import SecureSketch from './secure-sketch.js';
+
+/**
+ * Thrown when the server rejects a request because the session has ended
+ */
+export class AuthenticationError extends Error {
+  constructor(message = 'Your session has expired. Please log in again.') {
+    super(message);
+    this.name = 'AuthenticationError';
+  }
+}
+
+/**
+ * Thrown when the server refuses an attempt after too many failures
+ */
+export class RateLimitError extends Error {
+  /**
+   * @param {Object} data - Response body: { error, retryAfter, lockedUntil }
+   */
+  constructor({ error, retryAfter, lockedUntil }) {
+    super(error || 'Too many failed attempts. Please wait before trying again.');
+    this.name = 'RateLimitError';
+    this.retryAfter = retryAfter;
+    this.lockedUntil = lockedUntil;
+  }
+}
+
 class DatabaseClient {
   constructor() {
     this.apiUrl = 'https://localhost:3000/api';
+
+    // Called when a request comes back 401; the app shows the login form
+    this.onUnauthorized = () => {};
+
+    // Offline copy of the vault and the changes waiting to be sent
+    this.offlineStore = new OfflineStore();
+    this.sync = new SyncEngine(this, this.offlineStore);
+  }
+
+  /**
+   * Call an API route that needs a session
+   * The session travels in an HttpOnly cookie. A 401 response means it has
+   * ended, so callers must not fall back to the offline copy: onUnauthorized is
+   * called and an AuthenticationError thrown instead.
+   *
+   * @param {string} path - Path below the API URL
+   * @param {Object} [options] - fetch options
+   * @returns {Promise<Response>} The response
+   */
+  async fetchApi(path, options = {}) {
+    const response = await fetch(`${this.apiUrl}${path}`, { ...options, credentials: 'include' });
+
+    if (response.status === 401) {
+      this.onUnauthorized();
+      throw new AuthenticationError();
+    }
+
+    return response;
+  }
+
+  /**
+   * Get the logged-in user
+   * Throws if the server cannot be reached
+   * @returns {Promise<Object|null>} The user, or null if not logged in
+   */
+  async getCurrentUser() {
+    const response = await fetch(`${this.apiUrl}/me`, { credentials: 'include' });
+
+    if (response.status === 401) {
+      return null;
+    }
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to fetch user');
+    }
+
+    const user = await response.json();
+    await this.sync.setUser(user.id);
+    return user;
+  }
+
+  /**
+   * Get the hash algorithm a user's master image is checked with
+   * @param {string} username - The user's name
+   * @returns {Promise<string>} JSON description of the hash algorithm
+   */
+  async getUserAlgorithm(username) {
+    const response = await fetch(`${this.apiUrl}/users/${encodeURIComponent(username)}/algorithm`);
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to fetch user');
+    }
+
+    const { hashAlgorithm } = await response.json();
+    return hashAlgorithm;
+  }
+
+  /**
+   * Register a user with a master image password and log in
+   * @param {string} username - The user's name
+   * @param {string} hash - Perceptual hash of the master image
+   * @param {string} hashAlgorithm - JSON description of the hash algorithm
+   * @returns {Promise<Object>} The new user
+   */
+  async registerUser(username, hash, hashAlgorithm) {
+    return this.startSession('users', { username, hash, hashAlgorithm }, 'Failed to register');
+  }
+
+  /**
+   * Log in with a master image password
+   * @param {string} username - The user's name
+   * @param {string} hash - Perceptual hash of the master image, computed with the user's algorithm
+   * @returns {Promise<Object>} The logged-in user
+   */
+  async login(username, hash) {
+    return this.startSession('login', { username, hash }, 'Failed to log in');
+  }
+
+  /**
+   * Post credentials; the server answers with a session cookie
+   * @param {string} path - API path
+   * @param {Object} body - Request body
+   * @param {string} failure - Error message if the server gives none
+   * @returns {Promise<Object>} The user
+   */
+  async startSession(path, body, failure) {
+    const response = await fetch(`${this.apiUrl}/${path}`, {
+      method: 'POST',
+      credentials: 'include',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    });
+
+    const data = await response.json();
+    if (response.status === 429) {
+      throw new RateLimitError(data);
+    }
+    if (!response.ok) {
+      // Failed logins report how many attempts are left before a lockout
+      throw Object.assign(new Error(data.error || failure), {
+        remainingAttempts: data.remainingAttempts,
+        lockedUntil: data.lockedUntil
+      });
+    }
+
+    await this.sync.setUser(data.user.id);
+    return data.user;
+  }
+
+  /**
+   * Extend the current session before it expires
+   * @returns {Promise<string>} The new expiry time
+   */
+  async refreshSession() {
+    const response = await this.fetchApi('/session/refresh', { method: 'POST' });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to refresh session');
+    }
+
+    const { expiresAt } = await response.json();
+    return expiresAt;
+  }
+
+  /**
+   * Log out of the current session
+   * @returns {Promise<void>}
+   */
+  async logout() {
+    try {
+      await fetch(`${this.apiUrl}/logout`, { method: 'POST', credentials: 'include' });
+    } catch (error) {
+      console.error('Error logging out:', error);
+    }
   }
 
   /**
    * Get all accounts from the database
+   * Changes made while offline are sent first, and the offline copy refreshed
    * @returns {Promise<Array>} Array of account objects
    */
   async getAllAccounts() {
     try {
-      const response = await fetch(`${this.apiUrl}/accounts`);
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || 'Failed to fetch accounts');
-      }
-
-      return await response.json();
+      return await this.sync.sync();
     } catch (error) {
       console.error('Error fetching accounts:', error);
 
-      // If server is unavailable, fallback to localStorage
-      this.fallbackToLocalStorage('Error connecting to server. Using local storage as fallback.');
+      if (error instanceof AuthenticationError) throw error;
 
-      // Get accounts from localStorage
-      const savedAccounts = localStorage.getItem('imagePasswordAccounts');
-      if (savedAccounts) {
-        return JSON.parse(savedAccounts);
-      }
+      // If server is unavailable, fallback to the offline copy
+      this.fallbackToOfflineStore('Error connecting to server. Using the offline copy as fallback.');
 
-      return [];
+      return this.sync.getAccounts();
     }
   }
 
@@ -46,7 +216,7 @@ class DatabaseClient {
    */
   async getAccount(id) {
     try {
-      const response = await fetch(`${this.apiUrl}/accounts/${id}`);
+      const response = await this.fetchApi(`/accounts/${id}`);
 
       if (response.status === 404) {
         return null;
@@ -61,18 +231,134 @@ class DatabaseClient {
     } catch (error) {
       console.error('Error fetching account:', error);
 
-      // Fallback to localStorage
-      this.fallbackToLocalStorage('Error connecting to server. Using local storage as fallback.');
+      if (error instanceof AuthenticationError) throw error;
 
-      // Get accounts from localStorage
-      const savedAccounts = localStorage.getItem('imagePasswordAccounts');
-      if (savedAccounts) {
-        const accounts = JSON.parse(savedAccounts);
-        return accounts.find(account => account.id === id) || null;
+      // Fallback to the offline copy
+      this.fallbackToOfflineStore('Error connecting to server. Using the offline copy as fallback.');
+
+      return this.offlineStore.get('accounts', id);
+    }
+  }
+
+  /**
+   * Verify an image hash against an account on the server
+   * The stored password never leaves the server; only the outcome is returned
+   * @param {string} id - The account ID
+   * @param {string|Array<string>} hash - Perceptual hash of the image, or the joined hashes of an image sequence,
+   *   computed with the account's algorithm; or the image's candidate hashes for a robust algorithm
+   * @param {Array<Array<number>>} [points] - Points clicked on the image, for accounts with click points
+   * @returns {Promise<Object>} { success, fieldKey, remainingAttempts, lockedUntil }:
+   *   fieldKey is the key of the account's encrypted fields after a match, the
+   *   last two are only set after a failed attempt checked by the server
+   */
+  async verifyAccount(id, hash, points = null) {
+    const [first, ...candidates] = [].concat(hash);
+    let result;
+
+    try {
+      const response = await this.fetchApi(`/accounts/${id}/verify`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ hash: first, candidates, points })
+      });
+
+      if (response.status === 429) {
+        throw new RateLimitError(await response.json());
       }
 
-      return null;
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to verify account');
+      }
+
+      result = await response.json();
+    } catch (error) {
+      console.error('Error verifying account:', error);
+
+      // The offline copy holds no verifiers, which would let anyone with it guess offline
+      if (error instanceof TypeError) {
+        throw new Error('Checking an image needs a connection to the server');
+      }
+      throw error;
     }
+
+    await this.recordVerification(id, first, result.success, 'server');
+    return result;
+  }
+
+  /**
+   * Find the other accounts an image would also unlock
+   * Only the image's hashes are sent; the server checks them against the
+   * verifiers and counts every check, see ImagePasswordSystem#findMatchingAccounts
+   * @param {Object} hashes - The image's hashes by algorithm, from ImagePasswordSystem#hashesForAccounts
+   * @param {string} [exclude] - Account the image is meant for, left out of the check
+   * @returns {Promise<Array<Object>>} { id, name } of each matching account; none
+   *   while the server cannot be reached
+   */
+  async findMatchingAccounts(hashes, exclude = null) {
+    try {
+      const response = await this.fetchApi('/accounts/matching', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ hashes, exclude })
+      });
+
+      if (response.status === 429) {
+        throw new RateLimitError({ ...(await response.json()), error: 'Too many checks for reused images. Please wait before trying again.' });
+      }
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to check the image against other accounts');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error checking image reuse:', error);
+
+      if (!(error instanceof TypeError)) throw error;
+      return [];
+    }
+  }
+
+  /**
+   * Add a verification to the account's history
+   * The image is identified by a fingerprint: a digest of its hash, which
+   * shows whether the same image was used again without storing the hash
+   * itself. A history that cannot be written never fails the verification.
+   *
+   * @param {string} accountId - The account ID
+   * @param {string} hash - Perceptual hash of the image
+   * @param {boolean} success - Whether the image matched
+   * @param {string} source - 'server' or 'offline', where it was checked
+   */
+  async recordVerification(accountId, hash, success, source) {
+    try {
+      const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(hash));
+      await this.offlineStore.put('history', {
+        accountId,
+        success,
+        source,
+        fingerprint: SecureSketch.bytesToHex(new Uint8Array(digest)).slice(0, 16),
+        verifiedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error recording verification:', error);
+    }
+  }
+
+  /**
+   * Get the verifications of an account made on this device
+   * @param {string} accountId - The account ID
+   * @returns {Promise<Array<Object>>} { accountId, success, source, fingerprint, verifiedAt }, newest first
+   */
+  async getVerificationHistory(accountId) {
+    const history = await this.offlineStore.getAllBy('history', 'accountId', accountId);
+    return history.sort((a, b) => b.verifiedAt.localeCompare(a.verifiedAt));
   }
 
   /**
@@ -82,23 +368,37 @@ class DatabaseClient {
    * @param {string} username - Username for the account
    * @param {string} password - Image hash password
    * @param {string} notes - Optional notes
+   * @param {string} type - 'uploaded', 'generated', 'clickpoints' or 'region'
+   * @param {string} rawSeed - Seed of a generated image, if kept
    * @param {string} createdAt - Creation timestamp
+   * @param {string} hashAlgorithm - JSON description of the perceptual hash algorithm
+   * @param {string} sitePassword - Encrypted site password, PIN or recovery codes
+   * @param {string} generator - JSON description of how a generated image was drawn
+   * @param {string} clickPoints - Verifier of the points clicked on the image, if the account has them
+   * @param {string} region - Grid and encrypted selection of the region the password is cut from, if any
    * @returns {Promise<void>}
    */
-  async addAccount(id, name, username, password, notes, type, rawSeed = null, createdAt) {
+  async addAccount(id, name, username, password, notes, type, rawSeed = null, createdAt, hashAlgorithm = null, sitePassword = null,
+    generator = null, clickPoints = null, region = null) {
     const accountData = {
       id,
       name,
       username,
       password,
       notes: notes || '',
+      sitePassword: sitePassword, // Encrypted like the username and notes
       type: type || 'uploaded', // 'uploaded' or 'generated'
       rawSeed: rawSeed, // Only present for generated passwords
+      hashAlgorithm: hashAlgorithm, // Null for accounts using the original 8×8 average hash
+      generator: generator, // Style, version and size of a generated image; null for uploads
+      imageCount: ImagePasswordSystem.imageCount(password), // Images the password needs, in order; the server works it out too
+      clickPoints: clickPoints, // Second factor of 'clickpoints' accounts
+      region: region, // Where 'region' accounts are cut from the photo
       createdAt: createdAt || new Date().toISOString()
     };
 
     try {
-      const response = await fetch(`${this.apiUrl}/accounts`, {
+      const response = await this.fetchApi('/accounts', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
@@ -111,42 +411,38 @@ class DatabaseClient {
         throw new Error(errorData.error || 'Failed to add account');
       }
 
-      return await response.json();
+      const result = await response.json();
+      await this.sync.record('add', id, { ...accountData, version: result.version, updatedAt: result.updatedAt });
+      return result;
     } catch (error) {
       console.error('Error adding account:', error);
 
-      // Fallback to localStorage
-      this.fallbackToLocalStorage('Error connecting to server. Saving to local storage as fallback.');
+      // Only queue the account when the server could not be reached at all;
+      // one it refused would be refused again
+      if (!(error instanceof TypeError)) throw error;
 
-      // Add to localStorage
-      const savedAccounts = localStorage.getItem('imagePasswordAccounts');
-      let accounts = [];
+      this.fallbackToOfflineStore('Error connecting to server. Saving to the offline copy until it is back.');
+      await this.sync.enqueue('add', id, accountData);
 
-      if (savedAccounts) {
-        accounts = JSON.parse(savedAccounts);
-      }
-
-      accounts.push(accountData);
-      localStorage.setItem('imagePasswordAccounts', JSON.stringify(accounts));
-
-      return { message: 'Account added to local storage', id };
+      return { message: 'Account added to the offline copy', id };
     }
   }
 
   /**
    * Update an existing account
    * @param {string} id - Account ID to update
-   * @param {Object} data - Data to update (name, username, password, notes)
+   * @param {Object} data - Data to update (name, username, notes, sitePassword); the image password changes with rekeyAccount
    * @returns {Promise<void>}
    */
   async updateAccount(id, data) {
     try {
-      const response = await fetch(`${this.apiUrl}/accounts/${id}`, {
+      // The server refuses the update if the account changed since it was loaded
+      const response = await this.fetchApi(`/accounts/${id}`, {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify(data)
+        body: JSON.stringify({ ...data, version: await this.sync.versionOf(id) })
       });
 
       if (!response.ok) {
@@ -154,30 +450,71 @@ class DatabaseClient {
         throw new Error(errorData.error || 'Failed to update account');
       }
 
-      return await response.json();
+      const result = await response.json();
+      await this.sync.record('update', id, { ...data, version: result.version, updatedAt: result.updatedAt });
+      return result;
     } catch (error) {
       console.error('Error updating account:', error);
 
-      // Fallback to localStorage
-      this.fallbackToLocalStorage('Error connecting to server. Updating in local storage as fallback.');
-
-      // Update in localStorage
-      const savedAccounts = localStorage.getItem('imagePasswordAccounts');
-      if (savedAccounts) {
-        let accounts = JSON.parse(savedAccounts);
-        const index = accounts.findIndex(account => account.id === id);
-
-        if (index !== -1) {
-          accounts[index] = { ...accounts[index], ...data };
-          localStorage.setItem('imagePasswordAccounts', JSON.stringify(accounts));
-          return { message: 'Account updated in local storage' };
-        } else {
-          throw new Error('Account not found in local storage');
-        }
-      } else {
-        throw new Error('No accounts found in local storage');
+      if (!(error instanceof TypeError)) throw error;
+
+      this.fallbackToOfflineStore('Error connecting to server. Updating the offline copy until it is back.');
+      await this.sync.enqueue('update', id, data);
+
+      return { message: 'Account updated in the offline copy' };
+    }
+  }
+
+  /**
+   * Change an account's image password
+   * The server checks the current image and refuses an image the account used
+   * before, then stores the new verifier and the fields encrypted under the new
+   * image together. It needs the server, which alone holds the verifiers.
+   *
+   * @param {string} id - Account ID
+   * @param {Object} data - { hash, candidates, points, newHash, password, clickPoints, newRegion, hashAlgorithm,
+   *   generator, type, name, username, notes, sitePassword }: the current image's
+   *   hash, its other candidate hashes for a robust algorithm and its click
+   *   points, the new image's hash, verifiers and region, and the account
+   *   fields encrypted under the new image
+   * @returns {Promise<Object>} { version, updatedAt }
+   */
+  async rekeyAccount(id, data) {
+    let response;
+    try {
+      response = await this.fetchApi(`/accounts/${id}/rekey`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ ...data, version: await this.sync.versionOf(id) })
+      });
+    } catch (error) {
+      if (error instanceof TypeError) {
+        throw new Error('Changing the image password needs a connection to the server');
       }
+      throw error;
     }
+
+    const result = await response.json();
+    if (response.status === 429) {
+      throw new RateLimitError(result);
+    }
+    if (!response.ok) {
+      // A current image that does not match reports how many attempts are left
+      throw Object.assign(new Error(result.error || 'Failed to change image password'), {
+        remainingAttempts: result.remainingAttempts,
+        lockedUntil: result.lockedUntil
+      });
+    }
+
+    const { password, newRegion = null, hashAlgorithm, generator, type, name, username, notes, sitePassword } = data;
+    await this.sync.record('update', id, {
+      imageCount: ImagePasswordSystem.imageCount(password), region: newRegion, hashAlgorithm, generator, type, name, username, notes,
+      sitePassword,
+      version: result.version, updatedAt: result.updatedAt
+    });
+    return result;
   }
 
   /**
@@ -187,7 +524,9 @@ class DatabaseClient {
    */
   async deleteAccount(id) {
     try {
-      const response = await fetch(`${this.apiUrl}/accounts/${id}`, {
+      // The server keeps the account if it changed since it was loaded
+      const version = await this.sync.versionOf(id);
+      const response = await this.fetchApi(`/accounts/${id}${version ? `?version=${version}` : ''}`, {
         method: 'DELETE'
       });
 
@@ -196,23 +535,109 @@ class DatabaseClient {
         throw new Error(errorData.error || 'Failed to delete account');
       }
 
+      await this.sync.record('delete', id);
       return await response.json();
     } catch (error) {
       console.error('Error deleting account:', error);
 
-      // Fallback to localStorage
-      this.fallbackToLocalStorage('Error connecting to server. Deleting from local storage as fallback.');
+      if (!(error instanceof TypeError)) throw error;
+
+      this.fallbackToOfflineStore('Error connecting to server. Deleting from the offline copy until it is back.');
+      await this.sync.enqueue('delete', id);
+
+      return { message: 'Account deleted from the offline copy' };
+    }
+  }
+
+  /**
+   * Export every account as a backup encrypted with a passphrase
+   * @param {string} passphrase - Passphrase to encrypt the backup with
+   * @returns {Promise<string>} The backup file contents
+   */
+  async exportVault(passphrase) {
+    try {
+      const response = await this.fetchApi('/export', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ passphrase })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to export accounts');
+      }
+
+      return await response.text();
+    } catch (error) {
+      console.error('Error exporting accounts:', error);
 
-      // Delete from localStorage
-      const savedAccounts = localStorage.getItem('imagePasswordAccounts');
-      if (savedAccounts) {
-        let accounts = JSON.parse(savedAccounts);
-        accounts = accounts.filter(account => account.id !== id);
-        localStorage.setItem('imagePasswordAccounts', JSON.stringify(accounts));
-        return { message: 'Account deleted from local storage' };
-      } else {
-        throw new Error('No accounts found in local storage');
+      // The offline copy has no verifiers, and a backup without them could not be restored
+      if (error instanceof TypeError) {
+        throw new Error('Exporting a backup needs a connection to the server');
       }
+      throw error;
+    }
+  }
+
+  /**
+   * Import a backup
+   * @param {string} backup - The backup file contents
+   * @param {string} passphrase - Passphrase the backup was encrypted with
+   * @param {string} [mode] - 'merge' to keep existing accounts and add new ones,
+   *   'replace' to replace every account; required when the backup holds
+   *   accounts that already exist
+   * @returns {Promise<Object>} { imported, skipped }
+   * @throws {DuplicateAccountsError} If accounts already exist and no mode was given
+   */
+  async importVault(backup, passphrase, mode = null) {
+    try {
+      const response = await this.fetchApi('/import', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ backup, passphrase, mode })
+      });
+
+      const data = await response.json();
+      if (response.status === 409) {
+        throw new DuplicateAccountsError(data.duplicates);
+      }
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to import backup');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error importing backup:', error);
+
+      // Only fall back when the server could not be reached at all
+      if (!(error instanceof TypeError)) throw error;
+
+      this.fallbackToOfflineStore('Error connecting to server. Importing into the offline copy as fallback.');
+
+      const existing = await this.sync.getAccounts();
+      const incoming = await VaultBackup.open(backup, passphrase);
+
+      const duplicates = VaultBackup.findDuplicates(existing, incoming);
+      if (duplicates.length > 0 && !mode) {
+        throw new DuplicateAccountsError(duplicates);
+      }
+
+      // Queued like any other change, so the import reaches the server later
+      const { added, skipped } = VaultBackup.combine(existing, incoming, mode || 'merge');
+      if (mode === 'replace') {
+        for (const account of existing) {
+          await this.sync.enqueue('delete', account.id);
+        }
+      }
+      for (const account of added) {
+        await this.sync.enqueue('add', account.id, { ...account, imageCount: ImagePasswordSystem.imageCount(account.password) });
+      }
+
+      return { imported: added.length, skipped };
     }
   }
 
@@ -220,7 +645,7 @@ class DatabaseClient {
    * Display a fallback notification to the user
    * @param {string} message - The message to display
    */
-  fallbackToLocalStorage(message) {
+  fallbackToOfflineStore(message) {
     // Check if the fallback message has already been shown
     const fallbackShown = sessionStorage.getItem('fallbackMessageShown');
     if (!fallbackShown) {
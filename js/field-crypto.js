@@ -0,0 +1,226 @@
+/**
+ * FieldCrypto - Encryption of account fields under the image password
+ * Fields are encrypted with AES-GCM under a key for the account, derived with
+ * PBKDF2 from the enrolled perceptual hash, which the secure sketch recovers
+ * exactly from any image close enough to match. A hash holds only a few dozen
+ * bits, so the derivation is slow and salted per account: every guess at the
+ * image costs a full derivation. The verifier's digest is stretched as
+ * slowly (see SecureSketch), so it is no cheaper way to test a guess. Each
+ * field's AES key is then taken from the account key with HKDF and a salt of
+ * its own. The hashes of an image sequence, joined by dashes, are used as
+ * text.
+ *
+ * Encrypted values look like: enc2$<account salt>$<salt>$<iv>$<ciphertext>
+ *
+ * Values from before account keys, enc1$<salt>$<iv>$<ciphertext>, were keyed
+ * with HKDF on the hash itself. They are read with decryptLegacy and
+ * re-encrypted the next time the account is unlocked (see unlock).
+ */
+
+import SecureSketch from './secure-sketch.js';
+
+const ENCRYPTED_PREFIX = 'enc2';
+const LEGACY_PREFIX = 'enc1';
+
+// PBKDF2 iterations of an account key
+const KEY_ITERATIONS = 600000;
+
+// HKDF context, so keys for fields differ from any other use of the hash
+const KEY_INFO = 'ImagePasswordApp account fields';
+
+class FieldCrypto {
+  /**
+   * Check whether a stored field value is encrypted
+   * Accounts created before encryption keep their plaintext until they are
+   * next unlocked
+   * @param {string} value - The stored value
+   * @returns {boolean} True if the value was produced by encrypt, now or before account keys
+   */
+  static isEncrypted(value) {
+    return typeof value === 'string' && (value.startsWith(`${ENCRYPTED_PREFIX}$`) || value.startsWith(`${LEGACY_PREFIX}$`));
+  }
+
+  /**
+   * Salt of the account key a value is encrypted under
+   * @param {string} value - The stored value
+   * @returns {string|null} The salt as hex, or null for plaintext and legacy values
+   */
+  static keySalt(value) {
+    return typeof value === 'string' && value.startsWith(`${ENCRYPTED_PREFIX}$`) ? value.split('$')[1] : null;
+  }
+
+  /**
+   * Derive a new account key with a random salt, for a new image password
+   * @param {string} secret - The enrolled perceptual hash as hex, or the joined hashes of a sequence
+   * @returns {Promise<Object>} { salt, key } as hex
+   */
+  static async createKey(secret) {
+    return FieldCrypto.deriveKey(secret, SecureSketch.bytesToHex(crypto.getRandomValues(new Uint8Array(16))));
+  }
+
+  /**
+   * Derive an account key
+   * @param {string} secret - The enrolled perceptual hash as hex, or the joined hashes of a sequence
+   * @param {string} salt - The account's salt as hex, from keySalt
+   * @returns {Promise<Object>} { salt, key } as hex
+   */
+  static async deriveKey(secret, salt) {
+    const material = await crypto.subtle.importKey('raw', FieldCrypto.secretBytes(secret), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', hash: 'SHA-256', salt: FieldCrypto.hexToBytes(salt), iterations: KEY_ITERATIONS },
+      material,
+      256
+    );
+    return { salt, key: SecureSketch.bytesToHex(new Uint8Array(bits)) };
+  }
+
+  /**
+   * Get an account's key from its enrolled secret after a match
+   * Fields under an account key give its salt. An account whose fields are
+   * older, plaintext or legacy enc1 values, gets a new key, and the fields
+   * come back re-encrypted under it to be stored.
+   * @param {string} secret - The enrolled secret the verification recovered
+   * @param {Object} fields - Stored values by name; null and undefined ones are left alone
+   * @returns {Promise<Object>} { key, upgraded }: the account key, and the
+   *   re-encrypted fields by name, or null if they were current
+   */
+  static async unlock(secret, fields) {
+    const salt = Object.values(fields).map(FieldCrypto.keySalt).find(Boolean);
+    if (salt) {
+      return { key: await FieldCrypto.deriveKey(secret, salt), upgraded: null };
+    }
+
+    const key = await FieldCrypto.createKey(secret);
+    const upgraded = {};
+    for (const [name, value] of Object.entries(fields)) {
+      upgraded[name] = value === null || value === undefined
+        ? value
+        : await FieldCrypto.encrypt(key, await FieldCrypto.decryptLegacy(secret, value));
+    }
+    return { key, upgraded };
+  }
+
+  /**
+   * Encrypt a field
+   * @param {Object} accountKey - { salt, key } from createKey or deriveKey
+   * @param {string} text - The plaintext
+   * @returns {Promise<string>} The encrypted value to store
+   */
+  static async encrypt(accountKey, text) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await FieldCrypto.fieldKey(FieldCrypto.hexToBytes(accountKey.key), salt);
+
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+
+    return [
+      ENCRYPTED_PREFIX,
+      accountKey.salt,
+      SecureSketch.bytesToHex(salt),
+      SecureSketch.bytesToHex(iv),
+      SecureSketch.bytesToHex(new Uint8Array(ciphertext))
+    ].join('$');
+  }
+
+  /**
+   * Decrypt a field; plaintext values from older accounts are returned as they are
+   * @param {Object} accountKey - { salt, key } from deriveKey
+   * @param {string} value - The stored value
+   * @returns {Promise<string>} The plaintext
+   */
+  static async decrypt(accountKey, value) {
+    if (!FieldCrypto.isEncrypted(value)) {
+      return value;
+    }
+
+    const [prefix, accountSalt, salt, iv, ciphertext] = value.split('$');
+    if (prefix !== ENCRYPTED_PREFIX || accountSalt !== accountKey.salt) {
+      throw new Error('Unable to decrypt account details with this image');
+    }
+
+    const key = await FieldCrypto.fieldKey(FieldCrypto.hexToBytes(accountKey.key), FieldCrypto.hexToBytes(salt));
+    return FieldCrypto.open(key, iv, ciphertext);
+  }
+
+  /**
+   * Decrypt a field stored before account keys
+   * @param {string} secret - The enrolled perceptual hash as hex, or the joined hashes of a sequence
+   * @param {string} value - A plaintext or enc1 value
+   * @returns {Promise<string>} The plaintext
+   */
+  static async decryptLegacy(secret, value) {
+    if (!FieldCrypto.isEncrypted(value)) {
+      return value;
+    }
+
+    const [prefix, salt, iv, ciphertext] = value.split('$');
+    if (prefix !== LEGACY_PREFIX) {
+      throw new Error('Unable to decrypt account details with this image');
+    }
+
+    const key = await FieldCrypto.fieldKey(FieldCrypto.secretBytes(secret), FieldCrypto.hexToBytes(salt));
+    return FieldCrypto.open(key, iv, ciphertext);
+  }
+
+  /**
+   * Decrypt AES-GCM ciphertext
+   * @param {CryptoKey} key - The field's key
+   * @param {string} iv - IV as hex
+   * @param {string} ciphertext - Ciphertext as hex
+   * @returns {Promise<string>} The plaintext
+   */
+  static async open(key, iv, ciphertext) {
+    try {
+      const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: FieldCrypto.hexToBytes(iv) },
+        key,
+        FieldCrypto.hexToBytes(ciphertext)
+      );
+      return new TextDecoder().decode(plaintext);
+    } catch (error) {
+      throw new Error('Unable to decrypt account details with this image');
+    }
+  }
+
+  /**
+   * Derive the AES-GCM key for one field
+   * @param {Uint8Array} material - The account key, or for legacy values the secret itself
+   * @param {Uint8Array} salt - Random salt stored with the field
+   * @returns {Promise<CryptoKey>} The key
+   */
+  static async fieldKey(material, salt) {
+    const hkdf = await crypto.subtle.importKey('raw', material, 'HKDF', false, ['deriveKey']);
+
+    return crypto.subtle.deriveKey(
+      { name: 'HKDF', hash: 'SHA-256', salt, info: new TextEncoder().encode(KEY_INFO) },
+      hkdf,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * Key material of an enrolled secret
+   * @param {string} secret - A hash as hex, or text such as the joined hashes of a sequence
+   * @returns {Uint8Array} The bytes
+   */
+  static secretBytes(secret) {
+    return /^([0-9a-f]{2})+$/i.test(secret) ? FieldCrypto.hexToBytes(secret) : new TextEncoder().encode(secret);
+  }
+
+  /**
+   * Convert a hex string to bytes
+   * @param {string} hex - Hex string of even length
+   * @returns {Uint8Array} The bytes
+   */
+  static hexToBytes(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+  }
+}
+
+export default FieldCrypto;
@@ -0,0 +1,128 @@
+/**
+ * Perceptual hash algorithms
+ * Each strategy says what grayscale sample it needs and turns that sample into
+ * a binary hash string. They are registered with ImagePasswordSystem by name.
+ */
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values - Values to take the median of
+ * @returns {number} The median
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * One-dimensional DCT-II of a row of values
+ * @param {Array<number>} values - Input values
+ * @returns {Array<number>} DCT coefficients
+ */
+function dct(values) {
+  const n = values.length;
+  const result = new Array(n);
+  for (let k = 0; k < n; k++) {
+    let sum = 0;
+    for (let i = 0; i < n; i++) {
+      sum += values[i] * Math.cos((Math.PI / n) * (i + 0.5) * k);
+    }
+    result[k] = sum;
+  }
+  return result;
+}
+
+/**
+ * One level of the 2D Haar transform, keeping only the low-low band
+ * @param {Array<number>} pixels - Square grid of values, row-major
+ * @param {number} size - Width and height of the grid
+ * @returns {Array<number>} The low-low band, half the size in each direction
+ */
+function haarLowLow(pixels, size) {
+  const half = size / 2;
+  const band = new Array(half * half);
+  for (let y = 0; y < half; y++) {
+    for (let x = 0; x < half; x++) {
+      const i = 2 * y * size + 2 * x;
+      band[y * half + x] = (pixels[i] + pixels[i + 1] + pixels[i + size] + pixels[i + size + 1]) / 2;
+    }
+  }
+  return band;
+}
+
+const HASH_ALGORITHMS = {
+  /**
+   * Average hash: each pixel of a size×size sample compared with the mean
+   */
+  ahash: {
+    sampleSize: size => [size, size],
+    compute(pixels) {
+      const avg = pixels.reduce((sum, value) => sum + value, 0) / pixels.length;
+      return pixels.map(value => (value >= avg ? '1' : '0')).join('');
+    }
+  },
+
+  /**
+   * Difference hash: each pixel compared with its right-hand neighbour
+   */
+  dhash: {
+    sampleSize: size => [size + 1, size],
+    compute(pixels, size) {
+      let hash = '';
+      for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+          const i = y * (size + 1) + x;
+          hash += pixels[i] > pixels[i + 1] ? '1' : '0';
+        }
+      }
+      return hash;
+    }
+  },
+
+  /**
+   * DCT hash: low-frequency DCT coefficients of a 4×oversampled image
+   * compared with their median
+   */
+  phash: {
+    sampleSize: size => [size * 4, size * 4],
+    compute(pixels, size) {
+      const n = size * 4;
+
+      // Separable 2D DCT: rows first, then columns
+      const rows = [];
+      for (let y = 0; y < n; y++) {
+        rows.push(dct(pixels.slice(y * n, (y + 1) * n)));
+      }
+      const coefficients = [];
+      for (let x = 0; x < size; x++) {
+        const column = dct(rows.map(row => row[x]));
+        for (let y = 0; y < size; y++) {
+          coefficients[y * size + x] = column[y];
+        }
+      }
+
+      const med = median(coefficients);
+      return coefficients.map(value => (value > med ? '1' : '0')).join('');
+    }
+  },
+
+  /**
+   * Wavelet hash: low-low Haar band of a 4×oversampled image compared with
+   * its median
+   */
+  whash: {
+    sampleSize: size => [size * 4, size * 4],
+    compute(pixels, size) {
+      let band = pixels;
+      for (let level = size * 4; level > size; level /= 2) {
+        band = haarLowLow(band, level);
+      }
+
+      const med = median(band);
+      return band.map(value => (value > med ? '1' : '0')).join('');
+    }
+  }
+};
+
+export default HASH_ALGORITHMS;
@@ -0,0 +1,454 @@
+/**
+ * HashEngine - The single perceptual hashing pipeline
+ * Used by the browser and by the server, so every step after decoding is done
+ * in plain JavaScript rather than with canvas filters:
+ *
+ *   1. Decode the input to RGBA pixels (canvas in the browser, a registered
+ *      decoder in Node; ImageData-like objects are used as they are) and turn
+ *      it upright as its EXIF orientation says
+ *   2. Composite over black and convert to grayscale with the CSS
+ *      grayscale(100%) weights: 0.2126 R + 0.7152 G + 0.0722 B
+ *   3. Resample to the algorithm's sample size with an area-average box filter
+ *   4. Run the hash algorithm and convert the bits to hex
+ *
+ * Two options of an algorithm change these steps:
+ *
+ *   - color: two opponent channels, red - green and blue - yellow, are hashed
+ *     like the grayscale one, and a chroma hash taking alternate bits from
+ *     each is appended, so the hash is twice as long
+ *   - robust: only the middle ROBUST_CROPS[0] of the width and height is
+ *     hashed, and candidates() also hashes the image rotated, mirrored and
+ *     cropped to the other ROBUST_CROPS, for a login to try each. A photo
+ *     cropped to 90% of its size still holds the registered middle as 89% of
+ *     its own.
+ *
+ * Accounts registered before this pipeline, which have no recorded
+ * algorithm, were hashed by drawing the image onto an 8×8 canvas. Their
+ * verifiers only match that canvas's output, so legacyHash() keeps it for them.
+ */
+
+import HASH_ALGORITHMS from './hash-algorithms.js';
+
+// Algorithm used by accounts registered before algorithms were recorded
+const LEGACY_ALGORITHM = { name: 'ahash', size: 8 };
+
+// Side of the canvas those accounts' images were drawn onto
+const LEGACY_SIZE = 8;
+
+// Sides a hash can have; each gives a power of two bits, as the secure sketch needs
+const SIZES = [8, 16];
+
+// Share of the width and height hashed by robust algorithms, then the shares
+// tried at login for copies with their edges cropped
+const ROBUST_CROPS = [0.8, 0.84, 0.89, 0.94];
+
+// Clockwise rotations in degrees, with and without mirroring, tried by robust algorithms
+const ORIENTATIONS = [0, 90, 180, 270].flatMap(rotate => [{ rotate, flip: false }, { rotate, flip: true }]);
+
+// EXIF orientation tag values as the mirroring and rotation that turn the image upright
+const EXIF_ORIENTATIONS = {
+  2: { rotate: 0, flip: true },
+  3: { rotate: 180, flip: false },
+  4: { rotate: 180, flip: true },
+  5: { rotate: 270, flip: true },
+  6: { rotate: 90, flip: false },
+  7: { rotate: 90, flip: true },
+  8: { rotate: 270, flip: false }
+};
+
+const algorithms = new Map(Object.entries(HASH_ALGORITHMS));
+
+// Decoder for environments without createImageBitmap, see setDecoder
+let decoder = null;
+
+class HashEngine {
+  /**
+   * Register a perceptual hash algorithm
+   * @param {string} name - Name stored with accounts that use the algorithm
+   * @param {Object} strategy - { sampleSize(size) => [width, height], compute(pixels, size) => binary string }
+   */
+  static registerAlgorithm(name, strategy) {
+    algorithms.set(name, strategy);
+  }
+
+  /**
+   * List the names of the registered hash algorithms
+   * @returns {Array<string>} Algorithm names
+   */
+  static getAlgorithms() {
+    return [...algorithms.keys()];
+  }
+
+  /**
+   * Set the image decoder used when the environment has no canvas (Node)
+   * @param {Function} fn - (bytes: Uint8Array) => { width, height, data, orientation },
+   *   with the EXIF orientation if the image has one
+   */
+  static setDecoder(fn) {
+    decoder = fn;
+  }
+
+  /**
+   * Normalize a stored hash algorithm description
+   * Accounts without one were registered with the original 8×8 average hash
+   * @param {string|Object|null} value - JSON string, object or null
+   * @returns {Object} { name, size, color, robust }
+   */
+  static parseAlgorithm(value) {
+    if (!value) {
+      return { ...LEGACY_ALGORITHM };
+    }
+
+    const spec = typeof value === 'string' ? JSON.parse(value) : value;
+    const size = spec.size === undefined ? 8 : spec.size;
+
+    if (!algorithms.has(spec.name)) {
+      throw new Error(`Unknown hash algorithm: ${spec.name}`);
+    }
+
+    if (!SIZES.includes(size)) {
+      throw new Error(`Unsupported hash size: ${size}`);
+    }
+
+    return { name: spec.name, size, color: spec.color === true, robust: spec.robust === true };
+  }
+
+  /**
+   * Serialize a hash algorithm description for the `hashAlgorithm` column
+   * Options are only written when set, so plain algorithms keep their old form.
+   * @param {string|Object} algorithm - Hash algorithm description
+   * @returns {string} JSON string
+   */
+  static serializeAlgorithm(algorithm) {
+    const { name, size, color, robust } = HashEngine.parseAlgorithm(algorithm);
+    return JSON.stringify({ name, size, ...(color && { color }), ...(robust && { robust }) });
+  }
+
+  /**
+   * Number of hashes a login may try for one image
+   * @param {string|Object|null} algorithm - Hash algorithm description
+   * @returns {number} 1; 2 for an account without a recorded algorithm, which
+   *   is also tried with legacyHash(); or every rotation, mirroring and crop
+   *   tried by a robust algorithm
+   */
+  static candidateCount(algorithm) {
+    if (!algorithm) {
+      return 2;
+    }
+    return HashEngine.parseAlgorithm(algorithm).robust ? ORIENTATIONS.length * ROBUST_CROPS.length : 1;
+  }
+
+  /**
+   * Hash an image
+   * @param {File|Blob|Uint8Array|ImageData} input - Encoded image or decoded pixels
+   * @param {string|Object} [algorithm] - Hash algorithm; the legacy 8×8 average hash by default
+   * @returns {Promise<string>} The hash as a hex string
+   */
+  static async hash(input, algorithm = null) {
+    const imageData = await HashEngine.decode(input);
+    return HashEngine.hashImageData(imageData, algorithm);
+  }
+
+  /**
+   * Hash decoded pixels
+   * @param {Object} imageData - { width, height, data } with RGBA data
+   * @param {string|Object} [algorithm] - Hash algorithm description
+   * @returns {string} The hash as a hex string
+   */
+  static hashImageData(imageData, algorithm = null) {
+    return HashEngine.hashVariants(imageData, HashEngine.parseAlgorithm(algorithm), false)[0];
+  }
+
+  /**
+   * Hash an image every way a login tries it
+   * @param {File|Blob|Uint8Array|ImageData} input - Encoded image or decoded pixels
+   * @param {string|Object} [algorithm] - Hash algorithm description
+   * @returns {Promise<Array<string>>} The hash as registered first, then for a
+   *   robust algorithm the other rotations, mirrorings and crops
+   */
+  static async candidates(input, algorithm = null) {
+    const imageData = await HashEngine.decode(input);
+    return HashEngine.hashVariants(imageData, HashEngine.parseAlgorithm(algorithm), true);
+  }
+
+  /**
+   * Hash decoded pixels as registered, or in every variant
+   * @param {Object} imageData - { width, height, data } with RGBA data
+   * @param {Object} algorithm - { name, size, color, robust } from parseAlgorithm
+   * @param {boolean} all - Whether to hash every rotation, mirroring and crop of a robust algorithm
+   * @returns {Array<string>} Hex hashes, the registered one first
+   */
+  static hashVariants(imageData, { name, size, color, robust }, all) {
+    const strategy = algorithms.get(name);
+    const [width, height] = strategy.sampleSize(size);
+    const channels = color ? HashEngine.toChannels(imageData) : [HashEngine.toGrayscale(imageData)];
+    const crops = !robust ? [1] : all ? ROBUST_CROPS : ROBUST_CROPS.slice(0, 1);
+    const orientations = robust && all ? ORIENTATIONS : ORIENTATIONS.slice(0, 1);
+
+    const hashes = [];
+    for (const orientation of orientations) {
+      const turned = channels.map(channel => HashEngine.transform({ width: imageData.width, height: imageData.height, data: channel }, 1, orientation));
+
+      for (const share of crops) {
+        const [luma, redGreen, blueYellow] = turned.map(channel => {
+          const area = HashEngine.centerArea(channel.width, channel.height, share);
+          return strategy.compute(HashEngine.resample(channel.data, channel.width, channel.height, width, height, area), size);
+        });
+        const chroma = color ? [...redGreen].map((bit, i) => (i % 2 ? blueYellow[i] : bit)).join('') : '';
+        hashes.push(HashEngine.binaryToHex(luma + chroma));
+      }
+    }
+    return hashes;
+  }
+
+  /**
+   * Hash an image the way accounts without a recorded algorithm were hashed
+   * The browser drew it onto an 8×8 canvas through a grayscale filter and
+   * compared each pixel's red value with their mean. The canvas's resampling
+   * is the browser's own and differs from resample(), and those accounts
+   * stored an exact SHA-256 of the hash, so only this gives a hash they match.
+   * @param {File|Blob|Uint8Array|ImageData} input - The image
+   * @returns {Promise<string|null>} The hash as hex, or null where there is no
+   *   canvas (Node) or the image is not an encoded file
+   */
+  static async legacyHash(input) {
+    if (typeof document === 'undefined' || typeof Image === 'undefined' || !(input instanceof Blob)) {
+      return null;
+    }
+
+    const url = URL.createObjectURL(input);
+    try {
+      const image = await new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error('Failed to load image'));
+        img.src = url;
+      });
+
+      const canvas = Object.assign(document.createElement('canvas'), { width: LEGACY_SIZE, height: LEGACY_SIZE });
+      const ctx = canvas.getContext('2d');
+      ctx.filter = 'grayscale(100%)';
+      ctx.drawImage(image, 0, 0, LEGACY_SIZE, LEGACY_SIZE);
+      const { data } = ctx.getImageData(0, 0, LEGACY_SIZE, LEGACY_SIZE);
+
+      const red = [];
+      for (let i = 0; i < data.length; i += 4) {
+        red.push(data[i]);
+      }
+      const mean = red.reduce((sum, value) => sum + value, 0) / red.length;
+      return HashEngine.binaryToHex(red.map(value => (value >= mean ? '1' : '0')).join(''));
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  /**
+   * Decode an image to RGBA pixels
+   * @param {File|Blob|Uint8Array|ImageData} input - The image
+   * @returns {Promise<Object>} { width, height, data }
+   */
+  static async decode(input) {
+    if (input && input.data && input.width && input.height) {
+      return input;
+    }
+
+    if (typeof createImageBitmap === 'function' && typeof Blob !== 'undefined' && input instanceof Blob) {
+      const bitmap = await createImageBitmap(input, { imageOrientation: 'from-image' });
+      const canvas = typeof OffscreenCanvas !== 'undefined'
+        ? new OffscreenCanvas(bitmap.width, bitmap.height)
+        : Object.assign(document.createElement('canvas'), { width: bitmap.width, height: bitmap.height });
+      const ctx = canvas.getContext('2d');
+
+      ctx.drawImage(bitmap, 0, 0);
+      bitmap.close();
+      return ctx.getImageData(0, 0, canvas.width, canvas.height);
+    }
+
+    if (!decoder) {
+      throw new Error('No image decoder available in this environment');
+    }
+
+    const bytes = input instanceof Uint8Array ? input : new Uint8Array(await input.arrayBuffer());
+    const { width, height, data, orientation } = decoder(bytes);
+    if (!EXIF_ORIENTATIONS[orientation]) {
+      return { width, height, data };
+    }
+    return HashEngine.transform({ width, height, data }, 4, EXIF_ORIENTATIONS[orientation]);
+  }
+
+  /**
+   * Mirror and rotate pixels
+   * @param {Object} image - { width, height, data } with `channels` values per pixel, row-major
+   * @param {number} channels - Values per pixel
+   * @param {Object} orientation - { rotate, flip }: mirrored left to right first
+   *   if flip is set, then rotated clockwise by 0, 90, 180 or 270 degrees
+   * @returns {Object} { width, height, data }, the image itself if nothing changes
+   */
+  static transform(image, channels, { rotate, flip }) {
+    if (rotate === 0 && !flip) {
+      return image;
+    }
+
+    const { width, height, data } = image;
+    const turned = rotate === 90 || rotate === 270;
+    const outWidth = turned ? height : width;
+    const outHeight = turned ? width : height;
+    const out = new data.constructor(data.length);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const fx = flip ? width - 1 - x : x;
+        const [tx, ty] = rotate === 90 ? [height - 1 - y, fx]
+          : rotate === 180 ? [width - 1 - fx, height - 1 - y]
+            : rotate === 270 ? [y, width - 1 - fx]
+              : [fx, y];
+        const source = (y * width + x) * channels;
+        const target = (ty * outWidth + tx) * channels;
+        for (let c = 0; c < channels; c++) {
+          out[target + c] = data[source + c];
+        }
+      }
+    }
+
+    return { width: outWidth, height: outHeight, data: out };
+  }
+
+  /**
+   * The middle of an image, for resample
+   * The edges are kept fractional, so the same share of a larger or smaller
+   * copy of the image covers the same part of it.
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @param {number} share - Share of the width and height to keep, 0-1
+   * @returns {Object|null} { left, top, width, height } in pixels, or null for the whole image
+   */
+  static centerArea(width, height, share) {
+    if (share >= 1) {
+      return null;
+    }
+    return { left: (width * (1 - share)) / 2, top: (height * (1 - share)) / 2, width: width * share, height: height * share };
+  }
+
+  /**
+   * Convert RGBA pixels to grayscale, compositing transparent pixels over black
+   * @param {Object} imageData - { width, height, data }
+   * @returns {Float64Array} One value per pixel, 0-255
+   */
+  static toGrayscale({ width, height, data }) {
+    const gray = new Float64Array(width * height);
+    for (let i = 0; i < gray.length; i++) {
+      const p = i * 4;
+      const luma = 0.2126 * data[p] + 0.7152 * data[p + 1] + 0.0722 * data[p + 2];
+      gray[i] = (luma * data[p + 3]) / 255;
+    }
+    return gray;
+  }
+
+  /**
+   * Split RGBA pixels into grayscale and opponent color channels, composited over black
+   * @param {Object} imageData - { width, height, data }
+   * @returns {Array<Float64Array>} Gray, red - green and blue - yellow, one value
+   *   per pixel each; the color channels are shifted and halved into 0-255
+   */
+  static toChannels(imageData) {
+    const { width, height, data } = imageData;
+    const redGreen = new Float64Array(width * height);
+    const blueYellow = new Float64Array(width * height);
+    for (let i = 0; i < redGreen.length; i++) {
+      const p = i * 4;
+      const alpha = data[p + 3] / 255;
+      redGreen[i] = ((data[p] - data[p + 1]) * alpha + 255) / 2;
+      blueYellow[i] = ((data[p + 2] - (data[p] + data[p + 1]) / 2) * alpha + 255) / 2;
+    }
+    return [HashEngine.toGrayscale(imageData), redGreen, blueYellow];
+  }
+
+  /**
+   * Resample a grayscale image with an area-average box filter
+   * Each target pixel is the mean of the source area it covers, with partially
+   * covered source pixels weighted by their overlap
+   *
+   * @param {Float64Array} gray - Source values, row-major
+   * @param {number} srcWidth - Source width
+   * @param {number} srcHeight - Source height
+   * @param {number} width - Target width
+   * @param {number} height - Target height
+   * @param {Object} [area] - { left, top, width, height } of the source to
+   *   resample, in source pixels, which may be fractional; the whole image by default
+   * @returns {Array<number>} Target values, row-major
+   */
+  static resample(gray, srcWidth, srcHeight, width, height, area = null) {
+    const { left, top, width: areaWidth, height: areaHeight } = area || { left: 0, top: 0, width: srcWidth, height: srcHeight };
+    const horizontal = HashEngine.boxWeights(srcWidth, width, left, areaWidth);
+    const vertical = HashEngine.boxWeights(srcHeight, height, top, areaHeight);
+
+    // Horizontal pass: srcHeight rows of `width` values
+    const rows = new Float64Array(srcHeight * width);
+    for (let y = 0; y < srcHeight; y++) {
+      for (let x = 0; x < width; x++) {
+        let sum = 0;
+        for (const [sx, weight] of horizontal[x]) {
+          sum += gray[y * srcWidth + sx] * weight;
+        }
+        rows[y * width + x] = sum;
+      }
+    }
+
+    // Vertical pass
+    const pixels = new Array(width * height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let sum = 0;
+        for (const [sy, weight] of vertical[y]) {
+          sum += rows[sy * width + x] * weight;
+        }
+        pixels[y * width + x] = sum;
+      }
+    }
+    return pixels;
+  }
+
+  /**
+   * Source indices and normalized weights covered by each target pixel
+   * @param {number} srcSize - Source length
+   * @param {number} size - Target length
+   * @param {number} [offset] - Start of the stretch of source to cover
+   * @param {number} [length] - Length of the stretch of source to cover
+   * @returns {Array<Array<[number, number]>>} Per target pixel, [index, weight] pairs
+   */
+  static boxWeights(srcSize, size, offset = 0, length = srcSize) {
+    const scale = length / size;
+    const weights = [];
+
+    for (let i = 0; i < size; i++) {
+      const start = offset + i * scale;
+      const end = start + scale;
+      const taps = [];
+
+      for (let s = Math.floor(start); s < Math.min(Math.ceil(end), srcSize); s++) {
+        const overlap = Math.min(end, s + 1) - Math.max(start, s);
+        if (overlap > 0) {
+          taps.push([s, overlap / scale]);
+        }
+      }
+      weights.push(taps);
+    }
+    return weights;
+  }
+
+  /**
+   * Convert binary string to hexadecimal
+   * @param {string} binary - Binary string to convert
+   * @returns {string} Hexadecimal representation
+   */
+  static binaryToHex(binary) {
+    let hex = '';
+    for (let i = 0; i < binary.length; i += 4) {
+      const chunk = binary.substr(i, 4);
+      hex += parseInt(chunk, 2).toString(16);
+    }
+    return hex;
+  }
+}
+
+export default HashEngine;
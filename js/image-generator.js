@@ -0,0 +1,609 @@
+/**
+ * ImageGenerator - Draws the image for a generated password
+ * A plain JavaScript rasterizer shared by the browser and Node, so a seed
+ * gives the same pixels, and the same PNG bytes, everywhere. Coordinates are
+ * in eighths of a pixel and shapes are anti-aliased by counting which of 4×4
+ * sample points per pixel they cover. Only integer operations and the exactly
+ * rounded + - * / are used, so no step depends on the platform's floating
+ * point functions or on a canvas implementation.
+ *
+ * Images come in several styles, each drawn at a choice of sizes. Every style
+ * has versioned renderers: an image's pixels never change for a given seed,
+ * style, version and size, and a change to the drawing gets a new version
+ * instead. These options are stored with the account (see serialize) and in
+ * a tEXt chunk of the PNG.
+ */
+
+import PngEncoder from './png-encoder.js';
+
+// Style and size used for new images
+const DEFAULT_STYLE = 'shapes';
+const DEFAULT_SIZE = 256;
+
+// Sizes, in pixels, an image can be drawn at
+const SIZES = [128, 256, 512, 1024];
+
+// Options of images generated before they were recorded
+const LEGACY_OPTIONS = { style: 'shapes', version: 1, size: 256 };
+
+// Sub-pixel units per pixel, and sample points per pixel along each axis
+const UNITS = 8;
+const SAMPLES = 4;
+
+// Keyword of the tEXt chunk that records the options
+const OPTIONS_KEYWORD = 'ImagePasswordGenerator';
+
+// Opacity of solid fills
+const OPAQUE = [1, 1];
+
+/**
+ * Drawing surface with integer coverage-based anti-aliasing
+ */
+class Raster {
+  /**
+   * @param {number} width - Width in pixels
+   * @param {number} height - Height in pixels
+   */
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.data = new Uint8ClampedArray(width * height * 4);
+  }
+
+  /**
+   * Fill every pixel with an opaque color
+   * @param {Array<number>} color - [r, g, b]
+   */
+  clear([r, g, b]) {
+    for (let i = 0; i < this.data.length; i += 4) {
+      this.data.set([r, g, b, 255], i);
+    }
+  }
+
+  /**
+   * Set every pixel to an opaque color computed from its position
+   * @param {Function} color - (x, y) => [r, g, b] for the pixel at column x, row y
+   */
+  paint(color) {
+    for (let y = 0; y < this.height; y++) {
+      for (let x = 0; x < this.width; x++) {
+        const [r, g, b] = color(x, y);
+        this.data.set([r, g, b, 255], (y * this.width + x) * 4);
+      }
+    }
+  }
+
+  /**
+   * Blend a shape into the image
+   * @param {Object} bounds - { left, top, right, bottom } in sub-pixel units
+   * @param {Function} inside - (x, y) => boolean for a point in sub-pixel units
+   * @param {Array<number>} color - [r, g, b]
+   * @param {Array<number>} opacity - [numerator, denominator]
+   */
+  fill({ left, top, right, bottom }, inside, color, [numerator, denominator]) {
+    const x0 = Math.max(0, Math.floor(left / UNITS));
+    const y0 = Math.max(0, Math.floor(top / UNITS));
+    const x1 = Math.min(this.width - 1, Math.floor(right / UNITS));
+    const y1 = Math.min(this.height - 1, Math.floor(bottom / UNITS));
+    const total = denominator * SAMPLES * SAMPLES;
+    const step = UNITS / SAMPLES;
+
+    for (let py = y0; py <= y1; py++) {
+      for (let px = x0; px <= x1; px++) {
+        let covered = 0;
+        for (let sy = 0; sy < SAMPLES; sy++) {
+          for (let sx = 0; sx < SAMPLES; sx++) {
+            // Sample points sit in the middle of their cell
+            if (inside(px * UNITS + sx * step + step / 2, py * UNITS + sy * step + step / 2)) {
+              covered++;
+            }
+          }
+        }
+        if (covered === 0) continue;
+
+        const weight = numerator * covered;
+        const offset = (py * this.width + px) * 4;
+        for (let channel = 0; channel < 3; channel++) {
+          const blended = this.data[offset + channel] * (total - weight) + color[channel] * weight;
+          this.data[offset + channel] = Math.floor((blended + total / 2) / total);
+        }
+      }
+    }
+  }
+
+  /**
+   * Fill a rectangle
+   * @param {number} left - Left edge in sub-pixel units
+   * @param {number} top - Top edge in sub-pixel units
+   * @param {number} right - Right edge in sub-pixel units
+   * @param {number} bottom - Bottom edge in sub-pixel units
+   * @param {Array<number>} color - [r, g, b]
+   * @param {Array<number>} opacity - [numerator, denominator]
+   */
+  rect(left, top, right, bottom, color, opacity) {
+    this.fill(
+      { left, top, right, bottom },
+      (x, y) => x >= left && x < right && y >= top && y < bottom,
+      color,
+      opacity
+    );
+  }
+
+  /**
+   * Fill a circle
+   * @param {number} cx - Center x in sub-pixel units
+   * @param {number} cy - Center y in sub-pixel units
+   * @param {number} radius - Radius in sub-pixel units
+   * @param {Array<number>} color - [r, g, b]
+   * @param {Array<number>} opacity - [numerator, denominator]
+   */
+  circle(cx, cy, radius, color, opacity) {
+    this.fill(
+      { left: cx - radius, top: cy - radius, right: cx + radius, bottom: cy + radius },
+      (x, y) => (x - cx) * (x - cx) + (y - cy) * (y - cy) <= radius * radius,
+      color,
+      opacity
+    );
+  }
+
+  /**
+   * Fill a triangle
+   * @param {Array<Array<number>>} points - Three [x, y] corners in sub-pixel units
+   * @param {Array<number>} color - [r, g, b]
+   * @param {Array<number>} opacity - [numerator, denominator]
+   */
+  triangle(points, color, opacity) {
+    const xs = points.map(([x]) => x);
+    const ys = points.map(([, y]) => y);
+    const edge = ([ax, ay], [bx, by], x, y) => (bx - ax) * (y - ay) - (by - ay) * (x - ax);
+    const [a, b, c] = points;
+
+    this.fill(
+      { left: Math.min(...xs), top: Math.min(...ys), right: Math.max(...xs), bottom: Math.max(...ys) },
+      (x, y) => {
+        const e1 = edge(a, b, x, y);
+        const e2 = edge(b, c, x, y);
+        const e3 = edge(c, a, x, y);
+        return (e1 >= 0 && e2 >= 0 && e3 >= 0) || (e1 <= 0 && e2 <= 0 && e3 <= 0);
+      },
+      color,
+      opacity
+    );
+  }
+
+  /**
+   * Draw a line with round ends
+   * @param {number} ax - Start x in sub-pixel units
+   * @param {number} ay - Start y in sub-pixel units
+   * @param {number} bx - End x in sub-pixel units
+   * @param {number} by - End y in sub-pixel units
+   * @param {number} width - Line width in sub-pixel units
+   * @param {Array<number>} color - [r, g, b]
+   * @param {Array<number>} opacity - [numerator, denominator]
+   */
+  line(ax, ay, bx, by, width, color, opacity) {
+    const half = width / 2;
+    const dx = bx - ax;
+    const dy = by - ay;
+    const length = dx * dx + dy * dy;
+
+    this.fill(
+      {
+        left: Math.min(ax, bx) - half,
+        top: Math.min(ay, by) - half,
+        right: Math.max(ax, bx) + half,
+        bottom: Math.max(ay, by) + half
+      },
+      (x, y) => {
+        // Compare squared distances to the segment, scaled by its squared length to stay in integers
+        const along = (x - ax) * dx + (y - ay) * dy;
+        if (along <= 0 || along >= length) {
+          const [ex, ey] = along <= 0 ? [ax, ay] : [bx, by];
+          return (x - ex) * (x - ex) + (y - ey) * (y - ey) <= half * half;
+        }
+        const across = (x - ax) * dy - (y - ay) * dx;
+        return across * across <= half * half * length;
+      },
+      color,
+      opacity
+    );
+  }
+}
+
+/**
+ * Small fast pseudo-random generator (sfc32) seeded from the password digest
+ * Uses 32-bit integer arithmetic only, so the sequence is the same everywhere.
+ */
+class Random {
+  /**
+   * @param {Array<number>} bytes - Seed, at least 16 bytes
+   */
+  constructor(bytes) {
+    this.state = [0, 4, 8, 12].map(i => ((bytes[i] << 24) | (bytes[i + 1] << 16) | (bytes[i + 2] << 8) | bytes[i + 3]) >>> 0);
+    for (let i = 0; i < 12; i++) {
+      this.next();
+    }
+  }
+
+  /**
+   * Next value
+   * @returns {number} An unsigned 32-bit integer
+   */
+  next() {
+    let [a, b, c, d] = this.state;
+    const t = (((a + b) | 0) + d) | 0;
+    d = (d + 1) | 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) | 0;
+    c = (c << 21) | (c >>> 11);
+    c = (c + t) | 0;
+    this.state = [a, b, c, d];
+    return t >>> 0;
+  }
+
+  /**
+   * Integer below a limit
+   * @param {number} limit - Exclusive upper bound
+   * @returns {number} 0 to limit - 1
+   */
+  int(limit) {
+    return this.next() % limit;
+  }
+
+  /**
+   * Integer in a range
+   * @param {number} min - Lowest value
+   * @param {number} max - Highest value
+   * @returns {number} min to max inclusive
+   */
+  range(min, max) {
+    return min + this.int(max - min + 1);
+  }
+}
+
+/**
+ * Scale a byte to a coordinate
+ * @param {number} value - 0-255
+ * @param {number} extent - Size in sub-pixel units
+ * @returns {number} 0-extent, in whole sub-pixel units
+ */
+function scale(value, extent) {
+  return Math.floor((value * extent) / 255);
+}
+
+/**
+ * Convert an HSL color to RGB
+ * @param {number} hue - 0-359
+ * @param {number} saturation - 0-100
+ * @param {number} lightness - 0-100
+ * @returns {Array<number>} [r, g, b]
+ */
+function hsl(hue, saturation, lightness) {
+  const l = lightness / 100;
+  const a = (saturation / 100) * Math.min(l, 1 - l);
+  const channel = n => {
+    const k = (n + hue / 30) % 12;
+    return Math.floor((l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1))) * 255 + 0.5);
+  };
+  return [channel(0), channel(8), channel(4)];
+}
+
+/**
+ * Pick related colors spread from dark to light
+ * Perceptual hashes work on brightness, so a style's colors must differ in
+ * lightness, not only in hue, for its structure to show in the hash.
+ *
+ * @param {Random} random - Random generator
+ * @param {number} count - Number of colors, at least 2
+ * @returns {Array<Array<number>>} [r, g, b] colors, darkest first
+ */
+function palette(random, count) {
+  const hue = random.int(360);
+  const spread = random.range(25, 60);
+  return Array.from({ length: count }, (_, i) =>
+    hsl((hue + i * spread) % 360, random.range(45, 85), 18 + Math.floor((i * 64) / (count - 1))));
+}
+
+// Styles: a label for the UI and renderers by version,
+// (digest: Array<number>, size: number) => { width, height, data }
+const STYLES = {
+  shapes: {
+    label: 'Shapes',
+    renderers: {
+      // Translucent circles, squares and triangles over a flat background, crossed by five lines
+      1(values, size) {
+        const extent = size * UNITS;
+        const byte = i => values[i % values.length];
+        // Sizes are designed for 256×256
+        const scaleSize = units => Math.floor((units * size) / 256);
+        const raster = new Raster(size, size);
+
+        raster.clear([values[0], values[1], values[2]]);
+
+        const numShapes = 20 + (values[3] % 30);
+        for (let i = 0; i < numShapes; i++) {
+          const colorIndex = i * 3;
+          const color = [byte(colorIndex), byte(colorIndex + 1), byte(colorIndex + 2)];
+          const shapeType = byte(i + 4) % 3;
+          const x = scale(byte(i + 5), extent);
+          const y = scale(byte(i + 6), extent);
+          const shapeSize = scaleSize(10 * UNITS + scale(byte(i + 7), 50 * UNITS));
+          const half = Math.floor(shapeSize / 2);
+
+          if (shapeType === 0) {
+            raster.circle(x, y, shapeSize, color, [7, 10]);
+          } else if (shapeType === 1) {
+            raster.rect(x, y, x + shapeSize, y + shapeSize, color, [7, 10]);
+          } else {
+            raster.triangle([[x, y - half], [x + half, y + half], [x - half, y + half]], color, [7, 10]);
+          }
+        }
+
+        const lineColor = [values[8], values[9], values[10]];
+        const lineWidth = scaleSize((2 + (values[11] % 4)) * UNITS);
+        for (let i = 0; i < 5; i++) {
+          raster.line(
+            scale(byte(i * 2 + 12), extent),
+            scale(byte(i * 2 + 13), extent),
+            scale(byte(i * 2 + 14), extent),
+            scale(byte(i * 2 + 15), extent),
+            lineWidth,
+            lineColor,
+            OPAQUE
+          );
+        }
+
+        return raster;
+      }
+    }
+  },
+
+  mosaic: {
+    label: 'Geometric mosaic',
+    renderers: {
+      // A grid of tiles, each split diagonally or holding a disc in a second color
+      1(values, size) {
+        const random = new Random(values);
+        const extent = size * UNITS;
+        const colors = palette(random, 5);
+        const cells = random.range(4, 7);
+        const edge = i => Math.floor((i * extent) / cells);
+        const raster = new Raster(size, size);
+
+        raster.clear(colors[0]);
+
+        for (let row = 0; row < cells; row++) {
+          for (let column = 0; column < cells; column++) {
+            const [left, top, right, bottom] = [edge(column), edge(row), edge(column + 1), edge(row + 1)];
+            const accent = colors[random.int(colors.length)];
+
+            raster.rect(left, top, right, bottom, colors[random.int(colors.length)], OPAQUE);
+
+            const pattern = random.int(4);
+            if (pattern === 1) {
+              raster.triangle([[left, top], [right, top], [left, bottom]], accent, OPAQUE);
+            } else if (pattern === 2) {
+              raster.triangle([[left, top], [right, top], [right, bottom]], accent, OPAQUE);
+            } else if (pattern === 3) {
+              const radius = Math.floor(((right - left) * 3) / 8);
+              raster.circle(Math.floor((left + right) / 2), Math.floor((top + bottom) / 2), radius, accent, OPAQUE);
+            }
+          }
+        }
+
+        return raster;
+      }
+    }
+  },
+
+  landscape: {
+    label: 'Landscape silhouettes',
+    renderers: {
+      // A sky gradient and a sun behind ridges that darken towards the front
+      1(values, size) {
+        const random = new Random(values);
+        const extent = size * UNITS;
+        const hue = random.int(360);
+        const sky = hsl(hue, random.range(40, 80), random.range(15, 35));
+        const horizon = hsl((hue + random.range(20, 60)) % 360, random.range(50, 90), random.range(70, 88));
+        const raster = new Raster(size, size);
+
+        raster.paint((x, y) => sky.map((top, channel) => top + Math.floor(((horizon[channel] - top) * y) / (size - 1))));
+
+        raster.circle(
+          Math.floor((extent * random.range(15, 85)) / 100),
+          Math.floor((extent * random.range(10, 40)) / 100),
+          Math.floor((extent * random.range(6, 12)) / 100),
+          hsl((hue + 180) % 360, random.range(60, 90), random.range(80, 92)),
+          OPAQUE
+        );
+
+        const layers = random.range(3, 5);
+        for (let layer = 0; layer < layers; layer++) {
+          const segments = random.range(4, 9);
+          const baseline = Math.floor((extent * (40 + Math.floor((layer * 45) / layers))) / 100);
+          const amplitude = Math.floor((extent * (24 - layer * 4)) / 100);
+          const heights = Array.from({ length: segments + 1 }, () => baseline - random.int(amplitude));
+          const color = hsl((hue + 200 + layer * 10) % 360, random.range(20, 50), Math.max(6, 52 - layer * 12));
+
+          const ridge = x => {
+            const segment = Math.min(segments - 1, Math.floor((x * segments) / extent));
+            const start = Math.floor((segment * extent) / segments);
+            const end = Math.floor(((segment + 1) * extent) / segments);
+            const [from, to] = [heights[segment], heights[segment + 1]];
+            return from + Math.floor(((to - from) * (x - start)) / (end - start));
+          };
+
+          raster.fill(
+            { left: 0, top: Math.min(...heights), right: extent, bottom: extent },
+            (x, y) => y >= ridge(x),
+            color,
+            OPAQUE
+          );
+        }
+
+        return raster;
+      }
+    }
+  },
+
+  identicon: {
+    label: 'Symmetric sprite',
+    renderers: {
+      // A 7×7 grid of cells mirrored left to right, in two colors on a pale background
+      1(values, size) {
+        const random = new Random(values);
+        const extent = size * UNITS;
+        const cells = 7;
+        const hue = random.int(360);
+        const background = hsl(hue, random.range(10, 30), random.range(88, 95));
+        const foreground = hsl(hue, random.range(55, 85), random.range(22, 40));
+        const accent = hsl((hue + random.range(90, 270)) % 360, random.range(55, 85), random.range(50, 62));
+        const cell = Math.floor((extent * 8) / 10 / cells);
+        const offset = Math.floor((extent - cell * cells) / 2);
+        const raster = new Raster(size, size);
+
+        raster.clear(background);
+
+        for (let row = 0; row < cells; row++) {
+          for (let column = 0; column < Math.ceil(cells / 2); column++) {
+            const choice = random.int(5);
+            if (choice < 2) continue;
+
+            const color = choice < 4 ? foreground : accent;
+            for (const x of new Set([column, cells - 1 - column])) {
+              const left = offset + x * cell;
+              const top = offset + row * cell;
+              raster.rect(left, top, left + cell, top + cell, color, OPAQUE);
+            }
+          }
+        }
+
+        return raster;
+      }
+    }
+  },
+
+  gradient: {
+    label: 'Abstract gradient',
+    renderers: {
+      // Colors radiating from a few points and blending where they meet
+      1(values, size) {
+        const random = new Random(values);
+        const count = random.range(4, 6);
+        const area = size * size;
+        const colors = palette(random, count);
+        const points = colors.map(color => ({ x: random.int(size), y: random.int(size), color }));
+        const raster = new Raster(size, size);
+
+        raster.paint((x, y) => {
+          let total = 0;
+          const mixed = [0, 0, 0];
+          for (const point of points) {
+            const distance = ((x - point.x) * (x - point.x) + (y - point.y) * (y - point.y)) / area + 0.01;
+            const weight = 1 / (distance * distance);
+            total += weight;
+            for (let channel = 0; channel < 3; channel++) {
+              mixed[channel] += point.color[channel] * weight;
+            }
+          }
+          return mixed.map(value => Math.floor(value / total + 0.5));
+        });
+
+        return raster;
+      }
+    }
+  }
+};
+
+class ImageGenerator {
+  /**
+   * List the styles images can be drawn in
+   * @returns {Array<Object>} { name, label }
+   */
+  static getStyles() {
+    return Object.entries(STYLES).map(([name, { label }]) => ({ name, label }));
+  }
+
+  /**
+   * List the sizes images can be drawn at
+   * @returns {Array<number>} Widths (and heights) in pixels
+   */
+  static getSizes() {
+    return [...SIZES];
+  }
+
+  /**
+   * Latest renderer version of a style
+   * @param {string} [style] - Style name; the default style if omitted
+   * @returns {number} The version used for new images
+   */
+  static latestVersion(style = DEFAULT_STYLE) {
+    return Math.max(...Object.keys(STYLES[style].renderers).map(Number));
+  }
+
+  /**
+   * Normalize stored generator options
+   * Accounts without any were generated before styles existed
+   * @param {string|Object|null} value - JSON string, object or null
+   * @returns {Object} { style, version, size }
+   */
+  static parseOptions(value) {
+    if (!value) {
+      return { ...LEGACY_OPTIONS };
+    }
+
+    const spec = typeof value === 'string' ? JSON.parse(value) : value;
+    const style = spec.style || DEFAULT_STYLE;
+    if (!STYLES[style]) {
+      throw new Error(`Unknown image style: ${style}`);
+    }
+
+    const version = spec.version ?? ImageGenerator.latestVersion(style);
+    if (!STYLES[style].renderers[version]) {
+      throw new Error(`Unknown version ${version} of image style ${style}`);
+    }
+
+    const size = spec.size ?? DEFAULT_SIZE;
+    if (!SIZES.includes(size)) {
+      throw new Error(`Unsupported image size: ${size}`);
+    }
+
+    return { style, version, size };
+  }
+
+  /**
+   * Serialize generator options for storage with an account
+   * @param {Object} [options] - { style, version, size }; defaults and the latest version fill the rest
+   * @returns {string} JSON description
+   */
+  static serialize(options = {}) {
+    return JSON.stringify(ImageGenerator.parseOptions(options));
+  }
+
+  /**
+   * Draw the image for a seed
+   * @param {string} seed - The generated password
+   * @param {Object|string} [options] - { style, version, size }; the default style at its latest version by default
+   * @returns {Promise<Object>} { width, height, data } with RGBA data
+   */
+  static async render(seed, options = {}) {
+    const { style, version, size } = ImageGenerator.parseOptions(options);
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(seed));
+    const { width, height, data } = STYLES[style].renderers[version]([...new Uint8Array(digest)], size);
+    return { width, height, data };
+  }
+
+  /**
+   * Draw the image for a seed as a PNG file
+   * @param {string} seed - The generated password
+   * @param {Object|string} [options] - { style, version, size }
+   * @returns {Promise<Uint8Array>} The PNG file, identical for the same seed and options
+   */
+  static async generate(seed, options = {}) {
+    const imageData = await ImageGenerator.render(seed, options);
+    return PngEncoder.encode(imageData, { [OPTIONS_KEYWORD]: ImageGenerator.serialize(options) });
+  }
+}
+
+export default ImageGenerator;
@@ -3,56 +3,190 @@
  * This module handles the perceptual hashing of images and password verification
  */
 
+import SecureSketch from './secure-sketch.js';
+import HashEngine from './hash-engine.js';
+import FieldCrypto from './field-crypto.js';
+import ImageStrength from './image-strength.js';
+import ImageRegion from './image-region.js';
+
+// Default number of differing hash bits still accepted as the same image
+const DEFAULT_THRESHOLD = 4;
+
+// Algorithm used for new registrations
+const DEFAULT_ALGORITHM = { name: 'phash', size: 8 };
+
+// Estimated image entropy, in bits, below which registration is refused, and below which it warns
+const DEFAULT_MIN_ENTROPY = 20;
+const DEFAULT_WARN_ENTROPY = 32;
+
+// Most images an image password can be a sequence of
+const MAX_IMAGES = 5;
+
 class ImagePasswordSystem {
-  constructor() {
-    this.canvas = document.createElement('canvas');
-    this.ctx = this.canvas.getContext('2d');
+  /**
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.threshold] - Hamming distance tolerated for new registrations
+   * @param {Object} [options.algorithm] - Hash algorithm for new registrations, e.g. { name: 'dhash', size: 8 }
+   * @param {number} [options.minEntropy] - Estimated image entropy, in bits, below which images are refused
+   * @param {number} [options.warnEntropy] - Estimated image entropy, in bits, below which images are accepted with a warning
+   */
+  constructor(options = {}) {
+    this.threshold = options.threshold ?? DEFAULT_THRESHOLD;
+    this.algorithm = ImagePasswordSystem.parseAlgorithm(options.algorithm || DEFAULT_ALGORITHM);
+    this.minEntropy = options.minEntropy ?? DEFAULT_MIN_ENTROPY;
+    this.warnEntropy = options.warnEntropy ?? DEFAULT_WARN_ENTROPY;
   }
 
   /**
-   * Generate a perceptual hash for the image
-   * @param {File} imageFile - The image file to hash
-   * @returns {Promise<string>} A hex string representing the image hash
+   * Register a perceptual hash algorithm
+   * @param {string} name - Name stored with accounts that use the algorithm
+   * @param {Object} strategy - { sampleSize(size) => [width, height], compute(pixels, size) => binary string }
    */
-  async generateImageHash(imageFile) {
-    try {
-      // Load the image
-      const image = await this.loadImage(imageFile);
+  static registerHashAlgorithm(name, strategy) {
+    HashEngine.registerAlgorithm(name, strategy);
+  }
+
+  /**
+   * List the names of the registered hash algorithms
+   * @returns {Array<string>} Algorithm names
+   */
+  static getHashAlgorithms() {
+    return HashEngine.getAlgorithms();
+  }
+
+  /**
+   * Most images an image password can be a sequence of
+   * @returns {number} The limit
+   */
+  static getMaxImages() {
+    return MAX_IMAGES;
+  }
 
-      // Resize to small dimensions to normalize the image
-      this.canvas.width = 8;
-      this.canvas.height = 8;
+  /**
+   * Number of images, in order, a stored password needs
+   * @param {string|null} storedHash - The stored password
+   * @returns {number} 1 unless the password was registered with a sequence
+   */
+  static imageCount(storedHash) {
+    return storedHash ? SecureSketch.imageCount(storedHash) : 1;
+  }
 
-      // Draw the image in grayscale
-      this.ctx.filter = 'grayscale(100%)';
-      this.ctx.drawImage(image, 0, 0, 8, 8);
+  /**
+   * Normalize a stored hash algorithm description
+   * Accounts without one were registered with the original 8×8 average hash
+   * @param {string|Object|null} value - JSON string, object or null
+   * @returns {Object} { name, size, color, robust }
+   */
+  static parseAlgorithm(value) {
+    return HashEngine.parseAlgorithm(value);
+  }
 
-      // Get pixel data
-      const pixelData = this.ctx.getImageData(0, 0, 8, 8).data;
+  /**
+   * Most hashes a login to an account may try for one image
+   * @param {string|Object|null} algorithm - The account's hash algorithm
+   * @returns {number} 1; 2 for an account without one, tried with the legacy
+   *   canvas hash too; or the rotations, mirrorings and crops of a robust algorithm
+   */
+  static candidateCount(algorithm) {
+    return HashEngine.candidateCount(algorithm);
+  }
 
-      // Calculate average pixel value
-      let sum = 0;
-      for (let i = 0; i < pixelData.length; i += 4) {
-        sum += pixelData[i]; // Just using red channel since image is grayscale
-      }
-      const avg = sum / (pixelData.length / 4);
+  /**
+   * Serialize a hash algorithm for storage with an account
+   * @param {Object} [algorithm] - { name, size, color, robust }; defaults to the one used for new registrations
+   * @returns {string} JSON description of the algorithm
+   */
+  serializeAlgorithm(algorithm = this.algorithm) {
+    return HashEngine.serializeAlgorithm(algorithm);
+  }
 
-      // Generate binary hash based on whether pixel is above or below average
-      let hash = '';
-      for (let i = 0; i < pixelData.length; i += 4) {
-        hash += pixelData[i] >= avg ? '1' : '0';
+  /**
+   * Generate a perceptual hash for the image
+   * The hashes of a sequence of images are joined in order into one string,
+   * which the other methods accept wherever a hash is expected.
+   * @param {File|Blob|ImageData|Array} imageFile - The image to hash, or a sequence of images
+   * @param {string|Object} [algorithm] - Hash algorithm; defaults to the one used for new registrations
+   * @returns {Promise<string>} A hex string representing the image hash
+   */
+  async generateImageHash(imageFile, algorithm = this.algorithm) {
+    try {
+      const hashes = [];
+      for (const image of [].concat(imageFile)) {
+        hashes.push(await HashEngine.hash(image, algorithm));
       }
+      return SecureSketch.joinHashes(hashes);
+    } catch (error) {
+      console.error('Error generating image hash:', error);
+      throw error;
+    }
+  }
 
-      // Convert binary hash to hex for easier use
-      const hexHash = this.binaryToHex(hash);
+  /**
+   * Hash an image every way a login tries it
+   * A robust algorithm gives a hash for each rotation, mirroring and crop of a
+   * single image. An account without a recorded algorithm (null) is also tried
+   * with HashEngine.legacyHash where the browser can compute it, since it was
+   * registered with that canvas pipeline. Otherwise, and for a sequence, this
+   * is generateImageHash's hash.
+   * @param {File|Blob|ImageData|Array} imageFile - The image to hash, or a sequence of images
+   * @param {string|Object|null} [algorithm] - Hash algorithm; defaults to the one used for new registrations
+   * @returns {Promise<Array<string>>} Hex hashes, the image as given first
+   */
+  async generateCandidateHashes(imageFile, algorithm = this.algorithm) {
+    const images = [].concat(imageFile);
+    if (!algorithm && images.length === 1) {
+      const hash = await this.generateImageHash(images, algorithm);
+      const legacy = await HashEngine.legacyHash(images[0]);
+      return legacy ? [hash, legacy] : [hash];
+    }
+    if (images.length > 1 || !ImagePasswordSystem.parseAlgorithm(algorithm).robust) {
+      return [await this.generateImageHash(images, algorithm)];
+    }
 
-      return hexHash;
+    try {
+      return await HashEngine.candidates(images[0], algorithm);
     } catch (error) {
       console.error('Error generating image hash:', error);
       throw error;
     }
   }
 
+  /**
+   * Cut a selected region out of an image, snapped to the account's grid
+   * @param {File|Blob|Uint8Array|ImageData} imageFile - The image
+   * @param {Object} region - { shape, points } as selected, see ImageRegion
+   * @param {Object} grid - { tolerance, offsets } from ImageRegion.createGrid
+   * @returns {Promise<Object>} The region's pixels, which can be given wherever an image is expected
+   */
+  async cropImage(imageFile, region, grid) {
+    return ImageRegion.crop(await HashEngine.decode(imageFile), ImageRegion.snap(region, grid));
+  }
+
+  /**
+   * Estimate how hard an image would be to guess as a new password
+   * @param {File|Blob|ImageData|Array} imageFile - The image, or a sequence of images
+   * @param {Array<number>} [thresholds] - Threshold each image would be registered with
+   * @param {string|Object} [algorithm] - Hash algorithm it would be registered with
+   * @returns {Promise<Object>} ImageStrength's analysis, plus a level: 'weak'
+   *   (refused), 'fair' (accepted with a warning) or 'strong'
+   */
+  async analyzeImage(imageFile, thresholds = null, algorithm = this.algorithm) {
+    const analyses = [];
+    for (const [i, image] of [].concat(imageFile).entries()) {
+      analyses.push(await ImageStrength.analyze(image, { algorithm, threshold: thresholds?.[i] ?? this.threshold }));
+    }
+    const analysis = analyses.length === 1 ? analyses[0] : ImageStrength.combine(analyses);
+
+    let level = 'strong';
+    if (analysis.entropy < this.minEntropy) {
+      level = 'weak';
+    } else if (analysis.entropy < this.warnEntropy) {
+      level = 'fair';
+    }
+
+    return { ...analysis, level };
+  }
+
   /**
    * Load an image from a file
    * @param {File} file - The image file to load
@@ -80,16 +214,12 @@ class ImagePasswordSystem {
    * @returns {string} Hexadecimal representation
    */
   binaryToHex(binary) {
-    let hex = '';
-    for (let i = 0; i < binary.length; i += 4) {
-      const chunk = binary.substr(i, 4);
-      hex += parseInt(chunk, 2).toString(16);
-    }
-    return hex;
+    return HashEngine.binaryToHex(binary);
   }
 
   /**
    * Generate a password from the image hash
+   * Only used to check verifiers stored before tolerant matching was added
    * @param {string} hash - The image hash
    * @returns {Promise<string>} The generated password
    */
@@ -99,83 +229,211 @@ class ImagePasswordSystem {
   }
 
   /**
-   * Simple implementation of SHA-256
-   * @param {string} message - The message to hash
-   * @returns {Promise<string>} SHA-256 hash as hex string
+   * Create the stored verifier for an image hash
+   * The hash is protected by a secure sketch, so it can later be matched
+   * within the configured Hamming distance without being stored in the clear.
+   * A sequence hash gets one verifier that only matches the whole sequence.
+   * @param {string} hash - The image hash, or the joined hashes of a sequence
+   * @param {Array<number>} [thresholds] - Hamming distance tolerated for each image; defaults to the configured threshold
+   * @returns {Promise<string>} The verifier to store as the account password
    */
-  async sha256(message) {
-    const encoder = new TextEncoder();
-    const data = encoder.encode(message);
-    const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-    const hashArray = Array.from(new Uint8Array(hashBuffer));
-    const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-    return hashHex;
+  async createVerifier(hash, thresholds = null) {
+    const hashes = SecureSketch.splitHashes(hash);
+    const limits = hashes.map((_, i) => thresholds?.[i] ?? this.threshold);
+
+    if (hashes.length > MAX_IMAGES) {
+      throw new Error(`An image password can have at most ${MAX_IMAGES} images`);
+    }
+    if (hashes.length > 1) {
+      return SecureSketch.createSequenceVerifier(hashes, limits);
+    }
+
+    const sketch = new SecureSketch(hash.length * 4, limits[0]);
+    return sketch.createVerifier(hash);
   }
 
   /**
- * Verify if an image matches the stored password
- * This is the correct method for the ImagePasswordSystem class
- *
- * @param {File} imageFile - The image file to verify
- * @param {string} storedHash - The stored password hash to check against
- * @returns {Promise<boolean>} Whether the image matches the stored password
- */
-  async verifyImagePassword(imageFile, storedHash) {
-    try {
-      // Generate a unique identifier for this verification attempt
-      const verificationId = Date.now().toString();
-      console.log(`Starting verification ${verificationId}`);
+   * Compare an image hash with a stored password
+   * Handles secure sketch verifiers as well as the older formats: a SHA-256
+   * of the hash (exact match only) and a raw hash (generated images)
+   *
+   * @param {string} hash - The image hash to check
+   * @param {string} storedHash - The stored password
+   * @returns {Promise<Object>} { match, distance, threshold, hash } where hash is
+   *   the enrolled hash, which encrypted fields are keyed on, if it matched
+   */
+  async compareHash(hash, storedHash) {
+    if (SecureSketch.isVerifier(storedHash)) {
+      return SecureSketch.verify(hash, storedHash);
+    }
 
-      // Load the image manually to ensure no caching
-      const image = await this.loadImage(imageFile);
-      console.log(`Verification ${verificationId}: Image loaded, dimensions: ${image.width}x${image.height}`);
+    // Older formats only ever held a single image
+    if (SecureSketch.splitHashes(hash).length > 1) {
+      return { match: false, distance: null, threshold: this.threshold, hash: null };
+    }
 
-      // Create a fresh canvas for this verification
-      const canvas = document.createElement('canvas');
-      const ctx = canvas.getContext('2d');
+    if (storedHash.length === hash.length) {
+      const distance = SecureSketch.hammingDistance(hash, storedHash);
+      const match = distance <= this.threshold;
+      return { match, distance, threshold: this.threshold, hash: match ? storedHash : null };
+    }
 
-      // Resize to small dimensions to normalize the image
-      canvas.width = 8;
-      canvas.height = 8;
+    const password = await this.generatePassword(hash);
+    const match = password === storedHash;
+    return { match, distance: match ? 0 : null, threshold: 0, hash: match ? hash : null };
+  }
 
-      // Draw the image in grayscale
-      ctx.filter = 'grayscale(100%)';
-      ctx.drawImage(image, 0, 0, 8, 8);
+  /**
+   * Compare each of an image's candidate hashes with a stored password
+   * @param {Array<string>} hashes - Hashes from generateCandidateHashes
+   * @param {string} storedHash - The stored password
+   * @returns {Promise<Object>} compareHash's result for the first hash that
+   *   matches, or for the first hash if none does
+   */
+  async compareCandidates(hashes, storedHash) {
+    let first = null;
+    for (const hash of hashes) {
+      const result = await this.compareHash(hash, storedHash);
+      if (result.match) {
+        return result;
+      }
+      first = first || result;
+    }
+    return first;
+  }
 
-      // Get pixel data
-      const pixelData = ctx.getImageData(0, 0, 8, 8).data;
+  /**
+   * Hash an image once for each algorithm in use by some accounts, for
+   * findMatchingAccounts; the accounts' verifiers are not needed here
+   * @param {File|Blob|ImageData|Array} imageFile - The image, or a sequence of images
+   * @param {Array<Object>} accounts - Accounts with their `hashAlgorithm`
+   * @returns {Promise<Object>} The hash of each image, in order, by serialized algorithm
+   */
+  async hashesForAccounts(imageFile, accounts) {
+    const images = [].concat(imageFile);
+    const hashes = {};
 
-      // Calculate average pixel value
-      let sum = 0;
-      for (let i = 0; i < pixelData.length; i += 4) {
-        sum += pixelData[i]; // Just using red channel since image is grayscale
+    for (const account of accounts) {
+      const algorithm = this.serializeAlgorithm(ImagePasswordSystem.parseAlgorithm(account.hashAlgorithm));
+      if (!hashes[algorithm]) {
+        hashes[algorithm] = [];
+        for (const image of images) {
+          hashes[algorithm].push(await this.generateImageHash(image, algorithm));
+        }
       }
-      const avg = sum / (pixelData.length / 4);
+    }
 
-      // Generate binary hash based on whether pixel is above or below average
-      let hash = '';
-      for (let i = 0; i < pixelData.length; i += 4) {
-        hash += pixelData[i] >= avg ? '1' : '0';
-      }
+    return hashes;
+  }
 
-      // Convert binary hash to hex for easier use
-      const hexHash = this.binaryToHex(hash);
-      console.log(`Verification ${verificationId}: Generated hash: ${hexHash}`);
+  /**
+   * Find the accounts an image would also unlock
+   * Each account's secure sketch is checked with the image's hash for its
+   * algorithm, so it matches within that account's threshold. Accounts whose
+   * verifier is not a sketch are skipped. Of a sequence of images, each image
+   * is checked against single-image accounts and the whole sequence against
+   * sequence accounts. The verifiers never leave the server, so this runs there.
+   *
+   * @param {Object} hashes - The image's hashes by algorithm, from hashesForAccounts
+   * @param {Array<Object>} accounts - Accounts with their verifiers in `password`
+   * @returns {Promise<Array<Object>>} The accounts the image matches
+   */
+  async findMatchingAccounts(hashes, accounts) {
+    const matching = [];
 
-      // Generate password from the hash
-      const password = await this.generatePassword(hexHash);
-      console.log(`Verification ${verificationId}: Generated password: ${password.substring(0, 10)}...`);
-      console.log(`Verification ${verificationId}: Stored password: ${storedHash.substring(0, 10)}...`);
+    for (const account of accounts) {
+      if (!account.password || !SecureSketch.isVerifier(account.password)) continue;
 
-      // Compare the generated password with the stored one
-      const isMatch = password === storedHash;
-      console.log(`Verification ${verificationId}: Password match: ${isMatch}`);
+      const algorithm = this.serializeAlgorithm(ImagePasswordSystem.parseAlgorithm(account.hashAlgorithm));
+      if (!Object.hasOwn(hashes, algorithm)) continue;
 
-      return isMatch;
-    } catch (error) {
-      console.error('Error verifying image password:', error);
-      throw error;
+      const imageHashes = hashes[algorithm];
+      const candidates = SecureSketch.isSequence(account.password) ? [SecureSketch.joinHashes(imageHashes)] : imageHashes;
+      for (const hash of candidates) {
+        try {
+          if ((await this.compareHash(hash, account.password)).match) {
+            matching.push(account);
+            break;
+          }
+        } catch (error) {
+          // A verifier for a hash of another length cannot match
+        }
+      }
     }
+
+    return matching;
+  }
+
+  /**
+   * Create the key a new image password's account fields are encrypted under
+   * @param {string} secret - The enrolled image hash, combined with the click-point key if any
+   * @returns {Promise<Object>} { salt, key }, see FieldCrypto.createKey
+   */
+  async createFieldKey(secret) {
+    return FieldCrypto.createKey(secret);
+  }
+
+  /**
+   * Encrypt an account field so only a matching image can read it
+   * @param {Object} fieldKey - The account's key, from createFieldKey or a verification
+   * @param {string} text - The plaintext
+   * @returns {Promise<string>} The encrypted value to store
+   */
+  async encryptField(fieldKey, text) {
+    return FieldCrypto.encrypt(fieldKey, text);
+  }
+
+  /**
+   * Decrypt an account field
+   * @param {Object} fieldKey - The account's key, from a verification
+   * @param {string} value - The stored value; plaintext from older accounts is returned as is
+   * @returns {Promise<string>} The plaintext
+   */
+  async decryptField(fieldKey, value) {
+    return FieldCrypto.decrypt(fieldKey, value);
+  }
+
+  /**
+   * Check whether a stored account field is encrypted
+   * @param {string} value - The stored value
+   * @returns {boolean} True if the value needs a matching image to read
+   */
+  isEncryptedField(value) {
+    return FieldCrypto.isEncrypted(value);
+  }
+
+  /**
+   * Check whether a stored account field is encrypted under an account's key
+   * @param {Object} fieldKey - The account's key, from a verification
+   * @param {string} value - The stored value
+   * @returns {boolean} False for values from before account keys, which the server re-encrypts on unlock
+   */
+  isEncryptedWith(fieldKey, value) {
+    return FieldCrypto.keySalt(value) === fieldKey.salt;
+  }
+
+  /**
+   * Count the differing bits between two image hashes
+   * @param {string} a - First hash as hex
+   * @param {string} b - Second hash as hex
+   * @returns {number} The Hamming distance
+   */
+  hammingDistance(a, b) {
+    return SecureSketch.hammingDistance(a, b);
+  }
+
+  /**
+   * Simple implementation of SHA-256
+   * @param {string} message - The message to hash
+   * @returns {Promise<string>} SHA-256 hash as hex string
+   */
+  async sha256(message) {
+    const encoder = new TextEncoder();
+    const data = encoder.encode(message);
+    const hashBuffer = await crypto.subtle.digest('SHA-256', data);
+    const hashArray = Array.from(new Uint8Array(hashBuffer));
+    const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+    return hashHex;
   }
 }
 
@@ -0,0 +1,224 @@
+/**
+ * ImageRegion - Regions of a photo used as the image password
+ * Anyone with a copy of a photo can present the whole of it, so an account
+ * can instead be registered with a region of the photo: only the pixels inside
+ * it are hashed, and at login roughly the same region has to be selected again.
+ *
+ * A region is { shape, points } with points on a SCALE × SCALE grid laid over
+ * the image, so it does not depend on the size the image is shown at:
+ *
+ *   - 'rect': two opposite corners
+ *   - 'freeform': an outline traced by hand, in order
+ *
+ * A perceptual hash moves by several bits when its crop shifts by 1% of the
+ * image, and by more when a freeform outline is traced again, so a selection
+ * is not hashed as drawn. The edges of its bounding rectangle are snapped with
+ * centered discretization, as in ClickPoints: each edge e gets its own grid of
+ * cells 2r wide with e in the middle of one, and a later edge e' lands in the
+ * same cell exactly when e - r <= e' < e + r. The middle of that cell is e
+ * again, so a close enough selection crops exactly the registered pixels. A
+ * freeform region is therefore hashed by the rectangle around it.
+ *
+ * The grid offsets are stored in the clear with the account, since they are
+ * needed before the image is known; the cells are the secret. The selection
+ * itself is kept encrypted under the image, like the account's other fields.
+ *
+ * Stored values look like: {"tolerance":25,"offsets":[l,t,r,b],"selection":"enc1$..."}
+ */
+
+// Points are stored on a SCALE × SCALE grid laid over the image
+const SCALE = 1000;
+
+// Distance from a registered edge, in grid units, at which a selection still counts
+const DEFAULT_TOLERANCE = 25;
+
+// Smallest width and height of a region, in grid units
+const MIN_SIZE = 100;
+
+// Most points a freeform outline can have
+const MAX_POINTS = 200;
+
+const SHAPES = ['rect', 'freeform'];
+
+class ImageRegion {
+  /**
+   * Shapes a region can have
+   * @returns {Array<string>} Shape names
+   */
+  static getShapes() {
+    return [...SHAPES];
+  }
+
+  /**
+   * Most points a freeform outline can have
+   * @returns {number} The limit
+   */
+  static getMaxPoints() {
+    return MAX_POINTS;
+  }
+
+  /**
+   * Convert a position on the shown image to a point
+   * @param {number} x - Distance from the image's left edge, in display pixels
+   * @param {number} y - Distance from the image's top edge, in display pixels
+   * @param {number} width - Displayed width of the image
+   * @param {number} height - Displayed height of the image
+   * @returns {Array<number>} [x, y] on the SCALE × SCALE grid
+   */
+  static normalize(x, y, width, height) {
+    const scale = (value, size) => Math.min(SCALE, Math.max(0, Math.round((value / size) * SCALE)));
+    return [scale(x, width), scale(y, height)];
+  }
+
+  /**
+   * Check that a selection can be used as a region
+   * @param {Object} region - { shape, points }
+   * @throws {Error} Saying what is wrong with it
+   */
+  static check(region) {
+    const onGrid = value => Number.isInteger(value) && value >= 0 && value <= SCALE;
+    if (!region || !SHAPES.includes(region.shape) || !Array.isArray(region.points) ||
+      !region.points.every(point => Array.isArray(point) && point.length === 2 && point.every(onGrid))) {
+      throw new Error('Invalid region');
+    }
+
+    const count = region.points.length;
+    if (region.shape === 'rect' ? count !== 2 : count < 3 || count > MAX_POINTS) {
+      throw new Error('Invalid region');
+    }
+
+    const { left, top, right, bottom } = ImageRegion.bounds(region);
+    if (right - left < MIN_SIZE || bottom - top < MIN_SIZE) {
+      throw new Error(`Please select a region at least ${(MIN_SIZE * 100) / SCALE}% of the image wide and high`);
+    }
+  }
+
+  /**
+   * Serialize a selection, to be encrypted with the account's fields
+   * @param {Object} region - { shape, points }
+   * @returns {string} JSON description of the selection
+   */
+  static serialize({ shape, points }) {
+    return JSON.stringify({ shape, points });
+  }
+
+  /**
+   * Read a decrypted selection
+   * @param {string} value - JSON from serialize
+   * @returns {Object} { shape, points }
+   */
+  static parse(value) {
+    const { shape, points } = JSON.parse(value);
+    const region = { shape, points };
+    ImageRegion.check(region);
+    return region;
+  }
+
+  /**
+   * Create the grid a new region's edges are snapped to
+   * @param {Object} region - { shape, points }, as registered
+   * @param {number} [tolerance] - Distance from each edge that still counts, in grid units
+   * @returns {Object} { tolerance, offsets } with an offset for the left, top, right and bottom edges
+   */
+  static createGrid(region, tolerance = DEFAULT_TOLERANCE) {
+    ImageRegion.check(region);
+
+    const size = 2 * tolerance;
+    const { left, top, right, bottom } = ImageRegion.bounds(region);
+    return {
+      tolerance,
+      offsets: [left, top, right, bottom].map(edge => (((edge - tolerance) % size) + size) % size)
+    };
+  }
+
+  /**
+   * Serialize a region for the account's `region` column
+   * @param {Object} grid - { tolerance, offsets } from createGrid
+   * @param {string} selection - The encrypted selection
+   * @returns {string} JSON to store
+   */
+  static serializeGrid({ tolerance, offsets }, selection) {
+    return JSON.stringify({ tolerance, offsets, selection });
+  }
+
+  /**
+   * Read an account's `region` column
+   * @param {string} value - The stored JSON
+   * @returns {Object} { tolerance, offsets, selection }
+   */
+  static parseGrid(value) {
+    const { tolerance, offsets, selection } = JSON.parse(value);
+    if (!Number.isInteger(tolerance) || tolerance < 1 || tolerance > SCALE / 2 ||
+      !Array.isArray(offsets) || offsets.length !== 4 ||
+      !offsets.every(offset => Number.isInteger(offset) && offset >= 0 && offset < 2 * tolerance) ||
+      typeof selection !== 'string') {
+      throw new Error('Malformed region');
+    }
+    return { tolerance, offsets, selection };
+  }
+
+  /**
+   * Snap a selection to the rectangle it stands for
+   * @param {Object} region - { shape, points }, as selected
+   * @param {Object} grid - { tolerance, offsets } the account was registered with
+   * @returns {Object} { left, top, right, bottom } on the grid; the registered
+   *   rectangle for any selection whose edges are within the tolerance
+   */
+  static snap(region, { tolerance, offsets }) {
+    const size = 2 * tolerance;
+    const { left, top, right, bottom } = ImageRegion.bounds(region);
+    const [snapLeft, snapTop, snapRight, snapBottom] = [left, top, right, bottom]
+      .map((edge, i) => offsets[i] + Math.floor((edge - offsets[i]) / size) * size + tolerance);
+
+    return { left: snapLeft, top: snapTop, right: snapRight, bottom: snapBottom };
+  }
+
+  /**
+   * The smallest rectangle holding a selection
+   * @param {Object} region - { shape, points }
+   * @returns {Object} { left, top, right, bottom } on the grid
+   */
+  static bounds({ points }) {
+    const xs = points.map(([x]) => x);
+    const ys = points.map(([, y]) => y);
+    return { left: Math.min(...xs), top: Math.min(...ys), right: Math.max(...xs), bottom: Math.max(...ys) };
+  }
+
+  /**
+   * The outline of a selection as a polygon
+   * @param {Object} region - { shape, points }
+   * @returns {Array<Array<number>>} Corners on the grid, in order
+   */
+  static outline(region) {
+    if (region.shape !== 'rect') {
+      return region.points;
+    }
+
+    const { left, top, right, bottom } = ImageRegion.bounds(region);
+    return [[left, top], [right, top], [right, bottom], [left, bottom]];
+  }
+
+  /**
+   * Cut a rectangle out of decoded pixels
+   * @param {Object} imageData - { width, height, data } with RGBA data
+   * @param {Object} rect - { left, top, right, bottom } on the grid, from snap
+   * @returns {Object} { width, height, data } holding the rectangle
+   */
+  static crop({ width, height, data }, rect) {
+    const toPixel = (value, size) => Math.min(size, Math.max(0, Math.round((value * size) / SCALE)));
+    const left = Math.min(width - 1, toPixel(rect.left, width));
+    const top = Math.min(height - 1, toPixel(rect.top, height));
+    const cropWidth = Math.max(1, toPixel(rect.right, width) - left);
+    const cropHeight = Math.max(1, toPixel(rect.bottom, height) - top);
+
+    const cropped = new Uint8ClampedArray(cropWidth * cropHeight * 4);
+    for (let y = 0; y < cropHeight; y++) {
+      const source = ((top + y) * width + left) * 4;
+      cropped.set(data.subarray(source, source + cropWidth * 4), y * cropWidth * 4);
+    }
+
+    return { width: cropWidth, height: cropHeight, data: cropped };
+  }
+}
+
+export default ImageRegion;
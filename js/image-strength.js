@@ -0,0 +1,201 @@
+/**
+ * ImageStrength - Estimates how hard an image password is to guess
+ * An image's strength is the entropy of its perceptual hash, since that is all
+ * an attacker has to reproduce. Three things reduce it:
+ *
+ *   - Bit balance: a hash that is mostly ones or mostly zeros carries fewer
+ *     bits of information (binary entropy of the share of ones)
+ *   - Detail: near-uniform or low-detail images (a solid square, a mostly
+ *     blank screenshot) give hashes that follow from a few obvious choices,
+ *     so the estimate is scaled down by the image's contrast and by the share
+ *     of its area that has any texture
+ *   - Matching tolerance: every hash within the threshold unlocks the account,
+ *     so log2 of the number of such hashes is subtracted, and so is log2 of
+ *     the number of hashes a robust algorithm tries for each image
+ *
+ * The result is an estimate for telling weak images from strong ones, not a
+ * guarantee: a detailed stock photo anyone can download scores high.
+ *
+ * A sequence of images is only ever confirmed as a whole, so its entropy is
+ * the sum of its images', except that an image repeating an earlier one adds
+ * nothing.
+ */
+
+import HashEngine from './hash-engine.js';
+import SecureSketch from './secure-sketch.js';
+
+// Side of the grayscale thumbnail contrast and detail are measured on, and of the blocks it is split into
+const SAMPLE_SIZE = 64;
+const BLOCK_SIZE = 8;
+
+// Mean absolute Laplacian of a block's gray levels (0-255) below which it counts as
+// flat; smooth gradients have none, so they do not count as detail
+const FLAT_BLOCK = 2;
+
+// Contrast (standard deviation of the whole thumbnail) and share of detailed blocks that earn full credit
+const FULL_CONTRAST = 40;
+const FULL_DETAIL = 0.75;
+
+// Below these an issue is reported
+const LOW_CONTRAST = 12;
+const LOW_DETAIL = 0.5;
+const LOW_BALANCE = 0.3;
+
+class ImageStrength {
+  /**
+   * Analyze an image
+   * @param {File|Blob|Uint8Array|ImageData} input - The image
+   * @param {Object} options - { algorithm, threshold } the image would be registered with
+   * @returns {Promise<Object>} { entropy, maxEntropy, score, balance, contrast, detail, issues, hash, threshold }:
+   *   entropy in bits, score 0-100, balance as the share of ones in the hash,
+   *   contrast as a standard deviation of gray levels, detail as the share of
+   *   the image that is not flat, a list of problems found, and the hash and
+   *   threshold it was measured with
+   */
+  static async analyze(input, { algorithm = null, threshold = 0 } = {}) {
+    const imageData = await HashEngine.decode(input);
+    const hash = HashEngine.hashImageData(imageData, algorithm);
+    const gray = HashEngine.resample(HashEngine.toGrayscale(imageData), imageData.width, imageData.height, SAMPLE_SIZE, SAMPLE_SIZE);
+
+    const bits = hash.length * 4;
+    const ones = [...hash].reduce((count, digit) => count + ImageStrength.bitCount(parseInt(digit, 16)), 0);
+    const balance = ones / bits;
+    const contrast = ImageStrength.deviation(gray);
+    const detail = ImageStrength.detail(gray);
+
+    const quality = Math.min(1, contrast / FULL_CONTRAST) * Math.min(1, detail / FULL_DETAIL);
+    const tolerance = ImageStrength.toleranceBits(bits, threshold) + Math.log2(HashEngine.candidateCount(algorithm));
+    const maxEntropy = bits - tolerance;
+    const entropy = Math.max(0, bits * ImageStrength.binaryEntropy(balance) * quality - tolerance);
+
+    const issues = [];
+    if (contrast < LOW_CONTRAST) {
+      issues.push('The image is nearly uniform');
+    } else if (detail < LOW_DETAIL) {
+      issues.push('Most of the image has no detail');
+    }
+    if (Math.min(balance, 1 - balance) < LOW_BALANCE) {
+      issues.push('The image hash is unbalanced');
+    }
+
+    return {
+      entropy: Math.round(entropy * 10) / 10,
+      maxEntropy: Math.round(maxEntropy * 10) / 10,
+      score: Math.round((100 * entropy) / maxEntropy),
+      balance,
+      contrast: Math.round(contrast * 10) / 10,
+      detail,
+      issues,
+      hash,
+      threshold
+    };
+  }
+
+  /**
+   * Combine the analyses of the images in a sequence
+   * @param {Array<Object>} analyses - Results of analyze, in order
+   * @returns {Object} { entropy, maxEntropy, score, issues, images }, with the
+   *   analyses in images and each issue naming its image
+   */
+  static combine(analyses) {
+    let entropy = 0;
+    let maxEntropy = 0;
+    const issues = [];
+
+    analyses.forEach((analysis, i) => {
+      maxEntropy += analysis.maxEntropy;
+      issues.push(...analysis.issues.map(issue => `Image ${i + 1}: ${issue.charAt(0).toLowerCase()}${issue.slice(1)}`));
+
+      const repeated = analyses.slice(0, i).findIndex(earlier => earlier.hash.length === analysis.hash.length &&
+        SecureSketch.hammingDistance(earlier.hash, analysis.hash) <= Math.max(earlier.threshold, analysis.threshold));
+      if (repeated === -1) {
+        entropy += analysis.entropy;
+      } else {
+        issues.push(`Image ${i + 1} is the same as image ${repeated + 1}`);
+      }
+    });
+
+    return {
+      entropy: Math.round(entropy * 10) / 10,
+      maxEntropy: Math.round(maxEntropy * 10) / 10,
+      score: Math.round((100 * entropy) / maxEntropy),
+      issues,
+      images: analyses
+    };
+  }
+
+  /**
+   * Standard deviation of some values
+   * @param {Array<number>} values - The values
+   * @returns {number} The standard deviation
+   */
+  static deviation(values) {
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = values.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / values.length;
+    return Math.sqrt(variance);
+  }
+
+  /**
+   * Share of the thumbnail's blocks that are not flat
+   * @param {Array<number>} gray - SAMPLE_SIZE × SAMPLE_SIZE gray levels, row-major
+   * @returns {number} 0-1
+   */
+  static detail(gray) {
+    const blocks = SAMPLE_SIZE / BLOCK_SIZE;
+    const at = (x, y) => gray[Math.min(SAMPLE_SIZE - 1, Math.max(0, y)) * SAMPLE_SIZE + Math.min(SAMPLE_SIZE - 1, Math.max(0, x))];
+    let detailed = 0;
+
+    for (let by = 0; by < blocks; by++) {
+      for (let bx = 0; bx < blocks; bx++) {
+        let sum = 0;
+        for (let y = by * BLOCK_SIZE; y < (by + 1) * BLOCK_SIZE; y++) {
+          for (let x = bx * BLOCK_SIZE; x < (bx + 1) * BLOCK_SIZE; x++) {
+            sum += Math.abs(4 * at(x, y) - at(x - 1, y) - at(x + 1, y) - at(x, y - 1) - at(x, y + 1));
+          }
+        }
+        if (sum / (BLOCK_SIZE * BLOCK_SIZE) >= FLAT_BLOCK) {
+          detailed++;
+        }
+      }
+    }
+
+    return detailed / (blocks * blocks);
+  }
+
+  /**
+   * Binary entropy
+   * @param {number} p - Probability of a one
+   * @returns {number} Bits of information per bit, 0-1
+   */
+  static binaryEntropy(p) {
+    if (p <= 0 || p >= 1) return 0;
+    return -(p * Math.log2(p) + (1 - p) * Math.log2(1 - p));
+  }
+
+  /**
+   * Bits lost to matching tolerance: log2 of the number of hashes within the threshold of a given one
+   * @param {number} bits - Hash length
+   * @param {number} threshold - Hamming distance still accepted
+   * @returns {number} Bits
+   */
+  static toleranceBits(bits, threshold) {
+    let count = 0;
+    let combinations = 1;
+    for (let k = 0; k <= threshold; k++) {
+      count += combinations;
+      combinations = (combinations * (bits - k)) / (k + 1);
+    }
+    return Math.log2(count);
+  }
+
+  /**
+   * Number of set bits in a nibble
+   * @param {number} value - 0-15
+   * @returns {number} 0-4
+   */
+  static bitCount(value) {
+    return (value & 1) + ((value >> 1) & 1) + ((value >> 2) & 1) + ((value >> 3) & 1);
+  }
+}
+
+export default ImageStrength;
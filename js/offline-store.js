@@ -0,0 +1,321 @@
+/**
+ * OfflineStore - Encrypted IndexedDB storage for the offline copy of the vault
+ * Holds the cached accounts, the operations waiting to be synced, sync
+ * conflicts and the history of image verifications.
+ *
+ * Records are encrypted at rest with AES-GCM under a key generated by WebCrypto
+ * as non-extractable: it is kept in IndexedDB, but its bytes can never be read
+ * back out, so a copy of the database is useless on another machine. Each
+ * stored record looks like { <key>, <indexed fields>, iv, data }; only the key
+ * and the fields a store is indexed on (an account's name and creation time,
+ * a verification's account and time) are kept in the clear.
+ */
+
+import SyncEngine from './sync-engine.js';
+
+const DB_NAME = 'ImagePasswordApp';
+const DB_VERSION = 1;
+
+// Object stores and the fields each one is indexed on
+const STORES = {
+  accounts: { keyPath: 'id', indexes: ['name', 'createdAt'] },
+  operations: { keyPath: 'sequence', autoIncrement: true, indexes: [] },
+  conflicts: { keyPath: 'id', indexes: [] },
+  history: { keyPath: 'sequence', autoIncrement: true, indexes: ['accountId', 'verifiedAt'] }
+};
+
+// Unencrypted store for the encryption key and small settings
+const META_STORE = 'meta';
+
+// Data kept in local storage before IndexedDB, moved over on first open
+const LEGACY_KEYS = {
+  accounts: 'imagePasswordAccounts',
+  operations: 'imagePasswordSyncQueue',
+  conflicts: 'imagePasswordSyncConflicts',
+  user: 'imagePasswordSyncUser'
+};
+
+class OfflineStore {
+  constructor() {
+    this.opening = null;
+  }
+
+  /**
+   * Wait for an IndexedDB request
+   * @param {IDBRequest} request - The request
+   * @returns {Promise<*>} Its result
+   */
+  static request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Wait for a transaction to commit
+   * @param {IDBTransaction} transaction - The transaction
+   * @returns {Promise<void>}
+   */
+  static complete(transaction) {
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+  }
+
+  /**
+   * Open the database, creating it and moving local storage data into it the first time
+   * @returns {Promise<Object>} { db, key }
+   */
+  open() {
+    if (!this.opening) {
+      this.opening = this.connect().catch(error => {
+        this.opening = null;
+        throw error;
+      });
+    }
+    return this.opening;
+  }
+
+  /**
+   * Connect to the database and load the encryption key
+   * @returns {Promise<Object>} { db, key }
+   */
+  async connect() {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      for (const [name, { keyPath, autoIncrement, indexes }] of Object.entries(STORES)) {
+        const store = db.createObjectStore(name, { keyPath, autoIncrement: Boolean(autoIncrement) });
+        indexes.forEach(index => store.createIndex(index, index));
+      }
+      db.createObjectStore(META_STORE);
+    };
+    const db = await OfflineStore.request(request);
+
+    const transaction = db.transaction(META_STORE, 'readonly');
+    let key = await OfflineStore.request(transaction.objectStore(META_STORE).get('key'));
+    if (!key) {
+      key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+      await OfflineStore.request(db.transaction(META_STORE, 'readwrite').objectStore(META_STORE).put(key, 'key'));
+    }
+
+    const connection = { db, key };
+    await this.migrateLocalStorage(connection);
+    return connection;
+  }
+
+  /**
+   * Move data kept in local storage by earlier versions into the database
+   * Accounts without a version were saved while offline before changes were
+   * queued, and never reached the server; they are queued to be added now.
+   * Queued operations are bound to the user last seen logged in, and dropped
+   * if there was none, so they are never sent as someone else. Cached
+   * accounts kept their verifiers then; only the queue keeps them now.
+   * @param {Object} connection - { db, key }
+   */
+  async migrateLocalStorage(connection) {
+    if (typeof localStorage === 'undefined') return;
+
+    const saved = {};
+    for (const name of ['accounts', 'operations', 'conflicts']) {
+      saved[name] = JSON.parse(localStorage.getItem(LEGACY_KEYS[name]) || '[]');
+    }
+    const user = localStorage.getItem(LEGACY_KEYS.user);
+
+    const queued = new Set(saved.operations.map(operation => operation.accountId));
+    const unsynced = saved.accounts
+      .filter(account => !account.version && !queued.has(account.id))
+      .map(account => ({
+        id: crypto.randomUUID(),
+        type: 'add',
+        accountId: account.id,
+        data: account,
+        baseVersion: null,
+        userId: null,
+        queuedAt: new Date().toISOString()
+      }));
+    saved.operations = [...saved.operations, ...unsynced]
+      .map(operation => ({ ...operation, userId: operation.userId || user }))
+      .filter(operation => operation.userId);
+
+    saved.accounts = saved.accounts.map(SyncEngine.withoutVerifiers);
+    saved.conflicts = saved.conflicts.map(conflict => (conflict.operation.type === 'add' || !conflict.local
+      ? conflict
+      : { ...conflict, local: SyncEngine.withoutVerifiers(conflict.local) }));
+
+    for (const name of ['accounts', 'operations', 'conflicts']) {
+      if (saved[name].length > 0) {
+        await this.putAll(name, saved[name], connection);
+      }
+      localStorage.removeItem(LEGACY_KEYS[name]);
+    }
+
+    if (user) {
+      await this.setMeta('user', user, connection);
+      localStorage.removeItem(LEGACY_KEYS.user);
+    }
+  }
+
+  /**
+   * Encrypt a value into the record to store
+   * @param {string} storeName - Object store name
+   * @param {Object} value - The value
+   * @param {CryptoKey} key - The encryption key
+   * @returns {Promise<Object>} The record
+   */
+  static async seal(storeName, value, key) {
+    const { keyPath, indexes } = STORES[storeName];
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const { [keyPath]: primaryKey, ...fields } = value;
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(fields)));
+
+    const record = { iv, data };
+    if (primaryKey !== undefined) {
+      record[keyPath] = primaryKey;
+    }
+    indexes.forEach(index => {
+      record[index] = value[index] ?? '';
+    });
+    return record;
+  }
+
+  /**
+   * Decrypt a stored record
+   * @param {string} storeName - Object store name
+   * @param {Object} record - The record
+   * @param {CryptoKey} key - The encryption key
+   * @returns {Promise<Object>} The value
+   */
+  static async unseal(storeName, record, key) {
+    const { keyPath } = STORES[storeName];
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: record.iv }, key, record.data);
+    return { [keyPath]: record[keyPath], ...JSON.parse(new TextDecoder().decode(plaintext)) };
+  }
+
+  /**
+   * Get every value in a store
+   * @param {string} storeName - Object store name
+   * @param {string} [index] - Index to order the values by; key order by default
+   * @returns {Promise<Array<Object>>} The values
+   */
+  async getAll(storeName, index = null) {
+    const { db, key } = await this.open();
+    const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+    const records = await OfflineStore.request((index ? store.index(index) : store).getAll());
+    return Promise.all(records.map(record => OfflineStore.unseal(storeName, record, key)));
+  }
+
+  /**
+   * Get the values an index matches
+   * @param {string} storeName - Object store name
+   * @param {string} index - Index name
+   * @param {*} value - Value of the indexed field
+   * @returns {Promise<Array<Object>>} The values
+   */
+  async getAllBy(storeName, index, value) {
+    const { db, key } = await this.open();
+    const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+    const records = await OfflineStore.request(store.index(index).getAll(value));
+    return Promise.all(records.map(record => OfflineStore.unseal(storeName, record, key)));
+  }
+
+  /**
+   * Get one value
+   * @param {string} storeName - Object store name
+   * @param {*} primaryKey - The value's key
+   * @returns {Promise<Object|null>} The value, or null if there is none
+   */
+  async get(storeName, primaryKey) {
+    const { db, key } = await this.open();
+    const record = await OfflineStore.request(db.transaction(storeName, 'readonly').objectStore(storeName).get(primaryKey));
+    return record ? OfflineStore.unseal(storeName, record, key) : null;
+  }
+
+  /**
+   * Store a value, replacing any with the same key
+   * @param {string} storeName - Object store name
+   * @param {Object} value - The value
+   * @returns {Promise<*>} The value's key, generated for stores with autoIncrement
+   */
+  async put(storeName, value) {
+    const { db, key } = await this.open();
+    // Encrypt first: a transaction commits as soon as it has nothing to wait for
+    const record = await OfflineStore.seal(storeName, value, key);
+    return OfflineStore.request(db.transaction(storeName, 'readwrite').objectStore(storeName).put(record));
+  }
+
+  /**
+   * Store several values in one transaction
+   * @param {string} storeName - Object store name
+   * @param {Array<Object>} values - The values
+   * @param {Object} [connection] - { db, key }, while the database is being opened
+   * @param {boolean} [replace] - Clear the store first
+   */
+  async putAll(storeName, values, connection = null, replace = false) {
+    const { db, key } = connection || await this.open();
+    const records = await Promise.all(values.map(value => OfflineStore.seal(storeName, value, key)));
+
+    const transaction = db.transaction(storeName, 'readwrite');
+    const store = transaction.objectStore(storeName);
+    if (replace) {
+      store.clear();
+    }
+    records.forEach(record => store.put(record));
+    await OfflineStore.complete(transaction);
+  }
+
+  /**
+   * Replace everything in a store
+   * @param {string} storeName - Object store name
+   * @param {Array<Object>} values - The new values
+   */
+  async replaceAll(storeName, values) {
+    await this.putAll(storeName, values, null, true);
+  }
+
+  /**
+   * Delete a value
+   * @param {string} storeName - Object store name
+   * @param {*} primaryKey - The value's key
+   */
+  async delete(storeName, primaryKey) {
+    const { db } = await this.open();
+    await OfflineStore.request(db.transaction(storeName, 'readwrite').objectStore(storeName).delete(primaryKey));
+  }
+
+  /**
+   * Count the values in a store
+   * @param {string} storeName - Object store name
+   * @returns {Promise<number>} The count
+   */
+  async count(storeName) {
+    const { db } = await this.open();
+    return OfflineStore.request(db.transaction(storeName, 'readonly').objectStore(storeName).count());
+  }
+
+  /**
+   * Read a setting
+   * @param {string} name - Setting name
+   * @returns {Promise<*>} The value, or undefined
+   */
+  async getMeta(name) {
+    const { db } = await this.open();
+    return OfflineStore.request(db.transaction(META_STORE, 'readonly').objectStore(META_STORE).get(name));
+  }
+
+  /**
+   * Write a setting
+   * @param {string} name - Setting name
+   * @param {*} value - The value
+   * @param {Object} [connection] - { db, key }, while the database is being opened
+   */
+  async setMeta(name, value, connection = null) {
+    const { db } = connection || await this.open();
+    await OfflineStore.request(db.transaction(META_STORE, 'readwrite').objectStore(META_STORE).put(value, name));
+  }
+}
+
+export default OfflineStore;
@@ -0,0 +1,236 @@
+/**
+ * PngEncoder - Encodes RGBA pixels as a PNG file in plain JavaScript
+ * Used for generated password images, so the same pixels give the same bytes
+ * in every browser and in Node. The output is always 8-bit RGBA, every row
+ * uses the Sub filter, and the image data is compressed with fixed Huffman
+ * codes and runs of repeated bytes, which suits images of flat shapes.
+ */
+
+const SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// Bytes per pixel: 8-bit RGBA
+const BPP = 4;
+
+// Deflate length codes 257-285 as [base length, extra bits]
+const LENGTH_CODES = [
+  [3, 0], [4, 0], [5, 0], [6, 0], [7, 0], [8, 0], [9, 0], [10, 0],
+  [11, 1], [13, 1], [15, 1], [17, 1], [19, 2], [23, 2], [27, 2], [31, 2],
+  [35, 3], [43, 3], [51, 3], [59, 3], [67, 4], [83, 4], [99, 4], [115, 4],
+  [131, 5], [163, 5], [195, 5], [227, 5], [258, 0]
+];
+
+// Longest match deflate can encode
+const MAX_LENGTH = 258;
+
+let crcTable = null;
+
+class PngEncoder {
+  /**
+   * Encode pixels as a PNG file
+   * @param {Object} imageData - { width, height, data } with RGBA data
+   * @param {Object} [text] - Keyword/value pairs to store in tEXt chunks
+   * @returns {Uint8Array} The PNG file
+   */
+  static encode({ width, height, data }, text = {}) {
+    const header = new Uint8Array(13);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, width);
+    view.setUint32(4, height);
+    header.set([8, 6, 0, 0, 0], 8); // bit depth, RGBA, deflate, adaptive filtering, no interlace
+
+    const chunks = [PngEncoder.chunk('IHDR', header)];
+    for (const [keyword, value] of Object.entries(text)) {
+      chunks.push(PngEncoder.chunk('tEXt', PngEncoder.latin1(`${keyword}\0${value}`)));
+    }
+    chunks.push(PngEncoder.chunk('IDAT', PngEncoder.zlib(PngEncoder.filter(width, height, data))));
+    chunks.push(PngEncoder.chunk('IEND', new Uint8Array(0)));
+
+    return PngEncoder.concat([Uint8Array.from(SIGNATURE), ...chunks]);
+  }
+
+  /**
+   * Apply the Sub filter to every row
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @param {Uint8Array|Uint8ClampedArray} data - RGBA data
+   * @returns {Uint8Array} Filtered rows, each starting with its filter type
+   */
+  static filter(width, height, data) {
+    const rowBytes = width * BPP;
+    const filtered = new Uint8Array(height * (rowBytes + 1));
+
+    for (let y = 0; y < height; y++) {
+      const source = y * rowBytes;
+      const target = y * (rowBytes + 1);
+      filtered[target] = 1;
+      for (let i = 0; i < rowBytes; i++) {
+        const left = i >= BPP ? data[source + i - BPP] : 0;
+        filtered[target + 1 + i] = (data[source + i] - left) & 0xff;
+      }
+    }
+
+    return filtered;
+  }
+
+  /**
+   * Compress data in the zlib format
+   * @param {Uint8Array} data - The data
+   * @returns {Uint8Array} zlib stream
+   */
+  static zlib(data) {
+    const compressed = PngEncoder.deflate(data);
+    const stream = new Uint8Array(compressed.length + 6);
+    stream.set([0x78, 0x01], 0); // deflate with a 32K window, no dictionary
+    stream.set(compressed, 2);
+    new DataView(stream.buffer).setUint32(stream.length - 4, PngEncoder.adler32(data));
+    return stream;
+  }
+
+  /**
+   * Compress data as a single deflate block with fixed Huffman codes
+   * Repeated bytes are sent as matches at distance 1; everything else as literals.
+   * @param {Uint8Array} data - The data
+   * @returns {Uint8Array} Raw deflate data
+   */
+  static deflate(data) {
+    const bytes = [];
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    // Extra bits and the block header are written least significant bit first
+    const writeBits = (value, count) => {
+      bitBuffer |= value << bitCount;
+      bitCount += count;
+      while (bitCount >= 8) {
+        bytes.push(bitBuffer & 0xff);
+        bitBuffer >>>= 8;
+        bitCount -= 8;
+      }
+    };
+
+    // Huffman codes are written most significant bit first
+    const writeCode = (code, length) => {
+      for (let bit = length - 1; bit >= 0; bit--) {
+        writeBits((code >> bit) & 1, 1);
+      }
+    };
+
+    const writeSymbol = symbol => {
+      if (symbol < 144) writeCode(0x30 + symbol, 8);
+      else if (symbol < 256) writeCode(0x190 + symbol - 144, 9);
+      else if (symbol < 280) writeCode(symbol - 256, 7);
+      else writeCode(0xc0 + symbol - 280, 8);
+    };
+
+    writeBits(1, 1); // final block
+    writeBits(1, 2); // fixed Huffman codes
+
+    let i = 0;
+    while (i < data.length) {
+      writeSymbol(data[i]);
+      i++;
+
+      let run = 0;
+      while (i + run < data.length && run < MAX_LENGTH && data[i + run] === data[i - 1]) {
+        run++;
+      }
+      if (run < 3) continue;
+
+      let code = LENGTH_CODES.length - 1;
+      while (LENGTH_CODES[code][0] > run) code--;
+      const [base, extra] = LENGTH_CODES[code];
+      writeSymbol(257 + code);
+      writeBits(run - base, extra);
+      writeCode(0, 5); // distance 1
+      i += run;
+    }
+
+    writeSymbol(256); // end of block
+    if (bitCount > 0) {
+      bytes.push(bitBuffer & 0xff);
+    }
+
+    return Uint8Array.from(bytes);
+  }
+
+  /**
+   * Build a PNG chunk
+   * @param {string} type - Four-letter chunk type
+   * @param {Uint8Array} data - Chunk data
+   * @returns {Uint8Array} Length, type, data and CRC
+   */
+  static chunk(type, data) {
+    const chunk = new Uint8Array(data.length + 12);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    chunk.set(PngEncoder.latin1(type), 4);
+    chunk.set(data, 8);
+    view.setUint32(data.length + 8, PngEncoder.crc32(chunk.subarray(4, data.length + 8)));
+    return chunk;
+  }
+
+  /**
+   * CRC-32 as used by PNG chunks
+   * @param {Uint8Array} bytes - The data
+   * @returns {number} The checksum
+   */
+  static crc32(bytes) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        crcTable[n] = c;
+      }
+    }
+
+    let crc = 0xffffffff;
+    for (const byte of bytes) {
+      crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  /**
+   * Adler-32 checksum of the uncompressed data in a zlib stream
+   * @param {Uint8Array} bytes - The data
+   * @returns {number} The checksum
+   */
+  static adler32(bytes) {
+    let a = 1;
+    let b = 0;
+    for (const byte of bytes) {
+      a = (a + byte) % 65521;
+      b = (b + a) % 65521;
+    }
+    return ((b << 16) | a) >>> 0;
+  }
+
+  /**
+   * Encode a string with one byte per character
+   * @param {string} text - The string, all characters below U+0100
+   * @returns {Uint8Array} The bytes
+   */
+  static latin1(text) {
+    return Uint8Array.from(text, character => character.charCodeAt(0));
+  }
+
+  /**
+   * Join byte arrays
+   * @param {Array<Uint8Array>} parts - The arrays
+   * @returns {Uint8Array} Their contents in order
+   */
+  static concat(parts) {
+    const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+      result.set(part, offset);
+      offset += part.length;
+    }
+    return result;
+  }
+}
+
+export default PngEncoder;
@@ -0,0 +1,678 @@
+/**
+ * SecureSketch - Tolerant storage of perceptual hashes
+ * Implements the code-offset secure sketch over a binary BCH code, so an image
+ * hash can be matched within a Hamming distance without storing the hash itself
+ *
+ * Stored verifiers look like: fs2$<bits>$<threshold>$<salt>$<sketch>$<digest>
+ *
+ * An ordered sequence of images is stored as one verifier with a sketch per
+ * image and a single digest of all the hashes, so no image can be confirmed
+ * on its own: fsq2$<salt>$<bits>:<threshold>:<sketch>$...$<digest>
+ * The hashes of a sequence are written joined by dashes, in order.
+ *
+ * The sketch narrows the enrolled hash down to one codeword in 2^k, a few
+ * dozen bits, so the digest is what each guess at it costs. It is stretched
+ * with PBKDF2 as slowly as the account key in FieldCrypto, so the verifier is
+ * no cheaper to attack than the encrypted fields. Verifiers from before,
+ * fs1 and fsq1, hold a single salted SHA-256 instead; they still verify, and
+ * upgrade() replaces them once they have matched.
+ */
+
+// Primitive polynomials for GF(2^m), indexed by m
+const PRIMITIVE_POLYNOMIALS = {
+  4: 0x13,
+  5: 0x25,
+  6: 0x43,
+  7: 0x89,
+  8: 0x11d,
+  9: 0x211,
+  10: 0x409
+};
+
+const VERIFIER_PREFIX = 'fs2';
+const SEQUENCE_PREFIX = 'fsq2';
+
+// Verifiers whose digest is a single SHA-256
+const LEGACY_VERIFIER_PREFIX = 'fs1';
+const LEGACY_SEQUENCE_PREFIX = 'fsq1';
+
+// PBKDF2 iterations of a digest, the same as an account key's
+const DIGEST_ITERATIONS = 600000;
+
+// Joins the hashes of an image sequence into one string
+const SEQUENCE_SEPARATOR = '-';
+
+class SecureSketch {
+  /**
+   * @param {number} bits - Length of the perceptual hash in bits (a power of two)
+   * @param {number} threshold - Maximum Hamming distance the sketch tolerates
+   */
+  constructor(bits, threshold) {
+    const m = Math.log2(bits);
+    if (!Number.isInteger(m) || !PRIMITIVE_POLYNOMIALS[m]) {
+      throw new Error(`Unsupported hash length: ${bits} bits`);
+    }
+
+    this.bits = bits;
+    this.threshold = threshold;
+
+    // The BCH code covers the first 2^m - 1 bits; the last bit is resolved at
+    // verification time by trying both values against the digest
+    this.m = m;
+    this.n = bits - 1;
+    this.buildField(PRIMITIVE_POLYNOMIALS[m]);
+    this.generator = this.buildGenerator(threshold);
+    this.k = this.n - (this.generator.length - 1);
+
+    if (this.k < 1) {
+      throw new Error(`Threshold ${threshold} is too large for a ${bits}-bit hash`);
+    }
+  }
+
+  /**
+   * Check whether a stored password is a secure sketch verifier
+   * @param {string} value - The stored password value
+   * @returns {boolean} True if the value was produced by createVerifier or createSequenceVerifier
+   */
+  static isVerifier(value) {
+    return SecureSketch.prefixOf(value) !== null;
+  }
+
+  /**
+   * Check whether a verifier has a stretched digest, as createVerifier makes them now
+   * @param {string} value - The stored password value
+   * @returns {boolean} True for fs2 and fsq2 verifiers
+   */
+  static isCurrent(value) {
+    const prefix = SecureSketch.prefixOf(value);
+    return prefix === VERIFIER_PREFIX || prefix === SEQUENCE_PREFIX;
+  }
+
+  /**
+   * The format prefix of a verifier
+   * @param {string} value - The stored password value
+   * @returns {string|null} The prefix, or null if the value is not a verifier
+   */
+  static prefixOf(value) {
+    if (typeof value !== 'string') {
+      return null;
+    }
+    const prefix = value.slice(0, value.indexOf('$'));
+    return [VERIFIER_PREFIX, SEQUENCE_PREFIX, LEGACY_VERIFIER_PREFIX, LEGACY_SEQUENCE_PREFIX].includes(prefix) ? prefix : null;
+  }
+
+  /**
+   * Check whether a stored password is the verifier of an image sequence
+   * @param {string} value - The stored password value
+   * @returns {boolean} True if the value was produced by createSequenceVerifier
+   */
+  static isSequence(value) {
+    const prefix = SecureSketch.prefixOf(value);
+    return prefix === SEQUENCE_PREFIX || prefix === LEGACY_SEQUENCE_PREFIX;
+  }
+
+  /**
+   * Number of images a stored password needs
+   * @param {string} value - The stored password value
+   * @returns {number} The length of the sequence, or 1 for any other verifier
+   */
+  static imageCount(value) {
+    return SecureSketch.isSequence(value) ? SecureSketch.parseSequenceVerifier(value).parts.length : 1;
+  }
+
+  /**
+   * Join the hashes of an image sequence
+   * @param {Array<string>} hashes - Hex hashes, in order
+   * @returns {string} The sequence hash
+   */
+  static joinHashes(hashes) {
+    return hashes.join(SEQUENCE_SEPARATOR);
+  }
+
+  /**
+   * Split a sequence hash into the hashes of its images
+   * @param {string} hash - A sequence hash, or the hash of a single image
+   * @returns {Array<string>} Hex hashes, in order
+   */
+  static splitHashes(hash) {
+    return hash.split(SEQUENCE_SEPARATOR);
+  }
+
+  /**
+   * Parse a stored verifier string
+   * @param {string} value - The stored verifier
+   * @returns {Object} { bits, threshold, salt, sketch, digest, legacy }; legacy
+   *   is true for an fs1 verifier, whose digest is a single SHA-256
+   */
+  static parseVerifier(value) {
+    const [prefix, bits, threshold, salt, sketch, digest] = value.split('$');
+    if ((prefix !== VERIFIER_PREFIX && prefix !== LEGACY_VERIFIER_PREFIX) || !digest) {
+      throw new Error('Malformed image password verifier');
+    }
+
+    return {
+      bits: parseInt(bits, 10),
+      threshold: parseInt(threshold, 10),
+      salt,
+      sketch,
+      digest,
+      legacy: prefix === LEGACY_VERIFIER_PREFIX
+    };
+  }
+
+  /**
+   * Parse a stored image sequence verifier
+   * @param {string} value - The stored verifier
+   * @returns {Object} { salt, parts, digest, legacy } with { bits, threshold, sketch } per image;
+   *   legacy is true for an fsq1 verifier
+   */
+  static parseSequenceVerifier(value) {
+    const [prefix, salt, ...rest] = value.split('$');
+    const digest = rest.pop();
+    if ((prefix !== SEQUENCE_PREFIX && prefix !== LEGACY_SEQUENCE_PREFIX) || !digest || rest.length === 0) {
+      throw new Error('Malformed image password verifier');
+    }
+
+    const parts = rest.map(part => {
+      const [bits, threshold, sketch] = part.split(':');
+      if (!sketch) {
+        throw new Error('Malformed image password verifier');
+      }
+      return { bits: parseInt(bits, 10), threshold: parseInt(threshold, 10), sketch };
+    });
+
+    return { salt, parts, digest, legacy: prefix === LEGACY_SEQUENCE_PREFIX };
+  }
+
+  /**
+   * Create a verifier for a perceptual hash
+   * @param {string} hashHex - The perceptual hash as a hex string
+   * @returns {Promise<string>} The verifier string to store
+   */
+  async createVerifier(hashHex) {
+    const salt = SecureSketch.bytesToHex(crypto.getRandomValues(new Uint8Array(16)));
+    const digest = await SecureSketch.stretch(salt, hashHex);
+
+    return [
+      VERIFIER_PREFIX,
+      this.bits,
+      this.threshold,
+      salt,
+      this.sketch(hashHex),
+      digest
+    ].join('$');
+  }
+
+  /**
+   * Create one verifier for an ordered sequence of perceptual hashes
+   * @param {Array<string>} hashes - The hashes as hex strings, in order
+   * @param {Array<number>} thresholds - Maximum Hamming distance tolerated for each image
+   * @returns {Promise<string>} The verifier string to store
+   */
+  static async createSequenceVerifier(hashes, thresholds) {
+    const parts = hashes.map((hashHex, i) => {
+      const sketch = new SecureSketch(hashHex.length * 4, thresholds[i]);
+      return [sketch.bits, sketch.threshold, sketch.sketch(hashHex)].join(':');
+    });
+
+    const salt = SecureSketch.bytesToHex(crypto.getRandomValues(new Uint8Array(16)));
+    const digest = await SecureSketch.stretch(salt, SecureSketch.joinHashes(hashes));
+
+    return [SEQUENCE_PREFIX, salt, ...parts, digest].join('$');
+  }
+
+  /**
+   * Replace a legacy verifier with a current one after it matched
+   * The new verifier tolerates the same distances as the old one.
+   * @param {string} verifier - The stored verifier
+   * @param {string} hashHex - The enrolled hash it gave back, or joined hashes of a sequence
+   * @returns {Promise<string|null>} The verifier to store instead, or null if it is current
+   */
+  static async upgrade(verifier, hashHex) {
+    if (SecureSketch.isCurrent(verifier)) {
+      return null;
+    }
+
+    if (SecureSketch.isSequence(verifier)) {
+      const { parts } = SecureSketch.parseSequenceVerifier(verifier);
+      return SecureSketch.createSequenceVerifier(SecureSketch.splitHashes(hashHex), parts.map(part => part.threshold));
+    }
+
+    const { bits, threshold } = SecureSketch.parseVerifier(verifier);
+    return new SecureSketch(bits, threshold).createVerifier(hashHex);
+  }
+
+  /**
+   * Offset a perceptual hash by a random codeword
+   * @param {string} hashHex - The perceptual hash as a hex string
+   * @returns {string} The sketch as hex; its last bit is always zero
+   */
+  sketch(hashHex) {
+    const hashBits = SecureSketch.hexToBits(hashHex, this.bits);
+    const codeword = this.randomCodeword();
+
+    const sketchBits = new Array(this.bits).fill(0);
+    for (let i = 0; i < this.n; i++) {
+      sketchBits[i] = hashBits[i] ^ codeword[i];
+    }
+    return SecureSketch.bitsToHex(sketchBits);
+  }
+
+  /**
+   * Recover the enrolled bits a sketch hides from a candidate hash
+   * @param {string} hashHex - The candidate perceptual hash as hex
+   * @param {string} sketchHex - The stored sketch
+   * @returns {Array<number>|null} The first n bits of the enrolled hash, or null
+   *   if the candidate is further away than the code can correct
+   */
+  recover(hashHex, sketchHex) {
+    const hashBits = SecureSketch.hexToBits(hashHex, this.bits);
+    const sketchBits = SecureSketch.hexToBits(sketchHex, this.bits);
+
+    // Offset the candidate by the sketch and decode back to the nearest codeword
+    const received = [];
+    for (let i = 0; i < this.n; i++) {
+      received.push(hashBits[i] ^ sketchBits[i]);
+    }
+
+    const codeword = this.decode(received);
+    if (!codeword) return null;
+
+    const recovered = [];
+    for (let i = 0; i < this.n; i++) {
+      recovered.push(sketchBits[i] ^ codeword[i]);
+    }
+    return recovered;
+  }
+
+  /**
+   * Verify a perceptual hash against a stored verifier
+   * @param {string} hashHex - The candidate perceptual hash as a hex string
+   * @param {string} verifier - The stored verifier string
+   * @param {number} [threshold] - Optional stricter threshold than the stored one
+   * @returns {Promise<Object>} { match, distance, threshold, hash }; distance is
+   *   null when the hash is further away than the sketch can correct, and hash
+   *   is the enrolled hash recovered from the sketch when it matched
+   */
+  static async verify(hashHex, verifier, threshold) {
+    if (SecureSketch.isSequence(verifier)) {
+      return SecureSketch.verifySequence(hashHex, verifier, threshold);
+    }
+
+    const parsed = SecureSketch.parseVerifier(verifier);
+    const digestOf = parsed.legacy ? SecureSketch.digest : SecureSketch.stretch;
+    const sketch = new SecureSketch(parsed.bits, parsed.threshold);
+    const limit = Math.min(threshold ?? parsed.threshold, parsed.threshold);
+
+    const recovered = sketch.recover(hashHex, parsed.sketch);
+    if (!recovered) {
+      return { match: false, distance: null, threshold: limit };
+    }
+
+    // The final bit is not covered by the code, so try the candidate's value first
+    const lastBit = SecureSketch.hexToBits(hashHex, sketch.bits)[sketch.n];
+    for (const bit of [lastBit, lastBit ^ 1]) {
+      const candidate = SecureSketch.bitsToHex([...recovered, bit]);
+      const digest = await digestOf(parsed.salt, candidate);
+
+      if (digest === parsed.digest) {
+        const distance = SecureSketch.hammingDistance(candidate, hashHex);
+        const match = distance <= limit;
+        return { match, distance, threshold: limit, hash: match ? candidate : null };
+      }
+    }
+
+    return { match: false, distance: null, threshold: limit };
+  }
+
+  /**
+   * Verify the hashes of an image sequence against a stored sequence verifier
+   * Every image must be within its own threshold, in the enrolled order.
+   * @param {string} hashHex - The candidate hashes, joined with joinHashes
+   * @param {string} verifier - The stored verifier string
+   * @param {number} [threshold] - Optional stricter threshold for every image
+   * @returns {Promise<Object>} { match, distance, threshold, distances, thresholds, hash }:
+   *   distance and threshold are totals over the images, distances and thresholds
+   *   per image; hash is the enrolled sequence hash when it matched
+   */
+  static async verifySequence(hashHex, verifier, threshold) {
+    const parsed = SecureSketch.parseSequenceVerifier(verifier);
+    const digestOf = parsed.legacy ? SecureSketch.digest : SecureSketch.stretch;
+    const thresholds = parsed.parts.map(part => Math.min(threshold ?? part.threshold, part.threshold));
+    const total = values => values.reduce((sum, value) => sum + value, 0);
+    const failed = { match: false, distance: null, threshold: total(thresholds), distances: null, thresholds };
+
+    const hashes = SecureSketch.splitHashes(hashHex);
+    if (hashes.length !== parsed.parts.length) return failed;
+
+    const recovered = [];
+    for (let i = 0; i < hashes.length; i++) {
+      const { bits, threshold: partThreshold, sketch } = parsed.parts[i];
+      if (hashes[i].length * 4 !== bits) return failed;
+
+      const bitsRecovered = new SecureSketch(bits, partThreshold).recover(hashes[i], sketch);
+      if (!bitsRecovered) return failed;
+      recovered.push({ bits: bitsRecovered, lastBit: SecureSketch.hexToBits(hashes[i], bits)[bits - 1] });
+    }
+
+    // No final bit is covered by its code, so try every combination, starting
+    // with the candidate's values and then the fewest of them flipped, since
+    // each try costs a full digest
+    const flipCount = flips => [...flips.toString(2)].filter(bit => bit === '1').length;
+    const combinations = Array.from({ length: 1 << recovered.length }, (_, flips) => flips)
+      .sort((a, b) => flipCount(a) - flipCount(b));
+    for (const flips of combinations) {
+      const candidates = recovered.map(({ bits, lastBit }, i) => SecureSketch.bitsToHex([...bits, lastBit ^ ((flips >> i) & 1)]));
+      const candidate = SecureSketch.joinHashes(candidates);
+
+      if (await digestOf(parsed.salt, candidate) === parsed.digest) {
+        const distances = candidates.map((enrolled, i) => SecureSketch.hammingDistance(enrolled, hashes[i]));
+        const match = distances.every((distance, i) => distance <= thresholds[i]);
+        return { match, distance: total(distances), threshold: total(thresholds), distances, thresholds, hash: match ? candidate : null };
+      }
+    }
+
+    return failed;
+  }
+
+  /**
+   * Build log and antilog tables for GF(2^m)
+   * @param {number} primitive - The primitive polynomial of the field
+   */
+  buildField(primitive) {
+    const size = 1 << this.m;
+    this.exp = new Array(2 * size).fill(0);
+    this.log = new Array(size).fill(0);
+
+    let value = 1;
+    for (let i = 0; i < size - 1; i++) {
+      this.exp[i] = value;
+      this.log[value] = i;
+      value <<= 1;
+      if (value & size) {
+        value ^= primitive;
+      }
+    }
+
+    // Duplicate the table so products never need a modulo
+    for (let i = size - 1; i < 2 * size; i++) {
+      this.exp[i] = this.exp[i - (size - 1)];
+    }
+  }
+
+  /**
+   * Multiply two field elements
+   * @param {number} a - First element
+   * @param {number} b - Second element
+   * @returns {number} The product
+   */
+  multiply(a, b) {
+    if (a === 0 || b === 0) return 0;
+    return this.exp[this.log[a] + this.log[b]];
+  }
+
+  /**
+   * Divide two field elements
+   * @param {number} a - Dividend
+   * @param {number} b - Divisor (non-zero)
+   * @returns {number} The quotient
+   */
+  divide(a, b) {
+    if (a === 0) return 0;
+    return this.exp[(this.log[a] - this.log[b] + this.n) % this.n];
+  }
+
+  /**
+   * Build the generator polynomial of a BCH code correcting `threshold` errors
+   * @param {number} threshold - Number of correctable errors
+   * @returns {Array<number>} Binary coefficients, lowest degree first
+   */
+  buildGenerator(threshold) {
+    let generator = [1];
+    const used = new Set();
+
+    for (let i = 1; i <= 2 * threshold; i++) {
+      if (used.has(i % this.n)) continue;
+
+      // Collect the cyclotomic coset of i and multiply out its minimal polynomial
+      let minimal = [1];
+      let power = i % this.n;
+      while (!used.has(power)) {
+        used.add(power);
+        const root = this.exp[power];
+        const next = new Array(minimal.length + 1).fill(0);
+        for (let j = 0; j < minimal.length; j++) {
+          next[j + 1] ^= minimal[j];
+          next[j] ^= this.multiply(minimal[j], root);
+        }
+        minimal = next;
+        power = (power * 2) % this.n;
+      }
+
+      generator = SecureSketch.multiplyBinary(generator, minimal);
+    }
+
+    return generator;
+  }
+
+  /**
+   * Pick a uniformly random codeword of the BCH code
+   * @returns {Array<number>} Codeword bits of length n
+   */
+  randomCodeword() {
+    const random = crypto.getRandomValues(new Uint8Array(this.k));
+    const message = Array.from(random, byte => byte & 1);
+    const codeword = SecureSketch.multiplyBinary(message, this.generator);
+
+    while (codeword.length < this.n) codeword.push(0);
+    return codeword.slice(0, this.n);
+  }
+
+  /**
+   * Decode a received word to the nearest codeword
+   * @param {Array<number>} received - Received bits of length n
+   * @returns {Array<number>|null} The corrected codeword, or null if there
+   *   are more errors than the code can correct
+   */
+  decode(received) {
+    const t = this.threshold;
+
+    // Syndromes S_1..S_2t
+    const syndromes = [];
+    let clean = true;
+    for (let j = 1; j <= 2 * t; j++) {
+      let s = 0;
+      for (let i = 0; i < this.n; i++) {
+        if (received[i]) s ^= this.exp[(i * j) % this.n];
+      }
+      syndromes.push(s);
+      if (s !== 0) clean = false;
+    }
+
+    if (clean) return received.slice();
+
+    // Berlekamp-Massey for the error locator polynomial
+    let locator = [1];
+    let previous = [1];
+    let length = 0;
+    let shift = 1;
+    let lastDiscrepancy = 1;
+
+    for (let step = 0; step < 2 * t; step++) {
+      let discrepancy = syndromes[step];
+      for (let i = 1; i <= length; i++) {
+        discrepancy ^= this.multiply(locator[i] || 0, syndromes[step - i]);
+      }
+
+      if (discrepancy === 0) {
+        shift++;
+        continue;
+      }
+
+      const scale = this.divide(discrepancy, lastDiscrepancy);
+      const updated = locator.slice();
+      for (let i = 0; i < previous.length; i++) {
+        updated[i + shift] = (updated[i + shift] || 0) ^ this.multiply(scale, previous[i]);
+      }
+
+      if (2 * length <= step) {
+        previous = locator;
+        length = step + 1 - length;
+        lastDiscrepancy = discrepancy;
+        shift = 1;
+      } else {
+        shift++;
+      }
+      locator = updated;
+    }
+
+    if (length > t) return null;
+
+    // Chien search: position i is in error when the locator vanishes at alpha^-i
+    const corrected = received.slice();
+    let found = 0;
+    for (let i = 0; i < this.n; i++) {
+      const inverse = (this.n - i) % this.n;
+      let value = 0;
+      for (let j = 0; j <= length; j++) {
+        if (locator[j]) {
+          value ^= this.exp[this.log[locator[j]] + ((inverse * j) % this.n)];
+        }
+      }
+      if (value === 0) {
+        corrected[i] ^= 1;
+        found++;
+      }
+    }
+
+    return found === length ? corrected : null;
+  }
+
+  /**
+   * Multiply two polynomials over GF(2)
+   * @param {Array<number>} a - Binary coefficients, lowest degree first
+   * @param {Array<number>} b - Binary coefficients, lowest degree first
+   * @returns {Array<number>} The product
+   */
+  static multiplyBinary(a, b) {
+    const product = new Array(a.length + b.length - 1).fill(0);
+    for (let i = 0; i < a.length; i++) {
+      if (!a[i]) continue;
+      for (let j = 0; j < b.length; j++) {
+        product[i + j] ^= b[j] ? 1 : 0;
+      }
+    }
+    return product;
+  }
+
+  /**
+   * Count the differing bits between two hex hashes
+   * @param {string} a - First hash as hex
+   * @param {string} b - Second hash as hex
+   * @returns {number} The Hamming distance
+   */
+  static hammingDistance(a, b) {
+    if (a.length !== b.length) {
+      throw new Error('Cannot compare hashes of different lengths');
+    }
+
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+      let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+      while (diff) {
+        distance += diff & 1;
+        diff >>= 1;
+      }
+    }
+    return distance;
+  }
+
+  /**
+   * Salted SHA-256 digest
+   * Only fit for values already stretched, such as click-point keys, and for
+   * checking legacy verifiers
+   * @param {string} salt - Hex salt
+   * @param {string} hashHex - The value, such as a perceptual hash as hex
+   * @returns {Promise<string>} The digest as hex
+   */
+  static async digest(salt, hashHex) {
+    const data = new TextEncoder().encode(`${salt}:${hashHex}`);
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return SecureSketch.bytesToHex(new Uint8Array(digest));
+  }
+
+  /**
+   * Digest of a perceptual hash stretched with PBKDF2 under the verifier's salt
+   * @param {string} salt - Hex salt
+   * @param {string} hashHex - The perceptual hash as hex, or the joined hashes of a sequence
+   * @returns {Promise<string>} The digest as hex
+   */
+  static async stretch(salt, hashHex) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(hashHex), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', hash: 'SHA-256', salt: SecureSketch.hexToBytes(salt), iterations: DIGEST_ITERATIONS },
+      material,
+      256
+    );
+    return SecureSketch.bytesToHex(new Uint8Array(bits));
+  }
+
+  /**
+   * Convert a hex string to an array of bits
+   * @param {string} hex - Hex string
+   * @param {number} bits - Expected number of bits
+   * @returns {Array<number>} Bits, most significant first
+   */
+  static hexToBits(hex, bits) {
+    if (hex.length * 4 !== bits) {
+      throw new Error(`Expected a ${bits}-bit hash`);
+    }
+
+    const result = [];
+    for (const char of hex) {
+      const nibble = parseInt(char, 16);
+      for (let i = 3; i >= 0; i--) {
+        result.push((nibble >> i) & 1);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Convert an array of bits to a hex string
+   * @param {Array<number>} bits - Bits, most significant first
+   * @returns {string} Hex string
+   */
+  static bitsToHex(bits) {
+    let hex = '';
+    for (let i = 0; i < bits.length; i += 4) {
+      const nibble = (bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3];
+      hex += nibble.toString(16);
+    }
+    return hex;
+  }
+
+  /**
+   * Convert bytes to a hex string
+   * @param {Uint8Array} bytes - Bytes to convert
+   * @returns {string} Hex string
+   */
+  static bytesToHex(bytes) {
+    return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Convert a hex string to bytes
+   * @param {string} hex - Hex string of even length
+   * @returns {Uint8Array} The bytes
+   */
+  static hexToBytes(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+  }
+}
+
+export default SecureSketch;
@@ -0,0 +1,423 @@
+/**
+ * SyncEngine - Offline copy of the vault, kept in step with the server
+ * Accounts from the server are cached in IndexedDB (see OfflineStore), so the
+ * vault can be listed while the server cannot be reached. Changes made
+ * meanwhile are queued and sent in order once it is back. The cache holds no
+ * verifiers, which would let anyone with a copy guess at images offline, so
+ * images are only checked by the server; an account added offline keeps its
+ * verifiers in the queue until it is sent.
+ *
+ * Accounts carry a version the server increments on every change. A queued
+ * update or delete is sent with the version it was based on; if the account
+ * has changed since, the server refuses it and the operation is set aside as
+ * a conflict for the user to resolve. Conflicts keep the whole account, so an
+ * account added offline is never lost, even if its ID turns out to be taken.
+ */
+
+class SyncEngine {
+  /**
+   * @param {Object} client - DatabaseClient, whose fetchApi sends the requests
+   * @param {OfflineStore} store - Where the offline copy is kept
+   */
+  constructor(client, store) {
+    this.client = client;
+    this.store = store;
+    this.state = 'synced'; // 'synced', 'syncing', 'offline' or 'error'
+    this.running = null;
+
+    // Sizes of the queue and the conflict list, so the status can be read at any time
+    this.pending = 0;
+    this.conflicts = 0;
+
+    // Called with the status whenever it changes
+    this.onChange = () => {};
+  }
+
+  /**
+   * The cached accounts, with queued changes already applied, oldest first
+   * @returns {Promise<Array<Object>>} The accounts
+   */
+  getAccounts() {
+    return this.store.getAll('accounts', 'createdAt');
+  }
+
+  /**
+   * Operations waiting to be sent, in the order they were queued
+   * @returns {Promise<Array<Object>>} { sequence, id, type, accountId, data, baseVersion, userId, queuedAt }
+   */
+  getQueue() {
+    return this.store.getAll('operations');
+  }
+
+  /**
+   * Operations the server refused because the account changed elsewhere
+   * @returns {Promise<Array<Object>>} { id, operation, local, server, detectedAt }
+   */
+  getConflicts() {
+    return this.store.getAll('conflicts');
+  }
+
+  /**
+   * Remember who is logged in, so changes made offline are only ever sent
+   * for the user who made them
+   * @param {string|null} userId - The user's ID
+   */
+  async setUser(userId) {
+    if (userId) {
+      await this.store.setMeta('user', userId);
+    }
+  }
+
+  /**
+   * The last user seen logged in
+   * @returns {Promise<string|null>} The user's ID
+   */
+  async getUser() {
+    return (await this.store.getMeta('user')) || null;
+  }
+
+  /**
+   * Current sync status
+   * @returns {Object} { state, pending, conflicts }
+   */
+  status() {
+    return {
+      state: this.state,
+      pending: this.pending,
+      conflicts: this.conflicts
+    };
+  }
+
+  /**
+   * Change the state and report the status
+   * @param {string} state - The new state
+   */
+  setState(state) {
+    this.state = state;
+    this.onChange(this.status());
+  }
+
+  /**
+   * Count the queue and conflicts again and report the status
+   */
+  async updateCounts() {
+    this.pending = await this.store.count('operations');
+    this.conflicts = await this.store.count('conflicts');
+    this.onChange(this.status());
+  }
+
+  /**
+   * Version of a cached account
+   * @param {string} accountId - The account ID
+   * @returns {Promise<number|null>} The version, or null if the account is unknown or not yet on the server
+   */
+  async versionOf(accountId) {
+    const account = await this.store.get('accounts', accountId);
+    return (account && account.version) || null;
+  }
+
+  /**
+   * Apply a change the server has already accepted to the cache
+   * @param {string} type - 'add', 'update' or 'delete'
+   * @param {string} accountId - The account ID
+   * @param {Object} [data] - The account for an add, the changed fields for an update
+   */
+  async record(type, accountId, data = null) {
+    const account = await this.store.get('accounts', accountId);
+    const [changed] = SyncEngine.apply(account ? [account] : [], { type, accountId, data });
+
+    if (changed) {
+      await this.store.put('accounts', SyncEngine.withoutVerifiers(changed));
+    } else {
+      await this.store.delete('accounts', accountId);
+    }
+  }
+
+  /**
+   * Queue a change made while the server could not be reached
+   * Changes to an account are folded into its last queued operation: an
+   * update to an account added offline is merged into the add, further
+   * updates are merged, and a delete replaces them, or cancels an add that
+   * never reached the server. An add after a delete, as when a backup replaces
+   * the vault, is queued behind it.
+   *
+   * @param {string} type - 'add', 'update' or 'delete'
+   * @param {string} accountId - The account ID
+   * @param {Object} [data] - The account for an add, the changed fields for an update
+   */
+  async enqueue(type, accountId, data = null) {
+    const account = await this.store.get('accounts', accountId);
+    if (type !== 'add' && !account) {
+      throw new Error('Account not found in the offline copy');
+    }
+
+    const userId = await this.getUser();
+    if (!userId) {
+      throw new Error('Please log in before changing accounts offline');
+    }
+
+    const queue = await this.getQueue();
+    const pending = queue.filter(operation => operation.accountId === accountId).pop();
+
+    if (!pending || type === 'add') {
+      await this.store.put('operations', {
+        id: crypto.randomUUID(),
+        type,
+        accountId,
+        data,
+        baseVersion: account ? account.version || null : null,
+        userId,
+        queuedAt: new Date().toISOString()
+      });
+    } else if (type === 'update') {
+      await this.store.put('operations', { ...pending, data: { ...pending.data, ...SyncEngine.changedFields(data) } });
+    } else if (type === 'delete' && pending.type === 'add') {
+      await this.store.delete('operations', pending.sequence);
+    } else if (type === 'delete') {
+      await this.store.put('operations', { ...pending, type: 'delete', data: null });
+    }
+
+    await this.record(type, accountId, data);
+    this.state = 'offline';
+    await this.updateCounts();
+  }
+
+  /**
+   * Send queued changes, then refresh the cache from the server
+   * Runs once at a time; a call made during a sync waits for it. If the
+   * server cannot be reached, the queue is kept for the next sync.
+   * @returns {Promise<Array<Object>>} The accounts
+   */
+  sync() {
+    if (!this.running) {
+      this.running = this.run().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  /**
+   * One sync: push, then pull
+   * @returns {Promise<Array<Object>>} The accounts
+   */
+  async run() {
+    this.setState('syncing');
+
+    try {
+      const user = await this.getUser();
+      for (const operation of await this.getQueue()) {
+        if (!operation.userId) {
+          // Queued by an earlier version before anyone was seen logged in
+          await this.store.delete('operations', operation.sequence);
+        } else if (SyncEngine.belongsTo(operation, user)) {
+          await this.push(operation);
+        }
+      }
+
+      const accounts = await this.pull(user);
+      this.state = 'synced';
+      return accounts;
+    } catch (error) {
+      // A fetch that never reached the server fails with a TypeError
+      this.state = error instanceof TypeError ? 'offline' : 'error';
+      throw error;
+    } finally {
+      await this.updateCounts();
+    }
+  }
+
+  /**
+   * Check that an operation was queued by the logged-in user
+   * @param {Object} operation - The operation
+   * @param {string|null} user - The logged-in user's ID
+   * @returns {boolean} True if it may be sent
+   */
+  static belongsTo(operation, user) {
+    return Boolean(user) && operation.userId === user;
+  }
+
+  /**
+   * Send one queued operation and take it off the queue
+   * @param {Object} operation - The operation
+   */
+  async push(operation) {
+    const response = await this.send(operation);
+    const data = await response.json();
+
+    if (response.status === 409) {
+      await this.setAside(operation, data.account);
+    } else if (response.status === 404 && operation.type === 'update') {
+      // Deleted on another device
+      await this.setAside(operation, null);
+    } else if (!response.ok && !(response.status === 404 && operation.type === 'delete')) {
+      throw new Error(data.error || 'Failed to sync account');
+    }
+
+    await this.store.delete('operations', operation.sequence);
+  }
+
+  /**
+   * Send the request for an operation
+   * @param {Object} operation - The operation
+   * @returns {Promise<Response>} The response
+   */
+  send({ type, accountId, data, baseVersion }) {
+    const json = body => ({
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    });
+
+    if (type === 'add') {
+      return this.client.fetchApi('/accounts', { method: 'POST', ...json(data) });
+    }
+
+    const path = `/accounts/${encodeURIComponent(accountId)}`;
+    if (type === 'update') {
+      return this.client.fetchApi(path, { method: 'PUT', ...json({ ...data, version: baseVersion }) });
+    }
+    return this.client.fetchApi(baseVersion ? `${path}?version=${baseVersion}` : path, { method: 'DELETE' });
+  }
+
+  /**
+   * Keep a refused operation for the user to resolve
+   * @param {Object} operation - The operation
+   * @param {Object|null} server - The account as it is on the server, null if it was deleted
+   */
+  async setAside(operation, server) {
+    const local = operation.type === 'add'
+      ? operation.data
+      : await this.store.get('accounts', operation.accountId);
+
+    await this.store.put('conflicts', { id: operation.id, operation, local, server, detectedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Fetch every account and cache them with the remaining queued changes applied
+   * @param {string|null} user - The logged-in user's ID
+   * @returns {Promise<Array<Object>>} The accounts
+   */
+  async pull(user) {
+    const response = await this.client.fetchApi('/sync');
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to fetch accounts');
+    }
+
+    const accounts = (await this.getQueue())
+      .filter(operation => SyncEngine.belongsTo(operation, user))
+      .reduce(SyncEngine.apply, await response.json())
+      .map(SyncEngine.withoutVerifiers);
+
+    await this.store.replaceAll('accounts', accounts);
+    return accounts;
+  }
+
+  /**
+   * Resolve a conflict
+   * 'local' sends the change again over the server's version: an account added
+   * offline whose ID was taken is added under a new ID. 'server' drops the
+   * change. A change to an account deleted elsewhere can only be dropped, see
+   * isRestorable.
+   *
+   * @param {string} conflictId - The conflict's ID
+   * @param {string} choice - 'local' or 'server'
+   * @returns {Promise<Array<Object>>} The accounts after syncing
+   */
+  async resolve(conflictId, choice) {
+    const conflict = await this.store.get('conflicts', conflictId);
+    if (!conflict) {
+      throw new Error('Conflict not found');
+    }
+
+    if (choice === 'local') {
+      await this.store.put('operations', SyncEngine.retry(conflict));
+    } else if (choice !== 'server') {
+      throw new Error(`Unknown resolution: ${choice}`);
+    }
+
+    await this.store.delete('conflicts', conflictId);
+    await this.updateCounts();
+    return this.sync();
+  }
+
+  /**
+   * Check whether the local side of a conflict can be kept
+   * An account changed here but deleted on another device cannot: adding it
+   * back needs its verifier, which the offline copy does not hold, and its
+   * fields are encrypted under the deleted account's key. It has to be
+   * registered again with an image.
+   * @param {Object} conflict - The conflict
+   * @returns {boolean} True if retry can keep the local side
+   */
+  static isRestorable({ operation, server }) {
+    return operation.type !== 'update' || Boolean(server);
+  }
+
+  /**
+   * The operation that applies the local side of a conflict
+   * @param {Object} conflict - The conflict
+   * @returns {Object} A new operation for the queue
+   */
+  static retry(conflict) {
+    const { operation, server } = conflict;
+    if (!SyncEngine.isRestorable(conflict)) {
+      throw new Error('This account was deleted on another device and cannot be restored; please register it again');
+    }
+
+    // Without a sequence, the store queues it after everything else
+    const retried = { ...operation, sequence: undefined, id: crypto.randomUUID(), queuedAt: new Date().toISOString() };
+
+    if (operation.type === 'add') {
+      const accountId = crypto.randomUUID();
+      return { ...retried, accountId, data: { ...operation.data, id: accountId } };
+    }
+
+    return { ...retried, baseVersion: server.version };
+  }
+
+  /**
+   * Apply an operation to a list of accounts
+   * @param {Array<Object>} accounts - The accounts
+   * @param {Object} operation - { type, accountId, data }
+   * @returns {Array<Object>} The changed list
+   */
+  static apply(accounts, { type, accountId, data }) {
+    if (type === 'add') {
+      return [...accounts.filter(account => account.id !== accountId), data];
+    }
+    if (type === 'update') {
+      return accounts.map(account => (account.id === accountId ? { ...account, ...SyncEngine.changedFields(data) } : account));
+    }
+    return accounts.filter(account => account.id !== accountId);
+  }
+
+  /**
+   * An account as it is cached, without its image and click-point verifiers
+   * @param {Object} account - The account
+   * @returns {Object} A copy without `password` and `clickPoints`
+   */
+  static withoutVerifiers(account) {
+    const { password, clickPoints, ...cached } = account;
+    return cached;
+  }
+
+  /**
+   * Fields of an update that change the account
+   * The site password is left out when not given, as the server does
+   * @param {Object} data - Fields of an update
+   * @returns {Object} The fields to apply
+   */
+  static changedFields(data) {
+    const fields = { ...data };
+    if (!fields.sitePassword) {
+      delete fields.sitePassword;
+    }
+    return fields;
+  }
+}
+
+export default SyncEngine;
@@ -0,0 +1,275 @@
+/**
+ * VaultBackup - Encrypted backup files for moving accounts between machines
+ * Used by the server routes and by the offline copy in the browser.
+ *
+ * A backup is a JSON file:
+ *
+ *   { format: 'image-password-vault', version: 1, createdAt,
+ *     kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt },
+ *     cipher: { name: 'AES-GCM', iv },
+ *     data: <hex ciphertext of { accounts: [...] }> }
+ *
+ * Accounts are stored as they are in the database, so usernames, notes and
+ * site passwords stay encrypted under their image as well.
+ */
+
+import SecureSketch from './secure-sketch.js';
+import FieldCrypto from './field-crypto.js';
+import HashEngine from './hash-engine.js';
+import ImageGenerator from './image-generator.js';
+import ClickPoints from './click-points.js';
+import ImageRegion from './image-region.js';
+
+const FORMAT = 'image-password-vault';
+const VERSION = 1;
+
+// PBKDF2 iterations for new backups, and the most a backup may ask for so a
+// crafted file cannot tie up the server
+const ITERATIONS = 600000;
+const MAX_ITERATIONS = 2000000;
+
+// Account fields kept in a backup, and whether each must be present
+const ACCOUNT_FIELDS = {
+  id: true,
+  name: true,
+  username: true,
+  password: true,
+  createdAt: true,
+  notes: false,
+  sitePassword: false,
+  type: false,
+  rawSeed: false,
+  hashAlgorithm: false,
+  generator: false,
+  clickPoints: false,
+  region: false
+};
+
+/**
+ * Thrown when a backup holds accounts that already exist
+ */
+export class DuplicateAccountsError extends Error {
+  /**
+   * @param {Array<Object>} duplicates - { id, name } of each account in the backup that exists
+   */
+  constructor(duplicates) {
+    super(`${duplicates.length} account${duplicates.length === 1 ? '' : 's'} in the backup already exist`);
+    this.name = 'DuplicateAccountsError';
+    this.duplicates = duplicates;
+  }
+}
+
+class VaultBackup {
+  /**
+   * Create an encrypted backup
+   * @param {Array<Object>} accounts - Accounts as stored
+   * @param {string} passphrase - Passphrase to encrypt the backup with
+   * @returns {Promise<string>} The backup file contents
+   */
+  static async create(accounts, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await VaultBackup.deriveKey(passphrase, salt, ITERATIONS);
+
+    const payload = JSON.stringify({ accounts: accounts.map(VaultBackup.pickFields) });
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(payload));
+
+    return JSON.stringify({
+      format: FORMAT,
+      version: VERSION,
+      createdAt: new Date().toISOString(),
+      kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: ITERATIONS, salt: SecureSketch.bytesToHex(salt) },
+      cipher: { name: 'AES-GCM', iv: SecureSketch.bytesToHex(iv) },
+      data: SecureSketch.bytesToHex(new Uint8Array(data))
+    }, null, 2);
+  }
+
+  /**
+   * Decrypt and validate a backup
+   * @param {string} text - The backup file contents
+   * @param {string} passphrase - Passphrase the backup was encrypted with
+   * @returns {Promise<Array<Object>>} The accounts in the backup
+   */
+  static async open(text, passphrase) {
+    let backup;
+    try {
+      backup = JSON.parse(text);
+    } catch (error) {
+      throw new Error('Invalid backup: not a JSON file');
+    }
+
+    if (!backup || backup.format !== FORMAT) {
+      throw new Error('Invalid backup: not an image password vault backup');
+    }
+    if (backup.version !== VERSION) {
+      throw new Error(`Unsupported backup version: ${backup.version}`);
+    }
+
+    const { kdf, cipher, data } = backup;
+    const valid = kdf && kdf.name === 'PBKDF2' && kdf.hash === 'SHA-256'
+      && Number.isInteger(kdf.iterations) && kdf.iterations > 0 && kdf.iterations <= MAX_ITERATIONS
+      && VaultBackup.isHex(kdf.salt)
+      && cipher && cipher.name === 'AES-GCM' && VaultBackup.isHex(cipher.iv)
+      && VaultBackup.isHex(data);
+    if (!valid) {
+      throw new Error('Invalid backup: missing or malformed encryption parameters');
+    }
+
+    const key = await VaultBackup.deriveKey(passphrase, FieldCrypto.hexToBytes(kdf.salt), kdf.iterations);
+    let payload;
+    try {
+      const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: FieldCrypto.hexToBytes(cipher.iv) },
+        key,
+        FieldCrypto.hexToBytes(data)
+      );
+      payload = JSON.parse(new TextDecoder().decode(plaintext));
+    } catch (error) {
+      throw new Error('Wrong passphrase or damaged backup');
+    }
+
+    return VaultBackup.validateAccounts(payload && payload.accounts);
+  }
+
+  /**
+   * Check the accounts from a decrypted backup
+   * @param {Array<Object>} accounts - Accounts from the backup
+   * @returns {Array<Object>} The accounts with only the known fields
+   */
+  static validateAccounts(accounts) {
+    if (!Array.isArray(accounts)) {
+      throw new Error('Invalid backup: no account list');
+    }
+
+    const ids = new Set();
+    accounts.forEach((account, index) => {
+      for (const [field, required] of Object.entries(ACCOUNT_FIELDS)) {
+        const value = account[field];
+        const missing = value === undefined || value === null || value === '';
+        if ((required && missing) || (!missing && typeof value !== 'string')) {
+          throw new Error(`Invalid backup: account ${index + 1} has an invalid ${field}`);
+        }
+      }
+
+      if (account.type && !['uploaded', 'generated', 'clickpoints', 'region'].includes(account.type)) {
+        throw new Error(`Invalid backup: account ${index + 1} has an unknown type`);
+      }
+
+      try {
+        HashEngine.parseAlgorithm(account.hashAlgorithm);
+      } catch (error) {
+        throw new Error(`Invalid backup: account ${index + 1} has an unknown hash algorithm`);
+      }
+
+      try {
+        ImageGenerator.parseOptions(account.generator);
+      } catch (error) {
+        throw new Error(`Invalid backup: account ${index + 1} has an unknown image style`);
+      }
+
+      try {
+        if (account.clickPoints) ClickPoints.pointCount(account.clickPoints);
+      } catch (error) {
+        throw new Error(`Invalid backup: account ${index + 1} has invalid click points`);
+      }
+
+      try {
+        if (account.region) ImageRegion.parseGrid(account.region);
+      } catch (error) {
+        throw new Error(`Invalid backup: account ${index + 1} has an invalid region`);
+      }
+
+      if (ids.has(account.id)) {
+        throw new Error(`Invalid backup: account ID ${account.id} appears more than once`);
+      }
+      ids.add(account.id);
+    });
+
+    return accounts.map(VaultBackup.pickFields);
+  }
+
+  /**
+   * Find accounts in a backup that already exist, by ID or by name
+   * @param {Array<Object>} existing - Accounts in the vault
+   * @param {Array<Object>} incoming - Accounts in the backup
+   * @returns {Array<Object>} { id, name } of each duplicate in the backup
+   */
+  static findDuplicates(existing, incoming) {
+    const ids = new Set(existing.map(account => account.id));
+    const names = new Set(existing.map(account => account.name));
+
+    return incoming
+      .filter(account => ids.has(account.id) || names.has(account.name))
+      .map(({ id, name }) => ({ id, name }));
+  }
+
+  /**
+   * Combine a backup with the vault
+   * 'merge' keeps every existing account and adds the backup's new ones;
+   * 'replace' swaps the whole vault for the backup
+   *
+   * @param {Array<Object>} existing - Accounts in the vault
+   * @param {Array<Object>} incoming - Accounts in the backup
+   * @param {string} mode - 'merge' or 'replace'
+   * @returns {Object} { accounts, added, skipped }: the resulting vault, the
+   *   backup accounts to insert and the number of duplicates left out
+   */
+  static combine(existing, incoming, mode) {
+    if (mode === 'replace') {
+      return { accounts: incoming, added: incoming, skipped: 0 };
+    }
+    if (mode !== 'merge') {
+      throw new Error(`Unknown import mode: ${mode}`);
+    }
+
+    const duplicates = new Set(VaultBackup.findDuplicates(existing, incoming).map(account => account.id));
+    const added = incoming.filter(account => !duplicates.has(account.id));
+    return { accounts: [...existing, ...added], added, skipped: incoming.length - added.length };
+  }
+
+  /**
+   * Keep only the fields a backup stores
+   * @param {Object} account - An account
+   * @returns {Object} The account's backup fields
+   */
+  static pickFields(account) {
+    const fields = {};
+    for (const field of Object.keys(ACCOUNT_FIELDS)) {
+      fields[field] = account[field] ?? null;
+    }
+    return fields;
+  }
+
+  /**
+   * Derive the backup key from a passphrase
+   * @param {string} passphrase - The passphrase
+   * @param {Uint8Array} salt - Salt stored in the backup
+   * @param {number} iterations - PBKDF2 iterations
+   * @returns {Promise<CryptoKey>} The AES-GCM key
+   */
+  static async deriveKey(passphrase, salt, iterations) {
+    if (!passphrase) {
+      throw new Error('A backup passphrase is required');
+    }
+
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * Check that a value is a non-empty hex string of whole bytes
+   * @param {*} value - The value
+   * @returns {boolean} True if the value is hex
+   */
+  static isHex(value) {
+    return typeof value === 'string' && value.length % 2 === 0 && /^[0-9a-f]+$/i.test(value);
+  }
+}
+
+export default VaultBackup;
@@ -0,0 +1,190 @@
+/**
+ * Brute-force protection for image verification
+ * Failed attempts are counted per key (an account, a username or a client IP)
+ * in the SQLite `login_attempts` table. Each failure makes an account or
+ * username wait twice as long before the next attempt, and after too many
+ * failures the key is locked out, for longer each time. A successful attempt
+ * clears the account or username. Keys that only need a rate limit are locked
+ * out for the first lockout's length and then start counting again.
+ *
+ * Checking a key, comparing the image and recording the outcome are separate
+ * steps, so each attempt holds its keys until its outcome is recorded (see
+ * lock). The locks live in the server process, which is the only one.
+ */
+
+// Seconds to wait after the first failure; doubles with each further failure
+const BASE_DELAY_SECONDS = 1;
+
+// Minutes of the first lockout; doubles with each further failure
+const LOCKOUT_MINUTES = 15;
+
+// Longest a key can be locked out
+const MAX_LOCKOUT_HOURS = 24;
+
+// Hours after the last failure when a key's count is forgotten
+const FORGET_HOURS = 24;
+
+// Failures allowed before a lockout, whether failures before it are slowed
+// down and whether each lockout is longer than the last, by kind of key. One
+// IP address may legitimately try several accounts, so it gets more failures
+// and only guards against guessing across accounts. Checking an image against
+// all of a user's accounts for reuse answers like a verification, so every
+// check counts as a failure of its own; but honest users check an image for
+// every account they register or import, so the checks are only held to a
+// rate and never locked out for longer.
+const LIMITS = {
+  account: { maxFailures: 5, backoff: true, escalate: true },
+  user: { maxFailures: 5, backoff: true, escalate: true },
+  ip: { maxFailures: 20, backoff: false, escalate: true },
+  reuse: { maxFailures: 20, backoff: false, escalate: false }
+};
+
+class AttemptLimiter {
+  /**
+   * @param {Object} db - sqlite3 database with a `login_attempts` table
+   */
+  constructor(db) {
+    this.db = db;
+
+    // The last attempt under way on each key, as a promise settled when it is done
+    this.locks = new Map();
+  }
+
+  /**
+   * Run a statement and resolve with its result
+   * @param {string} method - 'run', 'get' or 'all'
+   * @param {string} sql - SQL statement
+   * @param {Array} params - Statement parameters
+   * @returns {Promise<*>} The row(s) for 'get' and 'all', nothing for 'run'
+   */
+  query(method, sql, params) {
+    return new Promise((resolve, reject) => {
+      this.db[method](sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    });
+  }
+
+  /**
+   * Keys an attempt counts against
+   * @param {Object} req - Express request
+   * @param {string} kind - 'account' or 'user'
+   * @param {string} id - Account ID or username
+   * @returns {Array<string>} The keys
+   */
+  static keys(req, kind, id) {
+    return [`${kind}:${id}`, `ip:${req.ip}`];
+  }
+
+  /**
+   * Wait for the attempts already under way on any of the keys
+   * Guesses sent in parallel would otherwise all pass check() before the
+   * first failure was recorded. Each attempt waits for the ones before it on
+   * any of its keys; as it only ever waits for earlier attempts, two can never
+   * wait for each other.
+   * @param {Array<string>} keys - Keys from AttemptLimiter.keys
+   * @returns {Promise<Function>} Lets the next attempt go ahead once the outcome
+   *   is recorded; calling it again does nothing
+   */
+  async lock(keys) {
+    const previous = keys.map(key => this.locks.get(key));
+    let release;
+    const done = new Promise(resolve => {
+      release = resolve;
+    });
+    for (const key of keys) {
+      this.locks.set(key, done);
+    }
+
+    await Promise.all(previous);
+    return () => {
+      release();
+      for (const key of keys) {
+        if (this.locks.get(key) === done) {
+          this.locks.delete(key);
+        }
+      }
+    };
+  }
+
+  /**
+   * Check whether any of the keys must still wait
+   * @param {Array<string>} keys - Keys from AttemptLimiter.keys
+   * @returns {Promise<Object|null>} { retryAfter, lockedUntil } or null if an attempt is allowed
+   */
+  async check(keys) {
+    const now = new Date().toISOString();
+    const rows = await this.query('all',
+      `SELECT lockedUntil FROM login_attempts WHERE key IN (${keys.map(() => '?').join(', ')}) AND lockedUntil > ?`,
+      [...keys, now]);
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const lockedUntil = rows.map(row => row.lockedUntil).sort().pop();
+    return { retryAfter: Math.ceil((new Date(lockedUntil) - Date.now()) / 1000), lockedUntil };
+  }
+
+  /**
+   * Record a failed attempt against each key
+   * @param {Array<string>} keys - Keys from AttemptLimiter.keys
+   * @returns {Promise<Object>} { remainingAttempts, lockedUntil } where remainingAttempts
+   *   is the number of failures left before a lockout and lockedUntil is set if one started
+   */
+  async fail(keys) {
+    const now = new Date();
+    const forgetBefore = new Date(now.getTime() - FORGET_HOURS * 60 * 60 * 1000).toISOString();
+    let remainingAttempts = Infinity;
+    let lockedUntil = null;
+
+    await this.query('run', 'DELETE FROM login_attempts WHERE lastFailure < ?', [forgetBefore]);
+
+    for (const key of keys) {
+      const row = await this.query('get', 'SELECT failures FROM login_attempts WHERE key = ?', [key]);
+      const failures = (row ? row.failures : 0) + 1;
+      const { maxFailures, backoff, escalate } = LIMITS[key.split(':')[0]];
+      const until = new Date(now.getTime() + AttemptLimiter.delayFor(failures, maxFailures, backoff)).toISOString();
+
+      // A key that does not escalate starts counting again after its lockout
+      const counted = escalate || failures < maxFailures ? failures : 0;
+      await this.query('run',
+        `INSERT INTO login_attempts (key, failures, lastFailure, lockedUntil) VALUES (?, ?, ?, ?)
+         ON CONFLICT(key) DO UPDATE SET failures = excluded.failures, lastFailure = excluded.lastFailure, lockedUntil = excluded.lockedUntil`,
+        [key, counted, now.toISOString(), until]);
+
+      remainingAttempts = Math.min(remainingAttempts, Math.max(0, maxFailures - failures));
+      if (failures >= maxFailures && (!lockedUntil || until > lockedUntil)) {
+        lockedUntil = until;
+      }
+    }
+
+    return { remainingAttempts, lockedUntil };
+  }
+
+  /**
+   * Clear the count of the first key after a successful attempt
+   * The IP key is kept, so a valid login to one account does not reset the
+   * count of guesses made against others
+   * @param {Array<string>} keys - Keys from AttemptLimiter.keys
+   */
+  async succeed(keys) {
+    await this.query('run', 'DELETE FROM login_attempts WHERE key = ?', [keys[0]]);
+  }
+
+  /**
+   * Time a key has to wait after a number of failures
+   * @param {number} failures - Failures so far
+   * @param {number} maxFailures - Failures allowed before a lockout
+   * @param {boolean} backoff - Whether failures before the lockout are slowed down
+   * @returns {number} Delay in milliseconds
+   */
+  static delayFor(failures, maxFailures, backoff) {
+    if (failures < maxFailures) {
+      return backoff ? BASE_DELAY_SECONDS * 1000 * 2 ** (failures - 1) : 0;
+    }
+
+    const lockout = LOCKOUT_MINUTES * 60 * 1000 * 2 ** (failures - maxFailures);
+    return Math.min(lockout, MAX_LOCKOUT_HOURS * 60 * 60 * 1000);
+  }
+}
+
+module.exports = AttemptLimiter;
@@ -0,0 +1,26 @@
+/**
+ * Image decoder for the server
+ * Picks the PNG or JPEG decoder from the file signature; registered with
+ * HashEngine so uploads are hashed exactly like images in the browser
+ */
+const { isPng, decodePng } = require('./png-decoder');
+const { isJpeg, decodeJpeg } = require('./jpeg-decoder');
+
+/**
+ * Decode a PNG or baseline JPEG file to RGBA pixels
+ * @param {Uint8Array} bytes - File contents
+ * @returns {Object} { width, height, data }, with a JPEG's EXIF orientation
+ */
+function decodeImage(bytes) {
+  if (isPng(bytes)) {
+    return decodePng(bytes);
+  }
+
+  if (isJpeg(bytes)) {
+    return decodeJpeg(bytes);
+  }
+
+  throw new Error('Unsupported image format; only PNG and JPEG can be decoded');
+}
+
+module.exports = { decodeImage };
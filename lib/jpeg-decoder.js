@@ -0,0 +1,604 @@
+/**
+ * JPEG decoder
+ * Decodes baseline and extended sequential Huffman JPEG files to RGBA pixels
+ * in plain JavaScript. Progressive and arithmetic-coded files are rejected.
+ *
+ * The inverse DCT, chroma upsampling and YCbCr conversion follow libjpeg's
+ * defaults in integer arithmetic, as browsers decode JPEG with libjpeg-turbo,
+ * so the pixels match theirs and an upload hashes the same on the server as
+ * in the browser (test/browser-agreement.test.js checks this).
+ *
+ * The EXIF orientation tag is read but not applied; HashEngine turns the
+ * pixels upright, as browsers do when decoding.
+ */
+
+// Largest image decoded, in pixels, checked from the frame header before the
+// component planes are allocated; the same limit as the PNG decoder's
+const MAX_PIXELS = 4096 * 4096;
+
+const ZIGZAG = [
+  0, 1, 8, 16, 9, 2, 3, 10,
+  17, 24, 32, 25, 18, 11, 4, 5,
+  12, 19, 26, 33, 40, 48, 41, 34,
+  27, 20, 13, 6, 7, 14, 21, 28,
+  35, 42, 49, 56, 57, 50, 43, 36,
+  29, 22, 15, 23, 30, 37, 44, 51,
+  58, 59, 52, 45, 38, 31, 39, 46,
+  53, 60, 61, 54, 47, 55, 62, 63
+];
+
+// Constants of libjpeg's accurate integer IDCT (jidctint.c), scaled by 2^13
+const CONST_BITS = 13;
+const PASS1_BITS = 2;
+const FIX_0_298631336 = 2446;
+const FIX_0_390180644 = 3196;
+const FIX_0_541196100 = 4433;
+const FIX_0_765366865 = 6270;
+const FIX_0_899976223 = 7373;
+const FIX_1_175875602 = 9633;
+const FIX_1_501321110 = 12299;
+const FIX_1_847759065 = 15137;
+const FIX_1_961570560 = 16069;
+const FIX_2_053119869 = 16819;
+const FIX_2_562915447 = 20995;
+const FIX_3_072711026 = 25172;
+
+// Powers of two inverseDct scales by, so they are not worked out for every sample
+const SCALES = [];
+for (const bits of [CONST_BITS, CONST_BITS - PASS1_BITS, CONST_BITS + PASS1_BITS + 3]) {
+  SCALES[bits] = 2 ** bits;
+}
+
+/**
+ * Check whether a buffer holds a JPEG file
+ * @param {Uint8Array} bytes - File contents
+ * @returns {boolean} True if the file starts with an SOI marker
+ */
+function isJpeg(bytes) {
+  return bytes[0] === 0xff && bytes[1] === 0xd8;
+}
+
+/**
+ * Build a Huffman decoding table (JPEG spec F.2.2.3)
+ * @param {Uint8Array} counts - Number of codes of each length 1-16
+ * @param {Uint8Array} symbols - Symbols in code order
+ * @returns {Object} Decoding table
+ */
+function buildHuffmanTable(counts, symbols) {
+  const maxCode = new Int32Array(18).fill(-1);
+  const minCode = new Int32Array(17);
+  const valuePointer = new Int32Array(17);
+  let code = 0;
+  let k = 0;
+
+  for (let length = 1; length <= 16; length++) {
+    valuePointer[length] = k;
+    minCode[length] = code;
+    code += counts[length - 1];
+    k += counts[length - 1];
+    maxCode[length] = counts[length - 1] ? code - 1 : -1;
+    code <<= 1;
+  }
+
+  return { maxCode, minCode, valuePointer, symbols };
+}
+
+/**
+ * Divide by 2^bits, rounding half up, as libjpeg's DESCALE does
+ * Plain arithmetic rather than shifts, since products can pass 32 bits
+ * @param {number} value - The value
+ * @param {number} bits - Bits to drop
+ * @returns {number} The result
+ */
+function descale(value, bits) {
+  const scale = SCALES[bits];
+  return Math.floor((value + scale / 2) / scale);
+}
+
+/**
+ * One-dimensional IDCT of eight values, libjpeg's slow-but-accurate integer
+ * algorithm (Loeffler, Ligtenberg and Moschytz)
+ * @param {ArrayLike<number>} input - Array holding the eight inputs
+ * @param {number} start - Index of the first input
+ * @param {number} step - Distance between inputs
+ * @param {Array<number>|TypedArray} output - Array to write the eight outputs to
+ * @param {number} outStart - Index of the first output
+ * @param {number} outStep - Distance between outputs
+ * @param {number} bits - Bits to drop from the results
+ * @param {number} bias - Added to each result, after descaling
+ */
+function idct8(input, start, step, output, outStart, outStep, bits, bias) {
+  const v = index => input[start + index * step];
+
+  // Even part
+  let z1 = (v(2) + v(6)) * FIX_0_541196100;
+  const even2 = z1 - v(6) * FIX_1_847759065;
+  const even3 = z1 + v(2) * FIX_0_765366865;
+  const even0 = (v(0) + v(4)) * SCALES[CONST_BITS];
+  const even1 = (v(0) - v(4)) * SCALES[CONST_BITS];
+
+  const tmp10 = even0 + even3;
+  const tmp13 = even0 - even3;
+  const tmp11 = even1 + even2;
+  const tmp12 = even1 - even2;
+
+  // Odd part
+  let tmp0 = v(7);
+  let tmp1 = v(5);
+  let tmp2 = v(3);
+  let tmp3 = v(1);
+  z1 = tmp0 + tmp3;
+  let z2 = tmp1 + tmp2;
+  let z3 = tmp0 + tmp2;
+  let z4 = tmp1 + tmp3;
+  const z5 = (z3 + z4) * FIX_1_175875602;
+
+  tmp0 *= FIX_0_298631336;
+  tmp1 *= FIX_2_053119869;
+  tmp2 *= FIX_3_072711026;
+  tmp3 *= FIX_1_501321110;
+  z1 *= -FIX_0_899976223;
+  z2 *= -FIX_2_562915447;
+  z3 = z3 * -FIX_1_961570560 + z5;
+  z4 = z4 * -FIX_0_390180644 + z5;
+
+  tmp0 += z1 + z3;
+  tmp1 += z2 + z4;
+  tmp2 += z2 + z3;
+  tmp3 += z1 + z4;
+
+  output[outStart] = descale(tmp10 + tmp3, bits) + bias;
+  output[outStart + outStep] = descale(tmp11 + tmp2, bits) + bias;
+  output[outStart + 2 * outStep] = descale(tmp12 + tmp1, bits) + bias;
+  output[outStart + 3 * outStep] = descale(tmp13 + tmp0, bits) + bias;
+  output[outStart + 4 * outStep] = descale(tmp13 - tmp0, bits) + bias;
+  output[outStart + 5 * outStep] = descale(tmp12 - tmp1, bits) + bias;
+  output[outStart + 6 * outStep] = descale(tmp11 - tmp2, bits) + bias;
+  output[outStart + 7 * outStep] = descale(tmp10 - tmp3, bits) + bias;
+}
+
+// Intermediate results of inverseDct, between its two passes
+const workspace = new Float64Array(64);
+
+/**
+ * Inverse DCT of one block, with level shift and clamping
+ * The integer arithmetic is libjpeg's default, which browsers decode with,
+ * so the samples come out the same as theirs
+ * @param {Int32Array} coefficients - Dequantized coefficients in natural order
+ * @param {Uint8ClampedArray} out - Component plane
+ * @param {number} offset - Index of the block's top-left sample in the plane
+ * @param {number} stride - Width of the plane
+ */
+function inverseDct(coefficients, out, offset, stride) {
+  // Columns, keeping PASS1_BITS of extra precision
+  for (let x = 0; x < 8; x++) {
+    idct8(coefficients, x, 8, workspace, x, 8, CONST_BITS - PASS1_BITS, 0);
+  }
+
+  // Rows, dropping the extra precision and the factor of 8
+  for (let y = 0; y < 8; y++) {
+    idct8(workspace, y * 8, 1, out, offset + y * stride, 1, CONST_BITS + PASS1_BITS + 3, 128);
+  }
+}
+
+/**
+ * Decode the entropy-coded data of one scan into component coefficients
+ * @param {Uint8Array} bytes - File contents
+ * @param {number} start - Offset of the first entropy-coded byte
+ * @param {Object} frame - Frame header with its components
+ * @param {Array<Object>} scanComponents - Components in this scan with their tables
+ * @param {number} restartInterval - MCUs between restart markers, 0 for none
+ * @returns {number} Offset just after the scan data
+ */
+function decodeScan(bytes, start, frame, scanComponents, restartInterval) {
+  let position = start;
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const readBit = () => {
+    if (bitCount === 0) {
+      let byte = bytes[position];
+      if (byte === 0xff) {
+        const next = bytes[position + 1];
+        if (next === 0) {
+          position += 2;
+        } else {
+          // A marker ends the data; pad with zero bits without consuming it
+          byte = 0;
+        }
+      } else {
+        position++;
+      }
+      bitBuffer = byte;
+      bitCount = 8;
+    }
+    bitCount--;
+    return (bitBuffer >> bitCount) & 1;
+  };
+
+  const receive = length => {
+    let value = 0;
+    for (let i = 0; i < length; i++) {
+      value = (value << 1) | readBit();
+    }
+    return value;
+  };
+
+  const extend = (value, length) => (value < 1 << (length - 1) ? value - (1 << length) + 1 : value);
+
+  const decodeHuffman = table => {
+    let code = readBit();
+    let length = 1;
+    while (code > table.maxCode[length]) {
+      code = (code << 1) | readBit();
+      length++;
+      if (length > 16) {
+        throw new Error('Invalid JPEG Huffman code');
+      }
+    }
+    return table.symbols[table.valuePointer[length] + code - table.minCode[length]];
+  };
+
+  const coefficients = new Int32Array(64);
+  const decodeBlock = (component, blockRow, blockColumn) => {
+    coefficients.fill(0);
+    const quantization = component.quantization;
+
+    const t = decodeHuffman(component.dcTable);
+    component.prediction += t === 0 ? 0 : extend(receive(t), t);
+    coefficients[0] = component.prediction * quantization[0];
+
+    for (let k = 1; k < 64;) {
+      const rs = decodeHuffman(component.acTable);
+      const run = rs >> 4;
+      const size = rs & 15;
+      if (size === 0) {
+        if (run !== 15) break;
+        k += 16;
+        continue;
+      }
+      k += run;
+      if (k > 63) break;
+      coefficients[ZIGZAG[k]] = extend(receive(size), size) * quantization[k];
+      k++;
+    }
+
+    const stride = component.blocksPerLine * 8;
+    inverseDct(coefficients, component.pixels, blockRow * 8 * stride + blockColumn * 8, stride);
+  };
+
+  const restart = () => {
+    bitCount = 0;
+    while (position < bytes.length - 1 && !(bytes[position] === 0xff && bytes[position + 1] >= 0xd0 && bytes[position + 1] <= 0xd7)) {
+      position++;
+    }
+    position += 2;
+    scanComponents.forEach(component => { component.prediction = 0; });
+  };
+
+  scanComponents.forEach(component => { component.prediction = 0; });
+
+  if (scanComponents.length === 1) {
+    // Non-interleaved: one block per MCU, covering only the component's real blocks
+    const component = scanComponents[0];
+    const columns = Math.ceil(Math.ceil((frame.width * component.h) / frame.maxH) / 8);
+    const rows = Math.ceil(Math.ceil((frame.height * component.v) / frame.maxV) / 8);
+
+    for (let n = 0; n < rows * columns; n++) {
+      if (restartInterval && n > 0 && n % restartInterval === 0) restart();
+      decodeBlock(component, Math.floor(n / columns), n % columns);
+    }
+  } else {
+    const mcuCount = frame.mcusPerLine * frame.mcusPerColumn;
+
+    for (let n = 0; n < mcuCount; n++) {
+      if (restartInterval && n > 0 && n % restartInterval === 0) restart();
+      const mcuRow = Math.floor(n / frame.mcusPerLine);
+      const mcuColumn = n % frame.mcusPerLine;
+
+      for (const component of scanComponents) {
+        for (let v = 0; v < component.v; v++) {
+          for (let h = 0; h < component.h; h++) {
+            decodeBlock(component, mcuRow * component.v + v, mcuColumn * component.h + h);
+          }
+        }
+      }
+    }
+  }
+
+  return position;
+}
+
+/**
+ * Read the orientation tag from an APP1 Exif segment
+ * @param {Uint8Array} segment - Segment contents after the length
+ * @returns {number|null} The tag's value, 1-8, or null if the segment has none
+ */
+function readExifOrientation(segment) {
+  if (String.fromCharCode(...segment.subarray(0, 6)) !== 'Exif\0\0') {
+    return null;
+  }
+
+  // A TIFF header follows: byte order, 42, then the offset of the first IFD
+  const tiff = segment.subarray(6);
+  const little = tiff[0] === 0x49;
+  const readUint16 = offset => (little ? tiff[offset] | (tiff[offset + 1] << 8) : (tiff[offset] << 8) | tiff[offset + 1]);
+  const readUint32 = offset => (little
+    ? (tiff[offset] | (tiff[offset + 1] << 8) | (tiff[offset + 2] << 16)) + tiff[offset + 3] * 0x1000000
+    : tiff[offset] * 0x1000000 + ((tiff[offset + 1] << 16) | (tiff[offset + 2] << 8) | tiff[offset + 3]));
+
+  if (tiff.length < 8 || readUint16(2) !== 42) {
+    return null;
+  }
+
+  const ifd = readUint32(4);
+  if (ifd + 2 > tiff.length) {
+    return null;
+  }
+
+  for (let i = 0; i < readUint16(ifd); i++) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > tiff.length) break;
+    if (readUint16(entry) === 0x0112) {
+      const orientation = readUint16(entry + 8);
+      return orientation >= 1 && orientation <= 8 ? orientation : null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Decode a JPEG file
+ * @param {Uint8Array} bytes - File contents
+ * @returns {Object} { width, height, data, orientation } with RGBA data as
+ *   stored, and the EXIF orientation (1 if the file has none)
+ */
+function decodeJpeg(bytes) {
+  if (!isJpeg(bytes)) {
+    throw new Error('Not a JPEG file');
+  }
+
+  const quantizationTables = [];
+  const dcTables = [];
+  const acTables = [];
+  let frame = null;
+  let restartInterval = 0;
+  let adobeTransform = null;
+  let orientation = 1;
+  let position = 2;
+
+  const readUint16 = offset => (bytes[offset] << 8) | bytes[offset + 1];
+
+  while (position < bytes.length) {
+    if (bytes[position] !== 0xff) {
+      position++;
+      continue;
+    }
+
+    const marker = bytes[position + 1];
+    position += 2;
+
+    // Fill bytes, stuffed zeros and restart markers carry no segment
+    if (marker === 0xff) {
+      position--;
+      continue;
+    }
+    if (marker === 0x00 || (marker >= 0xd0 && marker <= 0xd7)) continue;
+    if (marker === 0xd9) break;
+
+    const length = readUint16(position);
+    const segment = bytes.subarray(position + 2, position + length);
+    position += length;
+
+    if (marker === 0xdb) {
+      // DQT: one or more tables, 8 or 16 bit precision, in zigzag order
+      for (let i = 0; i < segment.length;) {
+        const precision = segment[i] >> 4;
+        const id = segment[i] & 15;
+        const table = new Int32Array(64);
+        for (let k = 0; k < 64; k++) {
+          table[k] = precision ? (segment[i + 1 + 2 * k] << 8) | segment[i + 2 + 2 * k] : segment[i + 1 + k];
+        }
+        quantizationTables[id] = table;
+        i += 1 + (precision ? 128 : 64);
+      }
+    } else if (marker === 0xc4) {
+      // DHT: one or more Huffman tables
+      for (let i = 0; i < segment.length;) {
+        const tableClass = segment[i] >> 4;
+        const id = segment[i] & 15;
+        const counts = segment.subarray(i + 1, i + 17);
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        const table = buildHuffmanTable(counts, segment.subarray(i + 17, i + 17 + total));
+        (tableClass === 0 ? dcTables : acTables)[id] = table;
+        i += 17 + total;
+      }
+    } else if (marker === 0xc0 || marker === 0xc1) {
+      // SOF0 / SOF1: baseline and extended sequential Huffman
+      if (segment[0] !== 8) {
+        throw new Error(`Unsupported JPEG sample precision ${segment[0]}`);
+      }
+
+      frame = {
+        height: (segment[1] << 8) | segment[2],
+        width: (segment[3] << 8) | segment[4],
+        components: []
+      };
+      for (let i = 0; i < segment[5]; i++) {
+        const base = 6 + i * 3;
+        frame.components.push({
+          id: segment[base],
+          h: segment[base + 1] >> 4,
+          v: segment[base + 1] & 15,
+          quantizationId: segment[base + 2]
+        });
+      }
+
+      if (frame.width === 0 || frame.height === 0 || frame.width * frame.height > MAX_PIXELS) {
+        throw new Error(`JPEG size ${frame.width}×${frame.height} is not supported`);
+      }
+      // Sampling factors run from 1 to 4; larger ones would multiply the planes' size
+      if (frame.components.some(component => component.h < 1 || component.h > 4 || component.v < 1 || component.v > 4)) {
+        throw new Error('Invalid JPEG sampling factors');
+      }
+
+      frame.maxH = Math.max(...frame.components.map(component => component.h));
+      frame.maxV = Math.max(...frame.components.map(component => component.v));
+      frame.mcusPerLine = Math.ceil(frame.width / (8 * frame.maxH));
+      frame.mcusPerColumn = Math.ceil(frame.height / (8 * frame.maxV));
+
+      for (const component of frame.components) {
+        component.blocksPerLine = frame.mcusPerLine * component.h;
+        component.blocksPerColumn = frame.mcusPerColumn * component.v;
+        component.pixels = new Uint8ClampedArray(component.blocksPerLine * component.blocksPerColumn * 64);
+      }
+    } else if (marker >= 0xc2 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      throw new Error('Only baseline JPEG files are supported');
+    } else if (marker === 0xdd) {
+      restartInterval = (segment[0] << 8) | segment[1];
+    } else if (marker === 0xe1) {
+      orientation = readExifOrientation(segment) || orientation;
+    } else if (marker === 0xee) {
+      // APP14 Adobe: the transform flag says whether three components are YCbCr
+      if (String.fromCharCode(...segment.subarray(0, 5)) === 'Adobe') {
+        adobeTransform = segment[11];
+      }
+    } else if (marker === 0xda) {
+      if (!frame) {
+        throw new Error('JPEG scan before frame header');
+      }
+
+      const scanComponents = [];
+      for (let i = 0; i < segment[0]; i++) {
+        const component = frame.components.find(c => c.id === segment[1 + i * 2]);
+        const tables = segment[2 + i * 2];
+        component.dcTable = dcTables[tables >> 4];
+        component.acTable = acTables[tables & 15];
+        component.quantization = quantizationTables[component.quantizationId];
+        if (!component.dcTable || !component.acTable || !component.quantization) {
+          throw new Error('JPEG scan references a missing table');
+        }
+        scanComponents.push(component);
+      }
+
+      position = decodeScan(bytes, position, frame, scanComponents, restartInterval);
+    }
+  }
+
+  if (!frame) {
+    throw new Error('JPEG frame header is missing');
+  }
+
+  return { ...toRgba(frame, adobeTransform), orientation };
+}
+
+/**
+ * Bring a component plane up to the size of the image
+ * Chroma at half the width, the height or both is interpolated with the
+ * triangle filter of libjpeg's "fancy" upsampling, which is what browsers
+ * decode with, so the server's pixels and hashes agree with theirs. Beyond
+ * the component's own size the last row and column are repeated, as libjpeg
+ * does. Other sampling factors are upsampled by pixel replication.
+ * @param {Object} component - Component with its decoded plane
+ * @param {Object} frame - Decoded frame
+ * @returns {Uint8Array} The component at width × height
+ */
+function upsample(component, frame) {
+  const { width, height, maxH, maxV } = frame;
+  const { pixels } = component;
+  const stride = component.blocksPerLine * 8;
+  const inWidth = Math.ceil((width * component.h) / maxH);
+  const inHeight = Math.ceil((height * component.v) / maxV);
+  const scaleX = maxH / component.h;
+  const scaleY = maxV / component.v;
+  const fancy = (scaleX === 1 || scaleX === 2) && (scaleY === 1 || scaleY === 2);
+  const out = new Uint8Array(width * height);
+
+  // One row of the component, or for half height the weighted sum of two, with
+  // the first and last columns repeated on either side
+  const sums = new Int32Array(inWidth + 2);
+
+  for (let y = 0; y < height; y++) {
+    const sy = Math.min(Math.floor(y / scaleY), inHeight - 1);
+    const row = sy * stride;
+    if (fancy && scaleY === 2) {
+      // Even rows lean on the row above, odd ones on the row below
+      const near = Math.min(Math.max(y & 1 ? sy + 1 : sy - 1, 0), inHeight - 1) * stride;
+      for (let x = 0; x < inWidth; x++) {
+        sums[x + 1] = 3 * pixels[row + x] + pixels[near + x];
+      }
+    } else {
+      for (let x = 0; x < inWidth; x++) {
+        sums[x + 1] = pixels[row + x];
+      }
+    }
+    sums[0] = sums[1];
+    sums[inWidth + 1] = sums[inWidth];
+
+    const line = y * width;
+    for (let x = 0; x < width; x++) {
+      let value;
+      if (!fancy) {
+        value = sums[Math.floor(x / scaleX) + 1];
+      } else if (scaleX === 1) {
+        value = scaleY === 2 ? (sums[x + 1] + (y & 1 ? 2 : 1)) >> 2 : sums[x + 1];
+      } else {
+        const here = 3 * sums[(x >> 1) + 1];
+        if (scaleY === 2) {
+          value = x & 1 ? (here + sums[(x >> 1) + 2] + 7) >> 4 : (here + sums[x >> 1] + 8) >> 4;
+        } else {
+          value = x & 1 ? (here + sums[(x >> 1) + 2] + 2) >> 2 : (here + sums[x >> 1] + 1) >> 2;
+        }
+      }
+      out[line + x] = value;
+    }
+  }
+
+  return out;
+}
+
+// YCbCr to RGB in 16-bit fixed point, rounded like libjpeg's tables
+const SCALE_BITS = 16;
+const ONE_HALF = 1 << (SCALE_BITS - 1);
+const fix = value => Math.round(value * (1 << SCALE_BITS));
+
+/**
+ * Upsample the component planes and convert them to RGBA
+ * @param {Object} frame - Decoded frame
+ * @param {number|null} adobeTransform - APP14 transform flag, if present
+ * @returns {Object} { width, height, data }
+ */
+function toRgba(frame, adobeTransform) {
+  const { width, height, components } = frame;
+  const data = new Uint8ClampedArray(width * height * 4);
+
+  if (components.length !== 1 && components.length !== 3) {
+    throw new Error(`Unsupported JPEG component count ${components.length}`);
+  }
+
+  const ycc = components.length === 3 && adobeTransform !== 0;
+  const planes = components.map(component => upsample(component, frame));
+
+  for (let i = 0; i < width * height; i++) {
+    const out = i * 4;
+    if (planes.length === 1) {
+      data[out] = data[out + 1] = data[out + 2] = planes[0][i];
+    } else if (ycc) {
+      const luma = planes[0][i];
+      const cb = planes[1][i] - 128;
+      const cr = planes[2][i] - 128;
+      data[out] = luma + ((fix(1.402) * cr + ONE_HALF) >> SCALE_BITS);
+      data[out + 1] = luma + ((-fix(0.34414) * cb - fix(0.71414) * cr + ONE_HALF) >> SCALE_BITS);
+      data[out + 2] = luma + ((fix(1.772) * cb + ONE_HALF) >> SCALE_BITS);
+    } else {
+      data[out] = planes[0][i];
+      data[out + 1] = planes[1][i];
+      data[out + 2] = planes[2][i];
+    }
+    data[out + 3] = 255;
+  }
+
+  return { width, height, data };
+}
+
+module.exports = { isJpeg, decodeJpeg };
@@ -0,0 +1,162 @@
+/**
+ * Schema migrations for the SQLite database
+ * Each file in the migrations directory is named `<version>-<name>.js` and
+ * exports `up(migrator)` and `down(migrator)`. Applied versions are recorded in
+ * the `schema_version` table, and each migration runs in its own transaction.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATION_FILE = /^(\d+)-([\w-]+)\.js$/;
+
+class Migrator {
+  /**
+   * @param {Object} db - sqlite3 database
+   * @param {string} directory - Directory holding the migration files
+   * @param {Object} [logger] - Told each step with log(), such as console; nothing is logged without one
+   */
+  constructor(db, directory, logger = null) {
+    this.db = db;
+    this.directory = directory;
+    this.logger = logger;
+  }
+
+  /**
+   * Run a statement and resolve with its result
+   * @param {string} method - 'run', 'get' or 'all'
+   * @param {string} sql - SQL statement
+   * @param {Array} [params] - Statement parameters
+   * @returns {Promise<*>} The row(s) for 'get' and 'all', nothing for 'run'
+   */
+  query(method, sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db[method](sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    });
+  }
+
+  /**
+   * List the migrations in version order
+   * @returns {Array<Object>} { version, name, up, down }
+   */
+  load() {
+    return fs.readdirSync(this.directory)
+      .map(file => file.match(MIGRATION_FILE))
+      .filter(Boolean)
+      .map(([file, version, name]) => ({
+        version: parseInt(version, 10),
+        name,
+        ...require(path.join(this.directory, file))
+      }))
+      .sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * The version the database is at
+   * @returns {Promise<number>} The highest applied version, 0 for a new database
+   */
+  async currentVersion() {
+    await this.query('run', `
+      CREATE TABLE IF NOT EXISTS schema_version (
+          version INTEGER PRIMARY KEY,
+          name TEXT NOT NULL,
+          appliedAt TEXT NOT NULL
+      )
+    `);
+
+    const row = await this.query('get', 'SELECT MAX(version) AS version FROM schema_version');
+    return row.version || 0;
+  }
+
+  /**
+   * Migrate the database up or down to a version
+   * @param {number} [target] - Version to end at; the latest by default
+   * @returns {Promise<number>} The version the database is now at
+   */
+  async migrate(target = null) {
+    const migrations = this.load();
+    const latest = migrations.length ? migrations[migrations.length - 1].version : 0;
+    const current = await this.currentVersion();
+    target = target ?? latest;
+
+    if (target > latest || target < 0) {
+      throw new Error(`Unknown schema version ${target}; the latest is ${latest}`);
+    }
+
+    if (target > current) {
+      for (const migration of migrations.filter(m => m.version > current && m.version <= target)) {
+        await this.apply(migration, 'up');
+      }
+    } else {
+      for (const migration of migrations.filter(m => m.version > target && m.version <= current).reverse()) {
+        await this.apply(migration, 'down');
+      }
+    }
+
+    return target;
+  }
+
+  /**
+   * Run one migration in a transaction and record it
+   * @param {Object} migration - The migration
+   * @param {string} direction - 'up' or 'down'
+   */
+  async apply(migration, direction) {
+    if (this.logger) {
+      this.logger.log(`Migrating ${direction}: ${migration.version} ${migration.name}`);
+    }
+
+    await this.query('run', 'BEGIN TRANSACTION');
+    try {
+      await migration[direction](this);
+
+      if (direction === 'up') {
+        await this.query('run', 'INSERT INTO schema_version (version, name, appliedAt) VALUES (?, ?, ?)',
+          [migration.version, migration.name, new Date().toISOString()]);
+      } else {
+        await this.query('run', 'DELETE FROM schema_version WHERE version = ?', [migration.version]);
+      }
+
+      await this.query('run', 'COMMIT');
+    } catch (error) {
+      await this.query('run', 'ROLLBACK');
+      throw new Error(`Migration ${migration.version} ${migration.name} failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check whether a table has a column
+   * @param {string} table - Table name
+   * @param {string} column - Column name
+   * @returns {Promise<boolean>} True if the column exists
+   */
+  async hasColumn(table, column) {
+    const columns = await this.query('all', `PRAGMA table_info(${table})`);
+    return columns.some(existing => existing.name === column);
+  }
+
+  /**
+   * Add a column unless it exists
+   * Databases from before migrations may have been given some columns already
+   * @param {string} table - Table name
+   * @param {string} column - Column name
+   * @param {string} definition - Column type and constraints
+   */
+  async addColumn(table, column, definition) {
+    if (!(await this.hasColumn(table, column))) {
+      await this.query('run', `ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  }
+
+  /**
+   * Drop a column if it exists
+   * @param {string} table - Table name
+   * @param {string} column - Column name
+   */
+  async dropColumn(table, column) {
+    if (await this.hasColumn(table, column)) {
+      await this.query('run', `ALTER TABLE ${table} DROP COLUMN ${column}`);
+    }
+  }
+}
+
+module.exports = Migrator;
@@ -0,0 +1,241 @@
+/**
+ * PNG decoder
+ * Decodes PNG files to RGBA pixels in plain JavaScript, using Node's zlib only
+ * for the inflate step. Supports every standard color type and bit depth,
+ * palette and tRNS transparency, and Adam7 interlacing.
+ */
+const zlib = require('zlib');
+
+const SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// Largest image decoded, in pixels; a 4032×3024 phone photo fits. Checked
+// from the header, before anything is inflated or allocated
+const MAX_PIXELS = 4096 * 4096;
+
+// Samples per pixel for each PNG color type
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Adam7 passes as [xStart, yStart, xStep, yStep]
+const ADAM7 = [
+  [0, 0, 8, 8],
+  [4, 0, 8, 8],
+  [0, 4, 4, 8],
+  [2, 0, 4, 4],
+  [0, 2, 2, 4],
+  [1, 0, 2, 2],
+  [0, 1, 1, 2]
+];
+
+/**
+ * Check whether a buffer holds a PNG file
+ * @param {Uint8Array} bytes - File contents
+ * @returns {boolean} True if the PNG signature is present
+ */
+function isPng(bytes) {
+  return SIGNATURE.every((value, i) => bytes[i] === value);
+}
+
+/**
+ * Paeth predictor from the PNG specification
+ * @param {number} a - Left
+ * @param {number} b - Above
+ * @param {number} c - Upper left
+ * @returns {number} The predicted value
+ */
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  if (pb <= pc) return b;
+  return c;
+}
+
+/**
+ * Undo the per-row filters of one (sub)image
+ * @param {Uint8Array} data - Inflated image data
+ * @param {number} offset - Where the (sub)image starts
+ * @param {number} rowBytes - Bytes per row, excluding the filter byte
+ * @param {number} height - Number of rows
+ * @param {number} bpp - Bytes per complete pixel, at least 1
+ * @returns {Array<Uint8Array>} The unfiltered rows
+ */
+function unfilter(data, offset, rowBytes, height, bpp) {
+  const rows = [];
+  let previous = new Uint8Array(rowBytes);
+
+  for (let y = 0; y < height; y++) {
+    const type = data[offset];
+    const row = data.slice(offset + 1, offset + 1 + rowBytes);
+    offset += rowBytes + 1;
+
+    for (let i = 0; i < rowBytes; i++) {
+      const left = i >= bpp ? row[i - bpp] : 0;
+      const up = previous[i];
+      const upLeft = i >= bpp ? previous[i - bpp] : 0;
+
+      switch (type) {
+        case 0: break;
+        case 1: row[i] = (row[i] + left) & 0xff; break;
+        case 2: row[i] = (row[i] + up) & 0xff; break;
+        case 3: row[i] = (row[i] + ((left + up) >> 1)) & 0xff; break;
+        case 4: row[i] = (row[i] + paeth(left, up, upLeft)) & 0xff; break;
+        default: throw new Error(`Invalid PNG filter type ${type}`);
+      }
+    }
+
+    rows.push(row);
+    previous = row;
+  }
+
+  return rows;
+}
+
+/**
+ * Read one sample from an unfiltered row
+ * @param {Uint8Array} row - The row
+ * @param {number} index - Sample index within the row
+ * @param {number} depth - Bit depth
+ * @returns {number} The raw sample value
+ */
+function readSample(row, index, depth) {
+  if (depth === 8) return row[index];
+  if (depth === 16) return (row[2 * index] << 8) | row[2 * index + 1];
+
+  const perByte = 8 / depth;
+  const byte = row[Math.floor(index / perByte)];
+  const shift = 8 - depth * ((index % perByte) + 1);
+  return (byte >> shift) & ((1 << depth) - 1);
+}
+
+/**
+ * Decode a PNG file
+ * @param {Uint8Array} bytes - File contents
+ * @returns {Object} { width, height, data } with RGBA data
+ */
+function decodePng(bytes) {
+  if (!isPng(bytes)) {
+    throw new Error('Not a PNG file');
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const idat = [];
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  let offset = SIGNATURE.length;
+
+  while (offset + 8 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const chunk = bytes.subarray(offset + 8, offset + 8 + length);
+    offset += length + 12;
+
+    if (type === 'IHDR') {
+      const chunkView = new DataView(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+      header = {
+        width: chunkView.getUint32(0),
+        height: chunkView.getUint32(4),
+        depth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = chunk;
+    } else if (type === 'tRNS') {
+      transparency = chunk;
+    } else if (type === 'IDAT') {
+      idat.push(chunk);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  if (!header || idat.length === 0) {
+    throw new Error('Incomplete PNG file');
+  }
+
+  const { width, height, depth, colorType, interlace } = header;
+  const channels = CHANNELS[colorType];
+  if (!channels) {
+    throw new Error(`Unsupported PNG color type ${colorType}`);
+  }
+  if (colorType === 3 && !palette) {
+    throw new Error('PNG palette is missing');
+  }
+  if (width === 0 || height === 0 || width * height > MAX_PIXELS) {
+    throw new Error(`PNG size ${width}×${height} is not supported`);
+  }
+
+  // The filtered rows of every pass; anything that inflates to more is refused
+  const passes = interlace ? ADAM7 : [[0, 0, 1, 1]];
+  const rawLength = passes.reduce((total, [xStart, yStart, xStep, yStep]) => {
+    const passWidth = Math.ceil((width - xStart) / xStep);
+    const passHeight = Math.ceil((height - yStart) / yStep);
+    return passWidth > 0 && passHeight > 0 ? total + (Math.ceil((passWidth * channels * depth) / 8) + 1) * passHeight : total;
+  }, 0);
+
+  const inflated = new Uint8Array(zlib.inflateSync(Buffer.concat(idat.map(chunk => Buffer.from(chunk))), { maxOutputLength: rawLength }));
+  const bpp = Math.max(1, (channels * depth) >> 3);
+  const maxValue = (1 << depth) - 1;
+  const scale = value => (depth === 16 ? value >> 8 : Math.round((value * 255) / maxValue));
+
+  // tRNS gives a single transparent color for gray and RGB images
+  const transparentSample = index => (transparency ? (transparency[2 * index] << 8) | transparency[2 * index + 1] : -1);
+
+  const data = new Uint8ClampedArray(width * height * 4);
+  let position = 0;
+
+  for (const [xStart, yStart, xStep, yStep] of passes) {
+    const passWidth = Math.ceil((width - xStart) / xStep);
+    const passHeight = Math.ceil((height - yStart) / yStep);
+    if (passWidth <= 0 || passHeight <= 0) continue;
+
+    const rowBytes = Math.ceil((passWidth * channels * depth) / 8);
+    const rows = unfilter(inflated, position, rowBytes, passHeight, bpp);
+    position += (rowBytes + 1) * passHeight;
+
+    for (let py = 0; py < passHeight; py++) {
+      const row = rows[py];
+      const y = yStart + py * yStep;
+
+      for (let px = 0; px < passWidth; px++) {
+        const x = xStart + px * xStep;
+        const out = (y * width + x) * 4;
+        const sample = c => readSample(row, px * channels + c, depth);
+
+        if (colorType === 0) {
+          const gray = sample(0);
+          data[out] = data[out + 1] = data[out + 2] = scale(gray);
+          data[out + 3] = gray === transparentSample(0) ? 0 : 255;
+        } else if (colorType === 2) {
+          const [r, g, b] = [sample(0), sample(1), sample(2)];
+          data[out] = scale(r);
+          data[out + 1] = scale(g);
+          data[out + 2] = scale(b);
+          const transparent = r === transparentSample(0) && g === transparentSample(1) && b === transparentSample(2);
+          data[out + 3] = transparent ? 0 : 255;
+        } else if (colorType === 3) {
+          const index = sample(0);
+          data[out] = palette[index * 3];
+          data[out + 1] = palette[index * 3 + 1];
+          data[out + 2] = palette[index * 3 + 2];
+          data[out + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+        } else if (colorType === 4) {
+          data[out] = data[out + 1] = data[out + 2] = scale(sample(0));
+          data[out + 3] = scale(sample(1));
+        } else {
+          data[out] = scale(sample(0));
+          data[out + 1] = scale(sample(1));
+          data[out + 2] = scale(sample(2));
+          data[out + 3] = scale(sample(3));
+        }
+      }
+    }
+  }
+
+  return { width, height, data };
+}
+
+module.exports = { isPng, decodePng };
@@ -0,0 +1,196 @@
+/**
+ * Session management for the API
+ * Sessions live in the SQLite `sessions` table and are identified by a signed
+ * HttpOnly cookie. A session expires after a period without refresh and, at
+ * the latest, a fixed time after login.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+
+const COOKIE_NAME = 'session';
+
+// Minutes a session stays valid without being refreshed
+const IDLE_MINUTES = 30;
+
+// Hours after login when a session ends regardless of refreshes
+const MAX_HOURS = 12;
+
+class SessionManager {
+  /**
+   * @param {Object} db - sqlite3 database with a `sessions` table
+   * @param {string} secretFile - Where to keep the signing key if SESSION_SECRET is not set
+   */
+  constructor(db, secretFile) {
+    this.db = db;
+    this.secret = process.env.SESSION_SECRET || SessionManager.loadSecret(secretFile);
+  }
+
+  /**
+   * Read the signing key from disk, creating it on first start
+   * @param {string} file - Path of the key file
+   * @returns {string} The key
+   */
+  static loadSecret(file) {
+    if (!fs.existsSync(file)) {
+      fs.writeFileSync(file, crypto.randomBytes(32).toString('hex'), { mode: 0o600 });
+    }
+    return fs.readFileSync(file, 'utf8').trim();
+  }
+
+  /**
+   * Sign a session ID for use as a cookie value
+   * @param {string} id - Session ID
+   * @returns {string} `<id>.<signature>`
+   */
+  sign(id) {
+    const signature = crypto.createHmac('sha256', this.secret).update(id).digest('base64url');
+    return `${id}.${signature}`;
+  }
+
+  /**
+   * Check a cookie value's signature
+   * @param {string} value - Cookie value
+   * @returns {string|null} The session ID, or null if the signature is wrong
+   */
+  unsign(value) {
+    const [id, signature] = (value || '').split('.');
+    if (!id || !signature) return null;
+
+    const expected = Buffer.from(this.sign(id));
+    const actual = Buffer.from(value);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual) ? id : null;
+  }
+
+  /**
+   * Run a statement and resolve with its result
+   * @param {string} method - 'run' or 'get'
+   * @param {string} sql - SQL statement
+   * @param {Array} params - Statement parameters
+   * @returns {Promise<*>} The row for 'get', nothing for 'run'
+   */
+  query(method, sql, params) {
+    return new Promise((resolve, reject) => {
+      this.db[method](sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    });
+  }
+
+  /**
+   * Start a session and set its cookie
+   * @param {Object} res - Express response
+   * @param {string} userId - The logged-in user
+   * @param {string} [startedAt] - Login time, kept when a session is rotated
+   * @returns {Promise<string>} When the session expires unless refreshed
+   */
+  async create(res, userId, startedAt = new Date().toISOString()) {
+    const id = crypto.randomBytes(32).toString('hex');
+    const expiresAt = this.expiryFor(startedAt);
+
+    // Clear out sessions nobody refreshed
+    await this.query('run', 'DELETE FROM sessions WHERE expiresAt < ?', [new Date().toISOString()]);
+    await this.query('run', 'INSERT INTO sessions (id, userId, createdAt, expiresAt) VALUES (?, ?, ?, ?)', [id, userId, startedAt, expiresAt]);
+
+    res.cookie(COOKIE_NAME, this.sign(id), {
+      httpOnly: true,
+      secure: true,
+      sameSite: 'strict',
+      path: '/api',
+      expires: new Date(expiresAt)
+    });
+    return expiresAt;
+  }
+
+  /**
+   * Idle expiry for a session, capped at the maximum session length
+   * @param {string} startedAt - Login time
+   * @returns {string} Expiry as an ISO timestamp
+   */
+  expiryFor(startedAt) {
+    const idle = Date.now() + IDLE_MINUTES * 60 * 1000;
+    const max = new Date(startedAt).getTime() + MAX_HOURS * 60 * 60 * 1000;
+    return new Date(Math.min(idle, max)).toISOString();
+  }
+
+  /**
+   * Look up the session a request belongs to
+   * @param {Object} req - Express request
+   * @returns {Promise<Object|null>} The session row, or null if missing or expired
+   */
+  async find(req) {
+    const id = this.unsign(SessionManager.readCookie(req, COOKIE_NAME));
+    if (!id) return null;
+
+    const session = await this.query('get', 'SELECT * FROM sessions WHERE id = ?', [id]);
+    if (!session || session.expiresAt < new Date().toISOString()) {
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * Replace the request's session with a new one that expires later
+   * @param {Object} req - Express request with `session` set by the middleware
+   * @param {Object} res - Express response
+   * @returns {Promise<string>} The new expiry
+   */
+  async refresh(req, res) {
+    await this.query('run', 'DELETE FROM sessions WHERE id = ?', [req.session.id]);
+    return this.create(res, req.session.userId, req.session.createdAt);
+  }
+
+  /**
+   * End the request's session and clear its cookie
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async destroy(req, res) {
+    const id = this.unsign(SessionManager.readCookie(req, COOKIE_NAME));
+    if (id) {
+      await this.query('run', 'DELETE FROM sessions WHERE id = ?', [id]);
+    }
+    res.clearCookie(COOKIE_NAME, { path: '/api' });
+  }
+
+  /**
+   * Express middleware that rejects requests without a valid session
+   * Sets `req.session` and `req.userId` for the routes after it
+   * @returns {Function} The middleware
+   */
+  middleware() {
+    return async (req, res, next) => {
+      let session;
+      try {
+        session = await this.find(req);
+      } catch (err) {
+        console.error('Error checking session', err);
+        return res.status(500).json({ error: 'Database error' });
+      }
+
+      if (!session) {
+        return res.status(401).json({ error: 'Not logged in' });
+      }
+
+      req.session = session;
+      req.userId = session.userId;
+      next();
+    };
+  }
+
+  /**
+   * Read a cookie from the request headers
+   * @param {Object} req - Express request
+   * @param {string} name - Cookie name
+   * @returns {string|null} The cookie value
+   */
+  static readCookie(req, name) {
+    const header = req.get('Cookie') || '';
+    for (const part of header.split(';')) {
+      const [key, ...value] = part.trim().split('=');
+      if (key === name) {
+        return decodeURIComponent(value.join('='));
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = SessionManager;
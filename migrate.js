@@ -0,0 +1,57 @@
+// Migrate the database schema without starting the server
+// Usage: npm run migrate                     (up to the latest version)
+//        npm run migrate -- <version>        (up or down to a version, 0 drops everything)
+//        npm run migrate -- --assign <user>  (up to the latest version, then give the
+//                                             accounts stored before users existed to <user>)
+
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const Migrator = require('./lib/migrator');
+
+const dataDir = path.join(__dirname, 'data');
+if (!fs.existsSync(dataDir)) {
+  fs.mkdirSync(dataDir);
+}
+
+const assignTo = process.argv[2] === '--assign' ? process.argv[3] : null;
+const target = process.argv[2] === undefined || assignTo ? null : parseInt(process.argv[2], 10);
+if (Number.isNaN(target) || (process.argv[2] === '--assign' && !assignTo)) {
+  console.error('Usage: npm run migrate -- [version | --assign <username>]');
+  process.exit(1);
+}
+
+const db = new sqlite3.Database(path.join(dataDir, 'passwords.db'));
+const migrator = new Migrator(db, path.join(__dirname, 'migrations'), console);
+
+/**
+ * Give the accounts that have no owner to a user
+ * Accounts stored before users existed have none, and no one can see them
+ * until they are assigned here.
+ * @param {string} username - The user to give them to
+ * @returns {Promise<number>} How many accounts were assigned
+ */
+async function assignUnowned(username) {
+  const user = await migrator.query('get', 'SELECT id FROM users WHERE username = ?', [username]);
+  if (!user) {
+    throw new Error(`No user named ${username}`);
+  }
+
+  const { count } = await migrator.query('get', 'SELECT COUNT(*) AS count FROM accounts WHERE userId IS NULL');
+  await migrator.query('run', 'UPDATE accounts SET userId = ? WHERE userId IS NULL', [user.id]);
+  return count;
+}
+
+migrator.migrate(target)
+  .then(async (version) => {
+    console.log(`Database schema at version ${version}`);
+    if (assignTo) {
+      console.log(`Assigned ${await assignUnowned(assignTo)} accounts to ${assignTo}`);
+    }
+    db.close();
+  })
+  .catch((err) => {
+    console.error('Error migrating database', err.message);
+    db.close();
+    process.exit(1);
+  });
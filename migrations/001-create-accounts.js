@@ -0,0 +1,21 @@
+/**
+ * The accounts table as first released
+ */
+module.exports = {
+  async up(migrator) {
+    await migrator.query('run', `
+      CREATE TABLE IF NOT EXISTS accounts (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          username TEXT NOT NULL,
+          password TEXT NOT NULL,
+          notes TEXT,
+          createdAt TEXT NOT NULL
+      )
+    `);
+  },
+
+  async down(migrator) {
+    await migrator.query('run', 'DROP TABLE accounts');
+  }
+};
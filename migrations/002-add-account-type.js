@@ -0,0 +1,14 @@
+/**
+ * Whether an account's image was uploaded or generated, and the seed of generated images
+ */
+module.exports = {
+  async up(migrator) {
+    await migrator.addColumn('accounts', 'type', "TEXT DEFAULT 'uploaded'");
+    await migrator.addColumn('accounts', 'rawSeed', 'TEXT DEFAULT NULL');
+  },
+
+  async down(migrator) {
+    await migrator.dropColumn('accounts', 'rawSeed');
+    await migrator.dropColumn('accounts', 'type');
+  }
+};
@@ -0,0 +1,13 @@
+/**
+ * The perceptual hash algorithm each account was registered with
+ * NULL means the original 8×8 average hash
+ */
+module.exports = {
+  async up(migrator) {
+    await migrator.addColumn('accounts', 'hashAlgorithm', 'TEXT DEFAULT NULL');
+  },
+
+  async down(migrator) {
+    await migrator.dropColumn('accounts', 'hashAlgorithm');
+  }
+};
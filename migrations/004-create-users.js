@@ -0,0 +1,22 @@
+/**
+ * Users with a master image password, each owning their accounts
+ */
+module.exports = {
+  async up(migrator) {
+    await migrator.query('run', `
+      CREATE TABLE IF NOT EXISTS users (
+          id TEXT PRIMARY KEY,
+          username TEXT NOT NULL UNIQUE,
+          password TEXT NOT NULL,
+          hashAlgorithm TEXT DEFAULT NULL,
+          createdAt TEXT NOT NULL
+      )
+    `);
+    await migrator.addColumn('accounts', 'userId', 'TEXT REFERENCES users(id)');
+  },
+
+  async down(migrator) {
+    await migrator.dropColumn('accounts', 'userId');
+    await migrator.query('run', 'DROP TABLE users');
+  }
+};
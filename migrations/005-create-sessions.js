@@ -0,0 +1,19 @@
+/**
+ * Login sessions, see lib/sessions.js
+ */
+module.exports = {
+  async up(migrator) {
+    await migrator.query('run', `
+      CREATE TABLE IF NOT EXISTS sessions (
+          id TEXT PRIMARY KEY,
+          userId TEXT NOT NULL REFERENCES users(id),
+          createdAt TEXT NOT NULL,
+          expiresAt TEXT NOT NULL
+      )
+    `);
+  },
+
+  async down(migrator) {
+    await migrator.query('run', 'DROP TABLE sessions');
+  }
+};
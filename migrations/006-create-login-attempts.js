@@ -0,0 +1,19 @@
+/**
+ * Failed attempt counters, see lib/attempt-limiter.js
+ */
+module.exports = {
+  async up(migrator) {
+    await migrator.query('run', `
+      CREATE TABLE IF NOT EXISTS login_attempts (
+          key TEXT PRIMARY KEY,
+          failures INTEGER NOT NULL,
+          lastFailure TEXT NOT NULL,
+          lockedUntil TEXT NOT NULL
+      )
+    `);
+  },
+
+  async down(migrator) {
+    await migrator.query('run', 'DROP TABLE login_attempts');
+  }
+};
@@ -0,0 +1,12 @@
+/**
+ * The encrypted site password, PIN or recovery codes of each account
+ */
+module.exports = {
+  async up(migrator) {
+    await migrator.addColumn('accounts', 'sitePassword', 'TEXT DEFAULT NULL');
+  },
+
+  async down(migrator) {
+    await migrator.dropColumn('accounts', 'sitePassword');
+  }
+};
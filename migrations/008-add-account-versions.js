@@ -0,0 +1,16 @@
+/**
+ * A version and modification time on each account, so changes made offline
+ * can be synced without overwriting newer ones from another device
+ */
+module.exports = {
+  async up(migrator) {
+    await migrator.addColumn('accounts', 'version', 'INTEGER NOT NULL DEFAULT 1');
+    await migrator.addColumn('accounts', 'updatedAt', 'TEXT DEFAULT NULL');
+    await migrator.query('run', 'UPDATE accounts SET updatedAt = createdAt WHERE updatedAt IS NULL');
+  },
+
+  async down(migrator) {
+    await migrator.dropColumn('accounts', 'updatedAt');
+    await migrator.dropColumn('accounts', 'version');
+  }
+};
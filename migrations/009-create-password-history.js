@@ -0,0 +1,22 @@
+/**
+ * Verifiers an account used before its image was changed, so an old image
+ * cannot be chosen again
+ */
+module.exports = {
+  async up(migrator) {
+    await migrator.query('run', `
+      CREATE TABLE IF NOT EXISTS password_history (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          accountId TEXT NOT NULL,
+          password TEXT NOT NULL,
+          hashAlgorithm TEXT DEFAULT NULL,
+          retiredAt TEXT NOT NULL
+      )
+    `);
+    await migrator.query('run', 'CREATE INDEX IF NOT EXISTS idx_password_history_account ON password_history (accountId)');
+  },
+
+  async down(migrator) {
+    await migrator.query('run', 'DROP TABLE password_history');
+  }
+};
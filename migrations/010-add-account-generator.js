@@ -0,0 +1,13 @@
+/**
+ * The style, renderer version and size a generated image was drawn with, so
+ * it can be drawn again the same way
+ */
+module.exports = {
+  async up(migrator) {
+    await migrator.addColumn('accounts', 'generator', 'TEXT DEFAULT NULL');
+  },
+
+  async down(migrator) {
+    await migrator.dropColumn('accounts', 'generator');
+  }
+};
@@ -0,0 +1,13 @@
+/**
+ * How many images, in order, an account's image password needs, so the app
+ * can ask for all of them before verifying
+ */
+module.exports = {
+  async up(migrator) {
+    await migrator.addColumn('accounts', 'imageCount', 'INTEGER NOT NULL DEFAULT 1');
+  },
+
+  async down(migrator) {
+    await migrator.dropColumn('accounts', 'imageCount');
+  }
+};
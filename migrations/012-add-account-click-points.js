@@ -0,0 +1,13 @@
+/**
+ * Verifier of the points clicked on an account's image, for accounts that
+ * use click points as a second factor
+ */
+module.exports = {
+  async up(migrator) {
+    await migrator.addColumn('accounts', 'clickPoints', 'TEXT DEFAULT NULL');
+  },
+
+  async down(migrator) {
+    await migrator.dropColumn('accounts', 'clickPoints');
+  }
+};
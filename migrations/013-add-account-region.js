@@ -0,0 +1,13 @@
+/**
+ * Region of the photo an account's image password is cut from: the grid its
+ * edges are snapped to, and the selection encrypted under the image
+ */
+module.exports = {
+  async up(migrator) {
+    await migrator.addColumn('accounts', 'region', 'TEXT DEFAULT NULL');
+  },
+
+  async down(migrator) {
+    await migrator.dropColumn('accounts', 'region');
+  }
+};
@@ -9,11 +9,56 @@ const path = require('path');
 const cors = require('cors');
 const https = require('https');
 const fs = require('fs');
+const crypto = require('crypto');
+const { decodeImage } = require('./lib/image-decoder');
+const SessionManager = require('./lib/sessions');
+const AttemptLimiter = require('./lib/attempt-limiter');
+const Migrator = require('./lib/migrator');
 
 // Initialize express app
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Origins allowed to call the API from a browser, comma separated
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || `https://localhost:${PORT}`)
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
+// The image password modules are shared with the browser as ES modules;
+// on the server, uploads are decoded with the pure JavaScript decoders in lib/
+const hashEngine = import('./js/hash-engine.js');
+const imagePasswordSystem = Promise.all([import('./js/image-password.js'), hashEngine])
+  .then(([{ default: ImagePasswordSystem }, { default: HashEngine }]) => {
+    HashEngine.setDecoder(decodeImage);
+    return new ImagePasswordSystem();
+  });
+
+// Encrypted backups, shared with the local storage fallback in the browser
+const vaultBackup = import('./js/vault-backup.js');
+
+// Verifier format, to tell secure sketches from legacy raw hashes
+const secureSketch = import('./js/secure-sketch.js');
+
+// Verifiers of the points clicked on an image, for accounts with that second factor
+const clickPointVerifiers = import('./js/click-points.js');
+
+// Regions of a photo, for accounts registered with part of an image
+const imageRegions = import('./js/image-region.js');
+
+// Keys of the accounts' encrypted fields, stretched from the enrolled hash
+const fieldCrypto = import('./js/field-crypto.js');
+
+// Columns that are safe to return to clients; password, clickPoints and
+// rawSeed only leave the server inside a passphrase-encrypted backup
+const PUBLIC_COLUMNS = 'id, name, username, notes, sitePassword, type, hashAlgorithm, generator, imageCount, region, createdAt, version, updatedAt';
+
+// Columns of an account's image password, which only the rekey route changes
+const IMAGE_PASSWORD_COLUMNS = ['password', 'imageCount', 'hashAlgorithm', 'clickPoints', 'region', 'generator', 'type'];
+
+// A perceptual hash as hex, or the hashes of an image sequence joined by dashes
+const HASH_PATTERN = /^[0-9a-f]+(-[0-9a-f]+)*$/i;
+
 // SSL/TLS options
 const httpsOptions = {
   key: fs.readFileSync(path.join(__dirname, 'certs', 'key.pem')),
@@ -21,9 +66,20 @@ const httpsOptions = {
 };
 
 // Middleware
-app.use(cors());
-app.use(express.json());
-app.use(express.static(path.join(__dirname, './')));
+app.use(cors({
+  // Requests without an Origin header (same-origin navigation, curl) are let through
+  origin: (origin, callback) => callback(null, !origin || ALLOWED_ORIGINS.includes(origin)),
+  credentials: true
+}));
+// Registering and logging in need no session, so they take a single image at most
+app.use(['/api/users', '/api/login'], express.json({ limit: '2mb' }));
+app.use(express.json({ limit: '10mb' }));
+
+// Only the app itself is served; the project directory also holds the
+// database, the session key and the TLS private key
+app.get(['/', '/index.html'], (req, res) => res.sendFile(path.join(__dirname, 'index.html')));
+app.use('/css', express.static(path.join(__dirname, 'css')));
+app.use('/js', express.static(path.join(__dirname, 'js')));
 
 // Ensure data directory exists before opening the database
 const dataDir = path.join(__dirname, 'data');
@@ -31,40 +87,392 @@ if (!fs.existsSync(dataDir)) {
   fs.mkdirSync(dataDir);
 }
 
-// Initialize SQLite database
+// Initialize SQLite database; the schema is set up by the migrations before the server starts
 const db = new sqlite3.Database('./data/passwords.db', (err) => {
   if (err) {
     console.error('Error opening database', err);
   } else {
     console.log('Connected to the SQLite database.');
+  }
+});
+
+const sessions = new SessionManager(db, path.join(dataDir, 'session.key'));
+const attempts = new AttemptLimiter(db);
+
+/**
+ * Create an error carrying the HTTP status to respond with
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message for the client
+ * @returns {Error} The error
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Get the perceptual hash a request body is checking: either sent directly as
+ * `hash` or computed with the given algorithm from a base64 encoded `image`,
+ * or from `images`, a sequence of them in order. An image sent with a
+ * `region` selection is cropped to it first.
+ * @param {Object} body - Request body
+ * @param {string|Object|null} algorithm - Hash algorithm for images
+ * @param {string|null} [storedRegion] - The account's region column, for an image sent with a region
+ * @returns {Promise<string>} The hash as lowercase hex; a sequence's hashes are joined by dashes
+ */
+async function hashFromBody({ hash, image, images, region }, algorithm, storedRegion = null) {
+  if (hash) {
+    if (typeof hash !== 'string' || !HASH_PATTERN.test(hash)) {
+      throw httpError(400, 'Invalid hash');
+    }
+    return hash.toLowerCase();
+  }
+
+  const uploads = images || (image ? [image] : []);
+  if (!Array.isArray(uploads) || uploads.length === 0) {
+    throw httpError(400, 'Missing hash or image');
+  }
+
+  const system = await imagePasswordSystem;
+  if (uploads.length > system.constructor.getMaxImages() || !uploads.every(upload => typeof upload === 'string')) {
+    throw httpError(400, 'Invalid images');
+  }
+
+  let grid = null;
+  if (region) {
+    const { default: ImageRegion } = await imageRegions;
+    try {
+      ImageRegion.check(region);
+      grid = ImageRegion.parseGrid(storedRegion);
+    } catch (error) {
+      throw httpError(400, 'Invalid region');
+    }
+    if (uploads.length !== 1) {
+      throw httpError(400, 'A region can only be selected on a single image');
+    }
+  }
+
+  try {
+    const inputs = uploads.map(upload => Buffer.from(upload, 'base64'));
+    return await system.generateImageHash(grid ? await system.cropImage(inputs[0], region, grid) : inputs, algorithm);
+  } catch (error) {
+    console.error('Error hashing uploaded image', error);
+    throw httpError(422, 'Unable to process image');
+  }
+}
+
+/**
+ * Get every hash a request body asks to try: hashFromBody's hash, then any
+ * `candidates` sent with it. An account with a robust hash algorithm is tried
+ * with its image rotated, mirrored and cropped; the server hashes these
+ * itself for an uploaded image, and never accepts more than the algorithm
+ * tries, so one attempt tests the same number of hashes from any client.
+ * @param {Object} body - Request body
+ * @param {string|Object|null} algorithm - The account's hash algorithm
+ * @param {string|null} [storedRegion] - The account's region column, for an image sent with a region
+ * @returns {Promise<Array<string>>} Hashes as lowercase hex, the image as given first
+ */
+async function candidatesFromBody(body, algorithm, storedRegion = null) {
+  const { default: HashEngine } = await hashEngine;
+  let limit = 1;
+  try {
+    limit = HashEngine.candidateCount(algorithm);
+  } catch (error) {
+    // An unknown algorithm fails when the hash is compared
+  }
+
+  const { candidates = [] } = body;
+  if (!Array.isArray(candidates) || candidates.length >= limit ||
+    !candidates.every(hash => typeof hash === 'string' && HASH_PATTERN.test(hash))) {
+    throw httpError(400, 'Invalid candidate hashes');
+  }
+
+  if (limit > 1 && typeof body.image === 'string' && !body.hash && !body.region) {
+    const system = await imagePasswordSystem;
+    try {
+      return await system.generateCandidateHashes(Buffer.from(body.image, 'base64'), algorithm);
+    } catch (error) {
+      console.error('Error hashing uploaded image', error);
+      throw httpError(422, 'Unable to process image');
+    }
+  }
+
+  const hash = await hashFromBody(body, algorithm, storedRegion);
+  return [hash, ...candidates.map(candidate => candidate.toLowerCase())];
+}
 
-    // Create accounts table if it doesn't exist
-    db.run(`
-            CREATE TABLE IF NOT EXISTS accounts (
-                id TEXT PRIMARY KEY,
-                name TEXT NOT NULL,
-                username TEXT NOT NULL,
-                password TEXT NOT NULL,
-                notes TEXT,
-                type TEXT DEFAULT 'uploaded',
-                rawSeed TEXT DEFAULT NULL,
-                createdAt TEXT NOT NULL
-            )
-        `, (err) => {
+/**
+ * Number of images, in order, a verifier needs; stored with the account so
+ * the app knows how many to ask for
+ * @param {string} password - The verifier
+ * @returns {Promise<number>} The number of images
+ */
+async function imageCountOf(password) {
+  const { default: SecureSketch } = await secureSketch;
+  try {
+    return SecureSketch.imageCount(password);
+  } catch (error) {
+    throw httpError(400, 'Invalid verifier');
+  }
+}
+
+/**
+ * Check a click-point verifier sent by a client
+ * Every attempt on the account runs PBKDF2 as many times as the verifier
+ * says, so only the app's own count is accepted.
+ * @param {string|null} value - The verifier, or nothing for an account without click points
+ * @returns {Promise<string|null>} The verifier to store
+ */
+async function clickPointsFrom(value) {
+  if (!value) {
+    return null;
+  }
+
+  const { default: ClickPoints } = await clickPointVerifiers;
+  let iterations;
+  try {
+    ({ iterations } = ClickPoints.parseVerifier(value));
+  } catch (error) {
+    throw httpError(400, 'Invalid click points');
+  }
+  if (iterations !== ClickPoints.getIterations()) {
+    throw httpError(400, 'Invalid click points');
+  }
+  return value;
+}
+
+/**
+ * Check a region sent by a client for storage with an account
+ * @param {string|null} value - The region column, or nothing for an account using the whole image
+ * @returns {Promise<string|null>} The value to store
+ */
+async function regionFrom(value) {
+  if (!value) {
+    return null;
+  }
+
+  const { default: ImageRegion } = await imageRegions;
+  try {
+    ImageRegion.parseGrid(value);
+  } catch (error) {
+    throw httpError(400, 'Invalid region');
+  }
+  return value;
+}
+
+/**
+ * Check the points sent with an attempt on an account that has click points
+ * @param {string|null} stored - The account's click-point verifier, if any
+ * @param {*} points - The points from the request body
+ * @param {string} enrolled - The enrolled image hash the image matched
+ * @returns {Promise<Object>} { match, secret } where secret is the key
+ *   material for the account's fields, combining image and points
+ */
+async function checkClickPoints(stored, points, enrolled) {
+  if (!stored) {
+    return { match: true, secret: enrolled };
+  }
+
+  const { default: ClickPoints } = await clickPointVerifiers;
+  const { match, key } = await ClickPoints.verify(points, stored);
+  return { match, secret: match ? ClickPoints.combine(enrolled, key) : null };
+}
+
+/**
+ * Respond 429 to an attempt made while its keys are waiting or locked out
+ * @param {Object} res - Express response
+ * @param {Object} limit - { retryAfter, lockedUntil } from AttemptLimiter#check
+ */
+function tooManyAttempts(res, { retryAfter, lockedUntil }) {
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({ error: 'Too many failed attempts. Please wait before trying again.', retryAfter, lockedUntil });
+}
+
+// API Routes
+
+// Register a user; the master password is an image, sent as a hash or image
+app.post('/api/users', async (req, res) => {
+  const { username } = req.body;
+
+  if (!username) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+
+  const system = await imagePasswordSystem;
+  let hashAlgorithm;
+  let password;
+  try {
+    hashAlgorithm = req.body.hash ? system.serializeAlgorithm(req.body.hashAlgorithm) : system.serializeAlgorithm();
+    const hash = await hashFromBody(req.body, hashAlgorithm);
+    const { size, color } = JSON.parse(hashAlgorithm);
+    if (hash.length * 4 !== size * size * (color ? 2 : 1)) {
+      throw httpError(400, 'Hash does not match the hash algorithm');
+    }
+    password = await system.createVerifier(hash);
+  } catch (error) {
+    return res.status(error.status || 400).json({ error: error.message });
+  }
+
+  const id = crypto.randomUUID();
+  db.run(
+    'INSERT INTO users (id, username, password, hashAlgorithm, createdAt) VALUES (?, ?, ?, ?, ?)',
+    [id, username, password, hashAlgorithm, new Date().toISOString()],
+    async function (err) {
       if (err) {
-        console.error('Error creating accounts table', err);
-      } else {
-        console.log('Accounts table ready');
+        if (err.code === 'SQLITE_CONSTRAINT') {
+          return res.status(409).json({ error: 'Username already taken' });
+        }
+        console.error('Error adding user', err);
+        return res.status(500).json({ error: 'Database error' });
       }
-    });
+
+      try {
+        const expiresAt = await sessions.create(res, id);
+        res.status(201).json({ user: { id, username }, expiresAt });
+      } catch (error) {
+        console.error('Error creating session', error);
+        res.status(500).json({ error: 'Database error' });
+      }
+    }
+  );
+});
+
+// Get the hash algorithm a user's master image is checked with
+// Unknown users get the default so the response does not reveal who exists
+app.get('/api/users/:username/algorithm', (req, res) => {
+  db.get('SELECT hashAlgorithm FROM users WHERE username = ?', req.params.username, async (err, row) => {
+    if (err) {
+      console.error('Error getting user', err);
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    const system = await imagePasswordSystem;
+    res.json({ hashAlgorithm: row ? row.hashAlgorithm : system.serializeAlgorithm() });
+  });
+});
+
+// Log in with the master image password
+app.post('/api/login', async (req, res) => {
+  const { username } = req.body;
+
+  if (!username) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+
+  // Unknown usernames are counted too, so they cannot be told apart
+  const keys = AttemptLimiter.keys(req, 'user', username);
+  const release = await attempts.lock(keys);
+  res.on('close', release);
+  try {
+    const limit = await attempts.check(keys);
+    if (limit) {
+      return tooManyAttempts(res, limit);
+    }
+  } catch (error) {
+    console.error('Error checking attempts', error);
+    return res.status(500).json({ error: 'Database error' });
+  }
+
+  db.get('SELECT id, password, hashAlgorithm FROM users WHERE username = ?', username, async (err, row) => {
+    if (err) {
+      console.error('Error getting user', err);
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    let match = false;
+    let enrolled = null;
+    try {
+      const hashes = await candidatesFromBody(req.body, row ? row.hashAlgorithm : null);
+      if (row) {
+        const system = await imagePasswordSystem;
+        ({ match, hash: enrolled } = await system.compareCandidates(hashes, row.password));
+      }
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      // A hash of the wrong length for the user's algorithm simply fails
+    }
+
+    try {
+      if (!match) {
+        const { remainingAttempts, lockedUntil } = await attempts.fail(keys);
+        release();
+        return res.status(401).json({ error: 'Invalid username or image', remainingAttempts, lockedUntil });
+      }
+
+      await attempts.succeed(keys);
+      release();
+      const expiresAt = await sessions.create(res, row.id);
+      res.json({ user: { id: row.id, username }, expiresAt });
+    } catch (error) {
+      console.error('Error creating session', error);
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    upgradeVerifier('users', row.id, row.password, enrolled).catch(error => console.error('Error upgrading verifier', error));
+  });
+});
+
+// Everything below requires a logged-in user
+app.use('/api', sessions.middleware());
+
+// Extend the current session, replacing its cookie
+app.post('/api/session/refresh', async (req, res) => {
+  try {
+    const expiresAt = await sessions.refresh(req, res);
+    res.json({ expiresAt });
+  } catch (error) {
+    console.error('Error refreshing session', error);
+    res.status(500).json({ error: 'Database error' });
   }
 });
 
-// API Routes
+// End the current session
+app.post('/api/logout', async (req, res) => {
+  try {
+    await sessions.destroy(req, res);
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Error ending session', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Get the logged-in user
+app.get('/api/me', (req, res) => {
+  db.get('SELECT id, username FROM users WHERE id = ?', req.userId, (err, row) => {
+    if (err) {
+      console.error('Error getting user', err);
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    if (!row) {
+      return res.status(401).json({ error: 'Not logged in' });
+    }
+
+    res.json(row);
+  });
+});
 
 // Get all accounts
 app.get('/api/accounts', (req, res) => {
-  db.all('SELECT * FROM accounts', [], (err, rows) => {
+  db.all(`SELECT ${PUBLIC_COLUMNS} FROM accounts WHERE userId = ?`, [req.userId], (err, rows) => {
+    if (err) {
+      console.error('Error getting accounts', err);
+      return res.status(500).json({ error: 'Database error' });
+    }
+    res.json(rows);
+  });
+});
+
+// Get all accounts for the browser's offline cache
+// Only the encrypted fields and metadata are sent: with a verifier, anyone
+// holding the cache could test guesses at the image offline, with no limit on
+// attempts, so images are only ever checked here.
+app.get('/api/sync', (req, res) => {
+  db.all(`SELECT ${PUBLIC_COLUMNS} FROM accounts WHERE userId = ?`, [req.userId], (err, rows) => {
     if (err) {
       console.error('Error getting accounts', err);
       return res.status(500).json({ error: 'Database error' });
@@ -73,11 +481,53 @@ app.get('/api/accounts', (req, res) => {
   });
 });
 
+// Find the accounts an image would also unlock, to warn before it is reused
+// Takes `hashes`, the image's hashes by algorithm (see
+// ImagePasswordSystem#hashesForAccounts), and `exclude`, the account the image
+// is meant for. Every check counts against the user like a failed attempt,
+// but only up to a rate: after 20 the user waits 15 minutes, never longer.
+app.post('/api/accounts/matching', async (req, res) => {
+  const keys = [`reuse:${req.userId}`];
+  const release = await attempts.lock(keys);
+  try {
+    const limit = await attempts.check(keys);
+    if (limit) {
+      return tooManyAttempts(res, limit);
+    }
+    await attempts.fail(keys);
+  } catch (error) {
+    console.error('Error checking attempts', error);
+    return res.status(500).json({ error: 'Database error' });
+  } finally {
+    release();
+  }
+
+  const system = await imagePasswordSystem;
+  const { hashes, exclude = null } = req.body;
+  const valid = hashes && typeof hashes === 'object' && !Array.isArray(hashes) &&
+    Object.values(hashes).every(list => Array.isArray(list) && list.length > 0 &&
+      list.length <= system.constructor.getMaxImages() &&
+      list.every(hash => typeof hash === 'string' && /^[0-9a-f]+$/i.test(hash)));
+  if (!valid) {
+    return res.status(400).json({ error: 'Invalid image hashes' });
+  }
+
+  db.all('SELECT id, name, password, hashAlgorithm FROM accounts WHERE userId = ? AND id IS NOT ?', [req.userId, exclude], async (err, rows) => {
+    if (err) {
+      console.error('Error getting accounts', err);
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    const matching = await system.findMatchingAccounts(hashes, rows);
+    res.json(matching.map(({ id, name }) => ({ id, name })));
+  });
+});
+
 // Get a specific account
 app.get('/api/accounts/:id', (req, res) => {
   const { id } = req.params;
 
-  db.get('SELECT * FROM accounts WHERE id = ?', id, (err, row) => {
+  db.get(`SELECT ${PUBLIC_COLUMNS} FROM accounts WHERE id = ? AND userId = ?`, [id, req.userId], (err, row) => {
     if (err) {
       console.error('Error getting account', err);
       return res.status(500).json({ error: 'Database error' });
@@ -91,42 +541,474 @@ app.get('/api/accounts/:id', (req, res) => {
   });
 });
 
+// Verify an image password for an account
+// Accepts either a client-computed perceptual hash or a base64 encoded image,
+// with `candidates` for a robust hash algorithm (see candidatesFromBody),
+// and `points` for accounts with click points; a wrong image and wrong points
+// fail alike. On a match only the account key, stretched from the enrolled
+// hash the secure sketch recovered and the key from the points if any, is
+// returned as `fieldKey` (see fieldKeyFor); the hash itself never leaves
+app.post('/api/accounts/:id/verify', async (req, res) => {
+  const { id } = req.params;
+
+  // The keys are held from the check until the outcome is recorded, or the response is sent
+  const keys = AttemptLimiter.keys(req, 'account', id);
+  const release = await attempts.lock(keys);
+  res.on('close', release);
+  try {
+    const limit = await attempts.check(keys);
+    if (limit) {
+      return tooManyAttempts(res, limit);
+    }
+  } catch (error) {
+    console.error('Error checking attempts', error);
+    return res.status(500).json({ error: 'Database error' });
+  }
+
+  const columns = 'password, hashAlgorithm, clickPoints, region, username, notes, sitePassword, version';
+  db.get(`SELECT ${columns} FROM accounts WHERE id = ? AND userId = ?`, [id, req.userId], async (err, row) => {
+    if (err) {
+      console.error('Error getting account', err);
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    if (!row) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    let candidates;
+    try {
+      candidates = await candidatesFromBody(req.body, row.hashAlgorithm, row.region);
+    } catch (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    let match = false;
+    let enrolled = null;
+    try {
+      const system = await imagePasswordSystem;
+      ({ match, hash: enrolled } = await system.compareCandidates(candidates, row.password));
+    } catch (error) {
+      // A hash of the wrong length for the account's algorithm simply fails
+    }
+
+    let secret = null;
+    try {
+      if (match) {
+        ({ match, secret } = await checkClickPoints(row.clickPoints, req.body.points, enrolled));
+      }
+
+      if (!match) {
+        const { remainingAttempts, lockedUntil } = await attempts.fail(keys);
+        release();
+        return res.json({ success: false, remainingAttempts, lockedUntil });
+      }
+
+      await attempts.succeed(keys);
+      release();
+    } catch (error) {
+      console.error('Error recording attempt', error);
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    try {
+      res.json({ success: true, fieldKey: await fieldKeyFor(id, row, secret) });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Error unlocking account fields', error);
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    upgradeVerifier('accounts', id, row.password, enrolled).catch(error => console.error('Error upgrading verifier', error));
+  });
+});
+
+/**
+ * Get the key of an account's encrypted fields after a match
+ * The key is stretched with PBKDF2 from the enrolled secret and the account's
+ * salt, see FieldCrypto. Fields stored before account keys, plaintext or
+ * keyed on the hash itself, are re-encrypted under a new key first. That is a
+ * change to the account, so its version goes up and every device fetches the
+ * new values; if it changed meanwhile, nothing is saved and the attempt fails
+ * with 409.
+ *
+ * @param {string} id - The account ID
+ * @param {Object} row - The account's username, notes, sitePassword, region and version
+ * @param {string} secret - The enrolled hash, combined with the click-point key if any
+ * @returns {Promise<Object>} { salt, key } as hex
+ */
+async function fieldKeyFor(id, row, secret) {
+  const { default: FieldCrypto } = await fieldCrypto;
+  const { default: ImageRegion } = await imageRegions;
+  const grid = row.region ? ImageRegion.parseGrid(row.region) : null;
+
+  const { key, upgraded } = await FieldCrypto.unlock(secret, {
+    username: row.username,
+    notes: row.notes,
+    sitePassword: row.sitePassword,
+    selection: grid ? grid.selection : null
+  });
+  if (!upgraded) {
+    return key;
+  }
+
+  const region = grid ? ImageRegion.serializeGrid(grid, upgraded.selection) : null;
+  await new Promise((resolve, reject) => {
+    db.run(
+      'UPDATE accounts SET username = ?, notes = ?, sitePassword = ?, region = ?, version = version + 1, updatedAt = ? WHERE id = ? AND version = ?',
+      [upgraded.username, upgraded.notes, upgraded.sitePassword, region, new Date().toISOString(), id, row.version],
+      function (err) {
+        if (err) {
+          reject(err);
+        } else if (this.changes === 0) {
+          reject(httpError(409, 'The account was changed on another device'));
+        } else {
+          resolve();
+        }
+      }
+    );
+  });
+  return key;
+}
+
+/**
+ * Replace a legacy verifier with a current secure sketch once it has matched
+ * Legacy verifiers are unsalted digests or raw hashes, so an image used for
+ * two accounts gives the same stored value in both; a sketch is salted per
+ * account. Sketches from before stretched digests are checked with a single
+ * SHA-256 and get a stretched one. Nothing else about the account changes,
+ * so its version is kept.
+ *
+ * @param {string} table - 'accounts' or 'users'
+ * @param {string} id - The account or user ID
+ * @param {string} stored - The verifier that matched
+ * @param {string} secret - The enrolled hash it gave back
+ */
+async function upgradeVerifier(table, id, stored, secret) {
+  const { default: SecureSketch } = await secureSketch;
+  const password = SecureSketch.isVerifier(stored)
+    ? await SecureSketch.upgrade(stored, secret)
+    : await (await imagePasswordSystem).createVerifier(secret);
+  if (!password) {
+    return;
+  }
+
+  db.run(`UPDATE ${table} SET password = ? WHERE id = ? AND password = ?`, [password, id, stored], (err) => {
+    if (err) {
+      console.error('Error upgrading verifier', err);
+    }
+  });
+}
+
+// Change an account's image password
+// The current image, and points if the account has them, are checked like a
+// verification; the new verifier must accept the new hash, which must not
+// match any image the account used before. The old verifier is kept in
+// password_history, and the new one is stored with the fields re-encrypted
+// under the new image in one transaction. New click points are optional, and
+// so is `newRegion`, the region column for a password cut from a photo; a
+// `region` is the selection on the current image, as for a verification.
+app.post('/api/accounts/:id/rekey', async (req, res) => {
+  const { id } = req.params;
+  const { newHash, password, hashAlgorithm, generator, type, name, username, notes, sitePassword } = req.body;
+
+  if (!newHash || !password || !name || !username) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+  if (typeof newHash !== 'string' || !HASH_PATTERN.test(newHash)) {
+    return res.status(400).json({ error: 'Invalid hash' });
+  }
+
+  let version;
+  let imageCount;
+  let clickPoints;
+  let region;
+  try {
+    version = baseVersion(req.body.version);
+    imageCount = await imageCountOf(password);
+    clickPoints = await clickPointsFrom(req.body.clickPoints);
+    region = await regionFrom(req.body.newRegion);
+  } catch (error) {
+    return res.status(error.status).json({ error: error.message });
+  }
+
+  // Held like a verification's, see there
+  const keys = AttemptLimiter.keys(req, 'account', id);
+  const release = await attempts.lock(keys);
+  res.on('close', release);
+  try {
+    const limit = await attempts.check(keys);
+    if (limit) {
+      return tooManyAttempts(res, limit);
+    }
+  } catch (error) {
+    console.error('Error checking attempts', error);
+    return res.status(500).json({ error: 'Database error' });
+  }
+
+  db.get('SELECT password, hashAlgorithm, clickPoints, region, version FROM accounts WHERE id = ? AND userId = ?', [id, req.userId], async (err, row) => {
+    if (err) {
+      console.error('Error getting account', err);
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    if (!row) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    let candidates;
+    try {
+      candidates = await candidatesFromBody(req.body, row.hashAlgorithm, row.region);
+    } catch (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    const system = await imagePasswordSystem;
+    // The enrolled hash a stored verifier gives back for a hash, or null if they do not match
+    const matches = async (hash, stored) => {
+      try {
+        const result = await system.compareHash(hash, stored);
+        return result.match ? result.hash : null;
+      } catch (error) {
+        // Hashes of another length, from a different algorithm, never match
+        return null;
+      }
+    };
+
+    let secret = null;
+    for (const hash of candidates) {
+      secret = await matches(hash, row.password);
+      if (secret) break;
+    }
+    try {
+      if (!secret || !(await checkClickPoints(row.clickPoints, req.body.points, secret)).match) {
+        const { remainingAttempts, lockedUntil } = await attempts.fail(keys);
+        release();
+        return res.status(403).json({ error: 'The current image does not match', remainingAttempts, lockedUntil });
+      }
+      await attempts.succeed(keys);
+      release();
+    } catch (error) {
+      console.error('Error recording attempt', error);
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    const { default: SecureSketch } = await secureSketch;
+    if (!SecureSketch.isCurrent(password) || !(await matches(newHash.toLowerCase(), password))) {
+      return res.status(400).json({ error: 'The new verifier does not match the new image' });
+    }
+
+    db.all('SELECT password FROM password_history WHERE accountId = ?', [id], async (err, history) => {
+      if (err) {
+        console.error('Error getting password history', err);
+        return res.status(500).json({ error: 'Database error' });
+      }
+
+      for (const previous of [row.password, ...history.map(entry => entry.password)]) {
+        if (await matches(newHash.toLowerCase(), previous)) {
+          return res.status(409).json({ error: 'This image was used for this account before. Please choose a different one.' });
+        }
+      }
+
+      // A legacy verifier is kept as a current sketch, like every other retired one
+      const retired = SecureSketch.isVerifier(row.password)
+        ? (await SecureSketch.upgrade(row.password, secret)) ?? row.password
+        : await system.createVerifier(secret);
+      const fields = { password, imageCount, clickPoints, region, hashAlgorithm, generator, type, name, username, notes, sitePassword };
+      rekeyAccount(req.userId, id, version ?? row.version, fields, retired, (err, updatedAt) => {
+        if (err && err.status) {
+          return accountUnchanged(req, res, id);
+        }
+        if (err) {
+          console.error('Error changing image password', err);
+          return res.status(500).json({ error: 'Database error' });
+        }
+
+        res.json({ message: 'Image password changed successfully', version: (version ?? row.version) + 1, updatedAt });
+      });
+    });
+  });
+});
+
+/**
+ * Retire an account's verifier and store a new one in one transaction
+ * @param {string} userId - The account's owner
+ * @param {string} id - The account ID
+ * @param {number} version - Version the change is based on
+ * @param {Object} fields - { password, imageCount, clickPoints, region, hashAlgorithm, generator, type, name, username, notes, sitePassword }
+ * @param {string} retired - The current verifier, as it is kept in password_history
+ * @param {Function} callback - Called with an error, whose status is 409 if the
+ *   account changed since, or with the new updatedAt; nothing is changed on error
+ */
+function rekeyAccount(userId, id, version, fields, retired, callback) {
+  const updatedAt = new Date().toISOString();
+  let failure = null;
+  const record = (err) => {
+    failure = failure || err;
+  };
+
+  db.serialize(() => {
+    db.run('BEGIN TRANSACTION', record);
+    db.run(
+      `INSERT INTO password_history (accountId, password, hashAlgorithm, retiredAt)
+       SELECT id, ?, hashAlgorithm, ? FROM accounts WHERE id = ? AND userId = ? AND version = ?`,
+      [retired, updatedAt, id, userId, version],
+      record
+    );
+    db.run(
+      `UPDATE accounts SET password = ?, imageCount = ?, clickPoints = ?, region = ?, hashAlgorithm = ?, generator = ?, type = ?, rawSeed = NULL,
+         name = ?, username = ?, notes = ?, sitePassword = ?, version = version + 1, updatedAt = ? WHERE id = ? AND userId = ? AND version = ?`,
+      [fields.password, fields.imageCount, fields.clickPoints, fields.region, fields.hashAlgorithm || null, fields.generator || null, fields.type || 'uploaded',
+        fields.name, fields.username,
+        fields.notes || '', fields.sitePassword || null, updatedAt, id, userId, version],
+      function (err) {
+        record(err || (this.changes === 0 ? httpError(409, 'The account was changed on another device') : null));
+        db.run(failure ? 'ROLLBACK' : 'COMMIT', (err) => callback(failure || err, updatedAt));
+      }
+    );
+  });
+}
+
 // Add a new account
-app.post('/api/accounts', (req, res) => {
-  const { id, name, username, password, notes, type, rawSeed, createdAt } = req.body;
+app.post('/api/accounts', async (req, res) => {
+  const { id, name, username, password, notes, sitePassword, type, rawSeed, hashAlgorithm, generator, createdAt } = req.body;
 
   // Validate required fields
   if (!id || !name || !username || !password) {
     return res.status(400).json({ error: 'Missing required fields' });
   }
 
+  let imageCount;
+  let clickPoints;
+  let region;
+  try {
+    imageCount = await imageCountOf(password);
+    clickPoints = await clickPointsFrom(req.body.clickPoints);
+    region = await regionFrom(req.body.region);
+  } catch (error) {
+    return res.status(error.status).json({ error: error.message });
+  }
+
+  const updatedAt = new Date().toISOString();
   db.run(
-    'INSERT INTO accounts (id, name, username, password, notes, type, rawSeed, createdAt) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
-    [id, name, username, password, notes || '', type || 'uploaded', rawSeed, createdAt || new Date().toISOString()],
+    `INSERT INTO accounts (id, userId, name, username, password, notes, sitePassword, type, rawSeed, hashAlgorithm, generator, imageCount, clickPoints,
+       region, createdAt, updatedAt) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [id, req.userId, name, username, password, notes || '', sitePassword || null, type || 'uploaded', rawSeed, hashAlgorithm || null, generator || null, imageCount,
+      clickPoints, region, createdAt || updatedAt, updatedAt],
     function (err) {
+      if (err && err.code === 'SQLITE_CONSTRAINT') {
+        return accountExists(req, res, id, password);
+      }
       if (err) {
         console.error('Error adding account', err);
         return res.status(500).json({ error: 'Database error' });
       }
 
-      res.status(201).json({ message: 'Account added successfully', id });
+      res.status(201).json({ message: 'Account added successfully', id, version: 1, updatedAt });
     }
   );
 });
 
+/**
+ * Answer an add for an account ID that is already taken
+ * An add sent again by the offline sync queue, after its first response was
+ * lost, finds the account it created and succeeds; any other is a conflict.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} id - The account ID
+ * @param {string} password - Verifier of the account being added
+ */
+function accountExists(req, res, id, password) {
+  db.get(`SELECT ${PUBLIC_COLUMNS}, password = ? AS resent FROM accounts WHERE id = ? AND userId = ?`, [password, id, req.userId], (err, row) => {
+    if (err) {
+      console.error('Error getting account', err);
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    if (row && row.resent) {
+      return res.json({ message: 'Account already added', id, version: row.version, updatedAt: row.updatedAt });
+    }
+
+    // The ID may belong to another user, whose account must not be shown
+    if (row) {
+      delete row.resent;
+    }
+    res.status(409).json({ error: 'An account with this ID already exists', account: row || null });
+  });
+}
+
+/**
+ * Answer a change to an account that changed nothing
+ * Either the account does not exist or it is no longer at the version the
+ * change was based on, in which case the current account is sent back so the
+ * user can choose between the two.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} id - The account ID
+ */
+function accountUnchanged(req, res, id) {
+  db.get(`SELECT ${PUBLIC_COLUMNS} FROM accounts WHERE id = ? AND userId = ?`, [id, req.userId], (err, row) => {
+    if (err) {
+      console.error('Error getting account', err);
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    if (!row) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    res.status(409).json({ error: 'The account was changed on another device', account: row });
+  });
+}
+
+/**
+ * Read the version an update or delete was based on
+ * @param {*} value - Version from the request, if any
+ * @returns {number|null} The version, or null to change the account whatever its version
+ */
+function baseVersion(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const version = Number(value);
+  if (!Number.isInteger(version) || version < 1) {
+    throw httpError(400, 'Invalid version');
+  }
+  return version;
+}
+
 // Update an account
 app.put('/api/accounts/:id', (req, res) => {
   const { id } = req.params;
-  const { name, username, password, notes } = req.body;
+  const { name, username, notes, sitePassword } = req.body;
 
-  // Validate required fields
-  if (!name || !username || !password) {
+  // Validate required fields; the site password is only sent when it changes
+  if (!name || !username) {
     return res.status(400).json({ error: 'Missing required fields' });
   }
 
+  // The image password and everything that goes with it only change through
+  // the rekey route, which checks the current image and keeps the old verifier
+  if (IMAGE_PASSWORD_COLUMNS.some(column => req.body[column] !== undefined)) {
+    return res.status(400).json({ error: 'The image password can only be changed with the current image' });
+  }
+
+  // With a version, the update only applies if nobody changed the account since
+  let version;
+  try {
+    version = baseVersion(req.body.version);
+  } catch (error) {
+    return res.status(error.status).json({ error: error.message });
+  }
+
+  const updatedAt = new Date().toISOString();
   db.run(
-    'UPDATE accounts SET name = ?, username = ?, password = ?, notes = ? WHERE id = ?',
-    [name, username, password, notes || '', id],
+    `UPDATE accounts SET name = ?, username = ?, notes = ?, sitePassword = COALESCE(?, sitePassword), version = version + 1,
+       updatedAt = ? WHERE id = ? AND userId = ? AND (? IS NULL OR version = ?)`,
+    [name, username, notes || '', sitePassword || null, updatedAt, id, req.userId, version, version],
     function (err) {
       if (err) {
         console.error('Error updating account', err);
@@ -134,10 +1016,17 @@ app.put('/api/accounts/:id', (req, res) => {
       }
 
       if (this.changes === 0) {
-        return res.status(404).json({ error: 'Account not found' });
+        return accountUnchanged(req, res, id);
       }
 
-      res.json({ message: 'Account updated successfully' });
+      db.get('SELECT version FROM accounts WHERE id = ?', [id], (err, row) => {
+        if (err) {
+          console.error('Error getting account', err);
+          return res.status(500).json({ error: 'Database error' });
+        }
+
+        res.json({ message: 'Account updated successfully', version: row.version, updatedAt });
+      });
     }
   );
 });
@@ -146,27 +1035,192 @@ app.put('/api/accounts/:id', (req, res) => {
 app.delete('/api/accounts/:id', (req, res) => {
   const { id } = req.params;
 
-  db.run('DELETE FROM accounts WHERE id = ?', id, function (err) {
+  // With a version, an account changed since is kept
+  let version;
+  try {
+    version = baseVersion(req.query.version);
+  } catch (error) {
+    return res.status(error.status).json({ error: error.message });
+  }
+
+  db.run('DELETE FROM accounts WHERE id = ? AND userId = ? AND (? IS NULL OR version = ?)', [id, req.userId, version, version], function (err) {
     if (err) {
       console.error('Error deleting account', err);
       return res.status(500).json({ error: 'Database error' });
     }
 
     if (this.changes === 0) {
-      return res.status(404).json({ error: 'Account not found' });
+      return accountUnchanged(req, res, id);
     }
 
+    db.run('DELETE FROM password_history WHERE accountId = ?', [id], (err) => {
+      if (err) {
+        console.error('Error deleting password history', err);
+      }
+    });
+
     res.json({ message: 'Account deleted successfully' });
   });
 });
 
+// Export all of the user's accounts as a backup encrypted with a passphrase
+app.post('/api/export', (req, res) => {
+  const { passphrase } = req.body;
+
+  if (!passphrase) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+
+  db.all('SELECT * FROM accounts WHERE userId = ?', [req.userId], async (err, rows) => {
+    if (err) {
+      console.error('Error getting accounts', err);
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    let backup;
+    try {
+      const { default: VaultBackup } = await vaultBackup;
+      backup = await VaultBackup.create(rows, passphrase);
+    } catch (error) {
+      console.error('Error creating backup', error);
+      return res.status(500).json({ error: 'Unable to create the backup' });
+    }
+
+    res.set('Content-Disposition', `attachment; filename="vault-${new Date().toISOString().slice(0, 10)}.json"`);
+    res.type('json').send(backup);
+  });
+});
+
+// Import a backup, either merging it with the user's accounts or replacing them
+// Without a mode, a backup holding accounts that already exist is refused
+// with the list of duplicates so the user can choose
+app.post('/api/import', (req, res) => {
+  const { backup, passphrase, mode } = req.body;
+
+  if (!backup || !passphrase) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+  if (mode && !['merge', 'replace'].includes(mode)) {
+    return res.status(400).json({ error: 'Invalid import mode' });
+  }
+
+  db.all('SELECT id, name FROM accounts WHERE userId = ?', [req.userId], async (err, existing) => {
+    if (err) {
+      console.error('Error getting accounts', err);
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    const { default: VaultBackup } = await vaultBackup;
+    let incoming;
+    try {
+      incoming = await VaultBackup.open(backup, passphrase);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const duplicates = VaultBackup.findDuplicates(existing, incoming);
+    if (duplicates.length > 0 && !mode) {
+      return res.status(409).json({ error: 'Some accounts in the backup already exist', duplicates });
+    }
+
+    const { added, skipped } = VaultBackup.combine(existing, incoming, mode || 'merge');
+    try {
+      for (const account of added) {
+        account.imageCount = await imageCountOf(account.password);
+        account.clickPoints = await clickPointsFrom(account.clickPoints);
+        account.region = await regionFrom(account.region);
+      }
+    } catch (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    const ids = added.map(account => account.id);
+    db.all(`SELECT id FROM accounts WHERE userId IS NOT ? AND id IN (${ids.map(() => '?').join(', ')})`, [req.userId, ...ids], (err, taken) => {
+      if (err) {
+        console.error('Error getting accounts', err);
+        return res.status(500).json({ error: 'Database error' });
+      }
+
+      // An account whose ID another user's account has gets a new one; nothing
+      // refers to it by ID but the account itself
+      const takenIds = new Set(taken.map(row => row.id));
+      for (const account of added) {
+        if (takenIds.has(account.id)) {
+          account.id = crypto.randomUUID();
+        }
+      }
+
+      importAccounts(req.userId, added, mode === 'replace', (err) => {
+        if (err && err.code === 'SQLITE_CONSTRAINT') {
+          return res.status(409).json({ error: 'An account with this ID already exists' });
+        }
+        if (err) {
+          console.error('Error importing accounts', err);
+          return res.status(500).json({ error: 'Database error' });
+        }
+
+        res.json({ message: 'Backup imported successfully', imported: added.length, skipped });
+      });
+    });
+  });
+});
+
+/**
+ * Insert imported accounts in one transaction
+ * @param {string} userId - The user importing them
+ * @param {Array<Object>} accounts - Accounts from VaultBackup#combine, with the imageCount of their verifiers
+ * @param {boolean} replace - Delete the user's other accounts first
+ * @param {Function} callback - Called with an error if anything failed; nothing is changed then
+ */
+function importAccounts(userId, accounts, replace, callback) {
+  let failure = null;
+  const record = (err) => {
+    failure = failure || err;
+  };
+
+  db.serialize(() => {
+    db.run('BEGIN TRANSACTION', record);
+    if (replace) {
+      db.run('DELETE FROM password_history WHERE accountId IN (SELECT id FROM accounts WHERE userId = ?)', [userId], record);
+      db.run('DELETE FROM accounts WHERE userId = ?', [userId], record);
+    }
+
+    const updatedAt = new Date().toISOString();
+    const statement = db.prepare(
+      `INSERT INTO accounts (id, userId, name, username, password, notes, sitePassword, type, rawSeed, hashAlgorithm, generator, imageCount, clickPoints,
+         region, createdAt, updatedAt) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    );
+    for (const account of accounts) {
+      statement.run([
+        account.id, userId, account.name, account.username, account.password, account.notes || '', account.sitePassword,
+        account.type || 'uploaded', account.rawSeed, account.hashAlgorithm, account.generator, account.imageCount, account.clickPoints,
+        account.region, account.createdAt, updatedAt
+      ], record);
+    }
+
+    // Every insert has finished by the time the statement is finalized
+    statement.finalize(() => {
+      db.run(failure ? 'ROLLBACK' : 'COMMIT', (err) => callback(failure || err));
+    });
+  });
+}
+
 // Create HTTPS server
 const httpsServer = https.createServer(httpsOptions, app);
 
-// Start the HTTPS server
-httpsServer.listen(PORT, () => {
-  console.log(`HTTPS Server running on https://localhost:${PORT}`);
-});
+// Bring the database schema up to date, then start the HTTPS server
+new Migrator(db, path.join(__dirname, 'migrations'), console).migrate()
+  .then((version) => {
+    console.log(`Database schema at version ${version}`);
+
+    httpsServer.listen(PORT, () => {
+      console.log(`HTTPS Server running on https://localhost:${PORT}`);
+    });
+  })
+  .catch((err) => {
+    console.error('Error migrating database', err);
+    process.exit(1);
+  });
 
 // Handle graceful shutdown
 process.on('SIGINT', () => {
@@ -0,0 +1,83 @@
+// Attempts sent in parallel
+// A route checks the keys, compares the image and records the outcome in
+// separate steps; holding the keys with lock() must let through no more
+// guesses than the same attempts made one after another. Reuse checks are
+// only held to a rate.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const AttemptLimiter = require('../lib/attempt-limiter');
+const Migrator = require('../lib/migrator');
+
+/**
+ * A limiter on a new in-memory database
+ * @returns {Promise<AttemptLimiter>} The limiter
+ */
+async function createLimiter() {
+  const db = new sqlite3.Database(':memory:');
+  await new Migrator(db, path.join(__dirname, '..', 'migrations')).migrate();
+  return new AttemptLimiter(db);
+}
+
+/**
+ * One wrong guess, as the verify route makes it
+ * @param {AttemptLimiter} attempts - The limiter
+ * @param {Array<string>} keys - Keys the guess counts against
+ * @returns {Promise<boolean>} True if the guess was compared, false if it was refused
+ */
+async function guess(attempts, keys) {
+  const release = await attempts.lock(keys);
+  try {
+    if (await attempts.check(keys)) {
+      return false;
+    }
+    // The comparison takes a while
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await attempts.fail(keys);
+    return true;
+  } finally {
+    release();
+  }
+}
+
+test('compares only one of many parallel guesses at an account', async () => {
+  const attempts = await createLimiter();
+  const req = { ip: '192.0.2.1' };
+
+  const results = await Promise.all(Array.from({ length: 40 }, () => guess(attempts, AttemptLimiter.keys(req, 'account', 'acc-1'))));
+
+  // The first failure makes the account wait a second
+  assert.equal(results.filter(Boolean).length, 1);
+});
+
+test('compares no more parallel guesses than an address is allowed', async () => {
+  const attempts = await createLimiter();
+  const req = { ip: '192.0.2.1' };
+
+  // Each guess is at a different account, so only the address limits them
+  const results = await Promise.all(Array.from({ length: 40 }, (_, i) => guess(attempts, AttemptLimiter.keys(req, 'account', `acc-${i}`))));
+
+  assert.equal(results.filter(Boolean).length, 20);
+  assert.equal(attempts.locks.size, 0);
+});
+
+test('holds reuse checks to a rate without locking the user out for longer', async () => {
+  const attempts = await createLimiter();
+  const keys = ['reuse:user-1'];
+
+  for (let i = 1; i < 20; i++) {
+    assert.deepEqual(await attempts.fail(keys), { remainingAttempts: 20 - i, lockedUntil: null });
+  }
+  const { lockedUntil } = await attempts.fail(keys);
+  assert.ok(Math.abs(new Date(lockedUntil) - Date.now() - 15 * 60 * 1000) < 5000);
+  assert.ok(await attempts.check(keys));
+
+  // The count starts again after the wait
+  const { failures } = await attempts.query('get', 'SELECT failures FROM login_attempts WHERE key = ?', keys);
+  assert.equal(failures, 0);
+  await attempts.query('run', 'UPDATE login_attempts SET lockedUntil = ? WHERE key = ?', [new Date().toISOString(), keys[0]]);
+  assert.equal(await attempts.check(keys), null);
+  assert.deepEqual(await attempts.fail(keys), { remainingAttempts: 19, lockedUntil: null });
+});
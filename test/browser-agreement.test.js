@@ -0,0 +1,54 @@
+// Hashes from the browser's decoder
+// In the browser, HashEngine decodes an image by drawing it on a canvas and
+// reading it back with getImageData; on the server, lib/image-decoder.js
+// decodes it. An account registered in one must unlock from the other, so
+// both must hash a file alike. test/fixtures/browser holds the pixels a
+// browser gives for each fixture image: each was drawn with Skia, the
+// graphics library behind Chrome's canvas, which decodes JPEG with
+// libjpeg-turbo like the browsers do, read back with getImageData and saved
+// losslessly as a PNG. Other browsers round a little differently, so the
+// server's hash may differ from the browser's in a few bits, well within the
+// threshold a verifier tolerates.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { decodeImage } = require('../lib/image-decoder');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const { algorithms } = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'hashes.json'), 'utf8'));
+
+// Bits a hash may differ by for every 64 bits of it, a quarter of the default threshold
+const TOLERANCE = 1;
+
+/**
+ * Read a fixture file
+ * @param {...string} parts - Path below test/fixtures
+ * @returns {Uint8Array} The file contents
+ */
+function readFixture(...parts) {
+  return new Uint8Array(fs.readFileSync(path.join(FIXTURES, ...parts)));
+}
+
+for (const file of fs.readdirSync(path.join(FIXTURES, 'images'))) {
+  test(`hashes ${file} like the browser`, async () => {
+    const { default: HashEngine } = await import('../js/hash-engine.js');
+    const { default: SecureSketch } = await import('../js/secure-sketch.js');
+    HashEngine.setDecoder(decodeImage);
+    const bytes = readFixture('images', file);
+    const browser = decodeImage(readFixture('browser', `${file}.png`));
+
+    const decoded = decodeImage(bytes);
+    assert.deepEqual([decoded.width, decoded.height], [browser.width, browser.height]);
+
+    for (const [name, algorithm] of Object.entries(algorithms)) {
+      // The legacy algorithm drew the image on an 8×8 canvas, see HashEngine.legacyHash
+      if (!algorithm) continue;
+
+      const expected = HashEngine.hashImageData(browser, algorithm);
+      const distance = SecureSketch.hammingDistance(await HashEngine.hash(bytes, algorithm), expected);
+      assert.ok(distance <= TOLERANCE * (expected.length / 16), `${name} differs in ${distance} bits`);
+    }
+  });
+}
@@ -0,0 +1,138 @@
+// Finding a card in recorded camera frames
+// test/fixtures/frames holds bursts of frames, as CameraCapture grabs them,
+// of three generated cards held up at different angles: flat, tilted away
+// and turned. They were made by warping each card onto a shaded, noisy
+// background with a known perspective and saving it as a JPEG, so
+// test/fixtures/frames.json knows where each card's corners are. The scanner
+// must find them, and the straightened cards must hash like the card itself.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { decodeImage } = require('../lib/image-decoder');
+
+const FRAMES = path.join(__dirname, 'fixtures', 'frames');
+const { cards, empty } = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'frames.json'), 'utf8'));
+
+// The default algorithm and threshold of ImagePasswordSystem
+const ALGORITHM = { name: 'phash', size: 8 };
+const THRESHOLD = 4;
+
+// Farthest a found corner may be from the true one, in pixels of the 320×240 frames
+const CORNER_TOLERANCE = 2;
+
+/**
+ * Read a recorded frame
+ * @param {string} file - File name in test/fixtures/frames
+ * @returns {Object} { width, height, data } with RGBA data
+ */
+function readFrame(file) {
+  return decodeImage(new Uint8Array(fs.readFileSync(path.join(FRAMES, file))));
+}
+
+async function loadModules() {
+  const { default: CardScanner } = await import('../js/card-scanner.js');
+  const { default: HashEngine } = await import('../js/hash-engine.js');
+  const { default: ImageGenerator } = await import('../js/image-generator.js');
+  const { default: SecureSketch } = await import('../js/secure-sketch.js');
+  return { CardScanner, HashEngine, ImageGenerator, SecureSketch };
+}
+
+/**
+ * Combine a burst's cards into one hash, as the app does after a capture
+ * @param {Object} modules - From loadModules
+ * @param {Array<Object>} frames - The burst
+ * @returns {Promise<string>} The consensus hash
+ */
+async function scanHash({ CardScanner, HashEngine }, frames) {
+  const frameHashes = [];
+  for (const card of CardScanner.scan(frames)) {
+    frameHashes.push(await HashEngine.candidates(card, ALGORITHM));
+  }
+  return CardScanner.consensus(frameHashes, THRESHOLD)[0];
+}
+
+for (const [name, { frames }] of Object.entries(cards)) {
+  test(`finds the corners of the ${name} card`, async () => {
+    const { CardScanner } = await loadModules();
+
+    for (const { file, corners } of frames) {
+      const found = CardScanner.detect(readFrame(file));
+      assert.ok(found, file);
+      found.forEach(([x, y], i) => {
+        const [expectedX, expectedY] = corners[i];
+        assert.ok(Math.hypot(x - expectedX, y - expectedY) <= CORNER_TOLERANCE,
+          `${file} corner ${i} at ${x.toFixed(1)},${y.toFixed(1)} instead of ${expectedX},${expectedY}`);
+      });
+    }
+  });
+
+  test(`straightens the ${name} card to the card's hash`, async () => {
+    const modules = await loadModules();
+    const { CardScanner, HashEngine, ImageGenerator, SecureSketch } = modules;
+    const { seed, generator } = cards[name];
+    const registered = HashEngine.hashImageData(await ImageGenerator.render(seed, generator), ALGORITHM);
+
+    const burst = frames.map(({ file }) => readFrame(file));
+    for (const [i, frame] of burst.entries()) {
+      const card = CardScanner.rectify(frame, CardScanner.detect(frame));
+      // The cards are square, give or take the shaking hand
+      assert.ok(Math.abs(card.width - card.height) <= 0.1 * card.width, `${frames[i].file} is ${card.width}×${card.height}`);
+      assert.ok(SecureSketch.hammingDistance(HashEngine.hashImageData(card, ALGORITHM), registered) <= THRESHOLD, frames[i].file);
+    }
+
+    assert.ok(SecureSketch.hammingDistance(await scanHash(modules, burst), registered) <= THRESHOLD);
+  });
+}
+
+test('finds no card in a frame without one', async () => {
+  const { CardScanner } = await loadModules();
+
+  for (const file of empty) {
+    assert.equal(CardScanner.detect(readFrame(file)), null, file);
+  }
+  assert.deepEqual(CardScanner.scan(empty.map(readFrame)), []);
+});
+
+test('scans a burst grabbed from the camera', async t => {
+  const modules = await loadModules();
+  const { default: CameraCapture } = await import('../js/camera-capture.js');
+  const { seed, generator, frames } = cards.landscape;
+
+  // A camera playing the recorded burst, one frame for each grab
+  const recorded = frames.map(({ file }) => readFrame(file));
+  const video = { videoWidth: recorded[0].width, videoHeight: recorded[0].height, shown: 0, play: async () => {} };
+  const stream = { stopped: false, getTracks: () => [{ stop: () => { stream.stopped = true; } }] };
+  globalThis.navigator = { mediaDevices: { getUserMedia: async () => stream } };
+  globalThis.document = {
+    createElement: () => ({
+      getContext: () => ({
+        drawImage(source) {
+          this.frame = recorded[source.shown++];
+        },
+        getImageData() {
+          return this.frame;
+        }
+      })
+    })
+  };
+  t.after(() => {
+    delete globalThis.navigator;
+    delete globalThis.document;
+  });
+
+  const camera = new CameraCapture(video);
+  assert.throws(() => camera.grabFrame(), /The camera is not ready yet/);
+
+  await camera.start();
+  const burst = await camera.captureFrames(recorded.length);
+  camera.stop();
+
+  assert.deepEqual(burst, recorded);
+  assert.ok(stream.stopped);
+  assert.equal(video.srcObject, null);
+
+  const registered = modules.HashEngine.hashImageData(await modules.ImageGenerator.render(seed, generator), ALGORITHM);
+  assert.ok(modules.SecureSketch.hammingDistance(await scanHash(modules, burst), registered) <= THRESHOLD);
+});
@@ -0,0 +1,67 @@
+// Click-point passwords
+// Clicks within the tolerance of each registered point, in order, must give
+// back the key the points were registered with; any other clicks must not.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const POINTS = [[120, 340], [610, 85], [875, 902]];
+
+async function loadClickPoints() {
+  const { default: ClickPoints } = await import('../js/click-points.js');
+  return ClickPoints;
+}
+
+test('matches clicks within the tolerance of each point', async () => {
+  const ClickPoints = await loadClickPoints();
+  const { verifier, key } = await ClickPoints.createVerifier(POINTS);
+  assert.ok(ClickPoints.isVerifier(verifier));
+  assert.equal(ClickPoints.pointCount(verifier), 3);
+  assert.equal(ClickPoints.parseVerifier(verifier).tolerance, 25);
+
+  // A click c still counts from c - 25 up to but not including c + 25
+  const nearby = [[95, 364], [634, 60], [875, 902]];
+  assert.deepEqual(await ClickPoints.verify(nearby, verifier), { match: true, key });
+});
+
+test('rejects clicks too far away, out of order or too few', async () => {
+  const ClickPoints = await loadClickPoints();
+  const { verifier } = await ClickPoints.createVerifier(POINTS);
+
+  const attempts = [
+    [[120, 340], [610, 85], [875, 927]],
+    [[94, 340], [610, 85], [875, 902]],
+    [POINTS[1], POINTS[0], POINTS[2]],
+    POINTS.slice(0, 2),
+    [...POINTS, [500, 500]],
+    [[120, 340], [610, 85], [875, 1001]]
+  ];
+  for (const points of attempts) {
+    assert.deepEqual(await ClickPoints.verify(points, verifier), { match: false, key: null }, JSON.stringify(points));
+  }
+});
+
+test('refuses to register too few or off-grid points', async () => {
+  const ClickPoints = await loadClickPoints();
+
+  await assert.rejects(ClickPoints.createVerifier(POINTS.slice(0, 2)), /Please click at least 3 points/);
+  await assert.rejects(ClickPoints.createVerifier([...POINTS, [1, 2], [3, 4], [5, 6]]), /Invalid click points/);
+  await assert.rejects(ClickPoints.createVerifier([[0.5, 10], ...POINTS.slice(1)]), /Invalid click points/);
+});
+
+test('combines a different key for different points', async () => {
+  const ClickPoints = await loadClickPoints();
+  const first = await ClickPoints.createVerifier(POINTS);
+  const second = await ClickPoints.createVerifier(POINTS);
+
+  // Each verifier has its own salt, so the same points give another key
+  assert.notEqual(first.key, second.key);
+  assert.equal(ClickPoints.combine('9f3a61c07e25d4b8', first.key), `9f3a61c07e25d4b8+${first.key}`);
+});
+
+test('records the iterations new verifiers are stretched with', async () => {
+  const ClickPoints = await loadClickPoints();
+  const { verifier } = await ClickPoints.createVerifier(POINTS);
+
+  assert.equal(ClickPoints.parseVerifier(verifier).iterations, ClickPoints.getIterations());
+});
@@ -0,0 +1,16 @@
+-- A database as the server made it before migrations: one accounts table,
+-- created with CREATE TABLE IF NOT EXISTS, holding two accounts
+CREATE TABLE accounts (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    username TEXT NOT NULL,
+    password TEXT NOT NULL,
+    notes TEXT,
+    type TEXT DEFAULT 'uploaded',
+    rawSeed TEXT DEFAULT NULL,
+    createdAt TEXT NOT NULL
+);
+
+INSERT INTO accounts (id, name, username, password, notes, type, rawSeed, createdAt) VALUES
+    ('acc-1', 'Mail', 'alice@example.com', 'f0e1d2c3b4a59687', 'Work address', 'uploaded', NULL, '2023-04-01T09:30:00.000Z'),
+    ('acc-2', 'Bank', 'alice', '0f1e2d3c4b5a6978', NULL, 'generated', '8c1f4e2a9b7d3c65', '2023-05-12T18:05:00.000Z');
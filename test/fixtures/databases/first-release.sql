@@ -0,0 +1,12 @@
+-- A database from the first release, before accounts had a type and seed
+CREATE TABLE accounts (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    username TEXT NOT NULL,
+    password TEXT NOT NULL,
+    notes TEXT,
+    createdAt TEXT NOT NULL
+);
+
+INSERT INTO accounts (id, name, username, password, notes, createdAt) VALUES
+    ('acc-1', 'Mail', 'alice@example.com', 'f0e1d2c3b4a59687', 'Work address', '2023-01-20T11:00:00.000Z');
@@ -0,0 +1,82 @@
+// Golden vectors for every hash algorithm
+// The fixture images are decoded with the server's decoders and hashed with
+// each algorithm; the results must match test/fixtures/hashes.json bit for
+// bit. Stored verifiers only match the hashes they were registered with, so a
+// change here means existing accounts would stop unlocking: update the vectors
+// only together with a way for those accounts to keep working.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { decodeImage } = require('../lib/image-decoder');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const { algorithms, images } = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'hashes.json'), 'utf8'));
+
+/**
+ * Read a fixture image
+ * @param {string} file - File name in test/fixtures/images
+ * @returns {Uint8Array} The file contents
+ */
+function readImage(file) {
+  return new Uint8Array(fs.readFileSync(path.join(FIXTURES, 'images', file)));
+}
+
+async function loadHashEngine() {
+  const { default: HashEngine } = await import('../js/hash-engine.js');
+  HashEngine.setDecoder(decodeImage);
+  return HashEngine;
+}
+
+for (const [file, expected] of Object.entries(images)) {
+  test(`hashes ${file} with every algorithm`, async () => {
+    const HashEngine = await loadHashEngine();
+    const bytes = readImage(file);
+
+    for (const [name, algorithm] of Object.entries(algorithms)) {
+      assert.equal(await HashEngine.hash(bytes, algorithm), expected[name], name);
+    }
+  });
+}
+
+test('hashes decoded pixels like the encoded file', async () => {
+  const HashEngine = await loadHashEngine();
+  const bytes = readImage('landscape.png');
+
+  for (const algorithm of Object.values(algorithms)) {
+    assert.equal(HashEngine.hashImageData(decodeImage(bytes), algorithm), await HashEngine.hash(bytes, algorithm));
+  }
+});
+
+test('gives the registered hash first among a robust algorithm\'s candidates', async () => {
+  const HashEngine = await loadHashEngine();
+  const algorithm = algorithms['phash 8 robust'];
+  const candidates = await HashEngine.candidates(readImage('mosaic.png'), algorithm);
+
+  assert.equal(candidates.length, HashEngine.candidateCount(algorithm));
+  assert.equal(candidates[0], images['mosaic.png']['phash 8 robust']);
+});
+
+test('hashes a rotated copy as one of a robust algorithm\'s candidates', async () => {
+  const HashEngine = await loadHashEngine();
+  const algorithm = algorithms['phash 8 robust'];
+  const turned = HashEngine.transform(decodeImage(readImage('landscape.png')), 4, { rotate: 90, flip: false });
+
+  assert.ok((await HashEngine.candidates(turned, algorithm)).includes(images['landscape.png']['phash 8 robust']));
+});
+
+test('has no legacy canvas hash outside the browser', async () => {
+  const HashEngine = await loadHashEngine();
+  assert.equal(await HashEngine.legacyHash(readImage('landscape.png')), null);
+});
+
+test('accepts only hash sizes of 8 and 16', async () => {
+  const HashEngine = await loadHashEngine();
+
+  assert.equal(HashEngine.parseAlgorithm({ name: 'phash' }).size, 8);
+  assert.equal(HashEngine.parseAlgorithm('{"name":"dhash","size":16}').size, 16);
+  for (const size of ['8', '16', -8, 0, 8.5, 4, 32, 64, null]) {
+    assert.throws(() => HashEngine.parseAlgorithm({ name: 'phash', size }), /Unsupported hash size/, JSON.stringify(size));
+  }
+});
@@ -0,0 +1,66 @@
+// Limits of the server's image decoders
+// Uploads reach the decoders before anyone has logged in, so a file claiming
+// a huge size, or one that inflates far beyond it, must be refused before
+// its pixels are allocated.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { decodeImage } = require('../lib/image-decoder');
+
+/**
+ * Build a PNG file from its chunks; the decoder does not check CRCs, so they are left as zero
+ * @param {Array<Array>} chunks - [type, data] pairs
+ * @returns {Uint8Array} The file
+ */
+function png(chunks) {
+  const parts = [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])];
+  for (const [type, data] of chunks) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    parts.push(length, Buffer.from(type, 'ascii'), data, Buffer.alloc(4));
+  }
+  return new Uint8Array(Buffer.concat(parts));
+}
+
+/**
+ * IHDR chunk data for an 8-bit grayscale image
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {Buffer} The chunk data
+ */
+function grayHeader(width, height) {
+  const data = Buffer.alloc(13);
+  data.writeUInt32BE(width, 0);
+  data.writeUInt32BE(height, 4);
+  data[8] = 8;
+  return data;
+}
+
+test('decodes the fixture images at their size', () => {
+  const read = file => new Uint8Array(fs.readFileSync(path.join(__dirname, 'fixtures', 'images', file)));
+
+  const { width, height, data } = decodeImage(read('landscape.png'));
+  assert.deepEqual([width, height, data.length], [160, 120, 160 * 120 * 4]);
+
+  const jpeg = decodeImage(read('landscape.jpg'));
+  assert.deepEqual([jpeg.width, jpeg.height], [200, 150]);
+});
+
+test('refuses a PNG claiming more pixels than the limit', () => {
+  const file = png([['IHDR', grayHeader(100000, 100000)], ['IDAT', zlib.deflateSync(Buffer.alloc(16))], ['IEND', Buffer.alloc(0)]]);
+  assert.throws(() => decodeImage(file), /PNG size 100000×100000 is not supported/);
+});
+
+test('refuses PNG data that inflates to more than the image holds', () => {
+  const file = png([['IHDR', grayHeader(16, 16)], ['IDAT', zlib.deflateSync(Buffer.alloc(1 << 20))], ['IEND', Buffer.alloc(0)]]);
+  assert.throws(() => decodeImage(file), { code: 'ERR_BUFFER_TOO_LARGE' });
+});
+
+test('refuses a JPEG claiming more pixels than the limit', () => {
+  const frame = [0xff, 0xc0, 0x00, 0x11, 8, 0xff, 0xff, 0xff, 0xff, 3, 1, 0x11, 0, 2, 0x11, 0, 3, 0x11, 0];
+  const file = new Uint8Array([0xff, 0xd8, ...frame, 0xff, 0xd9]);
+  assert.throws(() => decodeImage(file), /JPEG size 65535×65535 is not supported/);
+});
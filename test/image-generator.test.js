@@ -0,0 +1,104 @@
+// Golden bytes of generated images
+// The app does not keep a generated image's seed, but the image can be
+// re-created from its seed and the style, version and size stored with the
+// account (see the README), and the copy must match the hash registered. The
+// PNG for a seed, style, version and size must therefore never change:
+// test/fixtures/generated-images.json pins the SHA-256 of each. A change to
+// the drawing belongs in a new renderer version, with its own vectors added
+// here, rather than in an existing one.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { decodeImage } = require('../lib/image-decoder');
+
+const { seed, images } = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'generated-images.json'), 'utf8'));
+
+/**
+ * SHA-256 of a file
+ * @param {Uint8Array} bytes - The file contents
+ * @returns {string} The digest as hex
+ */
+function sha256(bytes) {
+  return crypto.createHash('sha256').update(bytes).digest('hex');
+}
+
+/**
+ * A small image of flat bands, a gradient and a transparent corner
+ * @returns {Object} { width, height, data } with RGBA data
+ */
+function sampleImage() {
+  const width = 24;
+  const height = 16;
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      data[i] = y < 8 ? 200 : x * 10;
+      data[i + 1] = y < 8 ? 40 : 255 - x * 10;
+      data[i + 2] = (x >> 2) * 40;
+      data[i + 3] = x < 4 && y < 4 ? 0 : 255;
+    }
+  }
+  return { width, height, data };
+}
+
+for (const [name, digest] of Object.entries(images)) {
+  test(`draws the ${name} image byte for byte`, async () => {
+    const { default: ImageGenerator } = await import('../js/image-generator.js');
+    const [style, version, size] = name.split(' ');
+
+    const png = await ImageGenerator.generate(seed, { style, version: Number(version), size: Number(size) });
+    assert.equal(sha256(png), digest);
+  });
+}
+
+test('has vectors for every style, version and size', async () => {
+  const { default: ImageGenerator } = await import('../js/image-generator.js');
+
+  for (const { name } of ImageGenerator.getStyles()) {
+    for (let version = 1; version <= ImageGenerator.latestVersion(name); version++) {
+      for (const size of ImageGenerator.getSizes()) {
+        assert.ok(images[`${name} ${version} ${size}`], `${name} ${version} ${size}`);
+      }
+    }
+  }
+});
+
+test('draws images from before options were stored as the first shapes', async () => {
+  const { default: ImageGenerator } = await import('../js/image-generator.js');
+  assert.equal(sha256(await ImageGenerator.generate(seed, null)), images['shapes 1 256']);
+});
+
+test('encodes the same pixels to the same bytes', async () => {
+  const { default: PngEncoder } = await import('../js/png-encoder.js');
+  const png = PngEncoder.encode(sampleImage(), { Comment: 'sample' });
+
+  assert.equal(sha256(png), '843863653c15ea54eeb89c4a120ebc7f28935cafd0fee265ede3add8f372099b');
+});
+
+test('encodes a PNG that decodes to its pixels', async () => {
+  const { default: PngEncoder } = await import('../js/png-encoder.js');
+  const image = sampleImage();
+  const png = PngEncoder.encode(image);
+
+  const decoded = decodeImage(png);
+  assert.deepEqual([decoded.width, decoded.height], [image.width, image.height]);
+  assert.deepEqual([...decoded.data], [...image.data]);
+
+  // lib/png-decoder.js skips the checksums, so check them here: zlib checks
+  // the IDAT data's Adler-32 and each chunk's CRC must match zlib's CRC-32
+  const buffer = Buffer.from(png);
+  for (let offset = 8; offset < buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const typeAndData = buffer.subarray(offset + 4, offset + 8 + length);
+    assert.equal(buffer.readUInt32BE(offset + 8 + length), zlib.crc32(typeAndData), typeAndData.subarray(0, 4).toString('ascii'));
+    if (typeAndData.subarray(0, 4).toString('ascii') === 'IDAT') {
+      assert.doesNotThrow(() => zlib.inflateSync(typeAndData.subarray(4)));
+    }
+    offset += 12 + length;
+  }
+});
@@ -0,0 +1,84 @@
+// Regions of a photo
+// A selection close enough to the registered region must snap to exactly the
+// registered rectangle, so it crops the same pixels; one further off must not.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const RECT = { shape: 'rect', points: [[200, 150], [700, 640]] };
+
+async function loadRegion() {
+  const { default: ImageRegion } = await import('../js/image-region.js');
+  return ImageRegion;
+}
+
+test('snaps a close selection to the registered rectangle', async () => {
+  const ImageRegion = await loadRegion();
+  const grid = ImageRegion.createGrid(RECT);
+  const registered = ImageRegion.snap(RECT, grid);
+  assert.deepEqual(registered, { left: 200, top: 150, right: 700, bottom: 640 });
+
+  // Each edge still counts from 25 below up to but not including 25 above
+  const close = { shape: 'rect', points: [[724, 126], [176, 664]] };
+  assert.deepEqual(ImageRegion.snap(close, grid), registered);
+
+  const freeform = { shape: 'freeform', points: [[210, 160], [690, 150], [700, 400], [450, 640], [200, 500]] };
+  assert.deepEqual(ImageRegion.snap(freeform, grid), registered);
+});
+
+test('snaps a selection further off elsewhere', async () => {
+  const ImageRegion = await loadRegion();
+  const grid = ImageRegion.createGrid(RECT);
+  const registered = ImageRegion.snap(RECT, grid);
+
+  for (const points of [[[174, 150], [700, 640]], [[200, 150], [725, 640]], [[200, 150], [700, 614]]]) {
+    assert.notDeepEqual(ImageRegion.snap({ shape: 'rect', points }, grid), registered, JSON.stringify(points));
+  }
+});
+
+test('rejects selections that cannot be regions', async () => {
+  const ImageRegion = await loadRegion();
+
+  const invalid = [
+    null,
+    { shape: 'circle', points: RECT.points },
+    { shape: 'rect', points: [[200, 150]] },
+    { shape: 'rect', points: [[200, 150], [700, 1001]] },
+    { shape: 'freeform', points: [[200, 150], [700, 640]] },
+    { shape: 'freeform', points: Array.from({ length: ImageRegion.getMaxPoints() + 1 }, (_, i) => [i % 1000, (i * 7) % 1000]) }
+  ];
+  for (const region of invalid) {
+    assert.throws(() => ImageRegion.check(region), /Invalid region/, JSON.stringify(region));
+  }
+  assert.throws(() => ImageRegion.check({ shape: 'rect', points: [[200, 150], [290, 640]] }), /at least 10% of the image/);
+});
+
+test('stores the grid and reads it back', async () => {
+  const ImageRegion = await loadRegion();
+  const grid = ImageRegion.createGrid(RECT);
+
+  const stored = ImageRegion.serializeGrid(grid, 'enc1$selection');
+  assert.deepEqual(ImageRegion.parseGrid(stored), { ...grid, selection: 'enc1$selection' });
+  assert.deepEqual(ImageRegion.parse(ImageRegion.serialize(RECT)), RECT);
+
+  for (const value of [{ ...grid, tolerance: 0 }, { ...grid, offsets: [0, 0, 0] }, { ...grid, offsets: [0, 0, 0, 50] }, grid]) {
+    assert.throws(() => ImageRegion.parseGrid(JSON.stringify(value)), /Malformed region/, JSON.stringify(value));
+  }
+});
+
+test('crops the pixels of a rectangle', async () => {
+  const ImageRegion = await loadRegion();
+  const width = 20;
+  const height = 10;
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    data[i * 4] = i % width;
+    data[i * 4 + 1] = Math.floor(i / width);
+    data[i * 4 + 3] = 255;
+  }
+
+  const cropped = ImageRegion.crop({ width, height, data }, { left: 250, top: 300, right: 500, bottom: 800 });
+  assert.deepEqual([cropped.width, cropped.height], [5, 5]);
+  assert.deepEqual([cropped.data[0], cropped.data[1]], [5, 3]);
+  assert.deepEqual([...cropped.data.slice(-4)], [9, 7, 0, 255]);
+});
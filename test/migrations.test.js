@@ -0,0 +1,138 @@
+// Upgrading databases made before migrations
+// The server used to create its one table with CREATE TABLE IF NOT EXISTS,
+// so a database from then has no schema_version. The fixtures in
+// test/fixtures/databases are such databases; migrating one must end with
+// the schema a new database gets and keep its accounts, and migrating back
+// down must give the old schema and accounts back.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const Migrator = require('../lib/migrator');
+
+const MIGRATIONS = path.join(__dirname, '..', 'migrations');
+
+/**
+ * A migrator on a new in-memory database holding a fixture
+ * @param {string} [fixture] - File name in test/fixtures/databases; an empty database if left out
+ * @returns {Promise<Migrator>} The migrator
+ */
+async function open(fixture) {
+  const db = new sqlite3.Database(':memory:');
+  if (fixture) {
+    const sql = fs.readFileSync(path.join(__dirname, 'fixtures', 'databases', fixture), 'utf8');
+    await new Promise((resolve, reject) => db.exec(sql, err => (err ? reject(err) : resolve())));
+  }
+  return new Migrator(db, MIGRATIONS);
+}
+
+/**
+ * The columns of each table, leaving out the migrator's and SQLite's own
+ * @param {Migrator} migrator - Migrator on the database
+ * @returns {Promise<Object>} Column definitions by table name
+ */
+async function schema(migrator) {
+  const tables = await migrator.query('all', `
+    SELECT name FROM sqlite_master
+    WHERE type = 'table' AND name != 'schema_version' AND name NOT LIKE 'sqlite_%'
+    ORDER BY name
+  `);
+
+  const result = {};
+  for (const { name } of tables) {
+    result[name] = await migrator.query('all', `PRAGMA table_info(${name})`);
+  }
+  return result;
+}
+
+/**
+ * Assert two databases have the same tables and columns
+ * Columns added to an existing table come after its own, so they are
+ * compared by name rather than position.
+ * @param {Object} actual - Schema from schema()
+ * @param {Object} expected - Schema from schema()
+ */
+function assertSameSchema(actual, expected) {
+  const byName = columns => columns.map(({ cid, ...column }) => column).sort((a, b) => a.name.localeCompare(b.name));
+
+  assert.deepEqual(Object.keys(actual), Object.keys(expected));
+  for (const table of Object.keys(expected)) {
+    assert.deepEqual(byName(actual[table]), byName(expected[table]), table);
+  }
+}
+
+test('upgrades a database made before migrations to the schema of a new one', async () => {
+  const fresh = await open();
+  const latest = await fresh.migrate();
+  const old = await open('baseline.sql');
+
+  assert.equal(await old.migrate(), latest);
+  assert.equal(await old.currentVersion(), latest);
+
+  assertSameSchema(await schema(old), await schema(fresh));
+});
+
+test('keeps the accounts of an upgraded database', async () => {
+  const migrator = await open('baseline.sql');
+  await migrator.migrate();
+
+  const accounts = await migrator.query('all', 'SELECT * FROM accounts ORDER BY id');
+  assert.deepEqual(accounts.map(({ id, name, username, password, notes, type, rawSeed }) => ({ id, name, username, password, notes, type, rawSeed })), [
+    { id: 'acc-1', name: 'Mail', username: 'alice@example.com', password: 'f0e1d2c3b4a59687', notes: 'Work address', type: 'uploaded', rawSeed: null },
+    { id: 'acc-2', name: 'Bank', username: 'alice', password: '0f1e2d3c4b5a6978', notes: null, type: 'generated', rawSeed: '8c1f4e2a9b7d3c65' }
+  ]);
+
+  // Columns added later take the values older accounts had implicitly
+  for (const account of accounts) {
+    assert.equal(account.version, 1);
+    assert.equal(account.updatedAt, account.createdAt);
+    assert.equal(account.imageCount, 1);
+    assert.equal(account.hashAlgorithm, null);
+    assert.equal(account.userId, null);
+  }
+});
+
+test('gives accounts from the first release a type', async () => {
+  const migrator = await open('first-release.sql');
+  await migrator.migrate();
+
+  const account = await migrator.query('get', 'SELECT type, rawSeed, createdAt FROM accounts WHERE id = ?', ['acc-1']);
+  assert.deepEqual(account, { type: 'uploaded', rawSeed: null, createdAt: '2023-01-20T11:00:00.000Z' });
+});
+
+test('migrates back down to the schema and accounts it started with', async () => {
+  const before = await open('baseline.sql');
+  const migrator = await open('baseline.sql');
+  await migrator.migrate();
+
+  // The baseline table is the one migrations 1 and 2 make
+  assert.equal(await migrator.migrate(2), 2);
+
+  assert.deepEqual(await schema(migrator), await schema(before));
+  assert.deepEqual(
+    await migrator.query('all', 'SELECT * FROM accounts ORDER BY id'),
+    await before.query('all', 'SELECT * FROM accounts ORDER BY id')
+  );
+});
+
+test('migrates all the way down and up again', async () => {
+  const migrator = await open('baseline.sql');
+  const latest = await migrator.migrate();
+  const upgraded = await schema(migrator);
+
+  assert.equal(await migrator.migrate(0), 0);
+  assert.deepEqual(await schema(migrator), {});
+
+  assert.equal(await migrator.migrate(), latest);
+  assertSameSchema(await schema(migrator), upgraded);
+});
+
+test('refuses a version past the latest', async () => {
+  const migrator = await open('baseline.sql');
+  const latest = migrator.load().at(-1).version;
+
+  await assert.rejects(migrator.migrate(latest + 1), new RegExp(`Unknown schema version ${latest + 1}`));
+  assert.equal(await migrator.currentVersion(), 0);
+});
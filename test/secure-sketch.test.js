@@ -0,0 +1,95 @@
+// Tolerant verifiers for image hashes
+// A verifier must give back the enrolled hash for any hash within its
+// threshold, and nothing for one further away. A sequence verifier must do so
+// for every image, in the enrolled order. Verifiers from before the digest was
+// stretched must keep working until they are upgraded.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// A 64-bit hash, as the default phash gives
+const HASH = '9f3a61c07e25d4b8';
+const THRESHOLD = 4;
+
+async function loadSketch() {
+  const { default: SecureSketch } = await import('../js/secure-sketch.js');
+  return SecureSketch;
+}
+
+/**
+ * Flip bits of a hash
+ * @param {string} hashHex - The hash as hex
+ * @param {Array<number>} positions - Bits to flip, counted from the most significant
+ * @returns {string} The changed hash as hex
+ */
+function flip(hashHex, positions) {
+  const bits = [...BigInt(`0x${hashHex}`).toString(2).padStart(hashHex.length * 4, '0')].map(Number);
+  for (const position of positions) {
+    bits[position] ^= 1;
+  }
+  return BigInt(`0b${bits.join('')}`).toString(16).padStart(hashHex.length, '0');
+}
+
+test('recovers the enrolled hash from one within the threshold', async () => {
+  const SecureSketch = await loadSketch();
+  const verifier = await new SecureSketch(64, THRESHOLD).createVerifier(HASH);
+  assert.match(verifier, /^fs2\$64\$4\$[0-9a-f]{32}\$[0-9a-f]{16}\$[0-9a-f]{64}$/);
+  assert.ok(!verifier.includes(HASH));
+
+  // The last bit is outside the code and is found by trying both values
+  for (const positions of [[], [5], [0, 63], [3, 17, 40, 62]]) {
+    const result = await SecureSketch.verify(flip(HASH, positions), verifier);
+    assert.deepEqual(result, { match: true, distance: positions.length, threshold: THRESHOLD, hash: HASH }, `${positions}`);
+  }
+});
+
+test('rejects a hash further away than the threshold', async () => {
+  const SecureSketch = await loadSketch();
+  const verifier = await new SecureSketch(64, THRESHOLD).createVerifier(HASH);
+
+  for (const positions of [[1, 9, 20, 33, 50], [0, 8, 16, 24, 32, 40, 48, 56]]) {
+    const result = await SecureSketch.verify(flip(HASH, positions), verifier);
+    assert.equal(result.match, false, `${positions}`);
+    assert.equal(result.hash, undefined);
+  }
+
+  // A stricter threshold than the enrolled one
+  const result = await SecureSketch.verify(flip(HASH, [2, 30, 44]), verifier, 2);
+  assert.deepEqual(result, { match: false, distance: 3, threshold: 2, hash: null });
+});
+
+test('matches a sequence only with every image, in order', async () => {
+  const SecureSketch = await loadSketch();
+  const second = '0d7be3915a4cf826';
+  const verifier = await SecureSketch.createSequenceVerifier([HASH, second], [THRESHOLD, THRESHOLD]);
+  assert.ok(SecureSketch.isSequence(verifier));
+  assert.equal(SecureSketch.imageCount(verifier), 2);
+  assert.ok(verifier.startsWith('fsq2$'));
+
+  const enrolled = SecureSketch.joinHashes([HASH, second]);
+  const result = await SecureSketch.verify(SecureSketch.joinHashes([flip(HASH, [4, 63]), flip(second, [11, 63])]), verifier);
+  assert.deepEqual(result, {
+    match: true, distance: 4, threshold: 8, distances: [2, 2], thresholds: [THRESHOLD, THRESHOLD], hash: enrolled
+  });
+
+  for (const hashes of [[second, HASH], [HASH], [HASH, flip(second, [1, 9, 20, 33, 50])]]) {
+    assert.equal((await SecureSketch.verify(SecureSketch.joinHashes(hashes), verifier)).match, false, hashes.join('-'));
+  }
+});
+
+test('verifies and upgrades a verifier with a single SHA-256 digest', async () => {
+  const SecureSketch = await loadSketch();
+  const sketch = new SecureSketch(64, THRESHOLD);
+  const salt = '00112233445566778899aabbccddeeff';
+  const legacy = ['fs1', 64, THRESHOLD, salt, sketch.sketch(HASH), await SecureSketch.digest(salt, HASH)].join('$');
+  assert.ok(SecureSketch.isVerifier(legacy));
+  assert.ok(!SecureSketch.isCurrent(legacy));
+
+  const result = await SecureSketch.verify(flip(HASH, [7]), legacy);
+  assert.equal(result.hash, HASH);
+
+  const upgraded = await SecureSketch.upgrade(legacy, result.hash);
+  assert.ok(SecureSketch.isCurrent(upgraded));
+  assert.equal((await SecureSketch.verify(flip(HASH, [7, 21]), upgraded)).hash, HASH);
+  assert.equal(await SecureSketch.upgrade(upgraded, HASH), null);
+});